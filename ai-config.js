@@ -3,6 +3,9 @@
  * 
  * Abstracts the AI provider (Bedrock vs Anthropic direct) behind a single interface.
  * Edit this file to switch providers.
+ * 
+ * For offline tests and demos, AI_PROVIDER=replay serves responses recorded
+ * earlier with AI_RECORD=1 (see AI_CONFIG.replay).
  */
 
 // ============================================================================
@@ -10,8 +13,8 @@
 // ============================================================================
 
 export const AI_CONFIG = {
-  // Provider: 'bedrock' | 'anthropic' | 'openclaw'
-  provider: 'openclaw',
+  // Provider: 'bedrock' | 'anthropic' | 'openclaw' | 'replay'
+  provider: process.env.AI_PROVIDER || 'openclaw',
   
   // Model settings per provider
   bedrock: {
@@ -31,8 +34,37 @@ export const AI_CONFIG = {
     nodePath: '/opt/homebrew/bin/node',
   },
   
+  replay: {
+    // Recorded responses, one JSON file per prompt hash (relative to this file)
+    fixturesDir: process.env.AI_FIXTURES_DIR || 'fixtures/ai',
+    // Record mode: call the real provider (recordProvider when replaying) and save each response
+    record: process.env.AI_RECORD === '1',
+    recordProvider: process.env.AI_RECORD_PROVIDER || 'openclaw',
+  },
+  
   // Shared settings
   maxTokens: 8192,
+  
+  // Embeddings (semantic trees, /semantic-search, hierarchical RAG)
+  embedding: {
+    // Provider: 'bedrock' | 'local'
+    // 'local' is a deterministic hashed n-gram projection — no network needed
+    provider: process.env.EMBEDDING_PROVIDER || 'bedrock',
+    
+    // How semantic-tree vectors are stored on disk (see embedding-store.js):
+    // 'int8' (per-vector scale, ~4x smaller than float32) | 'float16'
+    storage: process.env.EMBEDDING_STORAGE || 'int8',
+    
+    bedrock: {
+      model: 'amazon.titan-embed-text-v2:0',
+      dimensions: 1024,  // Titan v2 supports 256, 512, or 1024
+    },
+    
+    local: {
+      dimensions: 512,
+      charNgram: 3,  // Character n-gram size (0 to disable)
+    },
+  },
 }
 
 // ============================================================================
@@ -41,6 +73,7 @@ export const AI_CONFIG = {
 
 import fs from 'fs/promises'
 import https from 'https'
+import crypto from 'crypto'
 import { execSync } from 'child_process'
 import path from 'path'
 import { fileURLToPath } from 'url'
@@ -51,14 +84,23 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url))
  * Call AI with the configured provider
  */
 export async function callAI(systemPrompt, userPrompt) {
-  if (AI_CONFIG.provider === 'bedrock') {
+  if (AI_CONFIG.replay.record) {
+    return recordResponse(systemPrompt, userPrompt)
+  }
+  return callProvider(AI_CONFIG.provider, systemPrompt, userPrompt)
+}
+
+async function callProvider(provider, systemPrompt, userPrompt) {
+  if (provider === 'bedrock') {
     return callBedrock(systemPrompt, userPrompt)
-  } else if (AI_CONFIG.provider === 'anthropic') {
+  } else if (provider === 'anthropic') {
     return callAnthropic(systemPrompt, userPrompt)
-  } else if (AI_CONFIG.provider === 'openclaw') {
+  } else if (provider === 'openclaw') {
     return callOpenClaw(systemPrompt, userPrompt)
+  } else if (provider === 'replay') {
+    return callReplay(systemPrompt, userPrompt)
   } else {
-    throw new Error(`Unknown AI provider: ${AI_CONFIG.provider}`)
+    throw new Error(`Unknown AI provider: ${provider}`)
   }
 }
 
@@ -78,6 +120,12 @@ export function getAIInfo() {
       provider: 'OpenClaw (local proxy)',
       model: 'via openclaw agent',
     }
+  } else if (config.provider === 'replay') {
+    return {
+      provider: 'Replay (recorded fixtures)',
+      model: config.replay.record ? `recording via ${config.replay.recordProvider}` : 'none',
+      fixturesDir: getFixturesDir(),
+    }
   } else {
     return {
       provider: 'Anthropic Direct',
@@ -318,24 +366,110 @@ ${userPrompt}`
   }
 }
 
+// ============================================================================
+// Replay / record (offline fixtures)
+// ============================================================================
+
+function getFixturesDir() {
+  return path.resolve(__dirname, AI_CONFIG.replay.fixturesDir)
+}
+
+/**
+ * Fixture key: hash of the exact system + user prompts
+ */
+export function hashPrompts(systemPrompt, userPrompt) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([systemPrompt, userPrompt]))
+    .digest('hex')
+    .slice(0, 16)
+}
+
+async function callReplay(systemPrompt, userPrompt) {
+  const hash = hashPrompts(systemPrompt, userPrompt)
+  const fixturePath = path.join(getFixturesDir(), `${hash}.json`)
+  
+  try {
+    const fixture = JSON.parse(await fs.readFile(fixturePath, 'utf-8'))
+    console.log(`  📼 Replayed response ${hash}`)
+    return fixture.response
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e
+    throw new Error(`No recorded response for prompt hash ${hash} (record with AI_RECORD=1)`)
+  }
+}
+
+/**
+ * Call the real provider and save the response as a fixture
+ */
+async function recordResponse(systemPrompt, userPrompt) {
+  const provider = AI_CONFIG.provider === 'replay' ? AI_CONFIG.replay.recordProvider : AI_CONFIG.provider
+  const response = await callProvider(provider, systemPrompt, userPrompt)
+  
+  const hash = hashPrompts(systemPrompt, userPrompt)
+  const fixturesDir = getFixturesDir()
+  await fs.mkdir(fixturesDir, { recursive: true })
+  await fs.writeFile(path.join(fixturesDir, `${hash}.json`), JSON.stringify({
+    hash,
+    provider,
+    recordedAt: new Date().toISOString(),
+    systemPrompt,
+    userPrompt,
+    response
+  }, null, 2))
+  console.log(`  📼 Recorded response ${hash}`)
+  
+  return response
+}
+
 // ============================================================================
 // Embedding support
 // ============================================================================
 
+/**
+ * Generate an embedding with the configured provider
+ * Pass { provider, dimensions } to match vectors already stored in a tree
+ */
+export async function generateEmbedding(text, options = {}) {
+  const { provider, dimensions } = getEmbeddingInfo(options)
+  
+  if (provider === 'bedrock') {
+    return embedBedrock(text, dimensions)
+  } else if (provider === 'local') {
+    return embedLocal(text, dimensions)
+  } else {
+    throw new Error(`Unknown embedding provider: ${provider}`)
+  }
+}
+
+/**
+ * Describe the embedding provider: { provider, model, dimensions }
+ * Stored alongside vectors so queries are embedded the same way
+ */
+export function getEmbeddingInfo(options = {}) {
+  const provider = options.provider || AI_CONFIG.embedding.provider
+  const config = AI_CONFIG.embedding[provider]
+  if (!config) throw new Error(`Unknown embedding provider: ${provider}`)
+  
+  return {
+    provider,
+    model: provider === 'local' ? `hashed-ngram-${config.charNgram}` : config.model,
+    dimensions: options.dimensions || config.dimensions,
+  }
+}
+
 /**
  * Generate embeddings using AWS Bedrock Titan
- * Returns a 1024-dimensional vector
  */
-export async function generateEmbedding(text) {
+async function embedBedrock(text, dimensions) {
   const { region } = AI_CONFIG.bedrock
-  const model = 'amazon.titan-embed-text-v2:0'
+  const { model } = AI_CONFIG.embedding.bedrock
   
   // Truncate text if too long (Titan has 8k token limit)
   const truncatedText = text.slice(0, 20000)
   
   const payload = {
     inputText: truncatedText,
-    dimensions: 1024,  // Titan v2 supports 256, 512, or 1024
+    dimensions,
     normalize: true
   }
   
@@ -368,6 +502,68 @@ export async function generateEmbedding(text) {
   }
 }
 
+// Common function words carry no topical signal — dropping them stands in for IDF
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'has', 'have', 'how', 'if', 'in', 'into', 'is', 'it', 'its', 'more', 'not', 'of', 'on', 'or',
+  'so', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+  'to', 'was', 'we', 'were', 'what', 'when', 'which', 'while', 'who', 'why', 'will', 'with', 'you'
+])
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+/**
+ * Deterministic local embedding: hashed projection of word unigrams,
+ * word bigrams and character n-grams with sublinear term frequency.
+ * Same text + dimensions always gives the same L2-normalized vector.
+ */
+function embedLocal(text, dimensions) {
+  const { charNgram } = AI_CONFIG.embedding.local
+  const words = (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(w => !STOP_WORDS.has(w))
+  
+  // Feature counts, each feature kind carrying its own weight
+  const features = new Map()
+  const add = (feature, weight) => {
+    const entry = features.get(feature) || { count: 0, weight }
+    entry.count++
+    features.set(feature, entry)
+  }
+  
+  words.forEach((word, i) => {
+    add(`w:${word}`, 1)
+    if (i > 0) add(`b:${words[i - 1]} ${word}`, 0.5)
+    
+    if (charNgram > 0) {
+      const padded = `#${word}#`
+      for (let j = 0; j + charNgram <= padded.length; j++) {
+        add(`c:${padded.slice(j, j + charNgram)}`, 0.25)
+      }
+    }
+  })
+  
+  // Signed feature hashing keeps collisions unbiased
+  const vector = new Array(dimensions).fill(0)
+  for (const [feature, { count, weight }] of features) {
+    const hash = fnv1a(feature)
+    const sign = fnv1a(`s:${feature}`) & 1 ? 1 : -1
+    vector[hash % dimensions] += sign * weight * (1 + Math.log(count))
+  }
+  
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0))
+  return norm > 0 ? vector.map(v => v / norm) : vector
+}
+
 /**
  * Compute cosine similarity between two embedding vectors
  */
@@ -384,5 +580,6 @@ export function cosineSimilarity(a, b) {
     normB += b[i] * b[i]
   }
   
+  if (normA === 0 || normB === 0) return 0
   return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB))
 }
@@ -0,0 +1,225 @@
+/**
+ * Semantic Tree Embedding Storage
+ *
+ * Node vectors (`embedding`, `childEmbeddingAggregate`) are kept in a
+ * quantized binary sidecar next to the tree JSON rather than inline, so
+ * tree files stay small enough to diff and to bundle:
+ *
+ *   neural-oscillations-semantic-tree.json             tree, text only
+ *   neural-oscillations-semantic-tree.embeddings.bin   vectors by node id
+ *
+ * Sidecar layout (little-endian):
+ *   'STEV'   magic
+ *   u32      header length, then the header as JSON:
+ *            { version, encoding, dimensions, vectors: [[nodeId, field], ...] }
+ *   vectors, in header order:
+ *     int8     f32 scale, then `dimensions` int8 values (value = q * scale)
+ *     float16  `dimensions` IEEE half floats
+ *
+ * The tree root records the sidecar as `embeddingStore`. Trees written
+ * before the sidecar existed still load with their inline vectors;
+ * migrate-embeddings.js moves them out.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { AI_CONFIG } from './ai-config.js'
+import { getTreeEmbeddingInfo } from './semantic-tree.js'
+
+const MAGIC = 'STEV'
+const VERSION = 1
+
+export const EMBEDDING_FIELDS = ['embedding', 'childEmbeddingAggregate']
+export const ENCODINGS = ['int8', 'float16']
+
+/**
+ * Sidecar path for a tree file
+ */
+export function getSidecarPath(treePath) {
+  return treePath.replace(/\.json$/, '.embeddings.bin')
+}
+
+/**
+ * JSON replacer/reviver that drops vectors
+ */
+export function omitEmbeddings(key, value) {
+  return EMBEDDING_FIELDS.includes(key) ? undefined : value
+}
+
+/**
+ * Copy of a cached tree without vectors (for responses to the browser)
+ */
+export function withoutEmbeddings(data) {
+  return JSON.parse(JSON.stringify(data, omitEmbeddings))
+}
+
+// float32 <-> float16 bit conversion (no Float16Array in Node 20)
+const floatView = new Float32Array(1)
+const bitsView = new Uint32Array(floatView.buffer)
+
+function toHalf(value) {
+  floatView[0] = value
+  const bits = bitsView[0]
+  const sign = (bits >>> 16) & 0x8000
+  const exponent = ((bits >>> 23) & 0xff) - 127 + 15
+  const mantissa = bits & 0x7fffff
+
+  if (exponent >= 31) return sign | 0x7c00
+  if (exponent <= 0) {
+    if (exponent < -10) return sign
+    return sign | ((((mantissa | 0x800000) >> (1 - exponent)) + 0x1000) >> 13)
+  }
+  // Adding (not or-ing) lets rounding carry into the exponent
+  return sign | ((exponent << 10) + ((mantissa + 0x1000) >> 13))
+}
+
+function fromHalf(half) {
+  const sign = half & 0x8000 ? -1 : 1
+  const exponent = (half >> 10) & 0x1f
+  const mantissa = half & 0x3ff
+  if (exponent === 0) return sign * mantissa * 2 ** -24
+  if (exponent === 31) return mantissa ? NaN : sign * Infinity
+  return sign * (1 + mantissa / 1024) * 2 ** (exponent - 15)
+}
+
+function vectorBytes(encoding, dimensions) {
+  return encoding === 'int8' ? 4 + dimensions : dimensions * 2
+}
+
+/**
+ * Every vector in a tree as { id, field, vector }
+ */
+export function collectVectors(tree) {
+  const vectors = []
+  const walk = (node) => {
+    for (const field of EMBEDDING_FIELDS) {
+      if (node[field]) vectors.push({ id: node.id, field, vector: node[field] })
+    }
+    node.children?.forEach(walk)
+  }
+  walk(tree)
+  return vectors
+}
+
+/**
+ * Encode vectors into a sidecar buffer
+ */
+export function encodeSidecar(vectors, encoding = AI_CONFIG.embedding.storage) {
+  if (!ENCODINGS.includes(encoding)) throw new Error(`Unknown embedding encoding: ${encoding}`)
+  const dimensions = vectors[0]?.vector.length || 0
+  const mismatched = vectors.find(v => v.vector.length !== dimensions)
+  if (mismatched) {
+    throw new Error(`Vector ${mismatched.id}.${mismatched.field} has ${mismatched.vector.length} dimensions, expected ${dimensions}`)
+  }
+
+  const header = Buffer.from(JSON.stringify({
+    version: VERSION,
+    encoding,
+    dimensions,
+    vectors: vectors.map(v => [v.id, v.field])
+  }))
+  const size = vectorBytes(encoding, dimensions)
+  const body = Buffer.alloc(vectors.length * size)
+
+  vectors.forEach(({ vector }, i) => {
+    let offset = i * size
+    if (encoding === 'int8') {
+      const scale = vector.reduce((max, v) => Math.max(max, Math.abs(v)), 0) / 127
+      body.writeFloatLE(scale, offset)
+      offset += 4
+      for (const v of vector) body.writeInt8(scale ? Math.round(v / scale) : 0, offset++)
+    } else {
+      for (const v of vector) {
+        body.writeUInt16LE(toHalf(v), offset)
+        offset += 2
+      }
+    }
+  })
+
+  const length = Buffer.alloc(4)
+  length.writeUInt32LE(header.length)
+  return Buffer.concat([Buffer.from(MAGIC), length, header, body])
+}
+
+/**
+ * Decode a sidecar buffer into a Map of node id -> { field: vector }
+ */
+export function decodeSidecar(buffer) {
+  if (buffer.toString('latin1', 0, 4) !== MAGIC) throw new Error('Not an embeddings sidecar')
+  const headerLength = buffer.readUInt32LE(4)
+  const header = JSON.parse(buffer.toString('utf-8', 8, 8 + headerLength))
+  if (header.version !== VERSION) throw new Error(`Unsupported sidecar version ${header.version}`)
+
+  const { encoding, dimensions } = header
+  const size = vectorBytes(encoding, dimensions)
+  const start = 8 + headerLength
+  const byNode = new Map()
+
+  header.vectors.forEach(([id, field], i) => {
+    let offset = start + i * size
+    const vector = new Array(dimensions)
+    if (encoding === 'int8') {
+      const scale = buffer.readFloatLE(offset)
+      offset += 4
+      for (let d = 0; d < dimensions; d++) vector[d] = buffer.readInt8(offset + d) * scale
+    } else {
+      for (let d = 0; d < dimensions; d++) vector[d] = fromHalf(buffer.readUInt16LE(offset + d * 2))
+    }
+    if (!byNode.has(id)) byNode.set(id, {})
+    byNode.get(id)[field] = vector
+  })
+  return byNode
+}
+
+/**
+ * Read a cached semantic tree ({ tree, ... }), putting its vectors back on
+ * the nodes. With `embeddings: false` the vectors are left out entirely.
+ * @throws {Error} when the sidecar is missing or unreadable, rather than
+ *   returning a tree that looks unembedded (writing that back would drop
+ *   the sidecar)
+ */
+export async function readSemanticTree(treePath, { embeddings = true } = {}) {
+  const text = await fs.readFile(treePath, 'utf-8')
+  if (!embeddings) return JSON.parse(text, omitEmbeddings)
+
+  const data = JSON.parse(text)
+  const store = data.tree?.embeddingStore
+  if (!store) return data // Inline vectors (or none)
+
+  let byNode
+  try {
+    byNode = decodeSidecar(await fs.readFile(path.join(path.dirname(treePath), store.file)))
+  } catch (e) {
+    throw new Error(`Could not load embeddings for ${path.basename(treePath)} from ${store.file}: ${e.message}`)
+  }
+
+  const hydrate = (node) => {
+    Object.assign(node, byNode.get(node.id))
+    node.children?.forEach(hydrate)
+  }
+  hydrate(data.tree)
+  return data
+}
+
+/**
+ * Write a cached semantic tree, moving its vectors to the sidecar.
+ * Doesn't modify `data`.
+ */
+export async function writeSemanticTree(treePath, data, { encoding = AI_CONFIG.embedding.storage } = {}) {
+  const sidecarPath = getSidecarPath(treePath)
+  const vectors = collectVectors(data.tree)
+  const tree = { ...data.tree }
+
+  if (vectors.length > 0) {
+    // Written first: readers key their caches on the tree file's mtime
+    await fs.writeFile(sidecarPath, encodeSidecar(vectors, encoding))
+    // Recorded explicitly, since legacy trees were recognized by their inline root vector
+    tree.embeddingProvider = getTreeEmbeddingInfo(data.tree)
+    tree.embeddingStore = { file: path.basename(sidecarPath), encoding, vectors: vectors.length }
+  } else {
+    delete tree.embeddingStore
+    await fs.unlink(sidecarPath).catch(() => {})
+  }
+
+  await fs.writeFile(treePath, JSON.stringify({ ...data, tree }, omitEmbeddings, 2))
+}
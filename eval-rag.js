@@ -0,0 +1,120 @@
+/**
+ * Evaluate hierarchical RAG retrieval against gold question sets
+ *
+ * Usage:
+ *   node eval-rag.js                             # every gold set in rag-eval/gold
+ *   node eval-rag.js neural-oscillations         # one tutorial
+ *   node eval-rag.js --configs my-configs.json   # { "name": { pruneThreshold, minScore, maxResults, maxDepth } }
+ *   node eval-rag.js --answers                   # also answer with rag-query and judge the answers
+ *   node eval-rag.js --answers no-pruning        # ...with another configuration
+ *   node eval-rag.js --trees-dir /tmp/trees      # evaluate regenerated semantic trees
+ *   node eval-rag.js --baseline rag-eval/reports/<run>.json --label lower-prune
+ *
+ * Writes rag-eval/reports/<timestamp>[-label].json and .html (or --out dir).
+ * Pass an earlier report as --baseline to see per-metric deltas in the HTML.
+ * Gold sets are described in server/rag-eval.js.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { CONTENT_DIR } from './server/config.js'
+import {
+  DEFAULT_CONFIGS,
+  DEFAULT_KS,
+  REPORTS_DIR,
+  validateConfigs,
+  findGoldSets,
+  loadGoldSet,
+  evaluateTutorial,
+  buildReport,
+  renderReportHtml
+} from './server/rag-eval.js'
+
+function parseArgs(argv) {
+  const options = {
+    tutorialIds: [],
+    configsFile: null,
+    answers: null,
+    treesDir: CONTENT_DIR,
+    baseline: null,
+    label: null,
+    out: REPORTS_DIR,
+    ks: DEFAULT_KS
+  }
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--configs') options.configsFile = path.resolve(argv[++i])
+    else if (argv[i] === '--answers') options.answers = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : 'rag-query'
+    else if (argv[i] === '--trees-dir') options.treesDir = path.resolve(argv[++i])
+    else if (argv[i] === '--baseline') options.baseline = path.resolve(argv[++i])
+    else if (argv[i] === '--label') options.label = argv[++i]
+    else if (argv[i] === '--out') options.out = path.resolve(argv[++i])
+    else if (argv[i] === '--k') options.ks = argv[++i].split(',').map(Number).filter(k => k > 0)
+    else options.tutorialIds.push(path.basename(argv[i]).replace(/\.json$/, ''))
+  }
+  return options
+}
+
+function printSummary(summary, ks) {
+  for (const [name, s] of Object.entries(summary)) {
+    const recall = ks.map(k => `R@${k} ${s.recall[k].toFixed(2)}`).join('  ')
+    const judged = s.faithfulness !== undefined ? `  faithful ${s.faithfulness.toFixed(2)}  correct ${s.correctness.toFixed(2)}` : ''
+    console.log(`  ${name.padEnd(20)} ${recall}  MRR ${s.mrr.toFixed(2)}  pruned ${(s.pruningSavings * 100).toFixed(0)}%${judged}`)
+  }
+}
+
+async function main() {
+  const { tutorialIds, configsFile, answers, treesDir, baseline, label, out, ks } = parseArgs(process.argv.slice(2))
+
+  let configs = DEFAULT_CONFIGS
+  let baselineReport = null
+  try {
+    if (configsFile) configs = validateConfigs(JSON.parse(await fs.readFile(configsFile, 'utf-8')))
+    if (answers && !configs[answers]) throw new Error(`--answers: no config named "${answers}"`)
+    if (baseline) baselineReport = JSON.parse(await fs.readFile(baseline, 'utf-8'))
+    if (ks.length === 0) throw new Error('--k needs a comma-separated list of positive numbers')
+  } catch (e) {
+    console.error(`❌ ${e.message}`)
+    process.exit(1)
+  }
+
+  const goldFiles = await findGoldSets(tutorialIds)
+  if (goldFiles.length === 0) {
+    console.log('No gold sets found in rag-eval/gold')
+    console.log('Usage: node eval-rag.js [tutorialId...] [--configs file] [--answers [config]] [--trees-dir dir] [--baseline report.json] [--label name] [--out dir]')
+    process.exit(1)
+  }
+
+  const tutorials = []
+  let failed = 0
+  for (const file of goldFiles) {
+    try {
+      const gold = await loadGoldSet(file)
+      console.log(`\n📊 ${gold.tutorialId} (${gold.questions.length} questions)`)
+      const result = await evaluateTutorial(gold, { configs, ks, treesDir, answers })
+      tutorials.push(result)
+      printSummary(result.summary, ks)
+    } catch (e) {
+      console.error(`  ❌ ${e.message}`)
+      failed++
+    }
+  }
+
+  if (tutorials.length === 0) process.exit(1)
+
+  const report = buildReport(tutorials, { configs, ks, label, treesDir, answers })
+  console.log('\n📈 All tutorials')
+  printSummary(report.summary, ks)
+
+  await fs.mkdir(out, { recursive: true })
+  const name = `${report.createdAt.replace(/[:.]/g, '-')}${label ? `-${label.replace(/[^\w-]+/g, '-')}` : ''}`
+  const jsonPath = path.join(out, `${name}.json`)
+  const htmlPath = path.join(out, `${name}.html`)
+  await fs.writeFile(jsonPath, JSON.stringify(report, null, 2))
+  await fs.writeFile(htmlPath, renderReportHtml(report, baselineReport))
+  console.log(`\n💾 ${path.relative(process.cwd(), jsonPath)}`)
+  console.log(`💾 ${path.relative(process.cwd(), htmlPath)}`)
+
+  if (failed > 0) process.exit(1)
+}
+
+main()
@@ -0,0 +1,74 @@
+/**
+ * Export cached presentations for sharing outside the app
+ *
+ * Usage:
+ *   node export-presentation.js foo-node              # exports/foo-node.html
+ *   node export-presentation.js foo-node --video      # ...and exports/foo-node.mp4
+ *   node export-presentation.js foo-node --out ~/share
+ *   node export-presentation.js --all                 # every presentation in src/content/.presentations
+ *
+ * The HTML deck is self-contained (slides, player and narration audio
+ * inlined) and works offline. Render narration first (npm run
+ * render-narration) or the deck falls back to the browser's voice.
+ *
+ * --video needs headless Chrome and ffmpeg (override with CHROME_PATH,
+ * FFMPEG_PATH and FFPROBE_PATH).
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { ROOT_DIR, CONTENT_DIR } from './server/config.js'
+import { loadPresentation, renderDeckHtml, exportVideo } from './server/presentation-export.js'
+
+function parseArgs(argv) {
+  const options = { keys: [], out: path.join(ROOT_DIR, 'exports'), video: false, all: false }
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') options.out = path.resolve(argv[++i])
+    else if (argv[i] === '--video') options.video = true
+    else if (argv[i] === '--all') options.all = true
+    else options.keys.push(path.basename(argv[i]).replace(/\.json$/, ''))
+  }
+  return options
+}
+
+async function main() {
+  const { keys, out, video, all } = parseArgs(process.argv.slice(2))
+
+  if (all) {
+    const files = await fs.readdir(path.join(CONTENT_DIR, '.presentations')).catch(() => [])
+    keys.push(...files.filter(f => f.endsWith('.json')).map(f => f.replace(/\.json$/, '')))
+  }
+
+  if (keys.length === 0) {
+    console.log('Usage: node export-presentation.js <cache-key>... [--video] [--out dir] | --all')
+    process.exit(1)
+  }
+
+  await fs.mkdir(out, { recursive: true })
+
+  let failed = 0
+  for (const key of keys) {
+    console.log(`\n📦 ${key}`)
+    try {
+      const presentation = await loadPresentation(key)
+
+      const htmlPath = path.join(out, `${key}.html`)
+      await fs.writeFile(htmlPath, await renderDeckHtml(presentation))
+      console.log(`  💾 ${path.relative(process.cwd(), htmlPath)}`)
+
+      if (video) {
+        const videoPath = path.join(out, `${key}.mp4`)
+        await exportVideo(presentation, videoPath)
+        console.log(`  💾 ${path.relative(process.cwd(), videoPath)}`)
+      }
+    } catch (e) {
+      console.error(`  ❌ ${e.message}`)
+      failed++
+    }
+  }
+
+  console.log(`\n${keys.length - failed}/${keys.length} presentations exported`)
+  if (failed > 0) process.exit(1)
+}
+
+main()
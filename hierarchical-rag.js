@@ -8,35 +8,55 @@
  * 2. Dual matching: Text summaries + embedding vectors
  * 3. Context assembly: Builds coherent context from tree path
  * 4. Source attribution: Tracks which nodes contributed to answer
+ * 5. Library mode: Routes a query to the most relevant tutorials' trees first
  */
 
 import fs from 'fs/promises'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import { callAI, generateEmbedding, cosineSimilarity } from './ai-config.js'
+import { getTreeEmbeddingInfo } from './semantic-tree.js'
+import { readSemanticTree } from './embedding-store.js'
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
 const CONTENT_DIR = path.join(__dirname, 'src', 'content')
+const MAX_HISTORY_TURNS = 4
+const TREE_SUFFIX = '-semantic-tree.json'
 
 /**
  * Load semantic tree for a tutorial
  */
 async function loadSemanticTree(tutorialId) {
   const treePath = path.join(CONTENT_DIR, `${tutorialId}-semantic-tree.json`)
-  const data = JSON.parse(await fs.readFile(treePath, 'utf-8'))
+  const data = await readSemanticTree(treePath)
   return data.tree
 }
 
+/**
+ * Embed a query with the same provider and dimension as the tree's vectors
+ */
+export function embedQuery(tree, text) {
+  return generateEmbedding(text, getTreeEmbeddingInfo(tree) || {})
+}
+
+// Position of a section branch among the tutorial's sections (branch ids are section-<i>)
+function sectionIndexOf(branch) {
+  const match = /^section-(\d+)$/.exec(branch?.id || '')
+  return match ? Number(match[1]) : null
+}
+
 /**
  * Hierarchical search with pruning
- * Returns relevant nodes with their full path context
+ * Returns relevant nodes with their full path context.
+ * Pass a `stats` object to have it count the nodes scored (stats.visited).
  */
-async function hierarchicalSearch(tree, queryEmbedding, options = {}) {
+export async function hierarchicalSearch(tree, queryEmbedding, options = {}) {
   const {
     maxResults = 5,
     minScore = 0.3,
     pruneThreshold = 0.25,  // Don't drill into branches below this
-    maxDepth = 10
+    maxDepth = 10,
+    stats = null
   } = options
   
   const results = []
@@ -44,6 +64,7 @@ async function hierarchicalSearch(tree, queryEmbedding, options = {}) {
   async function searchNode(node, ancestors = [], depth = 0) {
     if (depth > maxDepth) return
     if (!node.embedding) return
+    if (stats) stats.visited = (stats.visited || 0) + 1
     
     // Compute similarity scores
     const summaryScore = cosineSimilarity(queryEmbedding, node.embedding)
@@ -62,6 +83,7 @@ async function hierarchicalSearch(tree, queryEmbedding, options = {}) {
         childScore,
         depth,
         path: ancestors.map(a => a.title),
+        sectionIndex: sectionIndexOf(depth === 1 ? node : ancestors[1]),
         isLeaf: !node.children || node.children.length === 0
       })
     }
@@ -90,7 +112,7 @@ async function hierarchicalSearch(tree, queryEmbedding, options = {}) {
  * Assemble context from search results
  * Builds a coherent narrative from the tree structure
  */
-function assembleContext(results, maxTokens = 3000) {
+export function assembleContext(results, maxTokens = 3000) {
   // Group by path to avoid redundancy
   const byPath = new Map()
   
@@ -133,22 +155,86 @@ function assembleContext(results, maxTokens = 3000) {
   return {
     context: sections.join('\n\n---\n\n'),
     sources: results.map(r => ({
+      ...(r.tutorialId && { tutorialId: r.tutorialId }),
       id: r.node.id,
       title: r.node.title,
       path: r.path,
+      // Tutorial section the node came from, so the UI can scroll to it
+      sectionTitle: r.depth === 1 ? r.node.title : r.path[1] || null,
+      // ...and which one, when several share a title
+      sectionIndex: r.sectionIndex ?? null,
       score: r.score
     }))
   }
 }
 
+/**
+ * Earlier turns of a conversation, most recent last, for the prompt
+ */
+function formatHistory(history) {
+  return history.slice(-MAX_HISTORY_TURNS).map(turn =>
+    `Q: ${turn.question}\nA: ${String(turn.answer).slice(0, 800)}`
+  ).join('\n\n')
+}
+
+/**
+ * Rewrite a follow-up ("what about its inverse?") as a standalone question
+ * so retrieval finds the right nodes without the conversation
+ */
+async function standaloneQuestion(question, history) {
+  const rewritten = await callAI(
+    'You rewrite follow-up questions so they can be understood without the conversation.',
+    `CONVERSATION SO FAR:
+${formatHistory(history)}
+
+FOLLOW-UP QUESTION: ${question}
+
+Return ONLY the rewritten standalone question. If it already stands alone, return it unchanged.`
+  )
+  const cleaned = rewritten.trim().replace(/^["']|["']$/g, '')
+  return cleaned && cleaned.length <= 300 ? cleaned : question
+}
+
+/**
+ * Answer a question from assembled context (the generation half of ragQuery)
+ */
+export async function answerFromContext(question, context, options = {}) {
+  const {
+    includeSourceAttribution = true,
+    systemPrompt = null,
+    history = []
+  } = options
+
+  const defaultSystemPrompt = `You are an expert tutor answering questions based on provided educational content.
+Use ONLY the information from the context below. If the context doesn't contain enough information to fully answer, say so.
+Be clear, educational, and thorough.`
+
+  const conversation = history.length > 0
+    ? `CONVERSATION SO FAR:\n${formatHistory(history)}\n\n---\n\n`
+    : ''
+
+  const userPrompt = `CONTEXT FROM TUTORIAL:
+${context}
+
+---
+
+${conversation}QUESTION: ${question}
+
+Please answer the question based on the context above.${includeSourceAttribution ? ' Cite specific sections when relevant.' : ''}`
+
+  return callAI(systemPrompt || defaultSystemPrompt, userPrompt)
+}
+
 /**
  * Main RAG query function
+ * Options: `history` is the conversation so far as [{ question, answer }]
  */
 export async function ragQuery(tutorialId, question, options = {}) {
   const {
     maxContextTokens = 3000,
     includeSourceAttribution = true,
-    systemPrompt = null
+    systemPrompt = null,
+    history = []
   } = options
   
   console.log(`\n🔍 RAG Query: "${question}"`)
@@ -156,8 +242,12 @@ export async function ragQuery(tutorialId, question, options = {}) {
   // Load tree
   const tree = await loadSemanticTree(tutorialId)
   
+  // Follow-ups are searched as standalone questions
+  const searchQuery = history.length > 0 ? await standaloneQuestion(question, history) : question
+  if (searchQuery !== question) console.log(`  Standalone: "${searchQuery}"`)
+  
   // Generate query embedding
-  const queryEmbedding = await generateEmbedding(question)
+  const queryEmbedding = await embedQuery(tree, searchQuery)
   
   // Hierarchical search
   const results = await hierarchicalSearch(tree, queryEmbedding, {
@@ -174,28 +264,165 @@ export async function ragQuery(tutorialId, question, options = {}) {
   const { context, sources } = assembleContext(results, maxContextTokens)
   
   // Generate answer
-  const defaultSystemPrompt = `You are an expert tutor answering questions based on provided educational content.
-Use ONLY the information from the context below. If the context doesn't contain enough information to fully answer, say so.
-Be clear, educational, and thorough.`
+  const answer = await answerFromContext(question, context, { includeSourceAttribution, systemPrompt, history })
+  
+  return {
+    question,
+    ...(searchQuery !== question && { searchQuery }),
+    answer,
+    sources,
+    searchResults: results.length,
+    contextLength: context.length
+  }
+}
 
-  const userPrompt = `CONTEXT FROM TUTORIAL:
+/**
+ * Library index: one entry per semantic tree with the vectors used to
+ * route a query (the root plus each top-level section). Entries are
+ * rebuilt only when their tree file changes.
+ */
+const libraryIndex = new Map() // tutorialId -> { mtimeMs, entry }
+
+async function loadLibraryIndex() {
+  const files = (await fs.readdir(CONTENT_DIR)).filter(f => f.endsWith(TREE_SUFFIX))
+  const seen = new Set()
+
+  for (const file of files) {
+    const tutorialId = file.slice(0, -TREE_SUFFIX.length)
+    seen.add(tutorialId)
+    const filePath = path.join(CONTENT_DIR, file)
+    const { mtimeMs } = await fs.stat(filePath)
+    if (libraryIndex.get(tutorialId)?.mtimeMs === mtimeMs) continue
+
+    try {
+      const { tree } = await readSemanticTree(filePath)
+      const routingVectors = [tree, ...(tree.children || [])]
+        .flatMap(node => [node.embedding, node.childEmbeddingAggregate])
+        .filter(Boolean)
+      libraryIndex.set(tutorialId, {
+        mtimeMs,
+        entry: {
+          tutorialId,
+          title: tree.title,
+          tree,
+          embeddingInfo: getTreeEmbeddingInfo(tree),
+          routingVectors
+        }
+      })
+    } catch (e) {
+      console.log(`  ⚠️ Skipping unreadable tree ${file}: ${e.message}`)
+    }
+  }
+
+  for (const tutorialId of libraryIndex.keys()) {
+    if (!seen.has(tutorialId)) libraryIndex.delete(tutorialId)
+  }
+  return [...libraryIndex.values()].map(v => v.entry)
+}
+
+/**
+ * Library retrieval: route the query to the most relevant trees, then
+ * search inside each and merge the results across tutorials
+ */
+export async function librarySearch(question, options = {}) {
+  const {
+    maxTrees = 3,
+    minTreeScore = 0.2,
+    maxResults = 8
+  } = options
+
+  const entries = await loadLibraryIndex()
+  const searchable = entries.filter(e => e.routingVectors.length > 0)
+  const unindexed = entries.filter(e => e.routingVectors.length === 0).map(e => e.tutorialId)
+
+  // Trees embedded by different providers need their own query vector.
+  // A provider that can't be reached only drops its own trees.
+  const queryEmbeddings = new Map()
+  let embedError = null
+  for (const entry of searchable) {
+    const key = JSON.stringify(entry.embeddingInfo)
+    if (queryEmbeddings.has(key)) continue
+    try {
+      queryEmbeddings.set(key, await generateEmbedding(question, entry.embeddingInfo || {}))
+    } catch (e) {
+      console.log(`  ⚠️ Could not embed the query with ${entry.embeddingInfo?.provider}: ${e.message}`)
+      queryEmbeddings.set(key, null)
+      embedError = e
+    }
+  }
+  if (searchable.length > 0 && [...queryEmbeddings.values()].every(v => !v)) throw embedError
+
+  // Route: score each tree by its best-matching root or section vector
+  const routed = searchable
+    .filter(entry => queryEmbeddings.get(JSON.stringify(entry.embeddingInfo)))
+    .map(entry => {
+      const queryEmbedding = queryEmbeddings.get(JSON.stringify(entry.embeddingInfo))
+      const score = Math.max(...entry.routingVectors.map(v => cosineSimilarity(queryEmbedding, v)))
+      return { entry, queryEmbedding, score }
+    })
+    .filter(r => r.score >= minTreeScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, maxTrees)
+
+  console.log(`  Routed to ${routed.length} of ${searchable.length} trees`)
+  routed.forEach(r => console.log(`    - ${r.entry.tutorialId} (${(r.score * 100).toFixed(0)}%)`))
+
+  const results = []
+  for (const { entry, queryEmbedding } of routed) {
+    const found = await hierarchicalSearch(entry.tree, queryEmbedding, { maxResults: 5, minScore: 0.25 })
+    results.push(...found.map(r => ({ ...r, tutorialId: entry.tutorialId })))
+  }
+  results.sort((a, b) => b.score - a.score)
+
+  return {
+    tutorials: routed.map(r => ({ tutorialId: r.entry.tutorialId, title: r.entry.title, score: r.score })),
+    results: results.slice(0, maxResults),
+    unindexed
+  }
+}
+
+/**
+ * RAG over every tutorial's semantic tree
+ * Options: `history` as in ragQuery, plus librarySearch's routing options
+ */
+export async function libraryQuery(question, options = {}) {
+  const { maxContextTokens = 4000, history = [], ...searchOptions } = options
+
+  console.log(`\n📚 Library RAG Query: "${question}"`)
+
+  const searchQuery = history.length > 0 ? await standaloneQuestion(question, history) : question
+  if (searchQuery !== question) console.log(`  Standalone: "${searchQuery}"`)
+
+  const { tutorials, results, unindexed } = await librarySearch(searchQuery, searchOptions)
+  const { context, sources } = assembleContext(results, maxContextTokens)
+
+  const conversation = history.length > 0
+    ? `CONVERSATION SO FAR:\n${formatHistory(history)}\n\n---\n\n`
+    : ''
+
+  const answer = results.length === 0
+    ? 'None of the indexed tutorials seem to cover this question.'
+    : await callAI(
+      `You are an expert tutor answering questions from a library of educational tutorials.
+Use ONLY the information from the context below. If the context doesn't contain enough information to fully answer, say so.
+Each context section starts with its path, whose first part is the tutorial's title. When you use a section, name the tutorial it came from.`,
+      `CONTEXT FROM THE LIBRARY:
 ${context}
 
 ---
 
-QUESTION: ${question}
+${conversation}QUESTION: ${question}
 
-Please answer the question based on the context above.${includeSourceAttribution ? ' Cite specific sections when relevant.' : ''}`
+Please answer the question based on the context above, citing tutorials and sections.`
+    )
 
-  const answer = await callAI(
-    systemPrompt || defaultSystemPrompt,
-    userPrompt
-  )
-  
   return {
     question,
+    ...(searchQuery !== question && { searchQuery }),
     answer,
     sources,
+    tutorials,
+    unindexed,
     searchResults: results.length,
     contextLength: context.length
   }
@@ -238,7 +465,7 @@ If yes, return JUST the follow-up question. If no, return "COMPLETE".`
  */
 export async function compareRetrieval(tutorialId, question) {
   const tree = await loadSemanticTree(tutorialId)
-  const queryEmbedding = await generateEmbedding(question)
+  const queryEmbedding = await embedQuery(tree, question)
   
   // Embedding-based search
   const embeddingResults = await hierarchicalSearch(tree, queryEmbedding)
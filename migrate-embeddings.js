@@ -0,0 +1,99 @@
+/**
+ * Move semantic-tree embeddings into binary sidecars
+ *
+ * Usage:
+ *   node migrate-embeddings.js                        # every src/content/*-semantic-tree.json
+ *   node migrate-embeddings.js neural-oscillations    # one tree
+ *   node migrate-embeddings.js --encoding float16     # default: EMBEDDING_STORAGE or int8
+ *   node migrate-embeddings.js --check                # list trees that still store vectors inline
+ *
+ * Trees that already use a sidecar are re-encoded when --encoding differs.
+ * Each migrated tree is reloaded and compared with the original vectors, so
+ * the worst-case cosine similarity after quantization is printed.
+ * The sidecar format is described in embedding-store.js.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { CONTENT_DIR } from './server/config.js'
+import { AI_CONFIG, cosineSimilarity } from './ai-config.js'
+import { ENCODINGS, getSidecarPath, collectVectors, readSemanticTree, writeSemanticTree } from './embedding-store.js'
+
+const TREE_SUFFIX = '-semantic-tree.json'
+
+function parseArgs(argv) {
+  const options = { tutorialIds: [], encoding: AI_CONFIG.embedding.storage, check: false }
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--encoding') options.encoding = argv[++i]
+    else if (argv[i] === '--check') options.check = true
+    else options.tutorialIds.push(path.basename(argv[i]).replace(/(-semantic-tree)?\.json$/, ''))
+  }
+  return options
+}
+
+async function fileSize(filePath) {
+  return (await fs.stat(filePath).catch(() => null))?.size || 0
+}
+
+const formatSize = (bytes) => `${(bytes / 1024).toFixed(0)} KB`
+
+async function main() {
+  const { tutorialIds, encoding, check } = parseArgs(process.argv.slice(2))
+
+  if (!ENCODINGS.includes(encoding)) {
+    console.error(`❌ --encoding must be one of: ${ENCODINGS.join(', ')}`)
+    process.exit(1)
+  }
+
+  if (tutorialIds.length === 0) {
+    const files = await fs.readdir(CONTENT_DIR)
+    tutorialIds.push(...files.filter(f => f.endsWith(TREE_SUFFIX)).map(f => f.slice(0, -TREE_SUFFIX.length)))
+  }
+
+  let inline = 0
+  let failed = 0
+  for (const tutorialId of tutorialIds) {
+    const treePath = path.join(CONTENT_DIR, `${tutorialId}${TREE_SUFFIX}`)
+    try {
+      const raw = JSON.parse(await fs.readFile(treePath, 'utf-8'))
+      const inlineCount = collectVectors(raw.tree).length
+      const store = raw.tree.embeddingStore
+
+      if (check) {
+        if (inlineCount > 0) {
+          console.log(`  📄 ${tutorialId}: ${inlineCount} inline vectors`)
+          inline++
+        }
+        continue
+      }
+
+      if (inlineCount === 0 && (!store || store.encoding === encoding)) {
+        console.log(`  ✓ ${tutorialId}: ${store ? `already ${store.encoding}` : 'no embeddings'}`)
+        continue
+      }
+
+      const sizeBefore = (await fileSize(treePath)) + (store ? await fileSize(getSidecarPath(treePath)) : 0)
+      const data = await readSemanticTree(treePath)
+      const original = collectVectors(data.tree)
+      await writeSemanticTree(treePath, data, { encoding })
+
+      // Check what quantization cost
+      const reloaded = new Map(collectVectors((await readSemanticTree(treePath)).tree).map(v => [`${v.id}.${v.field}`, v.vector]))
+      const worst = Math.min(...original.map(v => cosineSimilarity(v.vector, reloaded.get(`${v.id}.${v.field}`))))
+      const sizeAfter = (await fileSize(treePath)) + (await fileSize(getSidecarPath(treePath)))
+
+      console.log(`  💾 ${tutorialId}: ${original.length} vectors → ${encoding}, ${formatSize(sizeBefore)} → ${formatSize(sizeAfter)}, worst cosine ${worst.toFixed(4)}`)
+    } catch (e) {
+      console.error(`  ❌ ${tutorialId}: ${e.message}`)
+      failed++
+    }
+  }
+
+  if (check) {
+    console.log(inline === 0 ? '\n✅ No trees store vectors inline' : `\n${inline} tree(s) to migrate: node migrate-embeddings.js`)
+    if (inline > 0) process.exit(1)
+  }
+  if (failed > 0) process.exit(1)
+}
+
+main()
@@ -0,0 +1,74 @@
+/**
+ * Pre-render narration audio for cached presentations
+ *
+ * Usage:
+ *   node render-narration.js                    # every presentation in src/content/.presentations
+ *   node render-narration.js foo-node bar-node  # specific cache keys
+ *   node render-narration.js --provider local   # use a specific TTS provider (see tts.js)
+ *   node render-narration.js --force            # re-synthesize clips that already exist
+ *
+ * Writes the audio to public/audio and the audio URLs and word timings back
+ * into each cached presentation, so NodePlayer plays the same voice
+ * everywhere without calling a TTS service at view time.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { CONTENT_DIR } from './server/config.js'
+import { generatePresentationAudio } from './tts.js'
+
+const PRESENTATIONS_DIR = path.join(CONTENT_DIR, '.presentations')
+
+function parseArgs(argv) {
+  const options = { keys: [], provider: undefined, force: false }
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--provider') options.provider = argv[++i]
+    else if (argv[i] === '--force') options.force = true
+    else options.keys.push(argv[i].replace(/\.json$/, ''))
+  }
+  return options
+}
+
+async function main() {
+  const { keys, provider, force } = parseArgs(process.argv.slice(2))
+
+  let files
+  try {
+    files = (await fs.readdir(PRESENTATIONS_DIR)).filter(f => f.endsWith('.json'))
+  } catch {
+    files = []
+  }
+  if (keys.length > 0) files = files.filter(f => keys.includes(f.replace(/\.json$/, '')))
+
+  if (files.length === 0) {
+    console.log('No cached presentations to render')
+    return
+  }
+
+  let failed = 0
+  for (const file of files) {
+    const cacheKey = file.replace(/\.json$/, '')
+    const cachePath = path.join(PRESENTATIONS_DIR, file)
+    const presentation = JSON.parse(await fs.readFile(cachePath, 'utf-8'))
+    console.log(`\n🎬 ${cacheKey} (${presentation.script?.length || 0} slides)`)
+
+    try {
+      const narration = await generatePresentationAudio(presentation.script || [], cacheKey, { provider, force })
+      presentation.script = presentation.script.map((slide, i) => ({
+        ...slide,
+        audioUrl: narration[i]?.audioUrl || null,
+        words: narration[i]?.words
+      }))
+      await fs.writeFile(cachePath, JSON.stringify(presentation, null, 2))
+      console.log(`  💾 Updated ${file}`)
+    } catch (e) {
+      console.error(`  ❌ ${cacheKey}: ${e.message}`)
+      failed++
+    }
+  }
+
+  console.log(`\n${files.length - failed}/${files.length} presentations rendered`)
+  if (failed > 0) process.exit(1)
+}
+
+main()
@@ -9,16 +9,22 @@
  * 
  * Each node stores:
  * - summary: Text summary for humans and RAG text matching
- * - embedding: 1024-dim vector for semantic similarity
+ * - embedding: vector for semantic similarity (provider + dimension recorded
+ *   on the root as `embeddingProvider`); saved trees keep their vectors in a
+ *   binary sidecar, see embedding-store.js
+ *
+ * Regeneration is incremental: sections keep a `contentHash`, and given the
+ * previous tree only sections whose hash changed are re-summarized (and
+ * left without embeddings for computeTreeEmbeddings to fill in).
  */
 
-import { callAI, generateEmbedding } from './ai-config.js'
+import { callAI, generateEmbedding, getEmbeddingInfo } from './ai-config.js'
 import crypto from 'crypto'
 
 /**
  * Generate a hash of content for cache invalidation
  */
-function hashContent(content) {
+export function hashContent(content) {
   const str = JSON.stringify(content)
   return crypto.createHash('md5').update(str).digest('hex').slice(0, 12)
 }
@@ -77,6 +83,15 @@ export async function generateSemanticTree(sectionContent, sectionTitle) {
   
   console.log(`  Flattened ${elements.length} elements, ${flatText.length} chars`)
   
+  const chunks = await chunkText(flatText, sectionTitle)
+  return { chunks, elements, flatText }
+}
+
+/**
+ * Have the AI divide flattened section text into thought chunks,
+ * anchored by character offsets into `flatText`
+ */
+async function chunkText(flatText, sectionTitle) {
   // Ask AI to chunk semantically
   const chunkPrompt = `Analyze this educational content and divide it into 3-7 semantically coherent "thought chunks". Each chunk should be a complete concept that a reader would naturally think of as one unit.
 
@@ -115,16 +130,12 @@ Return ONLY valid JSON array.`
   } catch (e) {
     console.error('Failed to parse chunks:', e.message)
     // Fallback: single chunk with all content
-    return {
-      chunks: [{
-        title: sectionTitle,
-        summary: 'All section content',
-        sourceText: flatText,
-        sourceAnchor: { startChar: 0, endChar: flatText.length }
-      }],
-      elements,
-      flatText
-    }
+    return [{
+      title: sectionTitle,
+      summary: 'All section content',
+      sourceText: flatText,
+      sourceAnchor: { startChar: 0, endChar: flatText.length }
+    }]
   }
   
   // Map chunks to actual source text using markers
@@ -170,37 +181,173 @@ Return ONLY valid JSON array.`
     console.log(`  ✓ "${chunk.title}" (${sourceText.length} chars)`)
   }
   
-  return { chunks: result, elements, flatText }
+  return result
+}
+
+// Shortest new text worth chunking in an edited section; shorter leftovers
+// stay uncovered, like the text the chunker leaves between chunks
+const MIN_NEW_CHUNK_CHARS = 100
+
+/**
+ * Chunks for a changed section. Previous chunks whose source text is still
+ * there are kept as they are (`kept`, with their expansions); only the text
+ * between them goes to the chunker.
+ * @param {Object[]} candidates - generated chunks of the previous tree's changed sections
+ */
+async function rechunkSection(flatText, sectionTitle, candidates) {
+  const found = candidates
+    .map(chunk => ({ chunk, start: flatText.indexOf(chunk.sourceText) }))
+    .filter(f => f.start !== -1)
+    .sort((a, b) => a.start - b.start)
+
+  const kept = []
+  let end = 0
+  for (const { chunk, start } of found) {
+    if (start < end) continue // Overlaps a chunk already kept
+    end = start + chunk.sourceText.length
+    kept.push({ kept: chunk, sourceAnchor: { ...chunk.sourceAnchor, startChar: start, endChar: end } })
+  }
+  if (kept.length === 0) return chunkText(flatText, sectionTitle)
+
+  const fresh = []
+  let from = 0
+  for (const { sourceAnchor } of [...kept, { sourceAnchor: { startChar: flatText.length, endChar: flatText.length } }]) {
+    const gap = flatText.slice(from, sourceAnchor.startChar)
+    if (gap.trim().length >= MIN_NEW_CHUNK_CHARS) {
+      console.log(`  ✏️ Chunking ${gap.length} new chars`)
+      for (const chunk of await chunkText(gap, sectionTitle)) {
+        const offset = (n) => n + from
+        fresh.push({ ...chunk, sourceAnchor: { ...chunk.sourceAnchor, startChar: offset(chunk.sourceAnchor.startChar), endChar: offset(chunk.sourceAnchor.endChar) } })
+      }
+    }
+    from = sourceAnchor.endChar
+  }
+
+  console.log(`  ♻️ Kept ${kept.length} unchanged chunks`)
+  return [...kept, ...fresh].sort((a, b) => a.sourceAnchor.startChar - b.sourceAnchor.startChar)
+}
+
+/**
+ * Give a node carried over from the previous tree the ids of its new
+ * position (descendant ids share its prefix)
+ */
+function moveNode(node, toId, sectionIndex) {
+  const fromId = node.id
+  const renumber = (n) => {
+    if (n.id === fromId || n.id.startsWith(`${fromId}-`)) n.id = toId + n.id.slice(fromId.length)
+    if (n.sectionIndex !== undefined) n.sectionIndex = sectionIndex
+    n.children?.forEach(renumber)
+  }
+  renumber(node)
+  return node
+}
+
+// Nodes added by explain-selection rather than by generation
+const isUserAdded = (node) => node.isExplanation || node.isQA
+
+/**
+ * Match the tutorial's sections to unchanged branches of the previous tree,
+ * preferring the same position so reordered duplicates stay put
+ */
+function matchUnchangedSections(sections, previousBranches) {
+  const hashes = sections.map(hashContent)
+  const unused = new Set(previousBranches)
+  const reused = new Map() // section index -> previous branch
+  const take = (test) => {
+    const branch = [...unused].find(test)
+    if (branch) unused.delete(branch)
+    return branch
+  }
+
+  hashes.forEach((hash, i) => {
+    const branch = take(b => b.contentHash === hash && b.id === `section-${i}`)
+    if (branch) reused.set(i, branch)
+  })
+  hashes.forEach((hash, i) => {
+    if (reused.has(i)) return
+    const branch = take(b => b.contentHash === hash)
+    if (branch) reused.set(i, branch)
+  })
+
+  return { hashes, reused, changed: [...unused] }
+}
+
+/**
+ * The previous branch a changed section grew from: the one most of whose
+ * chunks are still in its text, else the one in its place relative to the
+ * nearest unchanged section before it
+ */
+function findPreviousBranch(i, flatText, changed, reused, previousBranches) {
+  let best = null
+  let bestCount = 0
+  for (const branch of changed) {
+    const count = (branch.children || []).filter(c => c.sourceText && flatText.includes(c.sourceText)).length
+    if (count > bestCount) {
+      best = branch
+      bestCount = count
+    }
+  }
+  if (best) return best
+
+  let p = i - 1
+  while (p >= 0 && !reused.has(p)) p--
+  const base = p >= 0 ? previousBranches.indexOf(reused.get(p)) : -1
+  const aligned = previousBranches[base + (i - p)]
+  return changed.includes(aligned) ? aligned : null
 }
 
 /**
  * Generate full semantic tree for a tutorial
+ * Options: `previousTree` makes it incremental (unchanged sections, and
+ * chunks whose source text survived an edit, are kept with their
+ * expansions and embeddings; only new text is chunked), `onProgress(stage, message, extra)` hears
+ * about each step, `onSection(node, { reused })` gets each section's branch
+ * as soon as it's ready, `signal` stops between AI calls once aborted.
  */
-export async function generateFullSemanticTree(tutorial) {
-  console.log(`\n🌳 Generating semantic tree for: ${tutorial.title}`)
+export async function generateFullSemanticTree(tutorial, { previousTree = null, onProgress = () => {}, onSection = () => {}, signal } = {}) {
+  console.log(`\n🌳 ${previousTree ? 'Refreshing' : 'Generating'} semantic tree for: ${tutorial.title}`)
   
   const sections = tutorial.content.children.filter(c => c.type === 'Section')
+  const previous = previousTree ? structuredClone(previousTree) : null
+  const previousBranches = (previous?.children || []).filter(b => b.contentHash)
+  const { hashes, reused, changed } = matchUnchangedSections(sections, previousBranches)
+  
+  // Generated chunks of changed sections, kept wherever their text survives
+  const previousChunks = new Set(changed.flatMap(branch =>
+    (branch.children || []).filter(chunk => chunk.sourceText && !isUserAdded(chunk))
+  ))
   
   // Generate top-level summary
   const allTitles = sections.map(s => s.props?.title || 'Untitled').join(', ')
   
-  const summaryPrompt = `Create a one-sentence summary of this tutorial.
+  // The tutorial summary only depends on the title and section titles
+  const sameOutline = previous?.title === tutorial.title &&
+    previousBranches.map(b => b.title).join(', ') === allTitles
+  
+  let tutorialSummary
+  if (sameOutline) {
+    tutorialSummary = previous.summary
+  } else {
+    const summaryPrompt = `Create a one-sentence summary of this tutorial.
 
 TITLE: ${tutorial.title}
 SECTIONS: ${allTitles}
 
 Return ONLY the summary sentence, nothing else.`
 
-  const tutorialSummary = await callAI(
-    'You summarize educational content concisely.',
-    summaryPrompt
-  )
+    onProgress('summarizing', 'Summarizing the tutorial')
+    tutorialSummary = (await callAI(
+      'You summarize educational content concisely.',
+      summaryPrompt
+    )).trim()
+  }
   
   // Process each section
   const tree = {
     id: 'root',
     title: tutorial.title,
-    summary: tutorialSummary.trim(),
+    summary: tutorialSummary,
+    ...(sameOutline && previous.embedding && { embedding: previous.embedding }),
     children: []
   }
   
@@ -208,7 +355,18 @@ Return ONLY the summary sentence, nothing else.`
     const section = sections[i]
     const sectionTitle = section.props?.title || `Section ${i + 1}`
     
+    if (reused.has(i)) {
+      console.log(`\n♻️ Section ${i + 1} unchanged: ${sectionTitle}`)
+      onProgress('reusing', `${sectionTitle} (unchanged)`, { step: i + 1, total: sections.length })
+      const branch = moveNode(reused.get(i), `section-${i}`, i)
+      tree.children.push(branch)
+      onSection(branch, { reused: true })
+      continue
+    }
+    
     console.log(`\n📚 Processing section ${i + 1}: ${sectionTitle}`)
+    signal?.throwIfAborted()
+    onProgress('section', sectionTitle, { step: i + 1, total: sections.length })
     
     // Generate section summary
     const sectionText = flattenContent(section, [], []).slice(0, 2000)
@@ -223,16 +381,18 @@ Return ONLY the summary sentence.`
       sectionSummaryPrompt
     )
     
-    // Generate semantic chunks for this section
-    const { chunks, elements } = await generateSemanticTree(section, sectionTitle)
+    // Generate semantic chunks for the text that changed
+    const flatText = flattenContent(section)
+    const chunks = await rechunkSection(flatText, sectionTitle, [...previousChunks])
     
-    tree.children.push({
-      id: `section-${i}`,
-      title: sectionTitle,
-      summary: sectionSummary.trim(),
-      contentHash: hashContent(section),
-      children: chunks.map((chunk, j) => ({
-        id: `section-${i}-chunk-${j}`,
+    const children = chunks.map((chunk, j) => {
+      const id = `section-${i}-chunk-${j}`
+      if (chunk.kept) {
+        previousChunks.delete(chunk.kept)
+        return { ...moveNode(chunk.kept, id, i), sourceAnchor: chunk.sourceAnchor }
+      }
+      return {
+        id,
         title: chunk.title,
         summary: chunk.summary,
         // Store actual source text for this chunk
@@ -242,22 +402,76 @@ Return ONLY the summary sentence.`
         isLeaf: true,
         canExpand: true,  // All leaves can potentially be expanded
         expanded: false
-      }))
+      }
     })
+    
+    // Explanations asked of the old section stay if their text is still there
+    const oldBranch = findPreviousBranch(i, flatText, changed, reused, previousBranches)
+    if (oldBranch) changed.splice(changed.indexOf(oldBranch), 1)
+    for (const child of oldBranch?.children || []) {
+      if (isUserAdded(child) && child.sourceText && flatText.includes(child.sourceText)) {
+        children.push(moveNode(child, child.id.replace(oldBranch.id, `section-${i}`), i))
+      }
+    }
+    
+    const branch = {
+      id: `section-${i}`,
+      title: sectionTitle,
+      summary: sectionSummary.trim(),
+      contentHash: hashes[i],
+      children
+    }
+    tree.children.push(branch)
+    onSection(branch, { reused: false })
   }
   
+  // Explanations asked of the tutorial as a whole
+  tree.children.push(...(previous?.children || []).filter(isUserAdded))
+  
   tree.contentHash = hashContent(tutorial.content)
   tree.generatedAt = new Date().toISOString()
   
+  // Carried-over nodes keep their vectors; record whose they are
+  const embeddingInfo = previous && getTreeEmbeddingInfo(previous)
+  if (embeddingInfo) tree.embeddingProvider = embeddingInfo
+  
   return tree
 }
 
+// Trees embedded before providers were recorded all used Titan v2 at 1024 dims
+const LEGACY_EMBEDDING_INFO = { provider: 'bedrock', model: 'amazon.titan-embed-text-v2:0', dimensions: 1024 }
+
+/**
+ * Which embedding provider produced a tree's vectors (null if none)
+ */
+export function getTreeEmbeddingInfo(tree) {
+  if (tree.embeddingProvider) return tree.embeddingProvider
+  return tree.embedding ? LEGACY_EMBEDDING_INFO : null
+}
+
+/**
+ * Remove all embeddings from a tree (before re-embedding with another provider)
+ */
+function clearEmbeddings(node) {
+  delete node.embedding
+  delete node.childEmbeddingAggregate
+  if (node.children) node.children.forEach(clearEmbeddings)
+}
+
 /**
  * Generate embeddings for all nodes in a tree
- * Computes embeddings for summaries and aggregates for parents
+ * Computes embeddings for summaries and aggregates for parents.
+ * If the tree was embedded by a different provider or dimension, it is re-embedded.
  */
-export async function computeTreeEmbeddings(tree) {
-  console.log('\n🧮 Computing embeddings for tree...')
+export async function computeTreeEmbeddings(tree, options = {}) {
+  const info = getEmbeddingInfo(options)
+  console.log(`\n🧮 Computing embeddings for tree (${info.provider}, ${info.dimensions} dims)...`)
+  
+  const previous = getTreeEmbeddingInfo(tree)
+  if (previous && (previous.provider !== info.provider || previous.dimensions !== info.dimensions)) {
+    console.log(`  ♻️ Replacing ${previous.provider}/${previous.dimensions} embeddings`)
+    clearEmbeddings(tree)
+  }
   
   let count = 0
   
@@ -266,7 +480,7 @@ export async function computeTreeEmbeddings(tree) {
     if (node.summary && !node.embedding) {
       const textToEmbed = `${node.title}. ${node.summary}`
       try {
-        node.embedding = await generateEmbedding(textToEmbed)
+        node.embedding = await generateEmbedding(textToEmbed, info)
         count++
         console.log(`  ✓ Embedded: ${node.title.slice(0, 40)}...`)
       } catch (e) {
@@ -294,6 +508,7 @@ export async function computeTreeEmbeddings(tree) {
   }
   
   await processNode(tree)
+  tree.embeddingProvider = info
   console.log(`\n✅ Generated ${count} embeddings`)
   
   return tree
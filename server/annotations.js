@@ -0,0 +1,469 @@
+/**
+ * Annotation generation and insertion
+ * 
+ * Used by the /annotate route: asks the AI for annotation content and
+ * inserts it into the tutorial JSON next to the selected text. Insertion
+ * lives in src/utils/annotationTree.js so the renderer can reuse it for
+ * overlay layers.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { callAI } from '../ai-config.js'
+
+export { insertAnnotation } from '../src/utils/annotationTree.js'
+
+const CLAWDBOT_LOG = path.join(process.env.HOME, 'clawd/memory/annotation-log.md')
+
+/**
+ * Log annotation actions to Clawdbot's memory so it can see what happened.
+ */
+export async function logToClawdbot({ action, tutorialId, selectedText, question }) {
+  try {
+    const timestamp = new Date().toISOString().replace('T', ' ').slice(0, 19)
+    const selected = String(selectedText || '').slice(0, 80)
+    let entry = `- **${timestamp}** [${action}] in \`${tutorialId}\`: "${selected}"`
+    if (question) entry += `\n  - Question: "${String(question).slice(0, 120)}"`
+    entry += '\n'
+
+    // Ensure the file exists with a header
+    try {
+      await fs.access(CLAWDBOT_LOG)
+    } catch {
+      await fs.writeFile(CLAWDBOT_LOG, '# Annotation Log\n\nActions taken via the tutorial annotation server.\n\n')
+    }
+
+    await fs.appendFile(CLAWDBOT_LOG, entry)
+  } catch (e) {
+    console.log(`⚠️ Could not write to Clawdbot log: ${e.message}`)
+  }
+}
+
+/**
+ * Generate annotation content using AI
+ */
+export async function generateAnnotation(action, selectedText, context, tutorialTitle, question = null) {
+  const timestamp = new Date().toLocaleString()
+  
+  // System prompt that emphasizes contextual understanding
+  const systemPrompt = `You are helping create educational content for an interactive tutorial called "${tutorialTitle || 'Tutorial'}".
+
+Your job is to generate explanations that help users understand concepts IN THE CONTEXT of what they're learning, not generic definitions.
+
+Key principles:
+- The user selected "${selectedText}" — they likely know what these words mean individually
+- What they want to know is: what does this mean HERE, in THIS tutorial's context?
+- Be concise but insightful
+- Reference other concepts from the tutorial when relevant
+- Use concrete examples when helpful
+Output format: Return ONLY the explanation text, no JSON, no formatting markers, no preamble.`
+
+  try {
+    if (action === 'explain') {
+      const prompt = `The user is reading this passage:
+"${context}"
+
+They selected the phrase: "${selectedText}"
+
+Write a brief (2-3 sentences) contextual explanation of what "${selectedText}" means in this specific context. Don't define the term generically — explain its role and significance in what they're learning.`
+
+      console.log('🤖 Calling AI for explanation...')
+      const explanation = await callAI(systemPrompt, prompt)
+      
+      // Create a collapsible Sidebar instead of inline Callout
+      return {
+        type: 'Sidebar',
+        props: { 
+          type: 'note',
+          title: `About "${selectedText.length > 60 ? selectedText.slice(0, 60) + '...' : selectedText}"`
+        },
+        children: [
+          {
+            type: 'p',
+            children: explanation.trim()
+          },
+          {
+            type: 'p',
+            props: { className: 'text-xs text-gray-400 mt-2' },
+            children: `Added ${timestamp}`
+          }
+        ]
+      }
+    }
+    
+    if (action === 'branch') {
+      const prompt = `The user is reading this passage:
+"${context}"
+
+They want to go deeper on: "${selectedText}"
+
+Generate a rich, structured educational deep-dive. Return a JSON array of content elements.
+
+Available component types:
+
+BASIC TEXT:
+- { "type": "p", "children": "paragraph text" } — regular paragraph
+- { "type": "strong", "children": "bold text" } — inline bold
+- { "type": "em", "children": "italic text" } — inline italic
+- { "type": "code", "children": "inline code" } — inline code
+
+CALLOUTS & HIGHLIGHTS:
+- { "type": "Callout", "props": { "type": "info|warning|success|tip" }, "children": "callout text" }
+- { "type": "Blockquote", "children": "key insight or pull quote" }
+- { "type": "Analogy", "children": "Think of it like..." } — for analogies/metaphors
+
+CODE & FORMULAS:
+- { "type": "Code", "props": { "language": "javascript|python|json" }, "children": "code here" }
+- { "type": "Formula", "props": { "label": "optional label" }, "children": "x = y + z" }
+
+STRUCTURED DATA:
+- { "type": "ul", "children": [{ "type": "li", "children": "bullet item" }] } — bullet list
+- { "type": "ol", "children": [{ "type": "li", "children": "numbered item" }] } — numbered list
+- { "type": "Steps", "props": { "steps": ["Step 1", "Step 2"] } } — numbered steps (or { "title": "...", "description": "..." })
+- { "type": "DefinitionList", "props": { "items": [{ "term": "X", "definition": "..." }] } }
+- { "type": "ComparisonTable", "props": { "headers": ["Before", "After"], "rows": [["old", "new"]] } }
+- { "type": "KeyValue", "props": { "label": "Name", "value": "42", "highlight": true } }
+
+EXAMPLES:
+- { "type": "Example", "props": { "title": "Example: ..." }, "children": [...content...] }
+
+Create a deep-dive (4-6 elements) that:
+1. Opens with WHY this matters (paragraph)
+2. Shows a concrete example (Code, Example, Steps, or ComparisonTable)
+3. Provides an analogy or key insight (Analogy, Blockquote)
+4. Lists key takeaways or steps (ul, Steps, or DefinitionList)
+5. Ends with actionable insight (Callout type="tip")
+
+Return ONLY a valid JSON array. No markdown, no preamble, just the JSON array.`
+
+      console.log('🤖 Calling AI for structured deep dive...')
+      const response = await callAI(systemPrompt, prompt)
+      
+      // Parse the JSON response
+      let deepDiveContent
+      try {
+        // Try to extract JSON from the response
+        const jsonMatch = response.match(/\[[\s\S]*\]/)
+        if (jsonMatch) {
+          deepDiveContent = JSON.parse(jsonMatch[0])
+        } else {
+          throw new Error('No JSON array found in response')
+        }
+      } catch (parseError) {
+        console.log('⚠️ Could not parse structured response, falling back to paragraphs')
+        // Fallback: split into paragraphs
+        const paragraphs = response.trim().split('\n\n').filter(p => p.trim())
+        deepDiveContent = paragraphs.map(p => ({
+          type: 'p',
+          children: p.trim().replace(/^[\[\{].*[\]\}]$/gm, '').trim() || p.trim()
+        }))
+      }
+      
+      return {
+        type: 'DeepDive',
+        props: { 
+          title: `Deep Dive: ${selectedText}`,
+          defaultOpen: true 
+        },
+        children: deepDiveContent
+      }
+    }
+    
+    // Visualize: Generate a D3Canvas spec for inline diagram
+    if (action === 'visualize') {
+      const prompt = `The user is reading this passage:
+"${context}"
+
+They selected: "${selectedText}" and want to VISUALIZE it as a 2D diagram.
+
+Generate a D3Canvas spec (JSON) that illustrates this concept. The spec has:
+- width, height (numbers, typically 500x350)
+- background (color string)
+- title (string, shown at top)
+- caption (string, shown below)
+- grid (optional): { show: true, step: 50 } for coordinate grid
+- origin (optional): { x: 250, y: 175 } for centering
+- elements: array of shapes:
+  - { type: "circle", cx, cy, r, fill, label, labelColor, stroke, strokeWidth }
+  - { type: "rect", x, y, width, height, fill, label, rx (corner radius) }
+  - { type: "ellipse", cx, cy, rx, ry, fill, label }
+  - { type: "arrow", from: [x,y], to: [x,y], color, label, curved: bool, curvature: 0.3, strokeWidth, dashed }
+  - { type: "line", from: [x,y], to: [x,y], color, strokeWidth, dashed }
+  - { type: "text", x, y, text, fill, fontSize, fontWeight, anchor, italic }
+  - { type: "arc", cx, cy, r, startAngle, endAngle (degrees), color, label }
+  - { type: "polygon", points: [[x,y],...], fill, label }
+  - { type: "path", d: "SVG path string", stroke, fill }
+  - { type: "group", children: [...elements], transform: "translate(x,y)" }
+
+Colors: use hex like #6366f1 (indigo), #ef4444 (red), #22c55e (green), #3b82f6 (blue), #f59e0b (amber), #ec4899 (pink), #14b8a6 (teal).
+
+Create a clear, educational diagram. Use arrows for relationships/flow, circles for concepts/nodes, rects for containers/states, text for labels. Think like a whiteboard sketch.
+
+Return ONLY valid JSON (no markdown, no backticks, no explanation). The JSON must be a single object with the spec.`
+
+      console.log(`🎨 Calling AI to generate D3Canvas spec for: "${selectedText.slice(0, 50)}"`)
+      const rawSpec = await callAI(systemPrompt, prompt)
+      
+      let spec
+      try {
+        let cleaned = rawSpec.trim()
+        if (cleaned.startsWith('```')) cleaned = cleaned.replace(/^```(?:json)?\n?/, '').replace(/\n?```$/, '')
+        spec = JSON.parse(cleaned)
+      } catch (e) {
+        console.error('Failed to parse D3Canvas spec, falling back to text:', e.message)
+        // Fallback: use the raw text as a description
+        const paragraphs = rawSpec.trim().split('\n\n').filter(p => p.trim())
+        return {
+          type: 'Sidebar',
+          props: { type: 'note', title: `🎨 Visualize: "${selectedText.length > 50 ? selectedText.slice(0, 50) + '...' : selectedText}"`, expanded: true },
+          children: paragraphs.map(p => ({ type: 'p', children: p.trim() }))
+        }
+      }
+      
+      // Return a D3Canvas element
+      return {
+        type: 'Sidebar',
+        props: { 
+          type: 'note',
+          title: `🎨 ${spec.title || selectedText.slice(0, 50)}`,
+          expanded: true
+        },
+        children: [
+          {
+            type: 'D3Canvas',
+            props: { spec }
+          },
+          ...(spec.caption ? [{ type: 'p', props: { className: 'text-xs text-gray-500 mt-1 italic' }, children: spec.caption }] : []),
+          {
+            type: 'p',
+            props: { className: 'text-xs text-gray-400 mt-2' },
+            children: `Visualized ${timestamp}`
+          }
+        ]
+      }
+    }
+    
+    // Ask: User provides a custom question about the selected text
+    if (action === 'ask' && question) {
+      const prompt = `The user is reading this passage:
+"${context}"
+
+They selected the phrase: "${selectedText}"
+
+They asked this specific question: "${question}"
+
+Answer their question in a clear, helpful way. Focus on:
+1. Directly addressing their question
+2. Using the context of what they're reading
+3. Providing a concrete example or analogy if helpful
+4. Keeping it concise but complete (2-4 paragraphs)
+
+Do not use markdown. Do not include preamble. Just answer the question directly.`
+
+      console.log(`🤖 Calling AI to answer: "${question}"`)
+      const answer = await callAI(systemPrompt, prompt)
+      
+      // Parse into paragraphs
+      const paragraphs = answer.trim().split('\n\n').filter(p => p.trim())
+      
+      // Create a Sidebar for Q&A - collapsible to reduce clutter
+      return {
+        type: 'Sidebar',
+        props: { 
+          type: 'note',
+          title: `Q: ${question}`,
+          expanded: true  // Start expanded since user just asked
+        },
+        children: [
+          ...paragraphs.map(p => ({
+            type: 'p',
+            children: p.trim()
+          })),
+          {
+            type: 'p',
+            props: { className: 'text-xs text-gray-400 mt-2' },
+            children: `Asked about "${selectedText.slice(0, 30)}${selectedText.length > 30 ? '...' : ''}" — ${timestamp}`
+          }
+        ]
+      }
+    }
+    
+    // Footnote: User's note, augmented by AI
+    if (action === 'footnote' && question) { // 'question' param holds the user's note
+      const prompt = `The user is reading this passage:
+"${context}"
+
+They selected the phrase: "${selectedText}"
+
+They wrote this personal note/thought: "${question}"
+
+Your job is to AUGMENT their note - expand on their idea, make connections, add depth.
+Keep their original insight as the starting point, then build on it.
+
+Guidelines:
+- Start by acknowledging their insight (e.g., "Great observation!" or "Yes, and...")
+- Expand with 1-2 paragraphs of relevant context
+- Make connections to related concepts in the tutorial
+- If they noted a question or confusion, address it
+- Keep it conversational and encouraging
+
+Do not use markdown. Write naturally.`
+
+      console.log(`📝 Augmenting user footnote: "${question.slice(0, 50)}..."`)
+      const augmented = await callAI(systemPrompt, prompt)
+      const paragraphs = augmented.trim().split('\n\n').filter(p => p.trim())
+      
+      // Create a Sidebar for user notes - uses 'historical' type (slate) for personal annotations
+      return {
+        type: 'Sidebar',
+        props: { 
+          type: 'historical',
+          title: `📝 Note: ${question.length > 60 ? question.slice(0, 60) + '...' : question}`
+        },
+        children: [
+          {
+            type: 'p',
+            props: { className: 'italic border-l-2 border-slate-300 pl-3 mb-3' },
+            children: `"${question}"`
+          },
+          ...paragraphs.map(p => ({
+            type: 'p',
+            children: p.trim()
+          })),
+          {
+            type: 'p',
+            props: { className: 'text-xs text-gray-400 mt-2' },
+            children: `Note on "${selectedText.slice(0, 25)}..." — ${timestamp}`
+          }
+        ]
+      }
+    }
+    
+    // Source: Find additional learning resources
+    if (action === 'source') {
+      const prompt = `The user is learning about "${tutorialTitle}".
+
+They selected the phrase: "${selectedText}"
+Context: "${context.slice(0, 300)}"
+
+Find and recommend 4-6 high-quality learning resources about this specific topic. Include a mix of:
+1. **Video tutorials** (YouTube, Khan Academy, 3Blue1Brown style)
+2. **Interactive resources** (online tools, visualizations, playgrounds)
+3. **Articles/blog posts** (clear explanations, good examples)
+4. **Academic/reference** (Wikipedia, textbooks, papers for deeper study)
+
+For each resource, provide:
+- Title (be specific)
+- Type (Video/Interactive/Article/Reference)
+- URL (use real, working URLs - if unsure, use search URLs)
+- One sentence explaining why it's helpful for understanding "${selectedText}"
+
+Format your response as a JSON array:
+[
+  {"title": "...", "type": "Video", "url": "...", "why": "..."},
+  ...
+]
+
+Only output the JSON array, nothing else.`
+
+      console.log(`📚 Finding sources for: "${selectedText.slice(0, 50)}..."`)
+      let sources = []
+      try {
+        const response = await callAI(systemPrompt, prompt)
+        // Parse JSON from response
+        const jsonMatch = response.match(/\[[\s\S]*\]/)
+        if (jsonMatch) {
+          sources = JSON.parse(jsonMatch[0])
+        }
+      } catch (parseErr) {
+        console.error('Failed to parse sources JSON:', parseErr.message)
+        // Fallback: generate search links
+        sources = [
+          { title: `Search YouTube for "${selectedText}"`, type: 'Video', url: `https://www.youtube.com/results?search_query=${encodeURIComponent(selectedText + ' tutorial')}`, why: 'Video explanations often make concepts click' },
+          { title: `Search Khan Academy`, type: 'Interactive', url: `https://www.khanacademy.org/search?referer=%2F&page_search_query=${encodeURIComponent(selectedText)}`, why: 'Free, structured lessons with practice problems' },
+          { title: `Wikipedia: ${selectedText}`, type: 'Reference', url: `https://en.wikipedia.org/wiki/${encodeURIComponent(selectedText.replace(/ /g, '_'))}`, why: 'Good starting point for definitions and context' },
+        ]
+      }
+      
+      // Create a Sidebar with clickable source links
+      const typeIcons = {
+        'Video': '🎬',
+        'Interactive': '🎮',
+        'Article': '📄',
+        'Reference': '📖',
+        'Course': '🎓'
+      }
+      
+      return {
+        type: 'Sidebar',
+        props: { 
+          type: 'tip',
+          title: `📚 Learn More: ${selectedText.length > 60 ? selectedText.slice(0, 60) + '...' : selectedText}`
+        },
+        children: [
+          {
+            type: 'p',
+            props: { className: 'text-sm text-gray-600 mb-3' },
+            children: 'Curated resources to deepen your understanding:'
+          },
+          ...sources.map(src => ({
+            type: 'p',
+            props: { className: 'mb-2' },
+            children: [
+              {
+                type: 'a',
+                props: { 
+                  href: src.url, 
+                  target: '_blank',
+                  rel: 'noopener noreferrer',
+                  className: 'text-blue-600 hover:text-blue-800 font-medium'
+                },
+                children: `${typeIcons[src.type] || '🔗'} ${src.title}`
+              },
+              {
+                type: 'span',
+                props: { className: 'text-xs text-gray-500 ml-2' },
+                children: `(${src.type})`
+              },
+              src.why ? {
+                type: 'span',
+                props: { className: 'block text-sm text-gray-600 ml-6' },
+                children: src.why
+              } : null
+            ].filter(Boolean)
+          })),
+          {
+            type: 'p',
+            props: { className: 'text-xs text-gray-400 mt-3' },
+            children: `Sources for "${selectedText.slice(0, 25)}..." — ${timestamp}`
+          }
+        ]
+      }
+    }
+    
+    return null
+    
+  } catch (error) {
+    console.error('❌ AI error:', error.message)
+    
+    // Return error callout
+    return {
+      type: 'Callout',
+      props: { type: 'warning' },
+      children: [
+        {
+          type: 'strong',
+          children: `⚠️ "${selectedText}":`
+        },
+        ' ',
+        `AI generation failed: ${error.message}. Please try again.`,
+        ' ',
+        {
+          type: 'em',
+          props: { className: 'text-gray-400 text-xs' },
+          children: `(${timestamp})`
+        }
+      ]
+    }
+  }
+}
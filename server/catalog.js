@@ -0,0 +1,123 @@
+/**
+ * Tutorial catalog
+ *
+ * Listing metadata derived from each content file's top-level fields (or its
+ * `meta` block), with hand-curated overrides from src/catalog-overrides.json
+ * for presentation details like icons, gradients and featured flags.
+ *
+ * Override entries without a content file (JSX tutorials, apps) are listed
+ * as-is. Catalog order follows the overrides file, then any remaining
+ * tutorials by id, so newly generated tutorials show up without edits.
+ *
+ * Used by GET /api/catalog and the `virtual:tutorial-catalog` Vite plugin.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { ROOT_DIR, CONTENT_DIR } from './config.js'
+
+export const OVERRIDES_PATH = path.join(ROOT_DIR, 'src', 'catalog-overrides.json')
+
+// Content files that aren't tutorial documents
+const NON_TUTORIAL = /-(quiz|semantic-tree)\.json$/
+
+const WORDS_PER_MINUTE = 200
+
+// Same look the listing has always used for uncurated tutorials
+const DEFAULT_STYLE = {
+  icon: '📄',
+  gradient: 'from-gray-500 to-slate-600',
+  shadowColor: 'shadow-gray-500/30',
+  glowColor: 'rgba(107, 114, 128, 0.4)'
+}
+
+const cache = new Map() // file -> { mtimeMs, entry }
+
+function countWords(node) {
+  if (typeof node === 'string') return node.split(/\s+/).filter(Boolean).length
+  if (Array.isArray(node)) return node.reduce((sum, child) => sum + countWords(child), 0)
+  if (node && typeof node === 'object') {
+    return Object.entries(node)
+      .filter(([key]) => key !== 'type' && key !== 'className' && key !== 'style')
+      .reduce((sum, [, value]) => sum + countWords(value), 0)
+  }
+  return 0
+}
+
+/**
+ * Derive a catalog entry from a tutorial document (null if it isn't one)
+ */
+export function deriveEntry(id, data) {
+  const fields = { ...data.meta, ...data }
+  if (!fields.title || !fields.content) return null
+
+  const minutes = Math.max(1, Math.round(countWords(fields.content) / WORDS_PER_MINUTE))
+
+  return {
+    id,
+    title: fields.title,
+    description: fields.subtitle || fields.description || fields.excerpt || '',
+    tags: Array.isArray(fields.tags) && fields.tags.length > 0 ? fields.tags : ['uncategorized'],
+    ...DEFAULT_STYLE,
+    icon: fields.icon || fields.emoji || DEFAULT_STYLE.icon,
+    readTime: fields.readTime || fields.estimatedTime || `${minutes} min`,
+    difficulty: fields.difficulty || 1
+  }
+}
+
+function loadEntry(file) {
+  const filePath = path.join(CONTENT_DIR, file)
+  const { mtimeMs } = fs.statSync(filePath)
+
+  const cached = cache.get(file)
+  if (cached?.mtimeMs === mtimeMs) return cached.entry
+
+  let entry = null
+  try {
+    entry = deriveEntry(file.replace(/\.json$/, ''), JSON.parse(fs.readFileSync(filePath, 'utf-8')))
+  } catch (e) {
+    console.warn(`⚠️ Catalog: skipping ${file}:`, e.message)
+  }
+  cache.set(file, { mtimeMs, entry })
+  return entry
+}
+
+export function loadOverrides() {
+  try {
+    return JSON.parse(fs.readFileSync(OVERRIDES_PATH, 'utf-8'))
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn('⚠️ Catalog: could not read overrides:', e.message)
+    return {}
+  }
+}
+
+/**
+ * Build the full catalog
+ * @returns {Object[]} entries with id, title, description, tags, icon, gradient,
+ *   shadowColor, glowColor, readTime, difficulty, plus any override fields
+ *   (featured, isApp, ...). `hasContent` is true when a JSON content file backs the entry.
+ */
+export function buildCatalog() {
+  const derived = new Map()
+  for (const file of fs.readdirSync(CONTENT_DIR).sort()) {
+    if (!file.endsWith('.json') || file.startsWith('.') || NON_TUTORIAL.test(file)) continue
+    const entry = loadEntry(file)
+    if (entry) derived.set(entry.id, entry)
+  }
+
+  const overrides = loadOverrides()
+  const catalog = []
+
+  for (const [id, override] of Object.entries(overrides)) {
+    const base = derived.get(id)
+    if (!base && !override.title) continue // Override for a tutorial that no longer exists
+    catalog.push({ ...(base || { id, ...DEFAULT_STYLE, tags: ['uncategorized'] }), ...override, id, hasContent: !!base })
+    derived.delete(id)
+  }
+
+  for (const entry of derived.values()) {
+    catalog.push({ ...entry, hasContent: true })
+  }
+
+  return catalog
+}
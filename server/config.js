@@ -0,0 +1,22 @@
+/**
+ * Annotation server configuration
+ */
+
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+export const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..')
+export const PORT = 5190
+export const CONTENT_DIR = path.join(ROOT_DIR, 'src/content')
+export const TUTORIALS_REPO = ROOT_DIR
+
+// Largest file accepted by /thoughtblend/ingest (sent base64-encoded in JSON)
+export const MAX_UPLOAD_BYTES = 25 * 1024 * 1024
+
+// Engine tutorial IDs that load another tutorial's JSON file
+export const ENGINE_TUTORIAL_FILES = {
+  'matrix-from-vectors-engine': 'matrix-from-vectors',
+  'matrix-discovery-engine': 'matrix-discovery',
+  'lead-lag-correlation-engine': 'lead-lag-correlation',
+  'least-squares-engine': 'least-squares'
+}
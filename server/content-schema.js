@@ -0,0 +1,216 @@
+/**
+ * Tutorial content schema
+ *
+ * The JSON Schema is generated from ElementRenderer's registered components
+ * plus their prop specs (src/components/TutorialEngine/componentProps.js),
+ * and committed at schemas/tutorial.schema.json. Regenerate it with
+ * `npm run validate-content -- --write-schema` after adding a component.
+ *
+ * The validator below covers the subset of JSON Schema the generated schema
+ * uses, and reports errors as JSON paths ($.content.children[3].props.type).
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { ROOT_DIR } from './config.js'
+
+export const SCHEMA_PATH = path.join(ROOT_DIR, 'schemas', 'tutorial.schema.json')
+
+/**
+ * Thrown when a write would introduce schema errors into a tutorial
+ */
+export class ContentValidationError extends Error {
+  constructor(errors) {
+    const first = errors.slice(0, 3).map(e => `${e.path} ${e.message}`).join('; ')
+    super(`Tutorial content failed schema validation (${errors.length} error${errors.length === 1 ? '' : 's'}): ${first}`)
+    this.name = 'ContentValidationError'
+    this.status = 422
+    this.errors = errors
+  }
+}
+
+/**
+ * Build the tutorial JSON Schema
+ * @param {string[]} componentNames - from getRegisteredComponents()
+ * @param {Object} componentProps - prop schema fragment per component
+ * @param {string[]} htmlTags - plain tags rendered as-is
+ */
+export function buildContentSchema(componentNames, componentProps, htmlTags = []) {
+  const elementTypes = [...new Set([...componentNames, ...htmlTags])]
+
+  const props = {}
+  for (const name of elementTypes) {
+    props[name] = { type: 'object', ...(componentProps[name] || {}) }
+  }
+
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'tutorial.schema.json',
+    title: 'Tutorial',
+    description: 'Tutorial document rendered by TutorialEngine. Generated by validate-content.js — do not edit by hand.',
+    type: 'object',
+    required: ['id', 'title', 'content'],
+    properties: {
+      id: { type: 'string' },
+      title: { type: 'string' },
+      subtitle: { type: 'string' },
+      description: { type: 'string' },
+      state: { type: 'object' },
+      content: { $ref: '#/definitions/element' }
+    },
+    definitions: {
+      node: {
+        type: ['string', 'number', 'boolean', 'null', 'array', 'object'],
+        items: { $ref: '#/definitions/node' },
+        if: { type: 'object' },
+        then: { $ref: '#/definitions/element' }
+      },
+      element: {
+        type: 'object',
+        required: ['type'],
+        properties: {
+          type: { enum: elementTypes },
+          props: { type: 'object' },
+          children: { $ref: '#/definitions/node' }
+        },
+        allOf: elementTypes
+          .filter(name => Object.keys(componentProps[name] || {}).length > 0)
+          .map(name => ({
+            if: { properties: { type: { const: name } }, required: ['type'] },
+            then: { properties: { props: { $ref: `#/definitions/props/${name}` } } }
+          }))
+      },
+      props
+    }
+  }
+}
+
+let cachedSchema = null
+
+/**
+ * Load the committed schema (cached)
+ */
+export function loadContentSchema() {
+  if (!cachedSchema) {
+    cachedSchema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf-8'))
+  }
+  return cachedSchema
+}
+
+function typeOf(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (Number.isInteger(value)) return 'integer'
+  return typeof value
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value)
+  if (type === 'number') return actual === 'number' || actual === 'integer'
+  return actual === type
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref: ${ref}`)
+  return ref.slice(2).split('/').reduce((node, key) => node?.[key], root)
+}
+
+function childPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${base}.${key}` : `${base}[${JSON.stringify(key)}]`
+}
+
+function validateNode(value, schema, root, at, errors) {
+  if (schema.$ref) {
+    validateNode(value, resolveRef(root, schema.$ref), root, at, errors)
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push({ path: at, message: `should be ${types.join(' or ')}, got ${typeOf(value)}` })
+      return
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path: at, message: `should be ${JSON.stringify(schema.const)}` })
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const preview = schema.enum.length > 10 ? 'a registered component or HTML tag' : `one of: ${schema.enum.join(', ')}`
+    errors.push({ path: at, message: `unknown value ${JSON.stringify(value)} (expected ${preview})` })
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => validateNode(item, schema.items, root, childPath(at, i), errors))
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: at, message: `missing required property "${key}"` })
+      }
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        validateNode(value[key], propSchema, root, childPath(at, key), errors)
+      }
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!schema.properties?.[key]) {
+          errors.push({ path: childPath(at, key), message: 'is not allowed' })
+        }
+      }
+    }
+  }
+
+  if (schema.if) {
+    const probe = []
+    validateNode(value, schema.if, root, at, probe)
+    if (probe.length === 0 && schema.then) {
+      validateNode(value, schema.then, root, at, errors)
+    }
+  }
+
+  for (const sub of schema.allOf || []) {
+    validateNode(value, sub, root, at, errors)
+  }
+}
+
+/**
+ * Validate a tutorial document
+ * @returns {{ path: string, message: string }[]} errors (empty when valid)
+ */
+export function validateTutorial(doc, schema = loadContentSchema()) {
+  const errors = []
+  validateNode(doc, schema, schema, '$', errors)
+  return errors
+}
+
+/**
+ * Reject a write that introduces new schema errors.
+ * Errors already present in the original document are tolerated, so older
+ * hand-written tutorials stay editable until they're cleaned up. Array
+ * indices are ignored when matching, since inserts shift sibling paths.
+ */
+export function assertValidContent(updated, original = null) {
+  const errorKey = e => `${e.path.replace(/\[\d+\]/g, '[]')} ${e.message}`
+
+  const existing = new Map()
+  for (const e of original ? validateTutorial(original) : []) {
+    existing.set(errorKey(e), (existing.get(errorKey(e)) || 0) + 1)
+  }
+
+  const introduced = validateTutorial(updated).filter(e => {
+    const remaining = existing.get(errorKey(e)) || 0
+    if (remaining === 0) return true
+    existing.set(errorKey(e), remaining - 1)
+    return false
+  })
+
+  if (introduced.length > 0) {
+    throw new ContentValidationError(introduced)
+  }
+}
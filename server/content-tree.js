@@ -0,0 +1,332 @@
+/**
+ * Content tree helpers
+ * 
+ * Find, read and modify nodes in tutorial JSON by dotted path
+ * (e.g. "children.2.children.0").
+ */
+
+/**
+ * Recursively find all annotation elements in content
+ * This includes Sidebars, DeepDives, Q&A Callouts, footnotes, etc.
+ * Now also captures surrounding context for better AI decisions
+ */
+export function findAllAnnotations(node, path = '', parent = null, siblingIndex = -1) {
+  const annotations = []
+  
+  if (!node) return annotations
+  
+  // Helper to get context from siblings
+  const getContext = () => {
+    if (!parent || !Array.isArray(parent.children)) return { before: '', after: '' }
+    const siblings = parent.children
+    
+    let before = ''
+    let after = ''
+    
+    // Get text from previous siblings (up to 300 chars)
+    for (let i = siblingIndex - 1; i >= 0 && before.length < 300; i--) {
+      const text = extractTextContent(siblings[i])
+      if (text) before = text.slice(-300) + ' ' + before
+    }
+    
+    // Get text from next siblings (up to 300 chars)
+    for (let i = siblingIndex + 1; i < siblings.length && after.length < 300; i++) {
+      const text = extractTextContent(siblings[i])
+      if (text) after = after + ' ' + text.slice(0, 300)
+    }
+    
+    return { 
+      before: before.trim().slice(-300), 
+      after: after.trim().slice(0, 300) 
+    }
+  }
+  
+  // Sidebar annotations
+  if (node.type === 'Sidebar') {
+    const ctx = getContext()
+    annotations.push({
+      type: 'sidebar',
+      subtype: node.props?.type || 'note',
+      title: node.props?.title || 'Untitled',
+      content: extractTextContent(node.children).slice(0, 200),
+      contextBefore: ctx.before,
+      contextAfter: ctx.after,
+      path
+    })
+  }
+  
+  // DeepDive sections (often from "Go Deeper")
+  if (node.type === 'DeepDive') {
+    const ctx = getContext()
+    annotations.push({
+      type: 'deepdive',
+      title: node.props?.title || 'Deep Dive',
+      content: extractTextContent(node.children).slice(0, 200),
+      contextBefore: ctx.before,
+      contextAfter: ctx.after,
+      path
+    })
+  }
+  
+  // Callouts with 💡 (inline explanations)
+  if (node.type === 'Callout' && extractTextContent(node.children).includes('💡')) {
+    const ctx = getContext()
+    annotations.push({
+      type: 'explanation',
+      content: extractTextContent(node.children).slice(0, 200),
+      contextBefore: ctx.before,
+      contextAfter: ctx.after,
+      path
+    })
+  }
+  
+  // Q&A style annotations (buttons with ❓)
+  if (node.type === 'button' && node.children && extractTextContent(node.children).includes('❓')) {
+    const ctx = getContext()
+    annotations.push({
+      type: 'question',
+      content: extractTextContent(node.children).slice(0, 200),
+      contextBefore: ctx.before,
+      contextAfter: ctx.after,
+      path
+    })
+  }
+  
+  // Footnote annotations
+  if (node.type === 'Footnote') {
+    const ctx = getContext()
+    annotations.push({
+      type: 'footnote',
+      reference: node.props?.reference,
+      content: extractTextContent(node.children).slice(0, 200),
+      contextBefore: ctx.before,
+      contextAfter: ctx.after,
+      path
+    })
+  }
+  
+  // Recurse into children
+  if (node.children) {
+    const children = Array.isArray(node.children) ? node.children : [node.children]
+    children.forEach((child, i) => {
+      if (typeof child === 'object') {
+        annotations.push(...findAllAnnotations(child, `${path}.children[${i}]`, node, i))
+      }
+    })
+  }
+  
+  return annotations
+}
+
+/**
+ * Remove an element at a given path from the content tree
+ * Path format: ".children[0].children[2]" etc.
+ */
+export function removeAtPath(content, path) {
+  if (!path || path === '') return false
+  
+  // Parse the path to get parent path and index
+  const match = path.match(/^(.*)\.children\[(\d+)\]$/)
+  if (!match) {
+    console.error('Invalid path format:', path)
+    return false
+  }
+  
+  const parentPath = match[1]
+  const index = parseInt(match[2])
+  
+  // Navigate to parent
+  let parent = content
+  if (parentPath) {
+    const parts = parentPath.match(/\.children\[(\d+)\]/g) || []
+    for (const part of parts) {
+      const idx = parseInt(part.match(/\d+/)[0])
+      if (!parent.children || !Array.isArray(parent.children)) return false
+      parent = parent.children[idx]
+    }
+  }
+  
+  // Remove the element
+  if (parent.children && Array.isArray(parent.children) && index < parent.children.length) {
+    parent.children.splice(index, 1)
+    return true
+  }
+  
+  return false
+}
+
+/**
+ * Get element at a given path
+ */
+export function getAtPath(content, path) {
+  if (!path || path === '') return content
+  
+  let current = content
+  const parts = path.match(/\.children\[(\d+)\]/g) || []
+  
+  for (const part of parts) {
+    const idx = parseInt(part.match(/\d+/)[0])
+    if (!current.children || !Array.isArray(current.children)) return null
+    current = current.children[idx]
+  }
+  
+  return current
+}
+
+/**
+ * Set element at a given path
+ */
+export function setAtPath(content, path, newValue) {
+  if (!path || path === '') return false
+  
+  // Parse the path to get parent path and index
+  const match = path.match(/^(.*)\.children\[(\d+)\]$/)
+  if (!match) {
+    // Path might be just ".children[X]" with no parent
+    const simpleMatch = path.match(/^\.children\[(\d+)\]$/)
+    if (simpleMatch) {
+      const idx = parseInt(simpleMatch[1])
+      if (content.children && Array.isArray(content.children) && idx < content.children.length) {
+        content.children[idx] = newValue
+        return true
+      }
+    }
+    return false
+  }
+  
+  const parentPath = match[1]
+  const index = parseInt(match[2])
+  
+  // Navigate to parent
+  let parent = content
+  if (parentPath) {
+    const parts = parentPath.match(/\.children\[(\d+)\]/g) || []
+    for (const part of parts) {
+      const idx = parseInt(part.match(/\d+/)[0])
+      if (!parent.children || !Array.isArray(parent.children)) return false
+      parent = parent.children[idx]
+    }
+  }
+  
+  // Set the element
+  if (parent.children && Array.isArray(parent.children) && index < parent.children.length) {
+    parent.children[index] = newValue
+    return true
+  }
+  
+  return false
+}
+
+/**
+ * Remove inline markers (❓, 💡) that point to a removed annotation
+ * These markers are usually in the element BEFORE the annotation
+ */
+export function removeInlineMarker(content, annotationPath) {
+  // Parse the path to find the parent and annotation index
+  const match = annotationPath.match(/^(.*)\.children\[(\d+)\]$/)
+  if (!match) return false
+  
+  const parentPath = match[1]
+  const annotationIndex = parseInt(match[2])
+  
+  // Get the parent element
+  let parent = content
+  if (parentPath) {
+    const parts = parentPath.match(/\.children\[(\d+)\]/g) || []
+    for (const part of parts) {
+      const idx = parseInt(part.match(/\d+/)[0])
+      if (!parent.children || !Array.isArray(parent.children)) return false
+      parent = parent.children[idx]
+    }
+  }
+  
+  if (!parent.children || !Array.isArray(parent.children)) return false
+  
+  // Look at the element BEFORE the annotation for inline markers
+  // The marker is typically a span with ❓ or 💡 or 📝 that was inserted
+  for (let i = annotationIndex - 1; i >= 0 && i >= annotationIndex - 2; i--) {
+    const sibling = parent.children[i]
+    if (sibling && typeof sibling === 'object') {
+      // Check if this element contains a marker
+      const text = extractTextContent(sibling)
+      if (text.includes('❓') || text.includes('💡') || text.includes('📝')) {
+        // This might be a marker element - check if it's small (just the marker)
+        if (text.length < 10) {
+          parent.children.splice(i, 1)
+          return true
+        }
+        // Or it might be embedded in text - try to clean it
+        cleanMarkersFromElement(sibling)
+        return true
+      }
+    }
+  }
+  
+  return false
+}
+
+/**
+ * Remove marker characters from text content recursively
+ */
+export function cleanMarkersFromElement(node) {
+  if (!node) return
+  
+  if (typeof node.children === 'string') {
+    node.children = node.children.replace(/[❓💡📝]\s*/g, '')
+  } else if (Array.isArray(node.children)) {
+    for (let i = node.children.length - 1; i >= 0; i--) {
+      const child = node.children[i]
+      if (typeof child === 'string') {
+        const cleaned = child.replace(/[❓💡📝]\s*/g, '')
+        if (cleaned) {
+          node.children[i] = cleaned
+        } else {
+          node.children.splice(i, 1)
+        }
+      } else if (typeof child === 'object') {
+        cleanMarkersFromElement(child)
+      }
+    }
+  }
+}
+
+/**
+ * Recursively find all Sidebar elements in content (legacy, for backward compat)
+ */
+export function findSidebars(node, path = '') {
+  const sidebars = []
+  
+  if (!node) return sidebars
+  
+  if (node.type === 'Sidebar') {
+    const contentPreview = extractTextContent(node.children).slice(0, 100)
+    sidebars.push({
+      type: node.props?.type || 'note',
+      title: node.props?.title || 'Untitled',
+      contentPreview,
+      path
+    })
+  }
+  
+  if (node.children) {
+    const children = Array.isArray(node.children) ? node.children : [node.children]
+    children.forEach((child, i) => {
+      if (typeof child === 'object') {
+        sidebars.push(...findSidebars(child, `${path}.children[${i}]`))
+      }
+    })
+  }
+  
+  return sidebars
+}
+
+/**
+ * Extract plain text from content tree
+ */
+export function extractTextContent(node) {
+  if (!node) return ''
+  if (typeof node === 'string') return node
+  if (Array.isArray(node)) return node.map(extractTextContent).join(' ')
+  if (node.children) return extractTextContent(node.children)
+  return ''
+}
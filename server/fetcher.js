@@ -0,0 +1,267 @@
+/**
+ * URL fetcher for ThoughtBlend sources
+ *
+ * Follows redirects, checks robots.txt on every hop, caps download size and
+ * total time, and works out what it got from the Content-Type header or the
+ * bytes themselves. Responses are cached on disk by URL so re-analyzing a
+ * source reads the same bytes; pass { refresh: true } to fetch again.
+ */
+
+import http from 'http'
+import https from 'https'
+import crypto from 'crypto'
+import fs from 'fs/promises'
+import path from 'path'
+import { CONTENT_DIR } from './config.js'
+
+export const FETCH_LIMITS = {
+  maxBytes: 10 * 1024 * 1024,
+  timeoutMs: 15000,
+  maxRedirects: 5
+}
+
+export const FETCH_CACHE_DIR = path.join(CONTENT_DIR, '.fetch-cache')
+
+// Token matched against robots.txt User-agent lines
+const ROBOTS_AGENT = 'ThoughtBlend'
+const USER_AGENT = `Mozilla/5.0 (compatible; ${ROBOTS_AGENT}/1.0)`
+const ROBOTS_TTL_MS = 60 * 60 * 1000
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308]
+
+function fetchError(message, status) {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
+/**
+ * One GET, no redirects. Aborts past maxBytes or timeoutMs.
+ * @returns {Promise<{ status: number, headers: Object, body: Buffer }>}
+ */
+function request(url, { maxBytes = FETCH_LIMITS.maxBytes, timeoutMs = FETCH_LIMITS.timeoutMs } = {}) {
+  const client = url.protocol === 'https:' ? https : http
+
+  return new Promise((resolve, reject) => {
+    const req = client.get(url, {
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept': 'text/html,application/xhtml+xml,application/pdf,application/epub+zip,text/plain;q=0.9,*/*;q=0.5'
+      }
+    }, (res) => {
+      const declared = Number(res.headers['content-length'])
+      if (declared > maxBytes) {
+        req.destroy()
+        return reject(fetchError(`Response too large (${Math.round(declared / 1024)} KB, max ${Math.round(maxBytes / 1024)} KB)`, 413))
+      }
+
+      const chunks = []
+      let size = 0
+      res.on('data', (chunk) => {
+        size += chunk.length
+        if (size > maxBytes) {
+          req.destroy()
+          return reject(fetchError(`Response too large (max ${Math.round(maxBytes / 1024)} KB)`, 413))
+        }
+        chunks.push(chunk)
+      })
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }))
+      res.on('error', reject)
+    })
+
+    // Overall deadline, not just socket idle time
+    const timer = setTimeout(() => {
+      req.destroy()
+      reject(fetchError(`Request timed out after ${timeoutMs / 1000}s`, 504))
+    }, timeoutMs)
+    req.on('close', () => clearTimeout(timer))
+    req.on('error', (e) => reject(e.status ? e : fetchError(`Fetch failed: ${e.message}`, 502)))
+  })
+}
+
+/**
+ * Parse robots.txt into the rules that apply to us: the group naming our
+ * agent if there is one, otherwise the `*` group
+ */
+export function parseRobots(text, agent = ROBOTS_AGENT) {
+  const groups = []
+  let group = null
+  let lastWasAgent = false
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.replace(/#.*/, '').trim()
+    const sep = line.indexOf(':')
+    if (sep === -1) continue
+    const key = line.slice(0, sep).trim().toLowerCase()
+    const value = line.slice(sep + 1).trim()
+
+    if (key === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) groups.push(group = { agents: [], rules: [] })
+      group.agents.push(value.toLowerCase())
+      lastWasAgent = true
+    } else {
+      lastWasAgent = false
+      if (group && (key === 'allow' || key === 'disallow')) group.rules.push({ allow: key === 'allow', path: value })
+    }
+  }
+
+  const name = agent.toLowerCase()
+  const mine = groups.filter(g => g.agents.some(a => a !== '*' && name.includes(a)))
+  const chosen = mine.length > 0 ? mine : groups.filter(g => g.agents.includes('*'))
+  return chosen.flatMap(g => g.rules).filter(r => r.path || r.allow)
+}
+
+function ruleMatches(rulePath, target) {
+  const pattern = rulePath
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\\\$$/, '$')
+  return new RegExp(`^${pattern}`).test(target)
+}
+
+/**
+ * Longest matching rule wins; Allow wins ties (RFC 9309)
+ */
+export function isAllowed(rules, pathWithQuery) {
+  let best = null
+  for (const rule of rules) {
+    if (!rule.path || !ruleMatches(rule.path, pathWithQuery)) continue
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) best = rule
+  }
+  return !best || best.allow
+}
+
+const robotsCache = new Map() // origin -> { rules, fetchedAt }
+
+async function robotsRules(url) {
+  const cached = robotsCache.get(url.origin)
+  if (cached && Date.now() - cached.fetchedAt < ROBOTS_TTL_MS) return cached.rules
+
+  let rules = []
+  try {
+    let robotsUrl = new URL('/robots.txt', url.origin)
+    let res = await request(robotsUrl, { maxBytes: 512 * 1024, timeoutMs: 5000 })
+    for (let hop = 0; hop < FETCH_LIMITS.maxRedirects && REDIRECT_STATUSES.includes(res.status) && res.headers.location; hop++) {
+      robotsUrl = new URL(res.headers.location, robotsUrl)
+      res = await request(robotsUrl, { maxBytes: 512 * 1024, timeoutMs: 5000 })
+    }
+    if (res.status >= 200 && res.status < 300) rules = parseRobots(res.body.toString('utf-8'))
+    // Server errors mean "assume disallowed"; a missing robots.txt allows everything
+    else if (res.status >= 500) rules = [{ allow: false, path: '/' }]
+  } catch {
+    // Unreachable robots.txt: the page fetch will report the real problem
+  }
+  robotsCache.set(url.origin, { rules, fetchedAt: Date.now() })
+  return rules
+}
+
+/**
+ * What the body is: 'html' | 'pdf' | 'epub' | 'text', or null for anything else
+ */
+export function sniffContentType(contentType = '', body) {
+  const head = body.subarray(0, 512).toString('latin1')
+  if (head.startsWith('%PDF-')) return 'pdf'
+  if (head.startsWith('PK') && head.includes('application/epub+zip')) return 'epub'
+
+  const type = contentType.split(';')[0].trim().toLowerCase()
+  if (type === 'application/pdf') return 'pdf'
+  if (type === 'application/epub+zip') return 'epub'
+  if (type === 'text/html' || type === 'application/xhtml+xml' || /^\s*(<!doctype html|<html|<head|<body)/i.test(head)) return 'html'
+  if (type.startsWith('text/') || type === 'application/json' || type === 'application/xml') return 'text'
+
+  // Unlabelled: text if there are no control characters early on
+  if (!type || type === 'application/octet-stream') {
+    return /[\x00-\x08\x0e-\x1f]/.test(head) ? null : 'text'
+  }
+  return null
+}
+
+/**
+ * Decode a text body using the charset from the header or a <meta> tag
+ */
+export function decodeBody(body, contentType = '') {
+  const head = body.subarray(0, 2048).toString('latin1')
+  const charset = /charset=["']?([\w-]+)/i.exec(contentType)?.[1]
+    || /<meta[^>]+charset=["']?([\w-]+)/i.exec(head)?.[1]
+    || 'utf-8'
+  try {
+    return new TextDecoder(charset).decode(body)
+  } catch {
+    return new TextDecoder('utf-8').decode(body)
+  }
+}
+
+function cachePaths(url, cacheDir) {
+  const key = crypto.createHash('sha256').update(url).digest('hex').slice(0, 32)
+  return { meta: path.join(cacheDir, `${key}.json`), body: path.join(cacheDir, `${key}.body`) }
+}
+
+/**
+ * Fetch a URL for use as a source
+ * @param {string} targetUrl
+ * @param {Object} [options] - { refresh, cacheDir, ...FETCH_LIMITS overrides }
+ * @returns {Promise<{ url: string, finalUrl: string, status: number, contentType: string, format: string, body: Buffer, fetchedAt: string, cached: boolean }>}
+ */
+export async function fetchSource(targetUrl, options = {}) {
+  const { refresh = false, cacheDir = FETCH_CACHE_DIR, ...limits } = options
+  const { maxRedirects, ...requestLimits } = { ...FETCH_LIMITS, ...limits }
+
+  let url
+  try {
+    url = new URL(targetUrl)
+  } catch {
+    throw fetchError('Invalid URL', 400)
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') throw fetchError('Only http(s) URLs can be fetched', 400)
+
+  const files = cachePaths(url.href, cacheDir)
+  if (!refresh) {
+    try {
+      const meta = JSON.parse(await fs.readFile(files.meta, 'utf-8'))
+      return { ...meta, body: await fs.readFile(files.body), cached: true }
+    } catch {
+      // Not cached
+    }
+  }
+
+  let current = url
+  let res
+  for (let hop = 0; ; hop++) {
+    if (!isAllowed(await robotsRules(current), current.pathname + current.search)) {
+      throw fetchError(`Blocked by robots.txt: ${current.href}`, 403)
+    }
+
+    res = await request(current, requestLimits)
+    if (!REDIRECT_STATUSES.includes(res.status)) break
+
+    const location = res.headers.location
+    if (!location) throw fetchError(`Redirect without a Location (${res.status})`, 502)
+    if (hop >= maxRedirects) throw fetchError(`Too many redirects (max ${maxRedirects})`, 508)
+
+    const next = new URL(location, current)
+    if (next.protocol !== 'http:' && next.protocol !== 'https:') throw fetchError(`Refusing to follow redirect to ${next.protocol}`, 502)
+    console.log(`  ↪️ Redirect ${res.status}: ${next.href}`)
+    current = next
+  }
+
+  if (res.status < 200 || res.status >= 300) throw fetchError(`Fetch failed with HTTP ${res.status}`, 502)
+
+  const contentType = res.headers['content-type'] || ''
+  const format = sniffContentType(contentType, res.body)
+  if (!format) throw fetchError(`Unsupported content type: ${contentType || 'unknown'}`, 415)
+
+  const meta = {
+    url: url.href,
+    finalUrl: current.href,
+    status: res.status,
+    contentType,
+    format,
+    fetchedAt: new Date().toISOString()
+  }
+
+  await fs.mkdir(cacheDir, { recursive: true })
+  await fs.writeFile(files.body, res.body)
+  await fs.writeFile(files.meta, JSON.stringify(meta, null, 2))
+
+  return { ...meta, body: res.body, cached: false }
+}
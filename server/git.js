@@ -0,0 +1,57 @@
+/**
+ * Git helpers: commit tutorial edits and keep the checkout in sync with the remote
+ */
+
+import path from 'path'
+import { execSync } from 'child_process'
+import { TUTORIALS_REPO } from './config.js'
+import { defineJobType, enqueueJob, withLock } from './jobs.js'
+
+defineJobType('git-commit', ({ filePath, message }) => {
+  const safeMessage = message.replace(/"/g, '\\"').replace(/`/g, '\\`').replace(/\$/g, '\\$')
+  execSync(`git add "${filePath}"`, { cwd: TUTORIALS_REPO, stdio: 'pipe' })
+
+  // A retry after a failed push has nothing left to commit
+  let staged = false
+  try {
+    execSync('git diff --cached --quiet', { cwd: TUTORIALS_REPO, stdio: 'pipe' })
+  } catch {
+    staged = true
+  }
+  if (staged) execSync(`git commit -m "${safeMessage}"`, { cwd: TUTORIALS_REPO, stdio: 'pipe' })
+
+  execSync('git push', { cwd: TUTORIALS_REPO, stdio: 'pipe' })
+  console.log(`✅ Git: ${message}`)
+  return { committed: staged }
+})
+
+/**
+ * Commit and push to Git as a background job. Commits run one at a time
+ * under the 'git' lock and are retried if git fails (see jobs.js).
+ * Resolves with the queued job.
+ */
+export async function commitAndPush(filePath, message) {
+  const relativePath = path.relative(TUTORIALS_REPO, filePath)
+  return enqueueJob('git-commit', { filePath: relativePath, message }, { key: 'git' })
+}
+
+/**
+ * Git pull before handling mutating requests to ensure local files are in sync.
+ * Debounced to avoid pulling on every rapid request. Runs under the 'git'
+ * lock so it never overlaps a queued commit or push.
+ */
+let lastGitPull = 0
+const GIT_PULL_DEBOUNCE_MS = 5000 // Don't pull more than once per 5 seconds
+
+export async function ensureGitSync() {
+  const now = Date.now()
+  if (now - lastGitPull < GIT_PULL_DEBOUNCE_MS) return
+  lastGitPull = now
+  await withLock('git', () => {
+    try {
+      execSync('git pull --ff-only 2>&1', { cwd: TUTORIALS_REPO, timeout: 10000 })
+    } catch (e) {
+      console.log(`⚠️ Git pull failed (continuing anyway): ${e.message}`)
+    }
+  })
+}
@@ -0,0 +1,71 @@
+/**
+ * HTTP helpers shared by the annotation server routes
+ */
+
+import { MAX_UPLOAD_BYTES } from './config.js'
+
+export const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Expose-Headers': 'X-Job-Id'
+}
+
+// Room for the largest upload once base64-encoded, plus the rest of the JSON
+const MAX_BODY_BYTES = Math.ceil(MAX_UPLOAD_BYTES / 3) * 4 + 64 * 1024
+
+function bodyTooLarge(limit) {
+  const error = new Error(`Request body too large (max ${Math.round(limit / 1024 / 1024)} MB)`)
+  error.status = 413
+  return error
+}
+
+/**
+ * Parse JSON body from request. Rejects with a 413 error as soon as the
+ * body passes `limit` bytes; the rest of the upload is drained, not buffered.
+ */
+export function parseBody(req, limit = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    if (Number(req.headers['content-length']) > limit) {
+      req.resume()
+      return reject(bodyTooLarge(limit))
+    }
+
+    const chunks = []
+    let size = 0
+    const onData = (chunk) => {
+      size += chunk.length
+      if (size > limit) {
+        req.off('data', onData)
+        req.resume()
+        chunks.length = 0
+        return reject(bodyTooLarge(limit))
+      }
+      chunks.push(chunk)
+    }
+    req.on('data', onData)
+    req.on('end', () => {
+      if (size > limit) return
+      const body = Buffer.concat(chunks).toString('utf-8')
+      try {
+        resolve(body ? JSON.parse(body) : {})
+      } catch (e) {
+        reject(new Error('Invalid JSON'))
+      }
+    })
+    req.on('error', reject)
+  })
+}
+
+/**
+ * Send JSON response with CORS headers. Once a progress stream is open on
+ * `res` (see progress.js) the data goes out as its final event instead.
+ */
+export function sendJson(res, statusCode, data) {
+  if (res.progressStream) return res.progressStream.send(statusCode, data)
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json',
+    ...CORS_HEADERS
+  })
+  res.end(JSON.stringify(data))
+}
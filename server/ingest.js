@@ -0,0 +1,353 @@
+/**
+ * Document ingestion for ThoughtBlend sources
+ *
+ * Extracts text from PDF (pdfjs-dist), EPUB (fflate + the OPF spine) and
+ * HTML into a flat list of blocks that keep headings and where each block
+ * came from:
+ *
+ *   { kind: 'heading' | 'text', text, level?, page?, chapter?, chapterTitle? }
+ *
+ * chunkDocument then groups blocks into chunks small enough to quote, each
+ * with a `cite` label ("p. 12–13 · Methods", "ch. 3 “The Turn”") so a
+ * synthesis can say where a claim came from.
+ */
+
+import path from 'path'
+import { unzipSync, strFromU8 } from 'fflate'
+import { extractArticle } from './readability.js'
+
+const CHUNK_CHARS = 1200
+
+// A PDF line this much bigger than the body text is treated as a heading
+const HEADING_SIZE_RATIO = 1.2
+const MAX_HEADING_CHARS = 120
+
+const ENTITIES = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", mdash: '—', ndash: '–', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”' }
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, code) => {
+    if (code[0] === '#') {
+      const point = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10)
+      return Number.isFinite(point) && point <= 0x10ffff ? String.fromCodePoint(point) : match
+    }
+    return ENTITIES[code.toLowerCase()] ?? match
+  })
+}
+
+const clean = (text) => decodeEntities(text.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim()
+
+/**
+ * Heading and paragraph blocks from an HTML/XHTML document
+ * @param {Object} [location] - merged into every block (e.g. { chapter: 3 })
+ */
+export function htmlToBlocks(html, location = {}) {
+  const body = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|nav|noscript|svg)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<(footer|aside)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+
+  // Mark headings, then break on block-level tags
+  const marked = body
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, inner) => `\n\u0001${level}\u0001${clean(inner)}\n`)
+    .replace(/<\/?(p|div|li|br|tr|section|article|blockquote|pre|dd|dt|figcaption|table|ul|ol)\b[^>]*>/gi, '\n')
+
+  const blocks = []
+  for (const line of marked.split('\n')) {
+    const heading = /^\u0001(\d)\u0001(.*)$/.exec(line)
+    if (heading) {
+      if (heading[2]) blocks.push({ kind: 'heading', level: Number(heading[1]), text: heading[2], ...location })
+      continue
+    }
+    const text = clean(line)
+    if (text) blocks.push({ kind: 'text', text, ...location })
+  }
+  return blocks
+}
+
+/**
+ * Blocks from a PDF, one page at a time. Headings are guessed from font size.
+ */
+async function extractPdf(buffer) {
+  const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs')
+  const pdf = await getDocument({ data: new Uint8Array(buffer), isEvalSupported: false, disableFontFace: true, verbosity: 0 }).promise
+
+  try {
+    const pages = []
+    for (let n = 1; n <= pdf.numPages; n++) {
+      const page = await pdf.getPage(n)
+      const { items } = await page.getTextContent()
+
+      // Rebuild lines from positioned text runs
+      const lines = []
+      let line = null
+      for (const item of items) {
+        if (!('str' in item)) continue
+        const y = item.transform[5]
+        const size = Math.abs(item.transform[3]) || item.height
+        if (!line || Math.abs(line.y - y) > size * 0.5) {
+          if (line) lines.push(line)
+          line = { y, size, text: '' }
+        }
+        line.text += item.str
+        line.size = Math.max(line.size, size)
+        if (item.hasEOL) {
+          lines.push(line)
+          line = null
+        }
+      }
+      if (line) lines.push(line)
+      pages.push(lines.filter(l => l.text.trim()))
+      page.cleanup()
+    }
+
+    // Body size = the size most characters are set in
+    const weights = new Map()
+    for (const l of pages.flat()) {
+      const size = Math.round(l.size)
+      weights.set(size, (weights.get(size) || 0) + l.text.length)
+    }
+    const bodySize = [...weights.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || 10
+    const headingSizes = [...weights.keys()].filter(s => s >= bodySize * HEADING_SIZE_RATIO).sort((a, b) => b - a)
+
+    const blocks = []
+    pages.forEach((lines, i) => {
+      const page = i + 1
+      let paragraph = null
+      let heading = null // headings set over two lines arrive as two lines
+      const flush = () => {
+        if (paragraph?.text.trim()) blocks.push({ kind: 'text', text: paragraph.text.replace(/\s+/g, ' ').trim(), page })
+        paragraph = null
+      }
+
+      for (const l of lines) {
+        const text = l.text.trim()
+        const level = Math.min(headingSizes.indexOf(Math.round(l.size)) + 1, 6)
+        if (level > 0 && text.length <= MAX_HEADING_CHARS) {
+          flush()
+          if (heading?.level === level) {
+            heading.text += ` ${text}`
+          } else {
+            heading = { kind: 'heading', level, text, page }
+            blocks.push(heading)
+          }
+          continue
+        }
+        heading = null
+
+        // A gap of more than ~1.5 lines starts a new paragraph
+        if (paragraph && paragraph.y - l.y > l.size * 1.5) flush()
+        if (!paragraph) paragraph = { text: '', y: l.y }
+        paragraph.text = /\w-$/.test(paragraph.text) ? paragraph.text.slice(0, -1) + text : `${paragraph.text} ${text}`
+        paragraph.y = l.y
+      }
+      flush()
+    })
+
+    const { info } = await pdf.getMetadata().catch(() => ({}))
+    return { title: info?.Title?.trim() || null, blocks, pageCount: pdf.numPages }
+  } finally {
+    await pdf.destroy()
+  }
+}
+
+function attr(tag, name) {
+  return new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`, 'i').exec(tag)?.[1]
+}
+
+/**
+ * Blocks from an EPUB, one chapter per spine item, titled from its table of contents
+ */
+function extractEpub(buffer) {
+  const files = unzipSync(new Uint8Array(buffer))
+  const read = (name) => {
+    const file = files[name] || files[decodeURIComponent(name)]
+    return file ? strFromU8(file) : null
+  }
+
+  const container = read('META-INF/container.xml')
+  const opfPath = container && attr(/<rootfile\b[^>]*>/i.exec(container)?.[0] || '', 'full-path')
+  const opf = opfPath && read(opfPath)
+  if (!opf) throw new Error('Not a valid EPUB (missing package document)')
+
+  const base = path.posix.dirname(opfPath)
+  const resolve = (from, href) => path.posix.normalize(path.posix.join(from === '.' ? '' : from, href.split('#')[0]))
+
+  const manifest = {}
+  for (const [tag] of opf.matchAll(/<item\b[^>]*>/gi)) {
+    manifest[attr(tag, 'id')] = { href: resolve(base, attr(tag, 'href') || ''), type: attr(tag, 'media-type'), properties: attr(tag, 'properties') || '' }
+  }
+  const spine = [...opf.matchAll(/<itemref\b[^>]*>/gi)]
+    .filter(([tag]) => attr(tag, 'linear') !== 'no')
+    .map(([tag]) => manifest[attr(tag, 'idref')])
+    .filter(item => item && /html/.test(item.type || ''))
+
+  // Chapter titles from the EPUB 3 nav document or the EPUB 2 NCX
+  const titles = {}
+  const nav = Object.values(manifest).find(item => item.properties.includes('nav'))
+  const navDoc = nav && read(nav.href)
+  if (navDoc) {
+    for (const [, href, label] of navDoc.matchAll(/<a\b[^>]*href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi)) {
+      titles[resolve(path.posix.dirname(nav.href), href)] ??= clean(label)
+    }
+  }
+  const ncx = Object.values(manifest).find(item => item.type === 'application/x-dtbncx+xml')
+  const ncxDoc = ncx && read(ncx.href)
+  if (ncxDoc) {
+    for (const [, label, src] of ncxDoc.matchAll(/<navLabel>\s*<text>([\s\S]*?)<\/text>\s*<\/navLabel>\s*<content\b[^>]*src\s*=\s*["']([^"']+)["']/gi)) {
+      titles[resolve(path.posix.dirname(ncx.href), src)] ??= clean(label)
+    }
+  }
+
+  const blocks = []
+  let chapter = 0
+  for (const item of spine) {
+    if (item === nav) continue
+    const html = read(item.href)
+    if (!html) continue
+    const chapterBlocks = htmlToBlocks(html)
+    if (!chapterBlocks.some(b => b.kind === 'text')) continue // cover, title page
+
+    chapter++
+    const chapterTitle = titles[item.href] || chapterBlocks.find(b => b.kind === 'heading')?.text || null
+    blocks.push(...chapterBlocks.map(b => ({ ...b, chapter, ...(chapterTitle && { chapterTitle }) })))
+  }
+
+  const title = /<dc:title\b[^>]*>([\s\S]*?)<\/dc:title>/i.exec(opf)?.[1]
+  return { title: title ? clean(title) : null, blocks, chapterCount: chapter }
+}
+
+// Saved web pages get the same main-content extraction as fetched ones
+function extractHtml(buffer) {
+  const article = extractArticle(buffer.toString('utf-8'))
+  return {
+    title: article.title ? clean(article.title) : null,
+    byline: article.byline ? clean(article.byline) : null,
+    blocks: htmlToBlocks(article.html)
+  }
+}
+
+// Markdown headings survive as headings; everything else is a paragraph per blank line
+function extractText(buffer) {
+  const blocks = []
+  for (const para of buffer.toString('utf-8').split(/\n\s*\n/)) {
+    const heading = /^(#{1,6})\s+(.+)$/.exec(para.trim())
+    if (heading) blocks.push({ kind: 'heading', level: heading[1].length, text: heading[2].trim() })
+    else if (para.trim()) blocks.push({ kind: 'text', text: para.replace(/\s+/g, ' ').trim() })
+  }
+  return { title: null, blocks }
+}
+
+const EXTRACTORS = {
+  pdf: extractPdf,
+  epub: extractEpub,
+  html: extractHtml,
+  text: extractText
+}
+
+/**
+ * Detect the format from magic bytes, falling back to the file extension
+ */
+export function detectFormat(buffer, filename = '') {
+  const head = buffer.subarray(0, 512).toString('latin1')
+  if (head.startsWith('%PDF-')) return 'pdf'
+  if (head.startsWith('PK') && head.includes('application/epub+zip')) return 'epub'
+
+  const ext = path.extname(filename).toLowerCase().slice(1)
+  if (ext === 'pdf' || ext === 'epub') return ext
+  if (['html', 'htm', 'xhtml'].includes(ext) || /^\s*(<!doctype html|<html)/i.test(head)) return 'html'
+  return 'text'
+}
+
+/**
+ * Extract a document's blocks
+ * @returns {Promise<{ title: string|null, format: string, blocks: Object[], byline?: string, pageCount?: number, chapterCount?: number }>}
+ */
+export async function extractDocument(buffer, filename) {
+  const format = detectFormat(buffer, filename)
+  let doc
+  try {
+    doc = await EXTRACTORS[format](buffer)
+  } catch (e) {
+    const error = new Error(`Could not read ${format.toUpperCase()}: ${e.message}`)
+    error.status = 422
+    throw error
+  }
+  return { ...doc, format, title: doc.title || path.basename(filename || 'Untitled').replace(/\.[^.]+$/, '') }
+}
+
+/**
+ * Human-readable provenance for a chunk
+ */
+export function formatCite(chunk) {
+  const parts = []
+  if (chunk.page) parts.push(chunk.pageEnd && chunk.pageEnd !== chunk.page ? `pp. ${chunk.page}–${chunk.pageEnd}` : `p. ${chunk.page}`)
+  if (chunk.chapter) parts.push(chunk.chapterTitle ? `ch. ${chunk.chapter} “${chunk.chapterTitle}”` : `ch. ${chunk.chapter}`)
+  const section = chunk.headings[chunk.headings.length - 1]
+  if (section && section !== chunk.chapterTitle) parts.push(section)
+  return parts.join(' · ')
+}
+
+/**
+ * Group blocks into quotable chunks. A chunk never crosses a heading or a
+ * chapter; it may run across PDF pages (page–pageEnd).
+ * @returns {Object[]} { id, text, headings, page?, pageEnd?, chapter?, chapterTitle?, cite }
+ */
+export function chunkDocument(blocks, { maxChars = CHUNK_CHARS } = {}) {
+  const chunks = []
+  const headings = [] // current heading path, by level
+  let chunk = null
+
+  const flush = () => {
+    if (!chunk) return
+    chunk.id = `c${chunks.length + 1}`
+    chunk.cite = formatCite(chunk)
+    chunks.push(chunk)
+    chunk = null
+  }
+
+  let chapter
+  for (const block of blocks) {
+    // Each chapter starts a fresh heading path
+    if (block.chapter !== chapter) {
+      flush()
+      headings.length = 0
+      chapter = block.chapter
+    }
+    if (block.kind === 'heading') {
+      flush()
+      headings.length = Math.min(headings.length, block.level - 1)
+      headings[block.level - 1] = block.text
+      continue
+    }
+    if (chunk && chunk.text.length + block.text.length > maxChars) flush()
+
+    if (!chunk) {
+      chunk = {
+        text: '',
+        headings: headings.filter(Boolean),
+        ...(block.page && { page: block.page }),
+        ...(block.chapter && { chapter: block.chapter, chapterTitle: block.chapterTitle })
+      }
+    }
+    chunk.text += (chunk.text ? '\n\n' : '') + block.text
+    if (block.page && block.page !== chunk.page) chunk.pageEnd = block.page
+  }
+  flush()
+  return chunks
+}
+
+/**
+ * Plain text with markdown headings, for the source's `content`. Chapters
+ * are separated by rules and PDF pages marked with [p. N].
+ */
+export function blocksToText(blocks) {
+  const parts = []
+  let prev = null
+  for (const b of blocks) {
+    if (prev && b.chapter !== prev.chapter) parts.push('---')
+    if (b.page && b.page !== prev?.page) parts.push(`[p. ${b.page}]`)
+    parts.push(b.kind === 'heading' ? `${'#'.repeat(b.level)} ${b.text}` : b.text)
+    prev = b
+  }
+  return parts.join('\n\n')
+}
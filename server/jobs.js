@@ -0,0 +1,253 @@
+/**
+ * Background jobs for the annotation server
+ *
+ * Work that writes content files or touches git runs as a job. Jobs share
+ * a lock key: jobs with the same key run one after another ('tutorial:<id>'
+ * for everything that writes a tutorial's files, 'git' for commits), jobs
+ * with different keys run in parallel. Every job is recorded in
+ * src/content/.jobs/<id>.json so GET /jobs/:id can report on it.
+ *
+ * Two kinds of job:
+ *   - queued jobs (enqueueJob) run a registered type with a JSON payload in
+ *     the background, are retried with backoff, and resume after a restart
+ *   - request jobs (runExclusive) wrap a request the client is waiting on;
+ *     they hold the lock but are neither retried nor resumed
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import crypto from 'crypto'
+import { CONTENT_DIR, ENGINE_TUTORIAL_FILES } from './config.js'
+
+const JOBS_DIR = path.join(CONTENT_DIR, '.jobs')
+const KEEP_FINISHED_MS = 7 * 24 * 60 * 60 * 1000
+const ACTIVE_STATUSES = ['queued', 'running', 'retrying']
+
+const jobTypes = new Map() // type -> { run, maxAttempts, backoffMs }
+const locks = new Map() // key -> promise that settles when the key is free
+const jobs = new Map() // id -> job record
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+function newJobId() {
+  return `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`
+}
+
+function getJobPath(id) {
+  return path.join(JOBS_DIR, `${id}.json`)
+}
+
+async function saveJob(job) {
+  jobs.set(job.id, job)
+  job.updatedAt = new Date().toISOString()
+  await fs.mkdir(JOBS_DIR, { recursive: true })
+  await fs.writeFile(getJobPath(job.id), JSON.stringify(job, null, 2))
+}
+
+/**
+ * Register a queued job type. `run(payload)` may throw to be retried.
+ */
+export function defineJobType(type, run, { maxAttempts = 3, backoffMs = 2000 } = {}) {
+  jobTypes.set(type, { run, maxAttempts, backoffMs })
+}
+
+/**
+ * Run fn once every earlier holder of `key` has finished
+ */
+export function withLock(key, fn) {
+  const previous = locks.get(key) || Promise.resolve()
+  const current = previous.then(fn)
+  const released = current.catch(() => {})
+  locks.set(key, released)
+  released.then(() => {
+    if (locks.get(key) === released) locks.delete(key)
+  })
+  return current
+}
+
+export function isLocked(key) {
+  return locks.has(key)
+}
+
+/**
+ * Lock key for routes that write a tutorial's files (route `lock` option)
+ */
+export function lockTutorial({ body }) {
+  const { tutorialId } = body
+  if (typeof tutorialId !== 'string' || !tutorialId) return null
+  return `tutorial:${ENGINE_TUTORIAL_FILES[tutorialId] || tutorialId}`
+}
+
+async function runQueuedJob(job) {
+  const { run, backoffMs } = jobTypes.get(job.type)
+
+  while (true) {
+    job.attempts += 1
+    job.status = 'running'
+    job.startedAt = job.startedAt || new Date().toISOString()
+    await saveJob(job)
+
+    try {
+      job.result = (await run(job.payload)) ?? null
+      job.status = 'succeeded'
+      job.error = null
+      job.finishedAt = new Date().toISOString()
+      await saveJob(job)
+      return
+    } catch (error) {
+      job.error = error.message
+      if (job.attempts >= job.maxAttempts) {
+        job.status = 'failed'
+        job.finishedAt = new Date().toISOString()
+        await saveJob(job)
+        console.log(`⚠️ Job ${job.id} (${job.type}) failed after ${job.attempts} attempts: ${error.message?.slice(0, 100)}`)
+        return
+      }
+      const delay = backoffMs * 2 ** (job.attempts - 1)
+      job.status = 'retrying'
+      await saveJob(job)
+      console.log(`🔁 Job ${job.id} (${job.type}) failed, retrying in ${delay}ms: ${error.message?.slice(0, 100)}`)
+      await sleep(delay)
+    }
+  }
+}
+
+function schedule(job) {
+  withLock(job.key, () => runQueuedJob(job)).catch(error => {
+    console.error(`❌ Job ${job.id} (${job.type}) could not be recorded:`, error)
+  })
+}
+
+/**
+ * Queue a background job of a registered type; resolves once it is recorded
+ */
+export async function enqueueJob(type, payload, { key = type } = {}) {
+  const definition = jobTypes.get(type)
+  if (!definition) throw new Error(`Unknown job type: ${type}`)
+
+  const job = {
+    id: newJobId(),
+    type,
+    key,
+    status: 'queued',
+    attempts: 0,
+    maxAttempts: definition.maxAttempts,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    error: null,
+    payload,
+    result: null
+  }
+  await saveJob(job)
+  schedule(job)
+  return job
+}
+
+/**
+ * Run fn(job) under `key` as a recorded request job and return its result
+ */
+export async function runExclusive(key, type, fn) {
+  const job = {
+    id: newJobId(),
+    type,
+    key,
+    status: 'queued',
+    attempts: 0,
+    maxAttempts: 1,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    error: null
+  }
+  await saveJob(job)
+
+  return withLock(key, async () => {
+    job.status = 'running'
+    job.attempts = 1
+    job.startedAt = new Date().toISOString()
+    await saveJob(job)
+
+    try {
+      const result = await fn(job)
+      job.status = 'succeeded'
+      return result
+    } catch (error) {
+      job.status = error.cancelled ? 'cancelled' : 'failed'
+      job.error = error.message
+      throw error
+    } finally {
+      job.finishedAt = new Date().toISOString()
+      await saveJob(job)
+    }
+  })
+}
+
+/**
+ * Look up a job by id (memory first, then disk)
+ */
+export async function getJob(id) {
+  if (!/^[a-z0-9-]{1,40}$/.test(id)) return null
+  if (jobs.has(id)) return jobs.get(id)
+  try {
+    return JSON.parse(await fs.readFile(getJobPath(id), 'utf-8'))
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Jobs seen since startup, newest first
+ */
+export function listJobs({ status } = {}) {
+  return [...jobs.values()]
+    .filter(job => !status || job.status === status)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+}
+
+/**
+ * On startup: requeue unfinished background jobs, close out request jobs
+ * the previous process never finished, and forget old finished jobs
+ */
+export async function resumeJobs() {
+  let files = []
+  try {
+    files = (await fs.readdir(JOBS_DIR)).filter(f => f.endsWith('.json'))
+  } catch {
+    return { resumed: 0 } // No jobs recorded yet
+  }
+
+  const unfinished = []
+  for (const file of files) {
+    let job
+    try {
+      job = JSON.parse(await fs.readFile(path.join(JOBS_DIR, file), 'utf-8'))
+    } catch (e) {
+      console.log(`  ⚠️ Skipping unreadable job ${file}: ${e.message}`)
+      continue
+    }
+
+    if (!ACTIVE_STATUSES.includes(job.status)) {
+      if (Date.now() - new Date(job.finishedAt || job.createdAt).getTime() > KEEP_FINISHED_MS) {
+        await fs.unlink(path.join(JOBS_DIR, file)).catch(() => {})
+      } else {
+        jobs.set(job.id, job)
+      }
+    } else if (jobTypes.has(job.type)) {
+      unfinished.push(job)
+    } else {
+      job.status = 'failed'
+      job.error = 'Server restarted before the job finished'
+      job.finishedAt = new Date().toISOString()
+      await saveJob(job)
+    }
+  }
+
+  unfinished.sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+  for (const job of unfinished) {
+    job.status = 'queued'
+    await saveJob(job)
+    schedule(job)
+  }
+  return { resumed: unfinished.length }
+}
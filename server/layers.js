@@ -0,0 +1,132 @@
+/**
+ * Annotation layer storage
+ *
+ * Each layer is a JSON overlay at src/content/.layers/<tutorialId>/<layerId>.json
+ * (format documented in src/utils/annotationLayers.js). Layers are committed
+ * like tutorials so team layers are shared, but they never touch the
+ * canonical tutorial JSON until an annotation is promoted.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { CONTENT_DIR } from './config.js'
+import { generateAnnotationId, findAnchor } from '../src/utils/annotationTree.js'
+import { createAnchor } from '../src/utils/textAnchors.js'
+import { LAYER_KINDS, isValidLayerId } from '../src/utils/annotationLayers.js'
+
+export const LAYERS_DIR = path.join(CONTENT_DIR, '.layers')
+
+function badRequest(message) {
+  const error = new Error(message)
+  error.status = 400
+  return error
+}
+
+function notFound(message) {
+  const error = new Error(message)
+  error.status = 404
+  return error
+}
+
+function getTutorialLayersDir(tutorialId) {
+  if (!tutorialId || /[\\/]/.test(tutorialId) || tutorialId.startsWith('.')) {
+    throw badRequest(`Invalid tutorialId: ${tutorialId}`)
+  }
+  return path.join(LAYERS_DIR, tutorialId)
+}
+
+export function getLayerPath(tutorialId, layerId) {
+  if (!isValidLayerId(layerId)) throw badRequest(`Invalid layer id: ${layerId}`)
+  return path.join(getTutorialLayersDir(tutorialId), `${layerId}.json`)
+}
+
+/**
+ * All layers for a tutorial, oldest first
+ */
+export async function listLayers(tutorialId) {
+  const dir = getTutorialLayersDir(tutorialId)
+  let files
+  try {
+    files = await fs.readdir(dir)
+  } catch {
+    return []
+  }
+
+  const layers = []
+  for (const file of files.filter(f => f.endsWith('.json'))) {
+    try {
+      layers.push(JSON.parse(await fs.readFile(path.join(dir, file), 'utf-8')))
+    } catch (e) {
+      console.warn(`⚠️ Skipping unreadable layer ${tutorialId}/${file}:`, e.message)
+    }
+  }
+  return layers.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''))
+}
+
+export async function loadLayer(tutorialId, layerId) {
+  try {
+    return JSON.parse(await fs.readFile(getLayerPath(tutorialId, layerId), 'utf-8'))
+  } catch (e) {
+    if (e.status) throw e
+    return null
+  }
+}
+
+export async function saveLayer(layer) {
+  const layerPath = getLayerPath(layer.tutorialId, layer.id)
+  layer.updatedAt = new Date().toISOString()
+  await fs.mkdir(path.dirname(layerPath), { recursive: true })
+  await fs.writeFile(layerPath, JSON.stringify(layer, null, 2))
+  return layerPath
+}
+
+/**
+ * Add a generated annotation to a layer, creating the layer on first use.
+ * The anchor is the selected text plus the element path and text selectors
+ * for where it sits in the canonical content.
+ */
+export async function addLayerAnnotation(tutorial, tutorialId, { layerId, layerName, kind = 'user', author, action, selectedText, question, element }) {
+  if (!LAYER_KINDS.includes(kind)) throw badRequest(`Layer kind must be one of: ${LAYER_KINDS.join(', ')}`)
+
+  const now = new Date().toISOString()
+  const layer = await loadLayer(tutorialId, layerId) || {
+    id: layerId,
+    tutorialId,
+    name: layerName || layerId,
+    kind,
+    createdAt: now,
+    annotations: []
+  }
+
+  const found = findAnchor(tutorial.content, selectedText)
+  const annotation = {
+    id: generateAnnotationId(),
+    action,
+    quote: selectedText,
+    path: found.found ? found.path : null,
+    anchor: found.found ? createAnchor(tutorial.content, selectedText, found.path) : null,
+    element,
+    ...(question && { question }),
+    ...(author && { author }),
+    createdAt: now
+  }
+
+  layer.annotations.push(annotation)
+  const layerPath = await saveLayer(layer)
+  return { layer, annotation, layerPath }
+}
+
+/**
+ * Remove one annotation from a layer
+ */
+export async function removeLayerAnnotation(tutorialId, layerId, annotationId) {
+  const layer = await loadLayer(tutorialId, layerId)
+  if (!layer) throw notFound(`Layer not found: ${layerId}`)
+
+  const annotation = layer.annotations.find(a => a.id === annotationId)
+  if (!annotation) throw notFound(`Annotation not found: ${annotationId}`)
+
+  layer.annotations = layer.annotations.filter(a => a.id !== annotationId)
+  const layerPath = await saveLayer(layer)
+  return { layer, annotation, layerPath }
+}
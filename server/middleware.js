@@ -0,0 +1,102 @@
+/**
+ * Annotation server middleware
+ * 
+ * Each middleware is `async (ctx, next)`, where ctx is
+ * { req, res, url, route, params, body, progress, job }. Call next() to continue the chain.
+ */
+
+import { CORS_HEADERS, parseBody, sendJson } from './http.js'
+import { ensureGitSync } from './git.js'
+import { createProgress } from './progress.js'
+import { isLocked, runExclusive } from './jobs.js'
+
+/**
+ * Catch anything a handler throws and turn it into a JSON error response
+ */
+export async function errorHandler(ctx, next) {
+  try {
+    await next()
+  } catch (error) {
+    const label = ctx.route ? `${ctx.route.method} ${ctx.route.path}` : ctx.url.pathname
+    if (error.cancelled) {
+      console.log(`🛑 ${label} cancelled by client`)
+      return
+    }
+    console.error(`❌ ${label} error:`, error)
+    const data = {
+      error: error.message,
+      ...(error.errors && { validationErrors: error.errors })
+    }
+    // A streaming response reports the error as its last event
+    if (ctx.progress?.isStreaming) {
+      ctx.progress.send(error.status || 500, data)
+    } else if (!ctx.res.headersSent) {
+      sendJson(ctx.res, error.status || 500, data)
+    }
+  }
+}
+
+/**
+ * Answer CORS preflight requests
+ */
+export async function cors(ctx, next) {
+  if (ctx.req.method === 'OPTIONS') {
+    ctx.res.writeHead(204, CORS_HEADERS)
+    return ctx.res.end()
+  }
+  await next()
+}
+
+/**
+ * Sync with remote before any mutating request
+ */
+export async function gitSync(ctx, next) {
+  if (ctx.req.method === 'POST' && ctx.route) {
+    await ensureGitSync()
+  }
+  await next()
+}
+
+/**
+ * Parse the JSON body of POST requests into ctx.body
+ */
+export async function jsonBody(ctx, next) {
+  if (ctx.req.method === 'POST' && ctx.route) {
+    try {
+      ctx.body = await parseBody(ctx.req)
+    } catch (error) {
+      error.status ||= 400
+      throw error
+    }
+  }
+  await next()
+}
+
+/**
+ * Give handlers ctx.progress for streaming progress events (see progress.js)
+ */
+export async function streamProgress(ctx, next) {
+  if (ctx.route) {
+    ctx.progress = createProgress(ctx.req, ctx.res)
+  }
+  await next()
+}
+
+/**
+ * Run routes that declare a `lock` as request jobs, one at a time per lock
+ * key (see jobs.js). The job id goes back in the X-Job-Id header.
+ */
+export async function jobLock(ctx, next) {
+  const key = ctx.route?.lock?.(ctx)
+  if (!key) return next()
+
+  if (isLocked(key)) {
+    ctx.progress?.step('waiting', 'Waiting for another change to the same files')
+  }
+  await runExclusive(key, `${ctx.route.method} ${ctx.route.path}`, (job) => {
+    ctx.progress?.checkpoint()
+    ctx.job = job
+    if (!ctx.res.headersSent) ctx.res.setHeader('X-Job-Id', job.id)
+    return next()
+  })
+}
@@ -0,0 +1,401 @@
+/**
+ * Presentation export
+ *
+ * Turns a cached NodePlayer script (src/content/.presentations/<key>.json)
+ * into something that plays without the app:
+ *
+ * - renderDeckHtml: one self-contained HTML file with the slides, player and
+ *   narration audio inlined as data URIs, so it works offline
+ * - exportVideo: an MP4 made by screenshotting each slide with headless
+ *   Chrome and stitching the frames and narration together with ffmpeg
+ */
+
+import { execFileSync } from 'child_process'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { ROOT_DIR, CONTENT_DIR } from './config.js'
+import { splitWords, wordAt, wordAtChar } from '../src/utils/wordTimings.js'
+
+const PRESENTATIONS_DIR = path.join(CONTENT_DIR, '.presentations')
+const PUBLIC_DIR = path.join(ROOT_DIR, 'public')
+
+export const VIDEO_DEFAULTS = {
+  chrome: process.env.CHROME_PATH || 'chromium',
+  ffmpeg: process.env.FFMPEG_PATH || 'ffmpeg',
+  ffprobe: process.env.FFPROBE_PATH || 'ffprobe',
+  width: 1280,
+  height: 720
+}
+
+const COMMAND_TIMEOUT_MS = 120000
+
+const AUDIO_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg'
+}
+
+/**
+ * Load a cached presentation by its cache key
+ */
+export async function loadPresentation(cacheKey) {
+  if (!/^[\w-]+$/.test(cacheKey || '')) {
+    const error = new Error('Invalid presentation key')
+    error.status = 400
+    throw error
+  }
+  try {
+    return JSON.parse(await fs.readFile(path.join(PRESENTATIONS_DIR, `${cacheKey}.json`), 'utf-8'))
+  } catch {
+    const error = new Error(`Presentation not found: ${cacheKey}`)
+    error.status = 404
+    throw error
+  }
+}
+
+// audioUrls are served from public/ (e.g. /audio/foo-slide-0-polly.mp3)
+function audioPath(audioUrl) {
+  const file = path.join(PUBLIC_DIR, path.normalize(decodeURIComponent(audioUrl)).replace(/^([/\\]|\.\.)+/, ''))
+  return file.startsWith(PUBLIC_DIR + path.sep) ? file : null
+}
+
+async function audioDataUri(audioUrl) {
+  const file = audioUrl && audioPath(audioUrl)
+  if (!file) return null
+  try {
+    const type = AUDIO_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream'
+    return `data:${type};base64,${(await fs.readFile(file)).toString('base64')}`
+  } catch {
+    console.log(`  ⚠️ Missing narration audio: ${audioUrl}`)
+    return null
+  }
+}
+
+const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`)
+
+// JSON inside <script> must not close the tag early
+const scriptJson = (value) => JSON.stringify(value).replace(/</g, '\\u003c')
+
+const DECK_STYLES = `
+* { box-sizing: border-box; margin: 0; }
+html, body { height: 100%; }
+body { font-family: system-ui, -apple-system, 'Segoe UI', sans-serif; color: #fff; background: linear-gradient(135deg, #0f172a, #1e293b, #0f172a); display: flex; flex-direction: column; overflow: hidden; }
+#stage { flex: 1; position: relative; }
+.slide { position: absolute; inset: 0; display: flex; flex-direction: column; align-items: center; justify-content: center; padding: 0 3rem; text-align: center; animation: enter .4s ease-out; }
+@keyframes enter { from { opacity: 0; transform: scale(.96); } }
+@keyframes pulse { 50% { transform: scale(1.1) rotate(4deg); } }
+h1 { font-size: 2.5rem; }
+h2 { font-size: 1.9rem; margin-bottom: 1rem; }
+.subtitle, .explanation { font-size: 1.25rem; color: rgba(255,255,255,.7); margin-top: 1rem; max-width: 42rem; }
+.emoji { font-size: 4rem; margin-bottom: 1.5rem; }
+.pulse { animation: pulse 2s infinite; }
+.bullets { align-items: flex-start; text-align: left; }
+.bullets h2 { font-size: 1.5rem; margin-bottom: 2rem; }
+.bullets ul { list-style: none; padding: 0; }
+.bullets li { font-size: 1.25rem; color: rgba(255,255,255,.9); margin-bottom: 1rem; display: flex; gap: .75rem; opacity: .2; transform: translateX(-20px); transition: all .3s; }
+.bullets li.shown { opacity: 1; transform: none; }
+.bullets li::before { content: '●'; color: #34d399; }
+.analogy { flex-direction: row; gap: 2rem; }
+.analogy > div { flex: 1; font-size: 1.25rem; font-weight: 500; }
+.analogy .approx { flex: 0; font-size: 2.5rem; color: #34d399; }
+.takeaway { font-size: 1.5rem; color: #34d399; font-weight: 500; max-width: 42rem; }
+#captions { padding: 1rem 2rem; max-width: 56rem; margin: 0 auto; text-align: center; font-size: 1.1rem; line-height: 1.6; color: rgba(255,255,255,.6); }
+#captions span.active { background: rgba(16,185,129,.3); color: #fff; border-radius: .25rem; }
+#progress { height: 4px; background: rgba(255,255,255,.1); }
+#progress div { height: 100%; width: 0; background: #10b981; }
+#controls { padding: 1rem; display: flex; align-items: center; justify-content: center; gap: 1rem; background: rgba(0,0,0,.3); }
+button { font: inherit; color: rgba(255,255,255,.6); background: none; border: 0; padding: .5rem 1rem; cursor: pointer; }
+button:hover { color: #fff; }
+button:disabled { opacity: .3; cursor: default; }
+#play { background: #059669; color: #fff; border-radius: 999px; padding: .5rem 1.5rem; }
+#counter { color: rgba(255,255,255,.4); margin-left: 1rem; }
+body.frame #captions, body.frame #progress, body.frame #controls { display: none; }
+body.frame .slide { animation: none; }
+`
+
+// Mirrors NodePlayer's playback: a slide advances once its narration has
+// finished and its minimum duration has passed
+const DECK_PLAYER = `
+const slides = DECK.slides
+const stage = document.getElementById('stage')
+const captions = document.getElementById('captions')
+const bar = document.querySelector('#progress div')
+const playButton = document.getElementById('play')
+let current = 0, playing = false, audio = null, frame = null, session = 0
+
+${wordAt.toString()}
+
+${wordAtChar.toString()}
+
+function el(tag, className, text) {
+  const node = document.createElement(tag)
+  if (className) node.className = className
+  if (text !== undefined) node.textContent = text
+  return node
+}
+
+const renderers = {
+  title: c => [el('h1', '', c.title), c.subtitle && el('p', 'subtitle', c.subtitle)],
+  bullets: c => {
+    const list = el('ul')
+    for (const point of c.points || []) list.append(el('li', '', point))
+    return [el('h2', '', c.heading), list]
+  },
+  concept: c => [el('div', 'emoji pulse', c.emoji || '💡'), el('h2', '', c.concept), el('p', 'explanation', c.explanation)],
+  analogy: c => {
+    const side = (emoji, text) => {
+      const node = el('div')
+      node.append(el('div', 'emoji', emoji), el('div', '', text))
+      return node
+    }
+    return [side(c.leftEmoji || '🧠', c.left), el('div', 'approx pulse', '≈'), side(c.rightEmoji || '🎵', c.right)]
+  },
+  summary: c => [el('div', 'emoji', '🎯'), el('h2', '', 'Key Takeaway'), el('p', 'takeaway', c.takeaway)]
+}
+
+function renderSlide(index, progress) {
+  const slide = slides[index]
+  const type = renderers[slide.type] ? slide.type : 'concept'
+  const node = el('div', 'slide ' + type)
+  node.append(...renderers[type](slide.content || {}).filter(Boolean))
+  stage.replaceChildren(node)
+  showProgress(progress)
+
+  captions.replaceChildren()
+  let cursor = 0
+  const text = slide.narration || ''
+  slide.words.forEach((word, i) => {
+    captions.append(text.slice(cursor, word.charStart), el('span', '', text.slice(word.charStart, word.charEnd)))
+    captions.lastChild.dataset.word = i
+    cursor = Math.max(cursor, word.charEnd)
+  })
+  captions.append(text.slice(cursor))
+
+  document.getElementById('prev').disabled = index === 0
+  document.getElementById('next').disabled = index === slides.length - 1
+  document.getElementById('counter').textContent = (index + 1) + ' / ' + slides.length
+}
+
+function showProgress(progress) {
+  bar.style.width = (progress * 100) + '%'
+  const points = stage.querySelectorAll('li')
+  points.forEach((li, i) => li.classList.toggle('shown', progress > i / points.length))
+}
+
+function highlight(index) {
+  captions.querySelectorAll('span').forEach(span => span.classList.toggle('active', Number(span.dataset.word) === index))
+}
+
+function stopNarration() {
+  session++
+  if (audio) audio.pause()
+  audio = null
+  if (window.speechSynthesis) speechSynthesis.cancel()
+  cancelAnimationFrame(frame)
+  highlight(-1)
+}
+
+function narrate(slide, onEnd) {
+  const words = slide.words
+  if (slide.audio) {
+    const clip = new Audio(slide.audio)
+    audio = clip
+    clip.onended = onEnd
+    clip.onerror = () => speakWithTTS()
+    clip.play().catch(() => speakWithTTS())
+    return clip
+  }
+  speakWithTTS()
+  return null
+
+  function speakWithTTS() {
+    audio = null
+    if (!slide.narration || !window.speechSynthesis) return onEnd()
+    const utterance = new SpeechSynthesisUtterance(slide.narration)
+    utterance.rate = 0.95
+    utterance.onboundary = e => { if (e.name === 'word') highlight(wordAtChar(words, e.charIndex)) }
+    utterance.onend = onEnd
+    utterance.onerror = onEnd
+    speechSynthesis.speak(utterance)
+  }
+}
+
+function play() {
+  stopNarration()
+  const run = session
+  const slide = slides[current]
+  let narrationDone = !slide.narration && !slide.audio
+  let timerDone = false
+  const advance = () => {
+    if (run !== session || !narrationDone || !timerDone) return
+    if (current < slides.length - 1) go(current + 1)
+    else setPlaying(false)
+  }
+  const clip = narrate(slide, () => { narrationDone = true; advance() })
+  const started = Date.now()
+  const duration = slide.duration || 8000
+  const tick = () => {
+    if (run !== session) return
+    const progress = Math.min((Date.now() - started) / duration, 1)
+    showProgress(progress)
+    if (clip && audio === clip && slide.words[0] && slide.words[0].start !== undefined) highlight(wordAt(slide.words, clip.currentTime * 1000))
+    if (progress >= 1 && !timerDone) { timerDone = true; advance() }
+    frame = requestAnimationFrame(tick)
+  }
+  frame = requestAnimationFrame(tick)
+}
+
+function setPlaying(value) {
+  playing = value
+  playButton.textContent = playing ? '⏸ Pause' : '▶ Play'
+  if (playing) play()
+  else stopNarration()
+}
+
+function go(index) {
+  stopNarration()
+  current = index
+  renderSlide(current, 0)
+  if (playing) play()
+}
+
+document.getElementById('prev').onclick = () => go(Math.max(0, current - 1))
+document.getElementById('next').onclick = () => go(Math.min(slides.length - 1, current + 1))
+playButton.onclick = () => setPlaying(!playing)
+document.addEventListener('keydown', e => {
+  if (e.key === 'ArrowLeft') go(Math.max(0, current - 1))
+  else if (e.key === 'ArrowRight') go(Math.min(slides.length - 1, current + 1))
+  else if (e.key === ' ') { e.preventDefault(); setPlaying(!playing) }
+})
+
+// #frame=N shows slide N fully revealed with no chrome, for video export
+const still = /frame=(\\d+)/.exec(location.hash)
+if (still) {
+  document.body.classList.add('frame')
+  current = Math.min(Number(still[1]), slides.length - 1)
+  renderSlide(current, 1)
+} else {
+  renderSlide(0, 0)
+}
+`
+
+/**
+ * Self-contained HTML deck for a presentation
+ * @param {Object} presentation - cached { script, generatedAt }
+ * @param {Object} [options]
+ * @param {string} [options.title] - page title
+ * @param {boolean} [options.inlineAudio=true] - embed narration audio (otherwise the deck uses browser TTS)
+ */
+export async function renderDeckHtml(presentation, { title, inlineAudio = true } = {}) {
+  const script = presentation.script || []
+  const slides = []
+  for (const slide of script) {
+    slides.push({
+      type: slide.type,
+      content: slide.content,
+      narration: slide.narration || '',
+      duration: slide.duration,
+      words: slide.words || splitWords(slide.narration),
+      audio: inlineAudio ? await audioDataUri(slide.audioUrl) : null
+    })
+  }
+
+  const deckTitle = title || script.find(s => s.type === 'title')?.content?.title || 'Presentation'
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(deckTitle)}</title>
+<style>${DECK_STYLES}</style>
+</head>
+<body>
+<div id="stage"></div>
+<div id="captions"></div>
+<div id="progress"><div></div></div>
+<div id="controls">
+  <button id="prev">◀ Prev</button>
+  <button id="play">▶ Play</button>
+  <button id="next">Next ▶</button>
+  <span id="counter"></span>
+</div>
+<script>
+const DECK = ${scriptJson({ title: deckTitle, generatedAt: presentation.generatedAt, slides })}
+${DECK_PLAYER}
+</script>
+</body>
+</html>
+`
+}
+
+function run(command, args) {
+  try {
+    return execFileSync(command, args, { stdio: 'pipe', timeout: COMMAND_TIMEOUT_MS }).toString()
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new Error(`${command} not found (needed for video export)`)
+    throw new Error(`${command} failed: ${error.stderr?.toString().trim() || error.message}`)
+  }
+}
+
+/**
+ * Render a presentation to MP4: one still frame per slide, held for the
+ * longer of the slide's duration and its narration
+ * @param {Object} presentation - cached { script }
+ * @param {string} outputPath - .mp4 to write
+ * @param {Object} [options] - overrides for VIDEO_DEFAULTS
+ */
+export async function exportVideo(presentation, outputPath, options = {}) {
+  const { chrome, ffmpeg, ffprobe, width, height } = { ...VIDEO_DEFAULTS, ...options }
+  const script = presentation.script || []
+  if (script.length === 0) throw new Error('Presentation has no slides')
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'presentation-'))
+  try {
+    // Frames don't need the audio, so keep the deck small
+    const deckPath = path.join(workDir, 'deck.html')
+    await fs.writeFile(deckPath, await renderDeckHtml(presentation, { inlineAudio: false }))
+
+    const segments = []
+    for (let i = 0; i < script.length; i++) {
+      const slide = script[i]
+      const framePath = path.join(workDir, `slide-${i}.png`)
+      run(chrome, [
+        '--headless', '--disable-gpu', '--hide-scrollbars', '--no-sandbox',
+        `--window-size=${width},${height}`,
+        '--virtual-time-budget=1000',
+        `--screenshot=${framePath}`,
+        `file://${deckPath}#frame=${i}`
+      ])
+
+      const audio = slide.audioUrl && audioPath(slide.audioUrl)
+      const hasAudio = audio && await fs.access(audio).then(() => true, () => false)
+      const narrationMs = hasAudio
+        ? parseFloat(run(ffprobe, ['-v', 'error', '-show_entries', 'format=duration', '-of', 'csv=p=0', audio])) * 1000
+        : 0
+      const seconds = (Math.max(slide.duration || 8000, narrationMs || 0) / 1000).toFixed(3)
+
+      const segmentPath = path.join(workDir, `slide-${i}.mp4`)
+      run(ffmpeg, [
+        '-y', '-loglevel', 'error',
+        '-loop', '1', '-i', framePath,
+        ...(hasAudio ? ['-i', audio] : ['-f', 'lavfi', '-i', 'anullsrc=r=44100:cl=stereo']),
+        '-t', seconds,
+        '-vf', `scale=${width}:${height},format=yuv420p`, '-r', '30',
+        '-c:v', 'libx264', '-tune', 'stillimage',
+        '-af', 'apad', '-c:a', 'aac', '-ar', '44100', '-ac', '2',
+        segmentPath
+      ])
+      segments.push(segmentPath)
+      console.log(`  🎞️ Slide ${i + 1}/${script.length} (${seconds}s)`)
+    }
+
+    const listPath = path.join(workDir, 'segments.txt')
+    await fs.writeFile(listPath, segments.map(s => `file '${s}'`).join('\n'))
+    await fs.mkdir(path.dirname(outputPath), { recursive: true })
+    run(ffmpeg, ['-y', '-loglevel', 'error', '-f', 'concat', '-safe', '0', '-i', listPath, '-c', 'copy', outputPath])
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true })
+  }
+}
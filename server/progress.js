@@ -0,0 +1,98 @@
+/**
+ * Progress streaming for long-running AI routes
+ *
+ * A client that sends `Accept: text/event-stream` gets Server-Sent Events
+ * while the handler works, then the usual JSON body as the last event:
+ *
+ *   event: progress  data: { stage, message, step?, total? }
+ *   event: partial   data: { ...whatever the route can show early }
+ *   event: result    data: { ...the JSON response }
+ *   event: error     data: { error, status }
+ *
+ * Other clients get the single JSON response as before. The stream starts
+ * with the first progress event, so validation errors sent before any work
+ * are still plain JSON with a status code. Closing the connection cancels:
+ * handlers call checkpoint() between AI calls and before writing anything.
+ */
+
+import { CORS_HEADERS, sendJson } from './http.js'
+
+function cancelledError() {
+  const error = new Error('Request cancelled by client')
+  error.status = 499
+  error.cancelled = true
+  return error
+}
+
+/**
+ * Progress reporter for one request
+ */
+export function createProgress(req, res) {
+  const wantsStream = (req.headers.accept || '').includes('text/event-stream')
+  const controller = new AbortController()
+  let streaming = false
+
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort(cancelledError())
+  })
+
+  const write = (event, data) => {
+    if (!streaming) {
+      // Handlers that answer with sendJson after a step (or after jobLock's
+      // 'waiting' step) end the stream instead of writing headers again
+      res.progressStream = progress
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        ...CORS_HEADERS
+      })
+      streaming = true
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+  }
+
+  const progress = {
+    signal: controller.signal,
+
+    get isStreaming() {
+      return streaming
+    },
+
+    /**
+     * Report a step: stage is a short machine-readable name
+     * ('planning', 'section', 'validating', 'committing', ...)
+     */
+    step(stage, message, { step, total } = {}) {
+      if (!wantsStream || res.writableEnded) return
+      write('progress', { stage, message, ...(step !== undefined && { step, total }) })
+    },
+
+    /**
+     * Send part of the result early (a generated section, a tree branch)
+     */
+    partial(data) {
+      if (!wantsStream || res.writableEnded) return
+      write('partial', data)
+    },
+
+    /**
+     * Throw if the client has gone away
+     */
+    checkpoint() {
+      controller.signal.throwIfAborted()
+    },
+
+    /**
+     * Final response: an event once streaming, plain JSON otherwise
+     */
+    send(statusCode, data) {
+      if (res.writableEnded || controller.signal.aborted) return
+      if (!streaming) return sendJson(res, statusCode, data)
+      if (statusCode >= 400) write('error', { ...data, status: statusCode })
+      else write('result', data)
+      res.end()
+    }
+  }
+  return progress
+}
@@ -0,0 +1,377 @@
+/**
+ * RAG evaluation
+ *
+ * Scores hierarchical retrieval against hand-written gold sets so changes
+ * to search options or the semantic tree prompts can be compared run to run.
+ *
+ * A gold set (rag-eval/gold/<tutorialId>.json) lists questions with the
+ * tree nodes that answer them and a reference answer:
+ *
+ *   { "tutorialId": "...", "questions": [
+ *     { "question": "...", "expectedNodeIds": ["section-1-chunk-5"], "referenceAnswer": "..." }
+ *   ] }
+ *
+ * Each question is searched once per configuration (hierarchicalSearch
+ * options) and scored with recall@k, reciprocal rank and pruning savings
+ * (the share of embedded nodes the search never had to score). With
+ * `answers`, one configuration also generates an answer that an AI judge
+ * grades for faithfulness to the retrieved context and agreement with the
+ * reference answer.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { ROOT_DIR, CONTENT_DIR } from './config.js'
+import { callAI } from '../ai-config.js'
+import { getTreeEmbeddingInfo } from '../semantic-tree.js'
+import { readSemanticTree } from '../embedding-store.js'
+import { embedQuery, hierarchicalSearch, assembleContext, answerFromContext } from '../hierarchical-rag.js'
+
+export const GOLD_DIR = path.join(ROOT_DIR, 'rag-eval', 'gold')
+export const REPORTS_DIR = path.join(ROOT_DIR, 'rag-eval', 'reports')
+
+export const DEFAULT_KS = [1, 3, 5]
+
+// hierarchicalSearch options per configuration; rag-query matches ragQuery
+export const DEFAULT_CONFIGS = {
+  'default': {},
+  'rag-query': { maxResults: 8, minScore: 0.25 },
+  'no-pruning': { pruneThreshold: -1 },
+  'aggressive-pruning': { pruneThreshold: 0.4 }
+}
+
+const SEARCH_OPTIONS = ['maxResults', 'minScore', 'pruneThreshold', 'maxDepth']
+
+/**
+ * Check a configuration map ({ name: hierarchicalSearch options })
+ */
+export function validateConfigs(configs) {
+  if (!configs || typeof configs !== 'object' || Array.isArray(configs) || Object.keys(configs).length === 0) {
+    throw new Error('Configs must be an object of { name: search options }')
+  }
+  for (const [name, options] of Object.entries(configs)) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error(`Config "${name}" must be an object`)
+    }
+    for (const [key, value] of Object.entries(options)) {
+      if (!SEARCH_OPTIONS.includes(key)) throw new Error(`Config "${name}": unknown option "${key}" (expected ${SEARCH_OPTIONS.join(', ')})`)
+      if (typeof value !== 'number' || Number.isNaN(value)) throw new Error(`Config "${name}": ${key} must be a number`)
+    }
+  }
+  return configs
+}
+
+/**
+ * Load one gold set, checking its shape
+ */
+export async function loadGoldSet(file) {
+  const name = path.basename(file)
+  let gold
+  try {
+    gold = JSON.parse(await fs.readFile(file, 'utf-8'))
+  } catch (e) {
+    throw new Error(`${name}: ${e.code === 'ENOENT' ? 'no such gold set' : e.message}`)
+  }
+
+  const tutorialId = gold.tutorialId || name.replace(/\.json$/, '')
+  if (!Array.isArray(gold.questions) || gold.questions.length === 0) {
+    throw new Error(`${name}: "questions" must be a non-empty array`)
+  }
+  gold.questions.forEach((q, i) => {
+    if (typeof q.question !== 'string' || !q.question.trim()) {
+      throw new Error(`${name}: question ${i + 1} has no "question" text`)
+    }
+    if (!Array.isArray(q.expectedNodeIds) || q.expectedNodeIds.length === 0 || !q.expectedNodeIds.every(id => typeof id === 'string')) {
+      throw new Error(`${name}: question ${i + 1} needs a non-empty "expectedNodeIds" array`)
+    }
+  })
+  return { tutorialId, questions: gold.questions }
+}
+
+/**
+ * Gold set files to evaluate: the named tutorials, or every set in GOLD_DIR
+ */
+export async function findGoldSets(tutorialIds = [], goldDir = GOLD_DIR) {
+  if (tutorialIds.length > 0) return tutorialIds.map(id => path.join(goldDir, `${id}.json`))
+  const files = await fs.readdir(goldDir).catch(() => [])
+  return files.filter(f => f.endsWith('.json')).sort().map(f => path.join(goldDir, f))
+}
+
+/**
+ * Load a semantic tree from the content directory (or a directory of
+ * regenerated trees)
+ */
+export async function loadTree(tutorialId, treesDir = CONTENT_DIR) {
+  const treePath = path.join(treesDir, `${tutorialId}-semantic-tree.json`)
+  try {
+    return (await readSemanticTree(treePath)).tree
+  } catch (e) {
+    throw new Error(e.code === 'ENOENT' ? `No semantic tree at ${path.relative(process.cwd(), treePath)}` : e.message)
+  }
+}
+
+function collectNodeIds(tree) {
+  const ids = new Set()
+  let embedded = 0
+  const walk = (node) => {
+    ids.add(node.id)
+    if (node.embedding) embedded++
+    node.children?.forEach(walk)
+  }
+  walk(tree)
+  return { ids, embedded }
+}
+
+// A retrieved node answers an expected id if it is that node or split from it
+function matchesExpected(nodeId, expectedId) {
+  return nodeId === expectedId || nodeId.startsWith(`${expectedId}-sub-`)
+}
+
+/**
+ * Retrieval metrics for one ranked list of node ids
+ */
+export function scoreRetrieval(retrievedIds, expectedIds, ks = DEFAULT_KS) {
+  const firstHit = retrievedIds.findIndex(id => expectedIds.some(expected => matchesExpected(id, expected)))
+  const recall = {}
+  for (const k of ks) {
+    const top = retrievedIds.slice(0, k)
+    const found = expectedIds.filter(expected => top.some(id => matchesExpected(id, expected))).length
+    recall[k] = found / expectedIds.length
+  }
+  return { recall, reciprocalRank: firstHit === -1 ? 0 : 1 / (firstHit + 1) }
+}
+
+function parseJudgement(text) {
+  const match = text.match(/\{[\s\S]*\}/)
+  if (!match) throw new Error('Judge did not return JSON')
+  const { faithfulness, correctness, unsupportedClaims = [] } = JSON.parse(match[0])
+  const clamp = (value) => Math.min(1, Math.max(0, Number(value) || 0))
+  return { faithfulness: clamp(faithfulness), correctness: clamp(correctness), unsupportedClaims }
+}
+
+/**
+ * Ask the AI to grade an answer against its context and the reference answer
+ */
+export async function judgeAnswer({ question, answer, context, referenceAnswer }) {
+  const response = await callAI(
+    `You grade answers produced by a retrieval-augmented tutor. Return ONLY JSON:
+{"faithfulness": 0-1, "correctness": 0-1, "unsupportedClaims": ["..."]}
+- faithfulness: share of the answer's claims that the CONTEXT supports
+- correctness: how well the answer agrees with the REFERENCE ANSWER (1 if no reference is given and the answer is reasonable)
+- unsupportedClaims: claims in the answer the CONTEXT does not support`,
+    `QUESTION: ${question}
+
+CONTEXT:
+${context}
+
+REFERENCE ANSWER: ${referenceAnswer || '(none)'}
+
+ANSWER TO GRADE:
+${answer}`
+  )
+  return parseJudgement(response)
+}
+
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null)
+
+function summarize(questions, configNames, ks) {
+  const summary = {}
+  for (const name of configNames) {
+    const runs = questions.map(q => q.runs[name])
+    const judged = runs.filter(run => run.judgement)
+    summary[name] = {
+      questions: runs.length,
+      recall: Object.fromEntries(ks.map(k => [k, mean(runs.map(run => run.recall[k]))])),
+      mrr: mean(runs.map(run => run.reciprocalRank)),
+      pruningSavings: mean(runs.map(run => run.pruningSavings)),
+      avgVisited: mean(runs.map(run => run.visited)),
+      ...(judged.length > 0 && {
+        faithfulness: mean(judged.map(run => run.judgement.faithfulness)),
+        correctness: mean(judged.map(run => run.judgement.correctness))
+      })
+    }
+  }
+  return summary
+}
+
+/**
+ * Evaluate one tutorial's gold set under every configuration
+ */
+export async function evaluateTutorial(gold, { configs = DEFAULT_CONFIGS, ks = DEFAULT_KS, treesDir = CONTENT_DIR, answers = null } = {}) {
+  const tree = await loadTree(gold.tutorialId, treesDir)
+  const { ids, embedded } = collectNodeIds(tree)
+  if (embedded === 0) {
+    throw new Error(`${gold.tutorialId} has no embeddings (generate them from the semantic tree view first)`)
+  }
+
+  const missing = [...new Set(gold.questions.flatMap(q => q.expectedNodeIds))].filter(id => !ids.has(id))
+  if (missing.length > 0) {
+    console.log(`  ⚠️ Expected node ids not in the tree (regenerated?): ${missing.join(', ')}`)
+  }
+
+  const configNames = Object.keys(configs)
+  const questions = []
+  for (const [i, q] of gold.questions.entries()) {
+    console.log(`  ❓ ${i + 1}/${gold.questions.length} ${q.question}`)
+    // One embedding per question, shared by every configuration
+    const queryEmbedding = await embedQuery(tree, q.question)
+    const runs = {}
+
+    for (const name of configNames) {
+      const stats = { visited: 0 }
+      const results = await hierarchicalSearch(tree, queryEmbedding, { ...configs[name], stats })
+      const retrieved = results.map(r => ({ id: r.node.id, title: r.node.title, score: r.score }))
+      const run = {
+        retrieved,
+        ...scoreRetrieval(retrieved.map(r => r.id), q.expectedNodeIds, ks),
+        visited: stats.visited,
+        pruningSavings: 1 - stats.visited / embedded
+      }
+
+      if (name === answers) {
+        const { context } = assembleContext(results)
+        run.answer = await answerFromContext(q.question, context)
+        try {
+          run.judgement = await judgeAnswer({ question: q.question, answer: run.answer, context, referenceAnswer: q.referenceAnswer })
+        } catch (e) {
+          console.log(`    ⚠️ Could not judge answer: ${e.message}`)
+        }
+      }
+      runs[name] = run
+    }
+
+    questions.push({
+      question: q.question,
+      expectedNodeIds: q.expectedNodeIds,
+      ...(q.referenceAnswer && { referenceAnswer: q.referenceAnswer }),
+      runs
+    })
+  }
+
+  return {
+    tutorialId: gold.tutorialId,
+    embedding: getTreeEmbeddingInfo(tree),
+    embeddedNodes: embedded,
+    missingNodeIds: missing,
+    questions,
+    summary: summarize(questions, configNames, ks)
+  }
+}
+
+/**
+ * Combine tutorial results into a report; the overall summary weights
+ * every question equally
+ */
+export function buildReport(tutorials, { configs, ks, label = null, treesDir = CONTENT_DIR, answers = null }) {
+  return {
+    createdAt: new Date().toISOString(),
+    label,
+    treesDir: path.relative(ROOT_DIR, treesDir) || '.',
+    ks,
+    configs,
+    answersConfig: answers,
+    summary: summarize(tutorials.flatMap(t => t.questions), Object.keys(configs), ks),
+    tutorials
+  }
+}
+
+const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`)
+
+const formatMetric = (value) => (value === null || value === undefined ? '–' : value.toFixed(3))
+
+function metricCell(value, baselineValue) {
+  if (baselineValue === null || baselineValue === undefined || value === null || value === undefined) {
+    return `<td>${formatMetric(value)}</td>`
+  }
+  const delta = value - baselineValue
+  const cls = Math.abs(delta) < 0.0005 ? 'same' : delta > 0 ? 'up' : 'down'
+  return `<td>${formatMetric(value)} <span class="${cls}">${delta >= 0 ? '+' : ''}${delta.toFixed(3)}</span></td>`
+}
+
+function summaryTable(summary, ks, baselineSummary = {}) {
+  const hasJudged = Object.values(summary).some(s => s.faithfulness !== undefined)
+  const head = [
+    'Config',
+    ...ks.map(k => `Recall@${k}`),
+    'MRR',
+    'Pruning savings',
+    'Nodes scored',
+    ...(hasJudged ? ['Faithfulness', 'Correctness'] : [])
+  ]
+  const rows = Object.entries(summary).map(([name, s]) => {
+    const base = baselineSummary[name] || {}
+    return `<tr><th>${escapeHtml(name)}</th>${[
+      ...ks.map(k => metricCell(s.recall[k], base.recall?.[k])),
+      metricCell(s.mrr, base.mrr),
+      metricCell(s.pruningSavings, base.pruningSavings),
+      `<td>${s.avgVisited?.toFixed(1) ?? '–'}</td>`,
+      ...(hasJudged ? [metricCell(s.faithfulness, base.faithfulness), metricCell(s.correctness, base.correctness)] : [])
+    ].join('')}</tr>`
+  })
+  return `<table><thead><tr>${head.map(h => `<th>${h}</th>`).join('')}</tr></thead><tbody>${rows.join('')}</tbody></table>`
+}
+
+function questionDetails(q, expectedIds) {
+  const runs = Object.entries(q.runs).map(([name, run]) => {
+    const items = run.retrieved.map(r => {
+      const hit = expectedIds.some(expected => matchesExpected(r.id, expected))
+      return `<li class="${hit ? 'hit' : ''}">${escapeHtml(r.title)} <code>${escapeHtml(r.id)}</code> ${(r.score * 100).toFixed(0)}%</li>`
+    })
+    const answer = run.answer
+      ? `<p class="answer">${escapeHtml(run.answer)}</p>${run.judgement ? `<p>Faithfulness ${formatMetric(run.judgement.faithfulness)}, correctness ${formatMetric(run.judgement.correctness)}${run.judgement.unsupportedClaims.length ? `; unsupported: ${run.judgement.unsupportedClaims.map(escapeHtml).join('; ')}` : ''}</p>` : ''}`
+      : ''
+    return `<div class="run"><h4>${escapeHtml(name)} · RR ${formatMetric(run.reciprocalRank)} · ${run.visited} scored</h4><ol>${items.join('') || '<li>No results</li>'}</ol>${answer}</div>`
+  })
+  return `<details><summary>${escapeHtml(q.question)} <code>${q.expectedNodeIds.map(escapeHtml).join(', ')}</code></summary>
+${q.referenceAnswer ? `<p class="reference">${escapeHtml(q.referenceAnswer)}</p>` : ''}<div class="runs">${runs.join('')}</div></details>`
+}
+
+const REPORT_STYLES = `
+body { font-family: system-ui, -apple-system, 'Segoe UI', sans-serif; color: #1f2937; max-width: 1100px; margin: 2rem auto; padding: 0 1rem; }
+h1 { font-size: 1.5rem; } h2 { margin-top: 2rem; } h4 { margin: 0 0 .25rem; font-size: .85rem; }
+.meta { color: #6b7280; font-size: .85rem; }
+table { border-collapse: collapse; width: 100%; font-size: .9rem; }
+th, td { border-bottom: 1px solid #e5e7eb; padding: .4rem .6rem; text-align: left; white-space: nowrap; }
+.up { color: #16a34a; } .down { color: #dc2626; } .same { color: #9ca3af; }
+details { border: 1px solid #e5e7eb; border-radius: .5rem; padding: .5rem .75rem; margin: .5rem 0; }
+summary { cursor: pointer; }
+.runs { display: grid; grid-template-columns: repeat(auto-fill, minmax(250px, 1fr)); gap: .75rem; margin-top: .5rem; }
+.run ol { margin: 0; padding-left: 1.25rem; font-size: .8rem; }
+.hit { color: #16a34a; font-weight: 600; }
+.reference, .answer { font-size: .85rem; white-space: pre-wrap; background: #f9fafb; padding: .5rem; border-radius: .375rem; }
+code { font-size: .75rem; color: #6b7280; }
+`
+
+/**
+ * Render a report as a standalone HTML page, with deltas against a
+ * baseline report when given
+ */
+export function renderReportHtml(report, baseline = null) {
+  const title = `RAG evaluation${report.label ? ` — ${report.label}` : ''}`
+  const baselineTutorials = new Map((baseline?.tutorials || []).map(t => [t.tutorialId, t]))
+
+  const tutorials = report.tutorials.map(t => `
+<h2>${escapeHtml(t.tutorialId)}</h2>
+<p class="meta">${t.questions.length} questions · ${t.embeddedNodes} embedded nodes · ${escapeHtml(t.embedding?.provider || 'unknown')} ${t.embedding?.dimensions || ''}${t.missingNodeIds.length ? ` · ⚠️ missing ids: ${t.missingNodeIds.map(escapeHtml).join(', ')}` : ''}</p>
+${summaryTable(t.summary, report.ks, baselineTutorials.get(t.tutorialId)?.summary)}
+${t.questions.map(q => questionDetails(q, q.expectedNodeIds)).join('\n')}`)
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">${escapeHtml(report.createdAt)} · trees from ${escapeHtml(report.treesDir)}${baseline ? ` · deltas against ${escapeHtml(baseline.label || baseline.createdAt)}` : ''}</p>
+<h2>All tutorials</h2>
+${summaryTable(report.summary, report.ks, baseline?.summary)}
+<h3>Configurations</h3>
+<table><tbody>${Object.entries(report.configs).map(([name, options]) => `<tr><th>${escapeHtml(name)}</th><td><code>${escapeHtml(JSON.stringify(options))}</code></td></tr>`).join('')}</tbody></table>
+${tutorials.join('\n')}
+</body>
+</html>
+`
+}
@@ -0,0 +1,171 @@
+/**
+ * Readability-style main content extraction
+ *
+ * Parses HTML into a loose element tree, scores containers by the
+ * paragraphs they hold (more text and commas up, link-heavy and
+ * sidebar/comment-looking containers down) and returns the source HTML of
+ * the best one, so boilerplate around an article doesn't end up in a source.
+ */
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'])
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'noscript', 'svg'])
+// Opening one of these closes an open element of the same kind
+const AUTO_CLOSE_TAGS = new Set(['p', 'li', 'dt', 'dd', 'tr', 'td', 'th', 'option'])
+
+const PARAGRAPH_TAGS = new Set(['p', 'pre', 'td', 'blockquote', 'li'])
+const SKIP_TAGS = new Set(['nav', 'header', 'footer', 'aside', 'form', 'menu'])
+const POSITIVE = /article|body|content|entry|hentry|main|page|post|text|blog|story/i
+const NEGATIVE = /comment|sidebar|footer|masthead|menu|nav|share|social|promo|related|advert|sponsor|cookie|banner|subscribe|popup|modal|breadcrumb|widget/i
+
+// Below this much text the whole page is used instead
+const MIN_ARTICLE_CHARS = 250
+
+/**
+ * Loose HTML tree: { tag, attrs, children, start, end } with text children as strings.
+ * start/end are offsets of the element in the source.
+ */
+export function parseHtml(html) {
+  const root = { tag: '#root', attrs: '', children: [], start: 0, end: html.length, parent: null }
+  let current = root
+  const token = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g
+  let match
+
+  while ((match = token.exec(html))) {
+    const [text, closing, opening, attrs] = match
+
+    if (opening) {
+      const tag = opening.toLowerCase()
+      if (AUTO_CLOSE_TAGS.has(tag) && current.tag === tag) {
+        current.end = match.index
+        current = current.parent
+      }
+      const node = { tag, attrs, children: [], start: match.index, end: token.lastIndex, parent: current }
+      current.children.push(node)
+      if (RAW_TEXT_TAGS.has(tag)) {
+        // Skip to the closing tag without parsing the contents
+        const close = html.toLowerCase().indexOf(`</${tag}`, token.lastIndex)
+        const after = close === -1 ? html.length : html.indexOf('>', close) + 1 || html.length
+        node.end = after
+        token.lastIndex = after
+      } else if (!VOID_TAGS.has(tag) && !attrs.trim().endsWith('/')) {
+        current = node
+      }
+    } else if (closing) {
+      const tag = closing.toLowerCase()
+      // Close up to the matching open element; ignore stray closing tags
+      let node = current
+      while (node !== root && node.tag !== tag) node = node.parent
+      if (node !== root) {
+        for (let open = current; open !== node.parent; open = open.parent) open.end = token.lastIndex
+        current = node.parent
+      }
+    } else if (text[0] !== '<' || text === '<') {
+      current.children.push(text)
+    }
+  }
+  return root
+}
+
+const attr = (node, name) => new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`, 'i').exec(node.attrs)?.[1] || ''
+
+function textOf(node) {
+  if (typeof node === 'string') return node
+  if (RAW_TEXT_TAGS.has(node.tag)) return ''
+  return node.children.map(textOf).join('')
+}
+
+function linkTextLength(node) {
+  if (typeof node === 'string') return 0
+  if (node.tag === 'a') return textOf(node).trim().length
+  return node.children.reduce((sum, child) => sum + linkTextLength(child), 0)
+}
+
+function classWeight(node) {
+  const names = `${attr(node, 'class')} ${attr(node, 'id')} ${attr(node, 'role')}`
+  let weight = 0
+  if (node.tag === 'article' || node.tag === 'main' || /\bmain\b/.test(attr(node, 'role'))) weight += 25
+  if (POSITIVE.test(names)) weight += 25
+  if (NEGATIVE.test(names)) weight -= 25
+  return weight
+}
+
+function find(node, test, found = []) {
+  if (typeof node === 'string') return found
+  if (test(node)) found.push(node)
+  for (const child of node.children) find(child, test, found)
+  return found
+}
+
+/**
+ * The element holding the page's main content, or null if nothing stands out
+ */
+export function findMainContent(root) {
+  const scores = new Map()
+  const addScore = (node, amount) => {
+    if (!node || node.tag === '#root') return
+    if (!scores.has(node)) scores.set(node, classWeight(node))
+    scores.set(node, scores.get(node) + amount)
+  }
+
+  const insideSkipped = (node) => {
+    for (let n = node.parent; n; n = n.parent) {
+      if (SKIP_TAGS.has(n.tag)) return true
+    }
+    return false
+  }
+
+  for (const para of find(root, n => PARAGRAPH_TAGS.has(n.tag))) {
+    const text = textOf(para).replace(/\s+/g, ' ').trim()
+    if (text.length < 25 || insideSkipped(para)) continue
+
+    const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3)
+    addScore(para.parent, score)
+    addScore(para.parent?.parent, score / 2)
+  }
+
+  let best = null
+  let bestScore = 0
+  for (const [node, score] of scores) {
+    const length = textOf(node).length || 1
+    const adjusted = score * (1 - linkTextLength(node) / length)
+    if (adjusted > bestScore) {
+      best = node
+      bestScore = adjusted
+    }
+  }
+
+  if (!best || textOf(best).replace(/\s+/g, ' ').trim().length < MIN_ARTICLE_CHARS) return null
+  return best
+}
+
+function metaContent(html, name) {
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const key = /\b(?:property|name)\s*=\s*["']([^"']+)["']/i.exec(tag)?.[1]
+    if (key?.toLowerCase() === name) return /\bcontent\s*=\s*["']([^"']*)["']/i.exec(tag)?.[1]?.trim() || null
+  }
+  return null
+}
+
+/**
+ * Main content of a page plus its metadata
+ * @returns {{ html: string, title: string|null, byline: string|null, siteName: string|null, isArticle: boolean }}
+ *   `html` is the main content element's source, or the whole page when none stands out
+ */
+export function extractArticle(html) {
+  const root = parseHtml(html)
+  const main = findMainContent(root)
+  const h1 = find(root, n => n.tag === 'h1')[0]
+
+  const title = metaContent(html, 'og:title')
+    || /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html)?.[1]?.trim()
+    || (h1 && textOf(h1).trim())
+    || null
+
+  return {
+    html: main ? html.slice(main.start, main.end) : html,
+    title,
+    byline: metaContent(html, 'author') || metaContent(html, 'article:author'),
+    siteName: metaContent(html, 'og:site_name'),
+    isArticle: Boolean(main)
+  }
+}
@@ -0,0 +1,254 @@
+/**
+ * Re-anchoring after structural edits
+ *
+ * /regroup, /edit-tutorial and /structure-change rewrite a tutorial's content
+ * tree, which can move, reword or drop the text annotations point at. After
+ * such an edit, reanchorTutorial() finds each annotation again by its text
+ * anchor (src/utils/textAnchors.js):
+ *
+ * - canonical annotations that lost their inline marker get it back
+ * - overlay layer annotations get fresh paths and anchors
+ *
+ * Annotations whose text can't be found are reported, not dropped. Canonical
+ * annotations the edit removed are never put back on their own: they go to
+ * the "orphaned" team layer for review.
+ *
+ * Nothing is written here: callers save the tutorial first, then the
+ * returned layers with saveReanchoredLayers().
+ */
+
+import { insertMarker } from '../src/utils/annotationTree.js'
+import { createAnchor, resolveAnchor, getSelector } from '../src/utils/textAnchors.js'
+import { listLayers, loadLayer, saveLayer } from './layers.js'
+
+export const ORPHAN_LAYER_ID = 'orphaned'
+
+// Quote length taken from before a legacy marker
+const LEGACY_QUOTE_LENGTH = 60
+
+const quiet = () => {}
+
+/**
+ * Annotation elements (props.id + props.sourceId) and their FootnoteRef markers
+ */
+function collectAnnotations(root) {
+  const elements = new Map() // annotation id -> element
+  const markers = new Map() // annotation id -> { marker, path, siblings, index, repeats }
+
+  const walk = (node, path, siblings, index) => {
+    if (Array.isArray(node)) return node.forEach((child, i) => walk(child, [...path, i], node, i))
+    if (!node || typeof node !== 'object') return
+
+    if (node.props?.id && node.props?.sourceId) elements.set(node.props.id, node)
+    if (node.type === 'FootnoteRef' && node.props?.targetId) {
+      // The first marker is the one the annotation is anchored to; a passage cited twice has more
+      const first = markers.get(node.props.targetId)
+      if (first) first.repeats.push({ siblings, index })
+      else markers.set(node.props.targetId, { marker: node, path, siblings, index, repeats: [] })
+    }
+
+    if (node.children !== undefined) walk(node.children, [...path, 'children'])
+    if (node.props?.children !== undefined) walk(node.props.children, [...path, 'props', 'children'])
+  }
+
+  walk(root, [])
+  return { elements, markers }
+}
+
+// Last few words of a string, at most `max` characters
+function tailWords(text, max) {
+  const trimmed = text.trimEnd()
+  if (trimmed.length <= max) return trimmed
+  const tail = trimmed.slice(-max)
+  const space = tail.indexOf(' ')
+  return space !== -1 && space < tail.length - 1 ? tail.slice(space + 1) : tail
+}
+
+/**
+ * Anchor for an annotation inserted before anchors were recorded:
+ * the text its marker follows
+ */
+function legacyAnchor(root, markerInfo) {
+  const { siblings, index, path } = markerInfo
+  const before = siblings?.[index - 1]
+  if (typeof before !== 'string' || !before.trim()) return null
+  return createAnchor(root, tailWords(before, LEGACY_QUOTE_LENGTH), [...path.slice(0, -1), index - 1])
+}
+
+/**
+ * Re-attach canonical annotations after an edit
+ * @param {Object} before - tutorial before the edit
+ * @param {Object} after - tutorial after the edit (not modified)
+ * @returns {{ content: Object, reattached: Object[], orphans: Object[] }}
+ *   orphans carry `element` when the edit removed the annotation itself
+ */
+export function reanchorContent(before, after) {
+  const old = collectAnnotations(before.content)
+  let content = JSON.parse(JSON.stringify(after))
+  const reattached = []
+  const orphans = []
+
+  for (const [id, element] of old.elements) {
+    const current = collectAnnotations(content.content)
+    const currentElement = current.elements.get(id)
+    const oldMarker = old.markers.get(id)
+    const anchor = element.props.anchor || (oldMarker && legacyAnchor(before.content, oldMarker))
+    const quote = getSelector(anchor, 'TextQuoteSelector')?.exact
+
+    // Intact: refresh the anchor's context and position from where the marker is now
+    if (currentElement && (current.markers.has(id) || !oldMarker)) {
+      const marker = current.markers.get(id)
+      if (element.props.anchor && quote && marker?.siblings) {
+        const fresh = createAnchor(content.content, quote, [...marker.path.slice(0, -1), marker.index - 1])
+        if (fresh) currentElement.props.anchor = fresh
+      }
+      continue
+    }
+
+    const target = currentElement && anchor ? resolveAnchor(content.content, anchor) : { found: false }
+    if (!target.found) {
+      // The edit removed the annotation: its leftover marker would point nowhere
+      const stale = !currentElement && current.markers.get(id)
+      if (stale) {
+        // Last first, so earlier indices in a shared array stay valid
+        for (const { siblings, index } of [stale, ...stale.repeats].reverse()) siblings?.splice(index, 1)
+      }
+      orphans.push({
+        id,
+        quote: quote || null,
+        action: oldMarker?.marker.props?.type || null,
+        anchor: anchor || null,
+        ...(target.method === 'element' && { suggestion: target.exact }),
+        ...(!currentElement && { element })
+      })
+      continue
+    }
+
+    const action = oldMarker?.marker.props?.type || 'explain'
+    content = insertMarker(content, target.exact, id, action, { path: target.path, log: quiet }) || content
+    collectAnnotations(content.content).elements.get(id).props.anchor = target.anchor
+    reattached.push({ id, quote: target.exact, method: target.method })
+  }
+
+  return { content, reattached, orphans }
+}
+
+/**
+ * Refresh every layer annotation's path and anchor against the edited content
+ * @returns {Promise<{ reattached: Object[], orphans: Object[], changed: Object[] }>}
+ *   `changed` are the layers to save
+ */
+async function reanchorLayers(tutorialId, before, after) {
+  const reattached = []
+  const orphans = []
+  const changedLayers = []
+
+  for (const layer of await listLayers(tutorialId)) {
+    let changed = false
+
+    for (const annotation of layer.annotations) {
+      const anchor = annotation.anchor || createAnchor(before.content, annotation.quote, annotation.path)
+      const target = anchor ? resolveAnchor(after.content, anchor) : { found: false }
+      if (!target.found) {
+        orphans.push({
+          layerId: layer.id,
+          id: annotation.id,
+          quote: annotation.quote,
+          ...(target.method === 'element' && { suggestion: target.exact })
+        })
+        continue
+      }
+
+      if (target.method !== 'quote') {
+        reattached.push({ layerId: layer.id, id: annotation.id, quote: target.exact, method: target.method })
+      }
+      const next = { quote: target.exact, path: target.path, anchor: target.anchor }
+      if (JSON.stringify(next) !== JSON.stringify({ quote: annotation.quote, path: annotation.path, anchor: annotation.anchor })) {
+        Object.assign(annotation, next)
+        changed = true
+      }
+    }
+
+    if (changed) changedLayers.push(layer)
+  }
+
+  return { reattached, orphans, changed: changedLayers }
+}
+
+// Keep removed canonical annotations where the layers panel can show them
+async function orphanLayer(tutorialId, orphans) {
+  const removed = orphans.filter(o => o.element)
+  if (removed.length === 0) return null
+
+  const now = new Date().toISOString()
+  const layer = await loadLayer(tutorialId, ORPHAN_LAYER_ID) || {
+    id: ORPHAN_LAYER_ID,
+    tutorialId,
+    name: 'Orphaned annotations',
+    kind: 'team',
+    createdAt: now,
+    annotations: []
+  }
+
+  for (const orphan of removed) {
+    layer.annotations = layer.annotations.filter(a => a.id !== orphan.id)
+    layer.annotations.push({
+      id: orphan.id,
+      action: orphan.action || 'explain',
+      quote: orphan.quote || '',
+      path: null,
+      anchor: orphan.anchor,
+      element: orphan.element,
+      createdAt: now
+    })
+  }
+  return layer
+}
+
+/**
+ * Re-anchor canonical and layer annotations after a structural edit
+ * @param {string} tutorialId - content file id (layers are stored under it)
+ * @param {Object} before - tutorial before the edit
+ * @param {Object} after - tutorial after the edit
+ * @returns {Promise<{ content: Object, report: Object, layers: Object[] }>}
+ *   `content` is `after` with annotations re-attached; `layers` changed and
+ *   should be saved with saveReanchoredLayers() once the content is written
+ */
+export async function reanchorTutorial(tutorialId, before, after) {
+  const { content, reattached, orphans } = reanchorContent(before, after)
+  const layers = await reanchorLayers(tutorialId, before, content)
+  const orphaned = await orphanLayer(tutorialId, orphans)
+
+  const report = {
+    annotations: {
+      reattached,
+      orphans: orphans.map(({ id, quote, suggestion, element }) => ({ id, quote, suggestion, removed: !!element }))
+    },
+    layers: { reattached: layers.reattached, orphans: layers.orphans }
+  }
+
+  const reattachedCount = reattached.length + layers.reattached.length
+  const orphanCount = orphans.length + layers.orphans.length
+  if (reattachedCount > 0 || orphanCount > 0) {
+    console.log(`🔗 Re-anchored annotations: ${reattachedCount} re-attached, ${orphanCount} orphaned`)
+    for (const orphan of [...orphans, ...layers.orphans]) {
+      console.log(`  ⚠️ Could not re-attach ${orphan.id}${orphan.layerId ? ` (layer ${orphan.layerId})` : ''}: "${String(orphan.quote || '').slice(0, 40)}"`)
+    }
+  }
+
+  return {
+    content,
+    report,
+    layers: orphaned ? [...layers.changed, orphaned] : layers.changed
+  }
+}
+
+/**
+ * Write the layers reanchorTutorial() changed
+ * @returns {Promise<string[]>} layer file paths to commit
+ */
+export async function saveReanchoredLayers(layers) {
+  const layerPaths = []
+  for (const layer of layers) layerPaths.push(await saveLayer(layer))
+  return layerPaths
+}
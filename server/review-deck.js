@@ -0,0 +1,167 @@
+/**
+ * Review deck
+ *
+ * Spaced-repetition cards from every `<tutorialId>-quiz.json` file and every
+ * inline `Quiz` node in the tutorials. Each card links back to the section
+ * it came from: inline questions by the Section they sit in, quiz-file
+ * questions by the section whose text best matches the question and its
+ * explanation.
+ *
+ *   { id, tutorialId, tutorialTitle, sectionTitle, anchor, source: 'quiz' | 'inline', question }
+ *
+ * `question` is in QuizEngine format. Used by GET /api/review/deck and the
+ * `virtual:review-deck` Vite plugin.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { CONTENT_DIR } from './config.js'
+import { buildTutorialDocs, tokenize } from './search-index.js'
+import { getSectionAnchors } from '../src/utils/sectionAnchor.js'
+import { quizCardId, inlineCardId } from '../src/utils/spacedRepetition.js'
+import { normalizeInlineQuestions } from '../src/components/QuizEngine/InlineQuizResults.js'
+
+const QUIZ_SUFFIX = '-quiz.json'
+const NON_TUTORIAL = /-(quiz|semantic-tree)\.json$/
+
+const cache = new Map() // file -> { key, cards }
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.join(CONTENT_DIR, file), 'utf-8'))
+}
+
+function mtime(file) {
+  try {
+    return fs.statSync(path.join(CONTENT_DIR, file)).mtimeMs
+  } catch {
+    return null
+  }
+}
+
+function collectQuizNodes(node, found = []) {
+  if (!node || typeof node !== 'object') return found
+  if (Array.isArray(node)) {
+    node.forEach(child => collectQuizNodes(child, found))
+    return found
+  }
+  if (node.type === 'Quiz') found.push(node)
+  if (node.children) collectQuizNodes(node.children, found)
+  return found
+}
+
+/**
+ * Cards for the inline Quiz nodes in one tutorial
+ */
+function inlineCards(tutorialId, tutorial) {
+  const title = tutorial.title || tutorial.meta?.title || tutorialId
+  const children = tutorial.content?.children
+  const topLevel = Array.isArray(children) ? children : [tutorial.content]
+  const anchors = getSectionAnchors(tutorial.content)
+  const cards = []
+  const seen = new Set()
+
+  for (const node of topLevel) {
+    const sectionTitle = node?.type === 'Section' ? node.props?.title || null : null
+    for (const quiz of collectQuizNodes(node)) {
+      for (const question of normalizeInlineQuestions(quiz)) {
+        const id = inlineCardId(tutorialId, question.key)
+        if (seen.has(id)) continue
+        seen.add(id)
+        cards.push({
+          id,
+          tutorialId,
+          tutorialTitle: title,
+          sectionTitle,
+          anchor: anchors.get(node) || null,
+          source: 'inline',
+          question
+        })
+      }
+    }
+  }
+  return cards
+}
+
+// Section whose terms overlap most with the question, explanation and concept
+function matchSection(docs, question) {
+  const terms = new Set(tokenize([question.question, question.explanation, question.concept].filter(Boolean).join(' ')))
+  let best = null
+  let bestScore = 0
+
+  for (const doc of docs) {
+    if (doc.sectionIndex === null) continue
+    let score = 0
+    for (const term of terms) {
+      if (doc.tf[term]) score += Math.log(1 + doc.tf[term])
+    }
+    score /= Math.sqrt(doc.length || 1)
+    if (score > bestScore) {
+      best = doc
+      bestScore = score
+    }
+  }
+  return best
+}
+
+/**
+ * Cards for a quiz file, matched against its tutorial's sections
+ */
+function quizCards(quizFile) {
+  const quiz = readJson(quizFile)
+  // The quiz page is keyed by file name, so card ids are too
+  const tutorialId = quizFile.slice(0, -QUIZ_SUFFIX.length)
+
+  let tutorial = null
+  try {
+    tutorial = readJson(`${tutorialId}.json`)
+  } catch {
+    // Quiz without its tutorial: cards link to the quiz page's tutorial id only
+  }
+  const docs = tutorial ? buildTutorialDocs(tutorialId, tutorial) : []
+
+  return (quiz.questions || []).filter(q => q?.id && q.question).map(question => {
+    const section = matchSection(docs, question)
+    return {
+      id: quizCardId(tutorialId, quiz.id || tutorialId, question.id),
+      tutorialId,
+      tutorialTitle: tutorial?.title || tutorial?.meta?.title || quiz.title || tutorialId,
+      sectionTitle: section?.sectionTitle || null,
+      anchor: section?.anchor || null,
+      source: 'quiz',
+      question: { points: 10, ...question }
+    }
+  })
+}
+
+function loadCards(file) {
+  const isQuiz = file.endsWith(QUIZ_SUFFIX)
+  // Quiz cards also depend on the tutorial they're matched against
+  const key = isQuiz
+    ? `${mtime(file)}:${mtime(`${file.slice(0, -QUIZ_SUFFIX.length)}.json`)}`
+    : `${mtime(file)}`
+
+  const cached = cache.get(file)
+  if (cached?.key === key) return cached.cards
+
+  let cards = []
+  try {
+    cards = isQuiz ? quizCards(file) : inlineCards(file.replace(/\.json$/, ''), readJson(file))
+  } catch (e) {
+    console.warn(`⚠️ Review deck: skipping ${file}:`, e.message)
+  }
+  cache.set(file, { key, cards })
+  return cards
+}
+
+/**
+ * Build the full deck, ordered by tutorial id
+ */
+export function buildReviewDeck() {
+  const cards = []
+  for (const file of fs.readdirSync(CONTENT_DIR).sort()) {
+    if (!file.endsWith('.json') || file.startsWith('.')) continue
+    if (NON_TUTORIAL.test(file) && !file.endsWith(QUIZ_SUFFIX)) continue
+    cards.push(...loadCards(file))
+  }
+  return cards
+}
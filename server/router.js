@@ -0,0 +1,85 @@
+/**
+ * Minimal router for the annotation server
+ * 
+ * Routes are plain objects: { method, path, handler, description, lock? }.
+ * Paths may contain `:param` segments (e.g. /api/tutorial/:tutorialId).
+ * `lock(ctx)` returns a key for routes that write files: requests with the
+ * same key run one at a time (see jobs.js).
+ * Handlers receive the middleware context { req, res, url, params, body, progress, job }.
+ */
+
+import { sendJson } from './http.js'
+
+/**
+ * Turn '/api/tutorial/:tutorialId' into a regex plus its param names
+ */
+function compilePath(routePath) {
+  const keys = []
+  const pattern = routePath.replace(/:(\w+)/g, (_, key) => {
+    keys.push(key)
+    return '([^/]+)'
+  })
+  return { regex: new RegExp(`^${pattern}$`), keys }
+}
+
+export function createRouter({ middleware = [] } = {}) {
+  const routes = []
+
+  /**
+   * Register routes; `group` labels them in the /routes listing
+   */
+  function add(newRoutes, group) {
+    for (const route of newRoutes) {
+      const existing = routes.find(r => r.method === route.method && r.path === route.path)
+      if (existing) {
+        throw new Error(`Duplicate route: ${route.method} ${route.path}`)
+      }
+      routes.push({ ...route, group, ...compilePath(route.path) })
+    }
+  }
+
+  function match(method, pathname) {
+    for (const route of routes) {
+      if (route.method !== method) continue
+      const m = route.regex.exec(pathname)
+      if (m) {
+        const params = Object.fromEntries(route.keys.map((key, i) => [key, decodeURIComponent(m[i + 1])]))
+        return { route, params }
+      }
+    }
+    return null
+  }
+
+  /**
+   * Route table without handlers, for GET /routes and the startup banner
+   */
+  function listRoutes() {
+    return routes.map(({ method, path, description, group }) => ({ method, path, description, group }))
+  }
+
+  /**
+   * http.createServer request listener
+   */
+  async function handle(req, res) {
+    let url, found
+    try {
+      url = new URL(req.url, `http://${req.headers.host || 'localhost'}`)
+      found = match(req.method, url.pathname)
+    } catch (error) {
+      // Malformed URL or percent-escape. This runs before the middleware chain,
+      // so errorHandler can't catch it: answer here instead of crashing.
+      return sendJson(res, 400, { error: `Bad request URL: ${error.message}` })
+    }
+    const ctx = { req, res, url, route: found?.route, params: found?.params || {}, body: {} }
+
+    const dispatch = async () => {
+      if (!ctx.route) return sendJson(res, 404, { error: 'Not found' })
+      return ctx.route.handler(ctx)
+    }
+
+    const run = (i) => (i < middleware.length ? middleware[i](ctx, () => run(i + 1)) : dispatch())
+    await run(0)
+  }
+
+  return { add, listRoutes, handle }
+}
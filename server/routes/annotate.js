@@ -0,0 +1,129 @@
+/**
+ * Annotation routes
+ *
+ * Generate AI annotations for selected text. With a `layer`, the annotation
+ * goes into that user/team overlay layer (server/layers.js); without one it
+ * is inserted straight into the canonical tutorial JSON.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { CONTENT_DIR, ENGINE_TUTORIAL_FILES } from '../config.js'
+import { sendJson } from '../http.js'
+import { lockTutorial } from '../jobs.js'
+import { commitAndPush } from '../git.js'
+import { logToClawdbot, generateAnnotation, insertAnnotation } from '../annotations.js'
+import { assertValidContent } from '../content-schema.js'
+import { addLayerAnnotation } from '../layers.js'
+import { isValidLayerId } from '../../src/utils/annotationLayers.js'
+
+/**
+ * Create annotation
+ * Optional body fields: layer (layer id), layerName, layerKind ('user' | 'team'), author
+ */
+async function handleAnnotate({ res, body }) {
+  let { action, selectedText, context, tutorialId, question, layer, layerName, layerKind, author } = body
+
+  // Ensure selectedText is a string
+  if (selectedText && typeof selectedText !== 'string') {
+    selectedText = String(selectedText)
+  }
+
+  console.log('\n📝 Annotation Request:')
+  console.log(`  Action: ${action}`)
+  console.log(`  Tutorial: ${tutorialId}`)
+  console.log(`  Selected: "${selectedText?.slice?.(0, 50) || selectedText}..."`)
+  if (question) console.log(`  Question: "${question?.slice?.(0, 50) || question}..."`)
+
+  if (!action || !selectedText || !tutorialId) {
+    return sendJson(res, 400, { error: 'Missing required fields' })
+  }
+
+  if (!['explain', 'branch', 'ask', 'footnote', 'source'].includes(action)) {
+    return sendJson(res, 400, { error: 'Action must be explain, branch, ask, footnote, or source' })
+  }
+
+  if (action === 'ask' && !question) {
+    return sendJson(res, 400, { error: 'Question is required for ask action' })
+  }
+
+  if (layer && !isValidLayerId(layer)) {
+    return sendJson(res, 400, { error: `Invalid layer id: ${layer}` })
+  }
+
+  const jsonFilename = ENGINE_TUTORIAL_FILES[tutorialId] || tutorialId
+
+  const jsonPath = path.join(CONTENT_DIR, `${jsonFilename}.json`)
+  let content
+  try {
+    content = JSON.parse(await fs.readFile(jsonPath, 'utf-8'))
+  } catch {
+    return sendJson(res, 404, { error: `Tutorial not found: ${tutorialId}` })
+  }
+
+  console.log(`🤖 Generating ${action} annotation...`)
+  const annotation = await generateAnnotation(
+    action, 
+    selectedText, 
+    context || '', 
+    content.title,
+    question // Pass question for 'ask' action
+  )
+  if (!annotation) {
+    return sendJson(res, 500, { error: 'Failed to generate annotation' })
+  }
+  console.log(`✅ Annotation generated`)
+
+  if (layer) {
+    // Validate against a throwaway merge; the layer stores the bare element
+    assertValidContent(insertAnnotation(content, selectedText, structuredClone(annotation), action), content)
+
+    const { layer: updatedLayer, annotation: entry, layerPath } = await addLayerAnnotation(content, jsonFilename, {
+      layerId: layer,
+      layerName,
+      kind: layerKind,
+      author,
+      action,
+      selectedText,
+      question,
+      element: annotation
+    })
+    console.log(`💾 Saved to layer: ${layer}`)
+
+    commitAndPush(layerPath, `[${action}] "${String(selectedText).slice(0, 40)}..." in ${tutorialId} (layer ${layer})`).catch(() => {})
+    logToClawdbot({ action, tutorialId, selectedText, question }).catch(() => {})
+
+    return sendJson(res, 200, {
+      success: true,
+      action,
+      tutorialId,
+      selectedText,
+      layer: updatedLayer,
+      annotation: entry
+    })
+  }
+
+  const updatedContent = insertAnnotation(content, selectedText, annotation, action)
+  assertValidContent(updatedContent, content)
+
+  await fs.writeFile(jsonPath, JSON.stringify(updatedContent, null, 2))
+  console.log(`💾 Saved: ${jsonPath}`)
+
+  const commitMsg = `[${action}] "${String(selectedText).slice(0, 40)}..." in ${tutorialId}`
+  commitAndPush(jsonPath, commitMsg).catch(() => {})
+
+  // Log to Clawdbot memory
+  logToClawdbot({ action, tutorialId, selectedText, question }).catch(() => {})
+
+  return sendJson(res, 200, {
+    success: true,
+    action,
+    tutorialId,
+    selectedText,
+    updatedContent
+  })
+}
+
+export const routes = [
+  { method: 'POST', path: '/annotate', handler: handleAnnotate, description: 'Create annotation', lock: lockTutorial }
+]
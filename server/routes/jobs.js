@@ -0,0 +1,33 @@
+/**
+ * Job routes
+ *
+ * Status of background and request jobs (see server/jobs.js). Requests to
+ * locked routes return their job id in the X-Job-Id header.
+ */
+
+import { sendJson } from '../http.js'
+import { getJob, listJobs } from '../jobs.js'
+
+/**
+ * List jobs seen since the server started, newest first
+ * Query: ?status=queued|running|retrying|succeeded|failed|cancelled
+ */
+async function handleListJobs({ res, url }) {
+  const status = url.searchParams.get('status') || undefined
+  const jobs = listJobs({ status }).slice(0, 100)
+  return sendJson(res, 200, { jobs, count: jobs.length })
+}
+
+/**
+ * Get one job's status
+ */
+async function handleGetJob({ res, params }) {
+  const job = await getJob(params.id)
+  if (!job) return sendJson(res, 404, { error: `Job not found: ${params.id}` })
+  return sendJson(res, 200, { job })
+}
+
+export const routes = [
+  { method: 'GET', path: '/jobs', handler: handleListJobs, description: 'List recent jobs' },
+  { method: 'GET', path: '/jobs/:id', handler: handleGetJob, description: 'Get the status of a job' }
+]
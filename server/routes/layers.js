@@ -0,0 +1,106 @@
+/**
+ * Annotation layer routes
+ *
+ * List a tutorial's overlay layers, delete layer annotations, and promote
+ * a layer annotation into the canonical tutorial JSON.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { CONTENT_DIR, ENGINE_TUTORIAL_FILES } from '../config.js'
+import { sendJson } from '../http.js'
+import { lockTutorial } from '../jobs.js'
+import { commitAndPush } from '../git.js'
+import { insertAnnotation } from '../annotations.js'
+import { assertValidContent } from '../content-schema.js'
+import { listLayers, loadLayer, removeLayerAnnotation } from '../layers.js'
+import { resolveAnchor } from '../../src/utils/textAnchors.js'
+
+/**
+ * List layers for a tutorial
+ */
+async function handleListLayers({ res, url }) {
+  const tutorialId = url.searchParams.get('tutorialId')
+  if (!tutorialId) {
+    return sendJson(res, 400, { error: 'Missing tutorialId parameter' })
+  }
+
+  const layers = await listLayers(ENGINE_TUTORIAL_FILES[tutorialId] || tutorialId)
+  return sendJson(res, 200, { tutorialId, layers, count: layers.length })
+}
+
+/**
+ * Delete an annotation from a layer
+ */
+async function handleRemoveLayerAnnotation({ res, body }) {
+  const { layerId, annotationId } = body
+  if (!body.tutorialId || !layerId || !annotationId) {
+    return sendJson(res, 400, { error: 'tutorialId, layerId and annotationId are required' })
+  }
+  const tutorialId = ENGINE_TUTORIAL_FILES[body.tutorialId] || body.tutorialId
+
+  const { layer, layerPath } = await removeLayerAnnotation(tutorialId, layerId, annotationId)
+  commitAndPush(layerPath, `[layer] Remove ${annotationId} from ${layerId} in ${tutorialId}`).catch(() => {})
+
+  return sendJson(res, 200, { success: true, layer })
+}
+
+/**
+ * Promote a layer annotation into the canonical tutorial
+ */
+async function handlePromote({ res, body }) {
+  const { layerId, annotationId } = body
+  if (!body.tutorialId || !layerId || !annotationId) {
+    return sendJson(res, 400, { error: 'tutorialId, layerId and annotationId are required' })
+  }
+  const tutorialId = ENGINE_TUTORIAL_FILES[body.tutorialId] || body.tutorialId
+
+  const layer = await loadLayer(tutorialId, layerId)
+  const annotation = layer?.annotations.find(a => a.id === annotationId)
+  if (!annotation) {
+    return sendJson(res, 404, { error: `Annotation ${annotationId} not found in layer ${layerId}` })
+  }
+
+  const jsonPath = path.join(CONTENT_DIR, `${tutorialId}.json`)
+  let content
+  try {
+    content = JSON.parse(await fs.readFile(jsonPath, 'utf-8'))
+  } catch {
+    return sendJson(res, 404, { error: `Tutorial not found: ${tutorialId}` })
+  }
+
+  console.log(`\n⬆️ Promote ${annotationId} from layer ${layerId} into ${tutorialId}`)
+
+  const target = annotation.anchor
+    ? resolveAnchor(content.content, annotation.anchor)
+    : { found: true, exact: annotation.quote, path: annotation.path }
+  if (!target.found) {
+    return sendJson(res, 409, { error: `The annotated text is no longer in ${tutorialId}` })
+  }
+
+  const updatedContent = insertAnnotation(content, target.exact, structuredClone(annotation.element), annotation.action, {
+    id: annotation.id,
+    path: target.path
+  })
+  assertValidContent(updatedContent, content)
+
+  await fs.writeFile(jsonPath, JSON.stringify(updatedContent, null, 2))
+  console.log(`💾 Saved: ${jsonPath}`)
+  commitAndPush(jsonPath, `[promote] ${annotation.action} "${annotation.quote.slice(0, 40)}..." from ${layerId} in ${tutorialId}`).catch(() => {})
+
+  const { layer: updatedLayer, layerPath } = await removeLayerAnnotation(tutorialId, layerId, annotationId)
+  commitAndPush(layerPath, `[layer] Promoted ${annotationId} out of ${layerId} in ${tutorialId}`).catch(() => {})
+
+  return sendJson(res, 200, {
+    success: true,
+    tutorialId,
+    updatedContent,
+    layer: updatedLayer
+  })
+}
+
+export const routes = [
+  { method: 'GET', path: '/api/layers', handler: handleListLayers, description: 'List annotation layers for a tutorial' },
+  { method: 'POST', path: '/api/layers/remove', handler: handleRemoveLayerAnnotation, description: 'Delete an annotation from a layer', lock: lockTutorial },
+  { method: 'POST', path: '/api/layers/promote', handler: handlePromote, description: 'Promote a layer annotation to canonical', lock: lockTutorial }
+]
@@ -0,0 +1,176 @@
+/**
+ * Quiz generation routes
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { callAI } from '../../ai-config.js'
+import { CONTENT_DIR } from '../config.js'
+import { sendJson } from '../http.js'
+import { lockTutorial } from '../jobs.js'
+import { commitAndPush } from '../git.js'
+
+/**
+ * Generate quiz for tutorial
+ */
+async function handleGenerateQuiz({ res, body }) {
+  const { tutorialId, questionCount = 5, difficultyMix } = body
+
+  if (!tutorialId) {
+    return sendJson(res, 400, { error: 'Missing tutorialId' })
+  }
+
+  console.log(`\n📝 Generating quiz for: ${tutorialId}`)
+
+  // Load the tutorial JSON
+  const tutorialPath = path.join(CONTENT_DIR, `${tutorialId}.json`)
+  let tutorial
+  try {
+    const content = await fs.readFile(tutorialPath, 'utf-8')
+    tutorial = JSON.parse(content)
+  } catch (e) {
+    return sendJson(res, 404, { error: `Tutorial not found: ${tutorialId}` })
+  }
+
+  // Extract key concepts from the tutorial
+  const extractText = (node) => {
+    if (!node) return ''
+    if (typeof node === 'string') return node
+    if (Array.isArray(node)) return node.map(extractText).join(' ')
+    if (node.children) return extractText(node.children)
+    return ''
+  }
+
+  const tutorialText = extractText(tutorial.content).slice(0, 10000)
+  const sectionTitles = tutorial.content?.children
+    ?.filter(c => c.type === 'Section')
+    ?.map(s => s.props?.title)
+    ?.filter(Boolean) || []
+
+  // Generate quiz questions using AI
+  const systemPrompt = `You are creating a quiz for an educational tutorial called "${tutorial.title}".
+
+The quiz should test understanding of the key concepts, not just memorization.
+Create questions that help learners validate and reinforce their understanding.
+
+Question types available:
+1. multiple-choice: 4 options, one correct
+2. true-false: statement is true or false
+3. fill-in-blank: complete a statement (use ____ for blank)
+4. ordering: put steps/items in correct order
+
+Each question needs:
+- id: unique identifier (q1, q2, etc.)
+- type: one of the above types
+- difficulty: 1 (easy), 2 (medium), 3 (hard)
+- points: 10 for easy, 15 for medium, 20 for hard
+- concept: what concept this tests
+- question: the question text
+- For multiple-choice: options array with {id, text}, correctAnswer (option id)
+- For true-false: correctAnswer (boolean)
+- For fill-in-blank: correctAnswer (string or array of acceptable answers)
+- For ordering: items array with {id, text}, correctOrder (array of item ids)
+- explanation: why the answer is correct (educational!)
+- hint: optional hint for struggling learners`
+
+  const generatePrompt = `Tutorial: "${tutorial.title}"
+Subtitle: "${tutorial.subtitle || ''}"
+
+Section topics: ${sectionTitles.join(', ')}
+
+Tutorial content excerpt:
+${tutorialText.slice(0, 5000)}
+
+Create ${questionCount} quiz questions that test understanding of this material.
+
+Mix of difficulties: ${JSON.stringify(difficultyMix || { easy: 2, medium: 2, hard: 1 })}
+Mix of question types (use at least 2 different types).
+
+Return a JSON object with this structure:
+{
+  "id": "${tutorialId}-quiz",
+  "tutorialId": "${tutorialId}",
+  "title": "${tutorial.title} Quiz",
+  "description": "Test your understanding of ${tutorial.title}",
+  "version": 1,
+  "settings": {
+    "shuffleQuestions": false,
+    "shuffleOptions": true,
+    "showExplanations": true,
+    "passingScore": 70,
+    "allowRetry": true
+  },
+  "questions": [
+    // Your generated questions here
+  ]
+}
+
+Return ONLY valid JSON. No markdown, no explanation outside JSON.`
+
+  console.log(`  🤖 Generating ${questionCount} questions...`)
+  const response = await callAI(systemPrompt, generatePrompt)
+
+  // Parse the quiz JSON
+  let quizContent
+  try {
+    const jsonMatch = response.match(/\{[\s\S]*\}/)
+    if (jsonMatch) {
+      quizContent = JSON.parse(jsonMatch[0])
+    } else {
+      throw new Error('No JSON object found in response')
+    }
+  } catch (parseError) {
+    console.error('❌ Failed to parse quiz JSON:', parseError.message)
+    console.log('Response preview:', response.slice(0, 500))
+    return sendJson(res, 500, { error: 'Failed to parse generated quiz' })
+  }
+
+  // Validate and fix the quiz structure
+  quizContent.id = `${tutorialId}-quiz`
+  quizContent.tutorialId = tutorialId
+  quizContent.createdAt = new Date().toISOString()
+  quizContent.updatedAt = new Date().toISOString()
+
+  if (!quizContent.settings) {
+    quizContent.settings = {
+      shuffleQuestions: false,
+      shuffleOptions: true,
+      showExplanations: true,
+      passingScore: 70,
+      allowRetry: true
+    }
+  }
+
+  // Validate questions
+  if (!Array.isArray(quizContent.questions)) {
+    return sendJson(res, 500, { error: 'Generated quiz has no questions array' })
+  }
+
+  // Fix any missing question fields
+  quizContent.questions = quizContent.questions.map((q, i) => ({
+    id: q.id || `q${i + 1}`,
+    type: q.type || 'multiple-choice',
+    difficulty: q.difficulty || 2,
+    points: q.points || (q.difficulty === 1 ? 10 : q.difficulty === 3 ? 20 : 15),
+    ...q
+  }))
+
+  // Save the quiz
+  const quizPath = path.join(CONTENT_DIR, `${tutorialId}-quiz.json`)
+  await fs.writeFile(quizPath, JSON.stringify(quizContent, null, 2))
+  console.log(`  💾 Saved: ${quizPath}`)
+
+  // Commit to git
+  const commitMsg = `[quiz] Generated quiz for: ${tutorial.title}`
+  commitAndPush(quizPath, commitMsg).catch(() => {})
+
+  return sendJson(res, 200, {
+    success: true,
+    quiz: quizContent,
+    message: `Generated ${quizContent.questions.length} questions for ${tutorial.title}`
+  })
+}
+
+export const routes = [
+  { method: 'POST', path: '/api/generate-quiz', handler: handleGenerateQuiz, description: 'Generate quiz for tutorial', lock: lockTutorial }
+]
@@ -0,0 +1,235 @@
+/**
+ * RAG routes
+ *
+ * Question answering over semantic trees (see hierarchical-rag.js), and
+ * saving an answer into the tutorial as a DeepDive.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { ragQuery, libraryQuery, multiHopQuery, compareRetrieval } from '../../hierarchical-rag.js'
+import { CONTENT_DIR, ENGINE_TUTORIAL_FILES } from '../config.js'
+import { sendJson } from '../http.js'
+import { commitAndPush } from '../git.js'
+import { lockTutorial } from '../jobs.js'
+import { assertValidContent } from '../content-schema.js'
+import { generateAnnotationId } from '../../src/utils/annotationTree.js'
+
+function ragError(message, status) {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
+/**
+ * Check the body and make sure the tutorial has a semantic tree to search
+ */
+async function validateQuestion({ tutorialId, question }) {
+  if (typeof tutorialId !== 'string' || !tutorialId || typeof question !== 'string' || !question.trim()) {
+    throw ragError('tutorialId and question are required', 400)
+  }
+  try {
+    await fs.access(path.join(CONTENT_DIR, `${tutorialId}-semantic-tree.json`))
+  } catch {
+    throw ragError(`No semantic tree for ${tutorialId} yet. Open its tree view to generate one.`, 404)
+  }
+}
+
+/**
+ * Earlier chat turns from the body, dropping malformed ones
+ */
+function validHistory(history) {
+  if (!Array.isArray(history)) {
+    throw ragError('history must be an array of { question, answer }', 400)
+  }
+  const turns = history.filter(t => t && typeof t.question === 'string' && typeof t.answer === 'string')
+  if (turns.length > 0) console.log(`  History: ${turns.length} earlier turns`)
+  return turns
+}
+
+/**
+ * Turn **bold** and `code` spans into inline elements
+ */
+function inlineElements(text) {
+  const parts = text.split(/(\*\*[^*]+\*\*|`[^`]+`)/).filter(Boolean)
+  const children = parts.map(part => {
+    if (part.startsWith('**') && part.endsWith('**')) return { type: 'strong', children: part.slice(2, -2) }
+    if (part.startsWith('`') && part.endsWith('`')) return { type: 'code', children: part.slice(1, -1) }
+    return part
+  })
+  return children.length === 1 && typeof children[0] === 'string' ? children[0] : children
+}
+
+/**
+ * Convert an answer's light markdown into tutorial elements
+ */
+function answerToElements(answer) {
+  return answer.trim().split(/\n\s*\n/).map(block => {
+    const lines = block.split('\n').map(l => l.trim()).filter(Boolean)
+    if (lines.every(l => /^[-*•]\s+/.test(l))) {
+      return { type: 'ul', children: lines.map(l => ({ type: 'li', children: inlineElements(l.replace(/^[-*•]\s+/, '')) })) }
+    }
+    if (lines.every(l => /^\d+[.)]\s+/.test(l))) {
+      return { type: 'ol', children: lines.map(l => ({ type: 'li', children: inlineElements(l.replace(/^\d+[.)]\s+/, '')) })) }
+    }
+    const text = lines.join(' ')
+    if (/^#{1,6}\s+/.test(text)) {
+      return { type: 'p', children: { type: 'strong', children: text.replace(/^#{1,6}\s+/, '') } }
+    }
+    return { type: 'p', children: inlineElements(text) }
+  })
+}
+
+/**
+ * Answer a question from the semantic tree
+ */
+async function handleRagQuery({ res, body }) {
+  const { tutorialId, question, maxContextTokens = 3000, history = [] } = body
+
+  console.log('\n🤖 RAG Query:')
+  console.log(`  Tutorial: ${tutorialId}`)
+  console.log(`  Question: ${question}`)
+
+  await validateQuestion(body)
+  const turns = validHistory(history)
+
+  const result = await ragQuery(tutorialId, question.trim(), { maxContextTokens, history: turns })
+
+  return sendJson(res, 200, result)
+}
+
+/**
+ * Answer a question from every tutorial's semantic tree
+ * Body: { question, history?, maxTrees? } - sources name their tutorialId
+ */
+async function handleLibraryQuery({ res, body }) {
+  const { question, history = [], maxTrees = 3 } = body
+
+  console.log('\n📚 Library RAG Query:')
+  console.log(`  Question: ${question}`)
+
+  if (typeof question !== 'string' || !question.trim()) {
+    return sendJson(res, 400, { error: 'question is required' })
+  }
+  const turns = validHistory(history)
+
+  const result = await libraryQuery(question.trim(), {
+    history: turns,
+    maxTrees: Math.min(Math.max(Number(maxTrees) || 3, 1), 10)
+  })
+
+  return sendJson(res, 200, result)
+}
+
+/**
+ * Multi-hop question answering
+ */
+async function handleRagMultiHop({ res, body }) {
+  const { tutorialId, question, maxHops = 2 } = body
+
+  console.log('\n🔄 Multi-hop RAG Query:')
+  console.log(`  Tutorial: ${tutorialId}`)
+  console.log(`  Question: ${question}`)
+
+  await validateQuestion(body)
+
+  const results = await multiHopQuery(tutorialId, question, maxHops)
+
+  return sendJson(res, 200, { hops: results })
+}
+
+/**
+ * Compare embedding vs text retrieval
+ */
+async function handleRagCompare({ res, body }) {
+  const { tutorialId, question } = body
+
+  console.log('\n📊 Compare Retrieval:')
+  console.log(`  Tutorial: ${tutorialId}`)
+  console.log(`  Question: ${question}`)
+
+  await validateQuestion(body)
+
+  const comparison = await compareRetrieval(tutorialId, question)
+
+  return sendJson(res, 200, comparison)
+}
+
+/**
+ * Index of the section a chat answer cites first. Sources carry the index of
+ * their section; its title must still match, in case the tutorial changed.
+ * Falls back to a title match (older sources), then to the last section.
+ */
+function citedSectionIndex(sections, sources) {
+  for (const source of sources) {
+    const i = source?.sectionIndex
+    if (Number.isInteger(i) && sections[i]?.props?.title === source.sectionTitle) return i
+  }
+  const cited = sources.map(s => s?.sectionTitle).filter(Boolean)
+  const i = sections.findIndex(s => cited.includes(s.props?.title))
+  return i === -1 ? sections.length - 1 : i
+}
+
+/**
+ * Save a chat answer as a DeepDive at the end of the section it cites first
+ * Body: { tutorialId, question, answer, sources? }
+ */
+async function handleSaveAnswer({ res, body }) {
+  const { tutorialId, question, answer, sources = [] } = body
+
+  if (!tutorialId || typeof question !== 'string' || !question.trim() || typeof answer !== 'string' || !answer.trim()) {
+    return sendJson(res, 400, { error: 'tutorialId, question and answer are required' })
+  }
+
+  const jsonPath = path.join(CONTENT_DIR, `${ENGINE_TUTORIAL_FILES[tutorialId] || tutorialId}.json`)
+  let content
+  try {
+    content = JSON.parse(await fs.readFile(jsonPath, 'utf-8'))
+  } catch {
+    return sendJson(res, 404, { error: `Tutorial not found: ${tutorialId}` })
+  }
+
+  const children = content.content?.children || []
+  const sectionPositions = children.flatMap((c, i) => (c.type === 'Section' ? [i] : [])) // section index -> child index
+  if (sectionPositions.length === 0) {
+    return sendJson(res, 422, { error: 'Tutorial has no sections to attach the answer to' })
+  }
+  const cited = Array.isArray(sources) ? sources : []
+  const position = sectionPositions[citedSectionIndex(sectionPositions.map(i => children[i]), cited)]
+  const section = children[position]
+
+  const sourceTitles = [...new Set(cited.map(s => s?.title).filter(Boolean))]
+  const deepDive = {
+    type: 'DeepDive',
+    props: { title: question.trim(), id: generateAnnotationId() },
+    children: [
+      ...answerToElements(answer),
+      ...(sourceTitles.length > 0 ? [{ type: 'p', children: { type: 'em', children: `Sources: ${sourceTitles.slice(0, 5).join(' · ')}` } }] : [])
+    ]
+  }
+
+  const updatedContent = structuredClone(content)
+  const target = updatedContent.content.children[position]
+  target.children = [...(Array.isArray(target.children) ? target.children : [target.children].filter(Boolean)), deepDive]
+  assertValidContent(updatedContent, content)
+
+  await fs.writeFile(jsonPath, JSON.stringify(updatedContent, null, 2))
+  console.log(`💾 Saved answer as DeepDive in "${section.props?.title}"`)
+
+  commitAndPush(jsonPath, `[ask-tutorial] "${question.trim().slice(0, 40)}..." in ${tutorialId}`).catch(() => {})
+
+  return sendJson(res, 200, {
+    success: true,
+    sectionTitle: section.props?.title,
+    deepDiveId: deepDive.props.id,
+    updatedContent
+  })
+}
+
+export const routes = [
+  { method: 'POST', path: '/rag/query', handler: handleRagQuery, description: 'Answer a question from the semantic tree' },
+  { method: 'POST', path: '/rag/library-query', handler: handleLibraryQuery, description: 'Answer a question across every tutorial' },
+  { method: 'POST', path: '/rag/multi-hop', handler: handleRagMultiHop, description: 'Multi-hop question answering' },
+  { method: 'POST', path: '/rag/compare', handler: handleRagCompare, description: 'Compare embedding vs text retrieval' },
+  { method: 'POST', path: '/rag/save-answer', handler: handleSaveAnswer, description: 'Save a chat answer as a DeepDive', lock: lockTutorial }
+]
@@ -0,0 +1,1239 @@
+/**
+ * Regroup and structure routes
+ *
+ * Reorganize annotations, combine nodes, and lint/change tutorial structure.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { callAI } from '../../ai-config.js'
+import { createVersion } from '../../src/utils/versioning.js'
+import { CONTENT_DIR } from '../config.js'
+import { sendJson } from '../http.js'
+import { lockTutorial } from '../jobs.js'
+import { commitAndPush } from '../git.js'
+import { assertValidContent } from '../content-schema.js'
+import { reanchorTutorial, saveReanchoredLayers } from '../reanchor.js'
+import { findAllAnnotations, getAtPath, extractTextContent } from '../content-tree.js'
+
+/**
+ * Reorganize annotations into the main text
+ */
+async function handleRegroup({ res, body, progress }) {
+  const { tutorialId, aggressive = false, apply = false } = body
+
+  console.log('\n🔄 Regroup Request:')
+  console.log(`  Tutorial: ${tutorialId}`)
+  console.log(`  Mode: ${aggressive ? 'aggressive' : 'conservative'}`)
+  console.log(`  Apply: ${apply ? 'YES' : 'preview only'}`)
+
+  if (!tutorialId) {
+    return sendJson(res, 400, { error: 'Missing tutorialId' })
+  }
+
+  // Map engine tutorial IDs to their JSON filenames
+  const jsonFilenames = {
+    'matrix-from-vectors-engine': 'matrix-from-vectors',
+    'matrix-discovery-engine': 'matrix-discovery',
+    'lead-lag-correlation-engine': 'lead-lag-correlation',
+    'least-squares-engine': 'least-squares'
+  }
+
+  const filename = jsonFilenames[tutorialId] || tutorialId
+  const jsonPath = path.join(CONTENT_DIR, `${filename}.json`)
+
+  let content
+  try {
+    content = JSON.parse(await fs.readFile(jsonPath, 'utf-8'))
+  } catch {
+    return sendJson(res, 404, { error: `Tutorial not found: ${tutorialId}` })
+  }
+
+  // Find ALL annotations (sidebars, deepdives, callouts, Q&A, etc.)
+  const annotations = findAllAnnotations(content.content)
+  console.log(`  Found ${annotations.length} annotations to review`)
+
+  if (annotations.length === 0) {
+    return sendJson(res, 200, { 
+      success: true, 
+      message: 'No annotations found - tutorial is clean',
+      changes: 0,
+      updatedContent: content
+    })
+  }
+
+  // PHASE 1: Scan for META-ANNOTATIONS (requests for structural changes)
+  // These are "editor's notes" about how to reorganize, not just content to add
+
+  const metaPatterns = {
+    // New section requests
+    newSection: [
+      /should (have|add|create|include) (a |an )?(new |major |entire )?section/i,
+      /needs? (its own|a dedicated|a separate) (section|chapter)/i,
+      /missing:?\s*(section|chapter|explanation)/i,
+      /TODO:?\s*(add|create|expand|write)/i,
+      /this (deserves|warrants|needs) (its own|a) section/i,
+      /we need to (add|cover|explain)/i,
+      /go deeper/i  // "Go Deeper" annotations suggest structural expansion
+    ],
+    // Reorganization requests
+    reorganize: [
+      /move (all |the )?(references?|mentions?|discussion) (of |to |about )/i,
+      /should (come|go|be) (before|after|earlier|later)/i,
+      /consolidate (the |all )?(examples?|explanations?|references?)/i,
+      /(duplicates?|repeats?) what we (said|explained|covered)/i,
+      /reorganize|restructure|reorder/i,
+      /merge (this |these )?(with|into)/i,
+      /split (this|the) (section|paragraph)/i,
+      /belongs? (in|with|under) (the |a )?(section|part)/i
+    ],
+    // Content gaps
+    contentGap: [
+      /need(s)? (more |better |an? )?(explanation|detail|example)/i,
+      /unclear|confusing|vague/i,
+      /what (about|is|does)/i,
+      /how does this (relate|connect)/i
+    ]
+  }
+
+  const metaAnnotations = {
+    newSection: [],
+    reorganize: [],
+    contentGap: []
+  }
+
+  annotations.forEach(ann => {
+    const text = ann.content || ''
+
+    // DeepDive elements are always structural expansion requests
+    if (ann.type === 'deepdive') {
+      metaAnnotations.newSection.push(ann)
+    } else if (metaPatterns.newSection.some(p => p.test(text))) {
+      metaAnnotations.newSection.push(ann)
+    } else if (metaPatterns.reorganize.some(p => p.test(text))) {
+      metaAnnotations.reorganize.push(ann)
+    } else if (metaPatterns.contentGap.some(p => p.test(text))) {
+      metaAnnotations.contentGap.push(ann)
+    }
+  })
+
+  const totalMeta = metaAnnotations.newSection.length + metaAnnotations.reorganize.length + metaAnnotations.contentGap.length
+
+  if (totalMeta > 0) {
+    console.log(`  📋 Found ${totalMeta} META-ANNOTATION(S):`)
+    if (metaAnnotations.newSection.length > 0) {
+      console.log(`     🆕 New sections: ${metaAnnotations.newSection.length}`)
+      metaAnnotations.newSection.forEach(m => console.log(`        - "${m.content?.slice(0, 50)}..."`))
+    }
+    if (metaAnnotations.reorganize.length > 0) {
+      console.log(`     🔄 Reorganization: ${metaAnnotations.reorganize.length}`)
+      metaAnnotations.reorganize.forEach(m => console.log(`        - "${m.content?.slice(0, 50)}..."`))
+    }
+    if (metaAnnotations.contentGap.length > 0) {
+      console.log(`     📝 Content gaps: ${metaAnnotations.contentGap.length}`)
+      metaAnnotations.contentGap.forEach(m => console.log(`        - "${m.content?.slice(0, 50)}..."`))
+    }
+  }
+
+  // Build rich annotation summary with context
+  const annotationSummary = annotations.map((a, i) => {
+    let summary = `${i+1}. [${a.type}${a.subtype ? ':'+a.subtype : ''}] ${a.title || ''}\n`
+    summary += `   Content: "${a.content}"\n`
+    if (a.contextBefore) {
+      summary += `   BEFORE: "...${a.contextBefore}"\n`
+    }
+    if (a.contextAfter) {
+      summary += `   AFTER: "${a.contextAfter}..."\n`
+    }
+    return summary
+  }).join('\n')
+
+  // Group annotations by their parent section
+  const sectionAnnotations = new Map() // sectionPath -> { section, annotations }
+
+  for (const ann of annotations) {
+    // Find the Section that contains this annotation
+    // Path looks like ".children[1].children[3]" - find the Section level
+    const pathParts = ann.path.match(/\.children\[(\d+)\]/g) || []
+    if (pathParts.length < 2) continue
+
+    // The section is typically the first or second level
+    let sectionPath = pathParts[0] // e.g., ".children[1]"
+    let section = getAtPath(content.content, sectionPath)
+
+    // If it's not a Section, try one level deeper
+    if (!section || section.type !== 'Section') {
+      if (pathParts.length >= 2) {
+        sectionPath = pathParts.slice(0, 2).join('')
+        section = getAtPath(content.content, sectionPath)
+      }
+    }
+
+    if (section && section.type === 'Section') {
+      if (!sectionAnnotations.has(sectionPath)) {
+        sectionAnnotations.set(sectionPath, { 
+          section, 
+          sectionPath,
+          sectionTitle: section.props?.title || 'Untitled Section',
+          annotations: [] 
+        })
+      }
+      sectionAnnotations.get(sectionPath).annotations.push(ann)
+    }
+  }
+
+  console.log(`📚 Found annotations in ${sectionAnnotations.size} section(s)`)
+
+  if (sectionAnnotations.size === 0 && totalMeta === 0) {
+    return sendJson(res, 200, {
+      success: true,
+      preview: true,
+      message: 'No sections with annotations found to rewrite',
+      changes: [],
+      updatedContent: content
+    })
+  }
+
+  // Build preview: one entry per section that will be rewritten
+  const changes = []
+  for (const [path, { sectionTitle, annotations: sectionAnns }] of sectionAnnotations) {
+    changes.push({
+      action: 'edit',
+      sectionTitle,
+      sectionPath: path,
+      annotationCount: sectionAnns.length,
+      preview: sectionAnns.map(a => a.content?.slice(0, 50)).join('; ')
+    })
+  }
+
+  // Add meta-annotation changes to preview
+  const metaChanges = []
+
+  // New section requests
+  for (const meta of metaAnnotations.newSection) {
+    metaChanges.push({
+      action: 'new_section',
+      annotation: meta.content?.slice(0, 100),
+      icon: '🆕'
+    })
+  }
+
+  // Reorganization requests
+  for (const meta of metaAnnotations.reorganize) {
+    metaChanges.push({
+      action: 'reorganize',
+      annotation: meta.content?.slice(0, 100),
+      icon: '🔄'
+    })
+  }
+
+  // Content gap requests
+  for (const meta of metaAnnotations.contentGap) {
+    metaChanges.push({
+      action: 'content_gap',
+      annotation: meta.content?.slice(0, 100),
+      icon: '📝'
+    })
+  }
+
+  // If preview mode, return the plan
+  if (!apply) {
+    console.log('📋 Preview only - no changes applied')
+
+    const metaCounts = {
+      newSection: metaAnnotations.newSection.length,
+      reorganize: metaAnnotations.reorganize.length,
+      contentGap: metaAnnotations.contentGap.length
+    }
+
+    let message = ''
+    if (totalMeta > 0) {
+      const parts = []
+      if (metaCounts.newSection) parts.push(`${metaCounts.newSection} new section request(s)`)
+      if (metaCounts.reorganize) parts.push(`${metaCounts.reorganize} reorganization request(s)`)
+      if (metaCounts.contentGap) parts.push(`${metaCounts.contentGap} content gap(s)`)
+      message = `Found: ${parts.join(', ')}`
+      if (sectionAnnotations.size > 0) {
+        message += ` + ${sectionAnnotations.size} section(s) to edit`
+      }
+    } else {
+      message = `Will edit ${sectionAnnotations.size} section(s) to incorporate ${annotations.length} annotation insights`
+    }
+
+    return sendJson(res, 200, {
+      success: true,
+      preview: true,
+      tutorialId,
+      annotationCount: annotations.length,
+      sectionCount: sectionAnnotations.size,
+      metaAnnotationCount: totalMeta,
+      metaCounts,
+      changes: [...metaChanges, ...changes],
+      message,
+      updatedContent: content
+    })
+  }
+
+  // APPLY MODE: First handle meta-annotations (new sections)
+  console.log('🔧 Applying changes...')
+  let updatedContent = JSON.parse(JSON.stringify(content)) // Deep clone
+  let totalEdits = 0
+  let newSectionsCreated = 0
+  // One step per AI call: each new section request, then each section edit
+  const totalSteps = metaAnnotations.newSection.length + sectionAnnotations.size
+  let stepNumber = 0
+
+  // Process NEW SECTION requests
+  if (metaAnnotations.newSection.length > 0) {
+    console.log(`\n🆕 Processing ${metaAnnotations.newSection.length} new section request(s)...`)
+
+    for (const meta of metaAnnotations.newSection) {
+      console.log(`  📋 Request: "${meta.content?.slice(0, 60)}..."`)
+      progress.checkpoint()
+      progress.step('new-section', `Writing a new section: "${meta.content?.slice(0, 60)}"`, { step: ++stepNumber, total: totalSteps })
+
+      try {
+        const newSectionPrompt = `A reader has requested a new section be added to an educational tutorial.
+
+READER REQUEST:
+"${meta.content}"
+
+CONTEXT (where this was noted):
+${meta.contextBefore ? `Before: "${meta.contextBefore}"` : ''}
+${meta.contextAfter ? `After: "${meta.contextAfter}"` : ''}
+
+Generate a new tutorial section that addresses this request. Return JSON:
+{
+  "title": "Section Title",
+  "content": [
+    { "type": "p", "text": "First paragraph..." },
+    { "type": "p", "text": "Second paragraph..." }
+  ]
+}
+
+GUIDELINES:
+- Keep paragraphs SHORT (3-4 sentences)
+- Be educational and clear
+- Include 2-4 paragraphs
+- Title should be descriptive
+
+Return ONLY valid JSON.`
+
+        const response = await callAI(
+          'You are an expert educational content creator. Write clear, engaging tutorial content.',
+          newSectionPrompt
+        )
+
+        let sectionData
+        try {
+          let jsonStr = response.trim()
+          if (jsonStr.startsWith('```json')) jsonStr = jsonStr.slice(7)
+          if (jsonStr.startsWith('```')) jsonStr = jsonStr.slice(3)
+          if (jsonStr.endsWith('```')) jsonStr = jsonStr.slice(0, -3)
+          sectionData = JSON.parse(jsonStr.trim())
+        } catch (e) {
+          console.log(`    ❌ Failed to parse new section: ${e.message}`)
+          continue
+        }
+
+        // Build the new section structure
+        const newSection = {
+          type: 'Section',
+          props: { title: sectionData.title },
+          children: [
+            { type: 'h3', children: sectionData.title },
+            ...sectionData.content.map(p => ({
+              type: 'p',
+              children: p.text || p
+            }))
+          ]
+        }
+
+        // Insert before References section (or at end)
+        const contentChildren = updatedContent.content.children
+        let insertIndex = contentChildren.length
+        for (let i = 0; i < contentChildren.length; i++) {
+          if (contentChildren[i].props?.title?.toLowerCase().includes('reference') ||
+              contentChildren[i].props?.title?.toLowerCase().includes('takeaway')) {
+            insertIndex = i
+            break
+          }
+        }
+
+        contentChildren.splice(insertIndex, 0, newSection)
+        newSectionsCreated++
+        totalEdits++
+        console.log(`    ✅ Created new section: "${sectionData.title}"`)
+        progress.partial({ newSection })
+
+      } catch (e) {
+        console.error(`    ❌ Failed to create section: ${e.message}`)
+      }
+    }
+  }
+
+  // Then process regular section edits
+  for (const [sectionPath, { section, sectionTitle, annotations: sectionAnns }] of sectionAnnotations) {
+    console.log(`\n📝 Processing section: "${sectionTitle}" (${sectionAnns.length} annotations)`)
+    progress.checkpoint()
+    progress.step('section', `Editing "${sectionTitle}" (${sectionAnns.length} annotations)`, { step: ++stepNumber, total: totalSteps })
+
+    // Extract paragraphs from section (text content in p elements)
+    const paragraphs = []
+    const paragraphPaths = []
+
+    if (section.children && Array.isArray(section.children)) {
+      section.children.forEach((child, idx) => {
+        if (child.type === 'p') {
+          const text = extractTextContent(child)
+          if (text.trim()) {
+            paragraphs.push(text)
+            paragraphPaths.push(`${sectionPath}.children[${idx}]`)
+          }
+        }
+      })
+    }
+
+    if (paragraphs.length === 0) {
+      console.log('  ⚠️ No paragraphs found in section, skipping')
+      continue
+    }
+
+    // Build annotation summary
+    const annSummary = sectionAnns.map((a, i) => 
+      `${i+1}. [${a.type}] ${a.title || ''}: "${a.content}"`
+    ).join('\n')
+
+    try {
+      const editPrompt = `You are improving an educational tutorial by incorporating reader feedback.
+
+SECTION: "${sectionTitle}"
+
+CURRENT PARAGRAPHS:
+${paragraphs.map((p, i) => `[${i}] ${p}`).join('\n\n')}
+
+ANNOTATIONS TO INCORPORATE:
+${annSummary}
+
+Return a JSON array of edits. AVAILABLE EDIT TYPES:
+
+1. "expand" - Add 1-2 sentences to an existing paragraph
+   { "type": "expand", "paragraphIndex": 0, "addSentences": "New sentences." }
+
+2. "insert_paragraph" - Add a new paragraph after an existing one  
+   { "type": "insert_paragraph", "afterIndex": 0, "text": "New paragraph." }
+
+3. "sidebar" - Add a sidebar for tangential/advanced info
+   { "type": "sidebar", "afterIndex": 0, "sidebarType": "note|definition|deeper|historical", "title": "Title", "text": "Content..." }
+
+GUIDELINES:
+- Keep paragraphs SHORT (3-4 sentences max)
+- Use sidebars for technical details that might overwhelm casual readers
+- Preserve specific numbers and values from annotations
+- Don't repeat information already in the text
+
+Return ONLY a JSON array, no explanation.`
+
+      const response = await callAI(
+        'You are an expert editor who makes precise, surgical improvements to educational content.',
+        editPrompt
+      )
+
+      // Parse edits
+      let edits
+      try {
+        let jsonStr = response.trim()
+        if (jsonStr.startsWith('\`\`\`json')) jsonStr = jsonStr.slice(7)
+        if (jsonStr.startsWith('\`\`\`')) jsonStr = jsonStr.slice(3)
+        if (jsonStr.endsWith('\`\`\`')) jsonStr = jsonStr.slice(0, -3)
+        edits = JSON.parse(jsonStr.trim())
+      } catch (e) {
+        console.log(`  ❌ Failed to parse edits: ${e.message}`)
+        continue
+      }
+
+      console.log(`  📋 Got ${edits.length} edits`)
+
+      // Apply edits to the section in updatedContent
+      // We need to be careful about indices as we insert
+      const sectionNode = getAtPath(updatedContent.content, sectionPath)
+      if (!sectionNode || !sectionNode.children) continue
+
+      // Sort edits by paragraph index (descending) so inserts don't mess up indices
+      const insertEdits = edits.filter(e => e.type === 'insert_paragraph' || e.type === 'sidebar')
+      const expandEdits = edits.filter(e => e.type === 'expand')
+
+      // Apply expand edits first (they don't change indices)
+      for (const edit of expandEdits) {
+        // Find the actual child index for this paragraph
+        let pCount = 0
+        for (let i = 0; i < sectionNode.children.length; i++) {
+          if (sectionNode.children[i].type === 'p') {
+            if (pCount === edit.paragraphIndex) {
+              // Found it - expand
+              const pNode = sectionNode.children[i]
+              if (typeof pNode.children === 'string') {
+                pNode.children = pNode.children + ' ' + edit.addSentences
+              } else if (Array.isArray(pNode.children)) {
+                pNode.children.push(' ' + edit.addSentences)
+              }
+              console.log(`    ✅ Expanded paragraph ${edit.paragraphIndex}`)
+              totalEdits++
+              break
+            }
+            pCount++
+          }
+        }
+      }
+
+      // Apply insert edits (sorted by index descending)
+      insertEdits.sort((a, b) => (b.afterIndex || 0) - (a.afterIndex || 0))
+
+      for (const edit of insertEdits) {
+        // Find where to insert (after which paragraph)
+        let pCount = 0
+        let insertAt = -1
+        for (let i = 0; i < sectionNode.children.length; i++) {
+          if (sectionNode.children[i].type === 'p') {
+            if (pCount === edit.afterIndex) {
+              insertAt = i + 1
+              break
+            }
+            pCount++
+          }
+        }
+
+        if (insertAt === -1) insertAt = sectionNode.children.length
+
+        if (edit.type === 'insert_paragraph') {
+          sectionNode.children.splice(insertAt, 0, {
+            type: 'p',
+            children: edit.text
+          })
+          console.log(`    ✅ Inserted paragraph after index ${edit.afterIndex}`)
+          totalEdits++
+        } else if (edit.type === 'sidebar') {
+          sectionNode.children.splice(insertAt, 0, {
+            type: 'Sidebar',
+            props: {
+              type: edit.sidebarType || 'note',
+              title: edit.title
+            },
+            children: edit.text
+          })
+          console.log(`    ✅ Added sidebar: "${edit.title}"`)
+          totalEdits++
+        }
+      }
+
+      progress.partial({ sectionTitle, section: sectionNode })
+
+    } catch (e) {
+      console.error(`  ❌ Failed to process section: ${e.message}`)
+    }
+  }
+
+  const message = newSectionsCreated > 0
+    ? `Created ${newSectionsCreated} new section(s) + applied ${totalEdits - newSectionsCreated} edits`
+    : `Applied ${totalEdits} edits across ${sectionAnnotations.size} section(s)`
+
+  let reanchor = null
+  if (totalEdits > 0) {
+    progress.step('reanchoring', 'Re-attaching annotations')
+    const reanchored = await reanchorTutorial(filename, content, updatedContent)
+    updatedContent = reanchored.content
+    reanchor = reanchored.report
+
+    progress.step('validating', 'Validating the regrouped tutorial')
+    assertValidContent(updatedContent, content)
+
+    // Last chance to cancel: from here the edits are written
+    progress.checkpoint()
+
+    // Create a version snapshot before saving
+    try {
+      await createVersion(jsonPath, `Before regroup: ${totalEdits} edits`, 'regroup')
+      console.log('📸 Version snapshot created')
+    } catch (versionErr) {
+      console.warn('⚠️ Could not create version:', versionErr.message)
+    }
+
+    // Save the updated content
+    await fs.writeFile(jsonPath, JSON.stringify(updatedContent, null, 2))
+    console.log(`\n💾 Saved: ${jsonPath}`)
+    const layerPaths = await saveReanchoredLayers(reanchored.layers)
+
+    // Commit to git (for undo capability)
+    progress.step('committing', 'Committing the edits')
+    const commitMsg = newSectionsCreated > 0
+      ? `[regroup] +${newSectionsCreated} sections, ${totalEdits - newSectionsCreated} edits in ${tutorialId}`
+      : `[regroup] ${totalEdits} edits in ${tutorialId}`
+    commitAndPush(jsonPath, commitMsg).catch(() => {})
+    for (const layerPath of layerPaths) {
+      commitAndPush(layerPath, `[reanchor] ${path.basename(layerPath)} after regroup of ${tutorialId}`).catch(() => {})
+    }
+  }
+
+  return progress.send(200, {
+    success: true,
+    preview: false,
+    tutorialId,
+    editsApplied: totalEdits,
+    newSectionsCreated,
+    sectionsProcessed: sectionAnnotations.size,
+    message,
+    reanchor,
+    updatedContent
+  })
+}
+
+/**
+ * Combine nodes into one section
+ */
+async function handleCombine({ res, body }) {
+  const { tutorialId, nodeIds, editorNote } = body
+
+  console.log('\n🔗 Combine Nodes Request:')
+  console.log(`  Tutorial: ${tutorialId}`)
+  console.log(`  Nodes: ${nodeIds?.join(', ')}`)
+  console.log(`  Editor note: ${editorNote || '(none)'}`)
+
+  if (!tutorialId || !nodeIds || nodeIds.length < 2) {
+    return sendJson(res, 400, { error: 'tutorialId and at least 2 nodeIds required' })
+  }
+
+  // Load tutorial
+  const jsonPath = path.join(CONTENT_DIR, `${tutorialId}.json`)
+  const content = JSON.parse(await fs.readFile(jsonPath, 'utf-8'))
+
+  // Find the nodes to combine
+  // We need to replicate the tree ID generation logic to find nodes
+  const NOTABLE_TYPES = ['Sidebar', 'DeepDive', 'Callout', 'Example', 'ComparisonTable', 'InteractiveViz', 'Diagram', 'CodeBlock', 'Quiz', 'Footnote']
+
+  // Build a map of tree-generated IDs to actual nodes with parent info
+  const nodeMap = new Map()
+
+  function mapNotableElements(children, parentId, parentNode, indexOffset = 0) {
+    if (!children) return
+    const arr = Array.isArray(children) ? children : [children]
+
+    arr.forEach((child, idx) => {
+      if (!child || typeof child !== 'object') return
+
+      if (NOTABLE_TYPES.includes(child.type)) {
+        const nodeId = `${parentId}-${child.type.toLowerCase()}-${indexOffset + idx}`
+        nodeMap.set(nodeId, { node: child, parent: parentNode, index: idx })
+      }
+
+      if (child.children) {
+        mapNotableElements(child.children, parentId, child, indexOffset + idx * 100)
+      }
+    })
+  }
+
+  // Process sections like the tree generator does
+  const contentChildren = content.content.children
+  if (contentChildren) {
+    let sectionIdx = 0
+    contentChildren.forEach((section, secArrayIdx) => {
+      if (section.type !== 'Section') return
+
+      const sectionId = `section-${sectionIdx}`
+      nodeMap.set(sectionId, { node: section, parent: content.content, index: secArrayIdx })
+
+      if (section.children) {
+        const sectionChildren = Array.isArray(section.children) ? section.children : [section.children]
+        let subIdx = 0
+        let currentSubId = null
+        let currentSubContent = []
+
+        sectionChildren.forEach((child, childIdx) => {
+          if (child.type === 'h3' || child.type === 'h4') {
+            // Process previous subsection's notable elements
+            if (currentSubId && currentSubContent.length > 0) {
+              mapNotableElements(currentSubContent, currentSubId, section)
+            }
+            currentSubId = `${sectionId}-sub-${subIdx}`
+            currentSubContent = []
+            subIdx++
+          } else if (currentSubId) {
+            currentSubContent.push(child)
+            // Also check if this child itself is notable
+            if (NOTABLE_TYPES.includes(child.type)) {
+              const nodeId = `${currentSubId}-${child.type.toLowerCase()}-${childIdx}`
+              nodeMap.set(nodeId, { node: child, parent: section, index: childIdx })
+            }
+          } else {
+            // Notable at section level (before first h3)
+            if (NOTABLE_TYPES.includes(child.type)) {
+              const nodeId = `${sectionId}-${child.type.toLowerCase()}-${childIdx}`
+              nodeMap.set(nodeId, { node: child, parent: section, index: childIdx })
+            }
+          }
+        })
+
+        // Don't forget last subsection
+        if (currentSubId && currentSubContent.length > 0) {
+          mapNotableElements(currentSubContent, currentSubId, section)
+        }
+      }
+      sectionIdx++
+    })
+  }
+
+  console.log(`  Built node map with ${nodeMap.size} entries`)
+
+  const nodesToCombine = []
+  const nodeContents = []
+
+  // Collect nodes to combine using the map
+  for (const nodeId of nodeIds) {
+    const found = nodeMap.get(nodeId)
+    if (found) {
+      nodesToCombine.push(found)
+      nodeContents.push({
+        id: nodeId,
+        title: found.node.props?.title || found.node.type || 'Untitled',
+        content: JSON.stringify(found.node, null, 2).slice(0, 2000)
+      })
+      console.log(`  ✅ Found node: ${nodeId}`)
+    } else {
+      console.log(`  ⚠️ Node not found: ${nodeId}`)
+    }
+  }
+
+  if (nodesToCombine.length < 2) {
+    return sendJson(res, 400, { error: 'Could not find at least 2 nodes to combine' })
+  }
+
+  console.log(`  Found ${nodesToCombine.length} nodes to combine`)
+
+  // Call AI to combine the content
+  const combinePrompt = `You are combining multiple sections of an educational tutorial into one cohesive section.
+
+NODES TO COMBINE:
+${nodeContents.map((n, i) => `
+--- Node ${i + 1}: ${n.title} ---
+${n.content}
+`).join('\n')}
+
+${editorNote ? `EDITOR'S GUIDANCE:
+${editorNote}
+` : ''}
+
+Create a SINGLE combined section that:
+1. Merges the content coherently (no duplication)
+2. Preserves the key insights from each source
+3. Maintains educational flow and clarity
+4. Keeps any important examples or analogies${editorNote ? '\n5. Follows the editor\'s guidance above' : ''}
+
+Return ONLY valid JSON for a Section element with this structure:
+{
+  "type": "Section",
+  "props": { "title": "Combined section title" },
+  "children": [
+    // paragraphs, callouts, etc.
+  ]
+}
+
+Return ONLY the JSON, no markdown or explanation.`
+
+  console.log('🤖 Calling AI to combine nodes...')
+  const aiResponse = await callAI(
+    'You are an expert at restructuring educational content. Return only valid JSON.',
+    combinePrompt
+  )
+
+  // Parse AI response
+  let combinedSection
+  try {
+    const jsonMatch = aiResponse.match(/\{[\s\S]*\}/)
+    if (!jsonMatch) throw new Error('No JSON found in response')
+    combinedSection = JSON.parse(jsonMatch[0])
+  } catch (e) {
+    console.error('❌ Failed to parse AI response:', e.message)
+    return sendJson(res, 500, { error: 'AI returned invalid JSON' })
+  }
+
+  // Save backup
+  const backup = JSON.stringify(content, null, 2)
+  await fs.writeFile(jsonPath + '.backup', backup)
+
+  // Remove nodes from their parents (in reverse index order to avoid shifts)
+  // Group by parent and sort indices descending
+  const byParent = new Map()
+  nodesToCombine.forEach(info => {
+    const parentKey = info.parent
+    if (!byParent.has(parentKey)) byParent.set(parentKey, [])
+    byParent.get(parentKey).push(info)
+  })
+
+  let firstNode = nodesToCombine[0]
+  let removedCount = 0
+
+  for (const [parent, nodes] of byParent) {
+    // Sort by index descending to remove from end first
+    nodes.sort((a, b) => b.index - a.index)
+
+    for (const nodeInfo of nodes) {
+      if (nodeInfo === firstNode) continue // Keep first node for replacement
+
+      if (parent.children && Array.isArray(parent.children)) {
+        parent.children.splice(nodeInfo.index, 1)
+        removedCount++
+        console.log(`  🗑️ Removed node at index ${nodeInfo.index}`)
+      }
+    }
+  }
+
+  // Replace the first node with combined content
+  if (firstNode.parent?.children && Array.isArray(firstNode.parent.children)) {
+    // Find current index (may have shifted)
+    const currentIdx = firstNode.parent.children.indexOf(firstNode.node)
+    if (currentIdx !== -1) {
+      firstNode.parent.children[currentIdx] = combinedSection
+      console.log(`  ✅ Replaced node at index ${currentIdx} with combined section`)
+    }
+  }
+
+  // Save
+  await fs.writeFile(jsonPath, JSON.stringify(content, null, 2))
+  console.log('💾 Saved combined content')
+
+  // Git commit
+  commitAndPush(jsonPath, `[combine] ${nodeIds.length} nodes in ${tutorialId}`).catch(() => {})
+
+  return sendJson(res, 200, { 
+    success: true, 
+    combinedTitle: combinedSection.props?.title,
+    message: `Combined ${nodesToCombine.length} nodes`
+  })
+}
+
+/**
+ * Interpret a natural-language tree command
+ */
+async function handleNlTreeCommand({ res, body }) {
+  const { command, nodes } = body
+
+  console.log('\n✨ Natural Language Tree Command:')
+  console.log(`  Command: "${command}"`)
+  console.log(`  Available nodes: ${nodes?.length}`)
+
+  if (!command || !nodes) {
+    return sendJson(res, 400, { error: 'command and nodes required' })
+  }
+
+  // Build node list for AI
+  const nodeList = nodes.map(n => `- ${n.id}: "${n.title}"${n.excerpt ? ` (${n.excerpt})` : ''}`).join('\n')
+
+  const nlPrompt = `You are helping a user navigate and manipulate a tree-structured tutorial document.
+
+USER COMMAND: "${command}"
+
+AVAILABLE NODES:
+${nodeList}
+
+Interpret the user's command and return a JSON response:
+
+1. If they want to SELECT nodes (e.g., "select all nodes about X", "find nodes mentioning Y"):
+   Return: { "action": "select", "nodeIds": ["id1", "id2", ...], "reasoning": "why these nodes" }
+
+2. If they want to COMBINE nodes (e.g., "combine sections on X", "merge the Y nodes"):
+   Return: { "action": "combine", "nodeIds": ["id1", "id2", ...], "editorNote": "suggested guidance for combination", "reasoning": "why these nodes" }
+
+3. If they want to PROMOTE nodes (e.g., "promote children of X to sections", "make X's subsections into top-level sections"):
+   Return: { "action": "promote", "parentNodeId": "id of parent", "reasoning": "explanation" }
+
+4. If they want to SPLIT a large section (e.g., "split X into separate sections", "break up the Y section"):
+   Return: { "action": "split", "nodeId": "id of node to split", "reasoning": "explanation" }
+
+5. If they want to DELETE nodes:
+   Return: { "action": "delete", "nodeIds": ["id1", "id2", ...], "reasoning": "why" }
+
+6. If they want to MOVE nodes (e.g., "move X under Y", "reorder X before Y"):
+   Return: { "action": "move", "nodeIds": ["id1"], "targetId": "destination parent id", "position": "before|after|inside", "reasoning": "explanation" }
+
+7. If they want to LINT/REORGANIZE the structure (e.g., "lint the structure", "reorganize large sections", "fix structural issues", "clean up the tree"):
+   Return: { "action": "lint", "autoFix": true, "reasoning": "explanation" }
+
+8. If no nodes match or command is unclear:
+   Return: { "action": "none", "message": "explanation to user" }
+
+Consider synonyms and related terms (e.g., "pacemaker cells" relates to "interneurons", "rhythm generators").
+Select nodes whose titles OR excerpts relate to the topic.
+Return ONLY valid JSON.`
+
+  console.log('🤖 Calling AI to interpret command...')
+  const aiResponse = await callAI(
+    'You interpret natural language commands for tree manipulation. Return only valid JSON.',
+    nlPrompt
+  )
+
+  // Parse AI response
+  let result
+  try {
+    const jsonMatch = aiResponse.match(/\{[\s\S]*\}/)
+    if (!jsonMatch) throw new Error('No JSON found')
+    result = JSON.parse(jsonMatch[0])
+  } catch (e) {
+    console.error('❌ Failed to parse AI response:', e.message)
+    return sendJson(res, 200, { action: 'none', message: 'Could not interpret command' })
+  }
+
+  console.log(`  Result: ${result.action} - ${result.nodeIds?.length || 0} nodes`)
+  if (result.reasoning) console.log(`  Reasoning: ${result.reasoning}`)
+
+  return sendJson(res, 200, result)
+}
+
+/**
+ * Analyze structure and suggest splits
+ */
+async function handleStructureLint({ res, body }) {
+  const { tutorialId, autoFix = false } = body
+
+  console.log('\n🔍 Structure Lint Request:')
+  console.log(`  Tutorial: ${tutorialId}`)
+  console.log(`  Auto-fix: ${autoFix}`)
+
+  // Load tutorial
+  const jsonPath = path.join(CONTENT_DIR, `${tutorialId}.json`)
+  const content = JSON.parse(await fs.readFile(jsonPath, 'utf-8'))
+
+  // Thresholds for "too large"
+  const MAX_DIRECT_CHILDREN = 8
+  const MAX_TEXT_LENGTH = 2000 // chars
+
+  // Analyze structure
+  const issues = []
+
+  function analyzeNode(node, path = '', depth = 0) {
+    if (!node || typeof node !== 'object') return
+
+    const children = Array.isArray(node.children) ? node.children : (node.children ? [node.children] : [])
+    const nodeTitle = node.props?.title || node.type || 'unnamed'
+
+    // Count direct element children (not strings)
+    const elementChildren = children.filter(c => typeof c === 'object' && c !== null)
+
+    // Estimate text length
+    let textLength = 0
+    function countText(n) {
+      if (typeof n === 'string') textLength += n.length
+      if (n?.children) {
+        const arr = Array.isArray(n.children) ? n.children : [n.children]
+        arr.forEach(countText)
+      }
+    }
+    countText(node)
+
+    // Check for issues
+    if (node.type === 'Section' || path.includes('sub')) {
+      if (elementChildren.length > MAX_DIRECT_CHILDREN) {
+        issues.push({
+          type: 'too_many_children',
+          path,
+          title: nodeTitle,
+          childCount: elementChildren.length,
+          suggestion: `Split into ${Math.ceil(elementChildren.length / 5)} subsections`
+        })
+      }
+
+      if (textLength > MAX_TEXT_LENGTH && elementChildren.length <= 2) {
+        issues.push({
+          type: 'text_too_long',
+          path,
+          title: nodeTitle,
+          textLength,
+          suggestion: `Break into smaller paragraphs or add subsection headers`
+        })
+      }
+    }
+
+    // Recurse
+    elementChildren.forEach((child, i) => {
+      analyzeNode(child, path ? `${path}.children[${i}]` : `children[${i}]`, depth + 1)
+    })
+  }
+
+  analyzeNode(content.content)
+
+  console.log(`  Found ${issues.length} structural issues`)
+
+  if (issues.length === 0) {
+    return sendJson(res, 200, { 
+      status: 'clean',
+      message: 'No structural issues found',
+      issues: []
+    })
+  }
+
+  if (!autoFix) {
+    // Just return the analysis
+    return sendJson(res, 200, {
+      status: 'issues_found',
+      message: `Found ${issues.length} structural issues`,
+      issues
+    })
+  }
+
+  // Auto-fix: Ask AI to reorganize each problematic section
+  console.log('🤖 Auto-fixing structural issues...')
+
+  // Save backup
+  await fs.writeFile(jsonPath + '.backup', JSON.stringify(content, null, 2))
+
+  let fixedCount = 0
+  for (const issue of issues) {
+    if (issue.type !== 'too_many_children') continue
+
+    // Find the node
+    const pathParts = issue.path.split('.').filter(p => p)
+    let targetNode = content.content
+    let parentNode = null
+    let targetIndex = -1
+
+    for (const part of pathParts) {
+      const match = part.match(/children\[(\d+)\]/)
+      if (match) {
+        parentNode = targetNode
+        targetIndex = parseInt(match[1])
+        targetNode = Array.isArray(targetNode.children) 
+          ? targetNode.children[targetIndex]
+          : targetNode.children
+      }
+    }
+
+    if (!targetNode) continue
+
+    const children = Array.isArray(targetNode.children) ? targetNode.children : [targetNode.children]
+
+    // Ask AI how to group these children
+    const childSummary = children.map((c, i) => {
+      const type = c?.type || 'text'
+      const title = c?.props?.title || (typeof c === 'string' ? c.slice(0, 50) : '')
+      return `${i}: [${type}] ${title}`
+    }).join('\n')
+
+    const groupPrompt = `Analyze these ${children.length} elements from a tutorial section and group them into 3-6 logical subsections.
+
+SECTION: "${issue.title}"
+
+CHILDREN:
+${childSummary}
+
+Return a JSON array where each item is a subsection:
+[
+  { "title": "Subsection Title", "childIndices": [0, 1, 2], "summary": "What this subsection covers" },
+  ...
+]
+
+Group by semantic similarity and logical flow. Each subsection should have 3-8 items.
+Return ONLY valid JSON array.`
+
+    try {
+      const aiResponse = await callAI(
+        'You organize educational content into logical sections. Return only valid JSON.',
+        groupPrompt
+      )
+
+      const jsonMatch = aiResponse.match(/\[[\s\S]*\]/)
+      if (!jsonMatch) continue
+
+      const groupings = JSON.parse(jsonMatch[0])
+
+      // Restructure the children based on groupings
+      const newChildren = []
+
+      for (const group of groupings) {
+        if (!group.childIndices || group.childIndices.length === 0) continue
+
+        // Create h3 header for this group
+        newChildren.push({
+          type: 'h3',
+          children: group.title
+        })
+
+        // Add the grouped children
+        for (const idx of group.childIndices) {
+          if (children[idx]) {
+            newChildren.push(children[idx])
+          }
+        }
+      }
+
+      // Replace the children
+      targetNode.children = newChildren
+      fixedCount++
+      console.log(`  ✅ Reorganized "${issue.title}" into ${groupings.length} subsections`)
+
+    } catch (e) {
+      console.log(`  ⚠️ Failed to fix "${issue.title}": ${e.message}`)
+    }
+  }
+
+  if (fixedCount > 0) {
+    // Clean up empty h3s (headers with no following content)
+    console.log('🧹 Cleaning up empty subsection headers...')
+    let emptyH3sRemoved = 0
+
+    const allSections = content.content.children.filter(c => c.type === 'Section')
+    allSections.forEach(section => {
+      if (!section.children) return
+      const children = Array.isArray(section.children) ? section.children : [section.children]
+
+      const newChildren = []
+      for (let i = 0; i < children.length; i++) {
+        const child = children[i]
+        if (child.type === 'h3') {
+          const next = children[i + 1]
+          if (!next || next.type === 'h3') {
+            emptyH3sRemoved++
+            continue // Skip empty h3
+          }
+        }
+        newChildren.push(child)
+      }
+      section.children = newChildren
+    })
+
+    if (emptyH3sRemoved > 0) {
+      console.log(`  🗑️ Removed ${emptyH3sRemoved} empty h3 headers`)
+    }
+
+    // Save
+    await fs.writeFile(jsonPath, JSON.stringify(content, null, 2))
+    console.log('💾 Saved restructured content')
+
+    // Git commit
+    commitAndPush(jsonPath, `[lint-fix] Reorganized ${fixedCount} sections in ${tutorialId}`).catch(() => {})
+  }
+
+  return sendJson(res, 200, {
+    status: 'fixed',
+    message: `Fixed ${fixedCount} of ${issues.length} issues`,
+    fixedCount,
+    issues
+  })
+}
+
+/**
+ * Apply a structure change (promote, split, etc)
+ */
+async function handleStructureChange({ res, body }) {
+  const { tutorialId, action, parentNodeId, nodeId, reasoning } = body
+
+  console.log('\n🔧 Structure Change Request:')
+  console.log(`  Tutorial: ${tutorialId}`)
+  console.log(`  Action: ${action}`)
+  console.log(`  Target: ${parentNodeId || nodeId}`)
+
+  // Load tutorial
+  const jsonPath = path.join(CONTENT_DIR, `${tutorialId}.json`)
+  const raw = await fs.readFile(jsonPath, 'utf-8')
+  const content = JSON.parse(raw)
+
+  // Save backup
+  await fs.writeFile(jsonPath + '.backup', JSON.stringify(content, null, 2))
+
+  if (action === 'promote') {
+    // Find the parent section and promote its subsections to top-level sections
+    // parentNodeId format: "section-N-sub-M" or "section-N"
+
+    const sectionMatch = parentNodeId.match(/section-(\d+)/)
+    if (!sectionMatch) {
+      return sendJson(res, 400, { error: 'Invalid parent node ID' })
+    }
+
+    const sectionIdx = parseInt(sectionMatch[1])
+    const sections = content.content.children.filter(c => c.type === 'Section')
+    const targetSection = sections[sectionIdx]
+
+    if (!targetSection) {
+      return sendJson(res, 400, { error: 'Section not found' })
+    }
+
+    console.log(`  Found section: ${targetSection.props?.title}`)
+
+    // Extract subsections (h3 boundaries) as new sections
+    const newSections = []
+    let currentSection = null
+    let currentChildren = []
+
+    const sectionChildren = Array.isArray(targetSection.children) ? targetSection.children : [targetSection.children]
+
+    for (const child of sectionChildren) {
+      if (child.type === 'h3') {
+        // Save previous section
+        if (currentSection) {
+          newSections.push({
+            type: 'Section',
+            props: { title: currentSection },
+            children: currentChildren
+          })
+        }
+        currentSection = typeof child.children === 'string' ? child.children : 'Subsection'
+        currentChildren = []
+      } else if (currentSection) {
+        currentChildren.push(child)
+      } else {
+        // Content before first h3 - keep in original section intro
+        currentChildren.push(child)
+      }
+    }
+
+    // Don't forget last section
+    if (currentSection && currentChildren.length > 0) {
+      newSections.push({
+        type: 'Section',
+        props: { title: currentSection },
+        children: currentChildren
+      })
+    }
+
+    console.log(`  Created ${newSections.length} new sections`)
+
+    // Find the actual index in content.children (not filtered)
+    const actualIdx = content.content.children.findIndex(c => c === targetSection)
+
+    // Replace the original section with the new sections
+    content.content.children.splice(actualIdx, 1, ...newSections)
+
+    // Headings became section titles, so annotations on them need new homes
+    const { content: reanchored, report: reanchor, layers } = await reanchorTutorial(tutorialId, JSON.parse(raw), content)
+
+    // Save
+    assertValidContent(reanchored, JSON.parse(raw))
+    await fs.writeFile(jsonPath, JSON.stringify(reanchored, null, 2))
+    console.log('💾 Saved restructured content')
+    const layerPaths = await saveReanchoredLayers(layers)
+
+    // Git commit
+    commitAndPush(jsonPath, `[promote] ${parentNodeId} → ${newSections.length} sections in ${tutorialId}`).catch(() => {})
+    for (const layerPath of layerPaths) {
+      commitAndPush(layerPath, `[reanchor] ${path.basename(layerPath)} after promote in ${tutorialId}`).catch(() => {})
+    }
+
+    return sendJson(res, 200, { 
+      success: true, 
+      message: `Promoted to ${newSections.length} new sections`,
+      newSectionCount: newSections.length,
+      reanchor
+    })
+
+  } else if (action === 'split') {
+    // Similar to promote but for a specific node
+    return sendJson(res, 400, { error: 'Split not yet implemented - use promote on the parent section' })
+  }
+
+  return sendJson(res, 400, { error: `Unknown action: ${action}` })
+}
+
+export const routes = [
+  { method: 'POST', path: '/regroup', handler: handleRegroup, description: 'Reorganize annotations into the main text', lock: lockTutorial },
+  { method: 'POST', path: '/combine', handler: handleCombine, description: 'Combine nodes into one section', lock: lockTutorial },
+  { method: 'POST', path: '/nl-tree-command', handler: handleNlTreeCommand, description: 'Interpret a natural-language tree command' },
+  { method: 'POST', path: '/structure-lint', handler: handleStructureLint, description: 'Analyze structure and suggest splits', lock: lockTutorial },
+  { method: 'POST', path: '/structure-change', handler: handleStructureChange, description: 'Apply a structure change (promote, split, etc)', lock: lockTutorial }
+]
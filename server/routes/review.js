@@ -0,0 +1,99 @@
+/**
+ * Review routes
+ *
+ * The spaced-repetition deck (see server/review-deck.js) and opt-in history
+ * sync. Histories are personal, so they're kept at
+ * src/content/.review-history/<userId>.json and never committed.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { CONTENT_DIR } from '../config.js'
+import { sendJson } from '../http.js'
+import { buildReviewDeck } from '../review-deck.js'
+import { mergeHistories } from '../../src/utils/spacedRepetition.js'
+
+const HISTORY_DIR = path.join(CONTENT_DIR, '.review-history')
+
+function getHistoryPath(userId) {
+  if (typeof userId !== 'string' || !/^[a-z0-9-]{1,64}$/.test(userId)) {
+    const error = new Error(`Invalid userId: ${userId}`)
+    error.status = 400
+    throw error
+  }
+  return path.join(HISTORY_DIR, `${userId}.json`)
+}
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value)
+
+/**
+ * Keep the well-formed parts of a history (shape in spacedRepetition.js):
+ * card states must be objects and log entries need a cardId and a string
+ * reviewedAt. Returns null when neither cards nor log is usable.
+ */
+function sanitizeHistory(history) {
+  if (!isPlainObject(history)) return null
+  const cards = isPlainObject(history.cards)
+    ? Object.fromEntries(Object.entries(history.cards).filter(([, state]) => isPlainObject(state)))
+    : null
+  const log = Array.isArray(history.log)
+    ? history.log.filter(entry => isPlainObject(entry) && typeof entry.cardId === 'string' && typeof entry.reviewedAt === 'string')
+    : null
+  if (!cards && !log) return null
+  return { cards: cards || {}, log: log || [] }
+}
+
+async function loadStoredHistory(userId) {
+  try {
+    return sanitizeHistory(JSON.parse(await fs.readFile(getHistoryPath(userId), 'utf-8'))) || { cards: {}, log: [] }
+  } catch (e) {
+    if (e.status) throw e
+    return { cards: {}, log: [] }
+  }
+}
+
+/**
+ * Every review card across tutorials and quiz files
+ */
+async function handleGetDeck({ res }) {
+  const cards = buildReviewDeck()
+  return sendJson(res, 200, { cards, count: cards.length })
+}
+
+/**
+ * Stored history for a sync id
+ * Query params: userId
+ */
+async function handleGetHistory({ res, url }) {
+  const userId = url.searchParams.get('userId')
+  if (!userId) {
+    return sendJson(res, 400, { error: 'Missing userId parameter' })
+  }
+
+  return sendJson(res, 200, { userId, history: await loadStoredHistory(userId) })
+}
+
+/**
+ * Merge a browser's history into the stored one and return the result
+ */
+async function handleSyncHistory({ res, body }) {
+  const { userId } = body
+  const history = sanitizeHistory(body.history)
+  if (!userId || !history) {
+    return sendJson(res, 400, { error: 'userId and a history with cards or log are required' })
+  }
+
+  const historyPath = getHistoryPath(userId)
+  const merged = mergeHistories(await loadStoredHistory(userId), history)
+  await fs.mkdir(HISTORY_DIR, { recursive: true })
+  await fs.writeFile(historyPath, JSON.stringify(merged))
+
+  console.log(`🧠 Synced review history for ${userId}: ${Object.keys(merged.cards).length} cards`)
+  return sendJson(res, 200, { userId, history: merged })
+}
+
+export const routes = [
+  { method: 'GET', path: '/api/review/deck', handler: handleGetDeck, description: 'Spaced-repetition cards from all quizzes' },
+  { method: 'GET', path: '/api/review/history', handler: handleGetHistory, description: 'Get synced review history' },
+  { method: 'POST', path: '/api/review/history', handler: handleSyncHistory, description: 'Merge and store review history', lock: ({ body }) => body.userId && `review:${body.userId}` }
+]
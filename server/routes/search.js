@@ -0,0 +1,41 @@
+/**
+ * Search routes
+ *
+ * Ranked full-text search across every tutorial (see server/search-index.js).
+ */
+
+import { sendJson } from '../http.js'
+import { search, getIndexStats } from '../search-index.js'
+
+/**
+ * Search tutorials
+ * Query params: q, limit, semantic=1 to blend in semantic-tree embeddings, semanticWeight
+ */
+async function handleSearch({ res, url }) {
+  const query = (url.searchParams.get('q') || '').trim()
+  if (!query) {
+    return sendJson(res, 400, { error: 'Missing q parameter' })
+  }
+
+  const limit = parseInt(url.searchParams.get('limit'), 10) || 20
+  const semantic = url.searchParams.get('semantic') === '1'
+  const semanticWeight = parseFloat(url.searchParams.get('semanticWeight'))
+
+  const results = await search(query, {
+    limit: Math.min(limit, 100),
+    semantic,
+    ...(!isNaN(semanticWeight) && { semanticWeight: Math.min(Math.max(semanticWeight, 0), 1) })
+  })
+
+  return sendJson(res, 200, {
+    query,
+    semantic,
+    results,
+    count: results.length,
+    index: getIndexStats()
+  })
+}
+
+export const routes = [
+  { method: 'GET', path: '/search', handler: handleSearch, description: 'Ranked search across tutorials' }
+]
@@ -0,0 +1,467 @@
+/**
+ * Semantic tree routes
+ *
+ * Generate, expand and edit semantic trees; embeddings and semantic search.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { callAI, generateEmbedding, cosineSimilarity } from '../../ai-config.js'
+import { generateFullSemanticTree, expandNode, computeTreeEmbeddings, getTreeEmbeddingInfo, hashContent } from '../../semantic-tree.js'
+import { CONTENT_DIR } from '../config.js'
+import { sendJson } from '../http.js'
+import { lockTutorial } from '../jobs.js'
+import { readSemanticTree, writeSemanticTree, withoutEmbeddings } from '../../embedding-store.js'
+
+/**
+ * Generate (or load cached) semantic tree
+ *
+ * A cached tree is returned as is while the tutorial is unchanged. Once the
+ * tutorial has been edited only the changed sections are rebuilt and
+ * embedded; forceRegenerate rebuilds everything.
+ */
+async function handleGenerateSemanticTree({ res, body, progress }) {
+  const { tutorialId, forceRegenerate = false } = body
+
+  console.log('\n🌳 Semantic Tree Request:')
+  console.log(`  Tutorial: ${tutorialId}`)
+
+  // Check cache
+  const cachePath = path.join(CONTENT_DIR, `${tutorialId}-semantic-tree.json`)
+  let cached = null
+  try {
+    cached = await readSemanticTree(cachePath, { embeddings: false })
+  } catch {
+    // Not cached
+  }
+
+  // Load tutorial
+  const jsonPath = path.join(CONTENT_DIR, `${tutorialId}.json`)
+  let tutorial
+  try {
+    tutorial = JSON.parse(await fs.readFile(jsonPath, 'utf-8'))
+  } catch (e) {
+    // Trees can outlive their tutorial JSON; serve them as they are
+    if (!cached) throw e
+  }
+
+  if (cached && !forceRegenerate && (!tutorial || cached.tree.contentHash === hashContent(tutorial.content))) {
+    console.log('  ✅ Using cached semantic tree')
+    return sendJson(res, 200, cached)
+  }
+
+  // The previous tree is reloaded with its vectors so unchanged nodes keep them
+  const previousTree = cached && !forceRegenerate ? (await readSemanticTree(cachePath)).tree : null
+  if (previousTree) console.log('  ♻️ Tutorial changed, refreshing changed sections')
+
+  // Generate semantic tree, streaming each rebuilt section's branch as it's built
+  let reusedSections = 0
+  const tree = await generateFullSemanticTree(tutorial, {
+    previousTree,
+    onProgress: (stage, message, extra) => progress.step(stage, message, extra),
+    onSection: (branch, { reused }) => {
+      if (reused) reusedSections++
+      else progress.partial({ section: branch })
+    },
+    signal: progress.signal
+  })
+
+  // Embed the rebuilt nodes with the provider the old tree used
+  if (previousTree && tree.embeddingProvider) {
+    progress.checkpoint()
+    progress.step('embedding', 'Embedding changed sections')
+    await computeTreeEmbeddings(tree, tree.embeddingProvider)
+  }
+
+  // Cache result
+  progress.checkpoint()
+  progress.step('saving', 'Caching the semantic tree')
+  const result = { ...(previousTree && cached), tree, generatedAt: new Date().toISOString(), tutorialId }
+  await writeSemanticTree(cachePath, result)
+  console.log(`  💾 Cached semantic tree (${reusedSections}/${tree.children.filter(b => b.contentHash).length} sections reused)`)
+
+  return progress.send(200, { ...withoutEmbeddings(result), reusedSections })
+}
+
+/**
+ * Explain selected text as a new tree node
+ */
+async function handleExplainSelection({ res, body }) {
+  const { tutorialId, parentNodeId, parentNode, selectedText, question, mode = 'faithful' } = body
+
+  console.log('\n💡 Explain Selection Request:')
+  console.log(`  Tutorial: ${tutorialId}`)
+  console.log(`  Parent: ${parentNode?.title}`)
+  console.log(`  Selected: "${selectedText}"`)
+  console.log(`  Question: ${question || '(none)'}`)
+  console.log(`  Mode: ${mode}`)
+
+  // Different prompts for explain vs ask
+  const isQuestion = !!question
+
+  // Generate explanation as child node(s)
+  const explainPrompt = mode === 'faithful'
+    ? `You are ${isQuestion ? 'answering a question' : 'explaining a term/phrase'} for a reader of educational content.
+
+${isQuestion ? `QUESTION: ${question}` : `SELECTED TEXT: "${selectedText}"`}
+${isQuestion && selectedText ? `REGARDING: "${selectedText}"` : ''}
+
+CONTEXT (from the source):
+${parentNode.sourceText || parentNode.summary}
+
+${isQuestion 
+  ? 'Answer the question using ONLY information from or directly implied by the context above.'
+  : `Explain what "${selectedText}" means IN THE CONTEXT of this source material.`}
+- Only use information from or directly implied by the context
+- If the context doesn't ${isQuestion ? 'answer this' : 'explain this term'}, say so
+- Be educational and clear
+
+Return a JSON object with:
+- "title": ${isQuestion ? 'A clear title summarizing the Q&A' : 'A clear title for this explanation (e.g., "What are GABAergic interneurons?")'}
+- "summary": 2-4 sentence ${isQuestion ? 'answer' : 'explanation'} based on the source context
+- "needsMoreDetail": true if this ${isQuestion ? 'answer' : 'concept'} could be further broken down
+
+Return ONLY valid JSON.`
+    : `You are ${isQuestion ? 'answering a question' : 'explaining a term/phrase'} for a reader.
+
+${isQuestion ? `QUESTION: ${question}` : `SELECTED TEXT: "${selectedText}"`}
+${isQuestion && selectedText ? `REGARDING: "${selectedText}"` : ''}
+
+CONTEXT (from the source):
+${parentNode.sourceText || parentNode.summary}
+
+${isQuestion 
+  ? 'Answer the question thoroughly using your full knowledge. The source context above gives you the topic area, but you should draw on general knowledge to give a COMPLETE, HELPFUL answer. Do NOT say "the source doesn\'t mention this" — instead, answer the question directly using what you know.'
+  : `Explain what "${selectedText}" means thoroughly. Use the source context for topic grounding, but draw on your full knowledge to give a complete explanation.`}
+
+Return a JSON object with:
+- "title": ${isQuestion ? 'A clear title summarizing the Q&A' : 'A clear title for this explanation'}
+- "summary": 2-4 sentence educational ${isQuestion ? 'answer' : 'explanation'} that DIRECTLY ${isQuestion ? 'answers the question' : 'explains the concept'}
+- "isExternal": true if you added information beyond what the source says
+- "needsMoreDetail": true if this ${isQuestion ? 'answer' : 'concept'} could be further broken down
+
+Return ONLY valid JSON.`
+
+  const response = await callAI(
+    mode === 'faithful'
+      ? 'You explain terms based only on provided context. Return valid JSON.'
+      : 'You explain terms educationally, clearly marking external knowledge. Return valid JSON.',
+    explainPrompt
+  )
+
+  let explanation
+  try {
+    const jsonMatch = response.match(/\{[\s\S]*\}/)
+    if (!jsonMatch) throw new Error('No JSON found')
+    explanation = JSON.parse(jsonMatch[0])
+  } catch (e) {
+    console.error('  ❌ Failed to parse explanation:', e.message)
+    return sendJson(res, 500, { error: 'Failed to generate explanation' })
+  }
+
+  // Create the child node
+  const childNode = {
+    id: `${parentNodeId}-${isQuestion ? 'qa' : 'explain'}-${Date.now()}`,
+    title: explanation.title,
+    summary: explanation.summary,
+    sourceText: selectedText,
+    question: question || null,  // Store the original question if it was a Q&A
+    isLeaf: true,
+    canExpand: explanation.needsMoreDetail || false,
+    expanded: false,
+    isAtomic: false,
+    isExternal: explanation.isExternal || false,
+    isExplanation: !isQuestion,  // Mark as user-requested explanation
+    isQA: isQuestion,            // Mark as Q&A
+    generatedAt: new Date().toISOString()
+  }
+
+  // Add to cached tree
+  const cachePath = path.join(CONTENT_DIR, `${tutorialId}-semantic-tree.json`)
+  try {
+    const cached = await readSemanticTree(cachePath)
+
+    // Find parent and add child
+    const addChild = (n) => {
+      if (n.id === parentNodeId) {
+        if (!n.children) n.children = []
+        n.children.push(childNode)
+        n.isLeaf = false
+        return true
+      }
+      if (n.children) {
+        for (const child of n.children) {
+          if (addChild(child)) return true
+        }
+      }
+      return false
+    }
+
+    if (addChild(cached.tree)) {
+      cached.lastExplained = new Date().toISOString()
+      await writeSemanticTree(cachePath, cached)
+      console.log('  💾 Added explanation child node')
+    }
+  } catch (e) {
+    console.log('  ⚠️ Could not update cache:', e.message)
+  }
+
+  return sendJson(res, 200, { child: childNode })
+}
+
+/**
+ * Expand a semantic tree node
+ */
+async function handleExpandSemanticNode({ res, body }) {
+  const { tutorialId, nodeId, node, parentContext, mode = 'faithful' } = body
+
+  console.log('\n🔍 Expand Node Request:')
+  console.log(`  Tutorial: ${tutorialId}`)
+  console.log(`  Node: ${node?.title || nodeId}`)
+  console.log(`  Mode: ${mode}`)
+
+  // Expand the node
+  const result = await expandNode(node, parentContext, mode)
+
+  if (!result.atomic) {
+    // Update the cached tree with new children AND bubble up enriched summaries
+    const cachePath = path.join(CONTENT_DIR, `${tutorialId}-semantic-tree.json`)
+    try {
+      const cached = await readSemanticTree(cachePath)
+
+      // Find and update the node, tracking the path for bubble-up
+      const updateNode = (n, ancestors = []) => {
+        if (n.id === nodeId) {
+          // Update this node
+          n.children = result.children
+          n.expanded = true
+          n.expandedAt = new Date().toISOString()
+          n.isLeaf = false
+
+          // Apply enriched summary if provided
+          if (result.enrichedParentSummary) {
+            console.log('  📝 Updating parent summary')
+            n.originalSummary = n.originalSummary || n.summary  // Preserve original
+            n.summary = result.enrichedParentSummary
+          }
+
+          return { found: true, ancestors }
+        }
+        if (n.children) {
+          for (const child of n.children) {
+            const res = updateNode(child, [...ancestors, n])
+            if (res.found) return res
+          }
+        }
+        return { found: false }
+      }
+
+      const updateResult = updateNode(cached.tree)
+
+      if (updateResult.found) {
+        // Bubble up: update ancestor summaries to reflect new content
+        if (result.enrichedParentSummary && updateResult.ancestors.length > 0) {
+          console.log(`  🫧 Bubbling up through ${updateResult.ancestors.length} ancestors...`)
+
+          // For each ancestor (from immediate parent up to root)
+          for (let i = updateResult.ancestors.length - 1; i >= 0; i--) {
+            const ancestor = updateResult.ancestors[i]
+
+            // Collect all child summaries
+            const childSummaries = ancestor.children
+              .map(c => `${c.title}: ${c.summary.slice(0, 100)}...`)
+              .join('; ')
+
+            // Mark that this ancestor has been enriched by expansion
+            ancestor.enrichedFromExpansion = true
+            ancestor.lastEnrichedAt = new Date().toISOString()
+
+            // Note: We could regenerate ancestor summaries here too,
+            // but that's expensive. For now, just mark them as potentially stale.
+            // A separate "recompute summaries" job could refresh them.
+          }
+        }
+
+        cached.lastExpanded = new Date().toISOString()
+        await writeSemanticTree(cachePath, cached)
+        console.log('  💾 Updated cached tree with enriched summaries')
+      }
+    } catch (e) {
+      console.log('  ⚠️ Could not update cache:', e.message)
+    }
+  }
+
+  return sendJson(res, 200, result)
+}
+
+/**
+ * Delete semantic tree nodes
+ */
+async function handleDeleteNodes({ res, body }) {
+  const { tutorialId, nodeIds } = body
+
+  if (!tutorialId || !nodeIds || !Array.isArray(nodeIds) || nodeIds.length === 0) {
+    return sendJson(res, 400, { error: 'tutorialId and nodeIds[] required' })
+  }
+
+  console.log('\n🗑️ Delete Nodes Request:')
+  console.log(`  Tutorial: ${tutorialId}`)
+  console.log(`  Nodes to delete: ${nodeIds.join(', ')}`)
+
+  // Load the semantic tree cache
+  const cachePath = path.join(CONTENT_DIR, `${tutorialId}-semantic-tree.json`)
+  let cached
+  try {
+    cached = await readSemanticTree(cachePath)
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e // Unreadable embeddings: don't write the tree back without them
+    return sendJson(res, 404, { error: `No cached tree found for ${tutorialId}` })
+  }
+
+  // Recursively remove nodes by ID
+  let deletedCount = 0
+  function removeNodes(node) {
+    if (!node || !node.children) return node
+    const before = node.children.length
+    node.children = node.children.filter(child => {
+      if (nodeIds.includes(child.id)) {
+        deletedCount++
+        return false
+      }
+      return true
+    })
+    // Recurse into remaining children
+    node.children.forEach(child => removeNodes(child))
+    return node
+  }
+
+  // Check if trying to delete the root
+  if (nodeIds.includes(cached.tree?.id)) {
+    return sendJson(res, 400, { error: 'Cannot delete root node' })
+  }
+
+  removeNodes(cached.tree)
+
+  if (deletedCount === 0) {
+    return sendJson(res, 404, { error: 'None of the specified node IDs were found' })
+  }
+
+  // Save updated tree
+  cached.lastModified = new Date().toISOString()
+  await writeSemanticTree(cachePath, cached)
+
+  console.log(`  ✅ Deleted ${deletedCount} node(s), saved to ${cachePath}`)
+
+  return sendJson(res, 200, { deleted: deletedCount, nodeIds })
+}
+
+/**
+ * Compute embeddings for a semantic tree
+ */
+async function handleComputeEmbeddings({ res, body }) {
+  const { tutorialId, provider, dimensions } = body
+
+  console.log('\n🧮 Compute Embeddings Request:')
+  console.log(`  Tutorial: ${tutorialId}`)
+
+  const cachePath = path.join(CONTENT_DIR, `${tutorialId}-semantic-tree.json`)
+  const cached = await readSemanticTree(cachePath)
+
+  // Compute embeddings
+  await computeTreeEmbeddings(cached.tree, { provider, dimensions })
+
+  // Save updated tree
+  cached.embeddingsComputedAt = new Date().toISOString()
+  await writeSemanticTree(cachePath, cached)
+
+  // Count embeddings
+  let embeddingCount = 0
+  const countEmbeddings = (n) => {
+    if (n.embedding) embeddingCount++
+    if (n.children) n.children.forEach(countEmbeddings)
+  }
+  countEmbeddings(cached.tree)
+
+  return sendJson(res, 200, { 
+    status: 'ok', 
+    embeddingCount,
+    embeddingProvider: cached.tree.embeddingProvider,
+    embeddingsComputedAt: cached.embeddingsComputedAt
+  })
+}
+
+/**
+ * Embedding search over a semantic tree
+ */
+async function handleSemanticSearch({ res, body }) {
+  const { tutorialId, query, maxResults = 5 } = body
+
+  console.log('\n🔍 Semantic Search:')
+  console.log(`  Tutorial: ${tutorialId}`)
+  console.log(`  Query: ${query}`)
+
+  // Load tree
+  const cachePath = path.join(CONTENT_DIR, `${tutorialId}-semantic-tree.json`)
+  const cached = await readSemanticTree(cachePath)
+
+  // Generate query embedding
+  const queryEmbedding = await generateEmbedding(query, getTreeEmbeddingInfo(cached.tree) || {})
+
+  // Search tree hierarchically
+  const results = []
+
+  function searchNode(node, depth = 0, parentScore = 1.0) {
+    if (!node.embedding) return
+
+    // Compute similarity to this node's summary
+    const summaryScore = cosineSimilarity(queryEmbedding, node.embedding)
+
+    // Also check child aggregate if available (backdoor match)
+    let childScore = 0
+    if (node.childEmbeddingAggregate) {
+      childScore = cosineSimilarity(queryEmbedding, node.childEmbeddingAggregate)
+    }
+
+    const score = Math.max(summaryScore, childScore * 0.9) // Slight penalty for indirect match
+
+    results.push({
+      id: node.id,
+      title: node.title,
+      summary: node.summary,
+      score,
+      summaryScore,
+      childScore,
+      depth,
+      isLeaf: node.isLeaf || !node.children
+    })
+
+    // Only drill into children if parent seems relevant
+    if (score > 0.3 && node.children) {
+      for (const child of node.children) {
+        searchNode(child, depth + 1, score)
+      }
+    }
+  }
+
+  searchNode(cached.tree)
+
+  // Sort by score and return top results
+  results.sort((a, b) => b.score - a.score)
+  const topResults = results.slice(0, maxResults)
+
+  console.log(`  Found ${results.length} nodes, returning top ${topResults.length}`)
+
+  return sendJson(res, 200, { 
+    query,
+    results: topResults
+  })
+}
+
+export const routes = [
+  { method: 'POST', path: '/generate-semantic-tree', handler: handleGenerateSemanticTree, description: 'Generate (or load cached) semantic tree', lock: lockTutorial },
+  { method: 'POST', path: '/explain-selection', handler: handleExplainSelection, description: 'Explain selected text as a new tree node', lock: lockTutorial },
+  { method: 'POST', path: '/expand-semantic-node', handler: handleExpandSemanticNode, description: 'Expand a semantic tree node', lock: lockTutorial },
+  { method: 'POST', path: '/delete-nodes', handler: handleDeleteNodes, description: 'Delete semantic tree nodes', lock: lockTutorial },
+  { method: 'POST', path: '/compute-embeddings', handler: handleComputeEmbeddings, description: 'Compute embeddings for a semantic tree', lock: lockTutorial },
+  { method: 'POST', path: '/semantic-search', handler: handleSemanticSearch, description: 'Embedding search over a semantic tree' }
+]
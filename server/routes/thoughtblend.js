@@ -0,0 +1,506 @@
+/**
+ * ThoughtBlend routes
+ *
+ * Fetch and analyze sources, synthesize blends, publish them as tutorials,
+ * suggest contrasts.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { callAI } from '../../ai-config.js'
+import { CONTENT_DIR, MAX_UPLOAD_BYTES } from '../config.js'
+import { sendJson } from '../http.js'
+import { commitAndPush } from '../git.js'
+import { assertValidContent } from '../content-schema.js'
+import { ELEMENT_GUIDE, tutorialIdFrom, lockNewTutorial, parseTutorialResponse, linkSourceFootnotes } from '../tutorial-generator.js'
+import { extractDocument, chunkDocument, blocksToText } from '../ingest.js'
+import { fetchSource, decodeBody } from '../fetcher.js'
+
+// Matches what the client keeps per source
+const MAX_CONTENT_CHARS = 50000
+// How much of a chunked document the analysis prompt sees
+const ANALYZE_EXCERPT_CHARS = 6000
+
+/**
+ * Whole chunks up to the content limit, plus the document as text
+ */
+function prepareDocument(doc) {
+  const allChunks = chunkDocument(doc.blocks)
+  const chunks = []
+  let size = 0
+  for (const chunk of allChunks) {
+    if (size + chunk.text.length > MAX_CONTENT_CHARS) break
+    chunks.push(chunk)
+    size += chunk.text.length
+  }
+  return {
+    content: blocksToText(doc.blocks).slice(0, MAX_CONTENT_CHARS),
+    chunks,
+    truncated: chunks.length < allChunks.length
+  }
+}
+
+// Chunks spread evenly through the document, within the excerpt budget
+function sampleChunks(chunks, budget = ANALYZE_EXCERPT_CHARS) {
+  const perChunk = 600
+  const count = Math.min(chunks.length, Math.max(1, Math.floor(budget / perChunk)))
+  const step = chunks.length / count
+  return Array.from({ length: count }, (_, i) => chunks[Math.floor(i * step)])
+}
+
+/**
+ * Summary, themes, stance and key points for a source. With `chunks` each
+ * key point comes back with the chunks that support it, as `citations`.
+ */
+async function analyzeSource({ title, content, chunks }) {
+  const cited = Array.isArray(chunks) && chunks.length > 0
+
+  const systemPrompt = `You are analyzing a source document for ThoughtBlend, a tool that synthesizes multiple perspectives.
+
+Extract the key information from this document and return a JSON object with:
+- summary: A 2-3 sentence summary of the main argument or perspective
+- themes: An array of 3-5 key themes or topics (short phrases)  
+- stance: A brief description of the document's position/viewpoint
+${cited
+    ? '- keyPoints: An array of 3-5 main points made by the document, each { "point": string, "chunks": [ids of the excerpts that support it, e.g. "c3"] }'
+    : '- keyPoints: An array of 3-5 main points made by the document'}
+
+Return ONLY valid JSON, no explanation.`
+
+  const excerpt = cited
+    ? `Excerpts (id | location):
+${sampleChunks(chunks).map(c => `[${c.id} | ${c.cite || 'untitled section'}]\n${c.text.slice(0, 600)}`).join('\n\n')}`
+    : `Content (first 5000 chars):
+${content.slice(0, 5000)}`
+
+  const prompt = `Document title: "${title || 'Untitled'}"
+
+${excerpt}
+
+Analyze this document and extract its key information as JSON.`
+
+  console.log(`  🤖 Analyzing...`)
+  const analysis = await callAI(systemPrompt, prompt)
+
+  let parsed
+  try {
+    const jsonMatch = analysis.match(/\{[\s\S]*\}/)
+    parsed = JSON.parse(jsonMatch[0])
+  } catch {
+    parsed = {
+      summary: 'Could not automatically summarize. Review the content manually.',
+      themes: [],
+      stance: 'Unknown',
+      keyPoints: []
+    }
+  }
+
+  // Key points stay strings; their sources line up in `citations`
+  if (cited) {
+    const known = new Set(chunks.map(c => c.id))
+    const points = (Array.isArray(parsed.keyPoints) ? parsed.keyPoints : []).filter(p => (typeof p === 'string' ? p : p?.point))
+    parsed.keyPoints = points.map(p => (typeof p === 'string' ? p : p.point))
+    parsed.citations = points.map(p => (Array.isArray(p?.chunks) ? p.chunks.filter(id => known.has(id)) : []))
+  }
+
+  return parsed
+}
+
+/**
+ * Fetch a URL (following redirects, honoring robots.txt, cached on disk),
+ * extract its main content and analyze it
+ * Body: { url, refresh? }
+ */
+async function handleFetchUrl({ res, body }) {
+  const { url: targetUrl, refresh = false } = body
+
+  if (!targetUrl) {
+    return sendJson(res, 400, { error: 'Missing url' })
+  }
+
+  console.log(`\n🔗 Fetching URL: ${targetUrl}`)
+  const fetched = await fetchSource(targetUrl, { refresh })
+  console.log(`  ${fetched.cached ? '✅ Cached' : '📥 Fetched'} ${fetched.format} (${Math.round(fetched.body.length / 1024)} KB) from ${fetched.finalUrl}`)
+
+  // Text formats are re-encoded as UTF-8 for the extractors
+  const finalUrl = new URL(fetched.finalUrl)
+  const isText = fetched.format === 'html' || fetched.format === 'text'
+  const buffer = isText ? Buffer.from(decodeBody(fetched.body, fetched.contentType), 'utf-8') : fetched.body
+  const doc = await extractDocument(buffer, `${finalUrl.hostname}.${fetched.format === 'text' ? 'txt' : fetched.format}`)
+  const { content, chunks, truncated } = prepareDocument(doc)
+
+  if (!content.trim()) {
+    return sendJson(res, 422, { error: 'No readable text found at this URL' })
+  }
+
+  console.log(`  Extracted ${content.length} chars in ${chunks.length} chunks, title: "${doc.title.slice(0, 50)}"`)
+  const analysis = await analyzeSource({ title: doc.title, content, chunks })
+
+  return sendJson(res, 200, {
+    success: true,
+    title: doc.title,
+    ...(doc.byline && { byline: doc.byline }),
+    url: fetched.finalUrl,
+    format: doc.format,
+    fetchedAt: fetched.fetchedAt,
+    cached: fetched.cached,
+    content,
+    chunks,
+    truncated,
+    ...analysis
+  })
+}
+
+/**
+ * Extract an uploaded PDF, EPUB or HTML file into text plus cited chunks
+ * Body: { filename, data } with the file base64-encoded
+ */
+async function handleIngest({ res, body }) {
+  const { filename, data } = body
+
+  if (!data) {
+    return sendJson(res, 400, { error: 'Missing file data' })
+  }
+
+  const buffer = Buffer.from(data, 'base64')
+  if (buffer.length > MAX_UPLOAD_BYTES) {
+    return sendJson(res, 413, { error: `File too large (max ${MAX_UPLOAD_BYTES / 1024 / 1024} MB)` })
+  }
+
+  console.log(`\n📚 Ingesting document: ${filename || 'untitled'} (${Math.round(buffer.length / 1024)} KB)`)
+  const doc = await extractDocument(buffer, filename)
+  const { content, chunks, truncated } = prepareDocument(doc)
+
+  if (chunks.length === 0) {
+    return sendJson(res, 422, { error: 'No readable text found in this file (scanned PDFs need OCR first)' })
+  }
+
+  console.log(`  ${doc.format.toUpperCase()}: ${doc.pageCount ? `${doc.pageCount} pages` : doc.chapterCount ? `${doc.chapterCount} chapters` : `${doc.blocks.length} blocks`}, ${chunks.length} chunks`)
+
+  return sendJson(res, 200, {
+    success: true,
+    title: doc.title,
+    format: doc.format,
+    content,
+    chunks,
+    truncated,
+    ...(doc.pageCount && { pageCount: doc.pageCount }),
+    ...(doc.chapterCount && { chapterCount: doc.chapterCount })
+  })
+}
+
+/**
+ * Analyze text content, citing chunks when given (from /thoughtblend/ingest)
+ */
+async function handleAnalyze({ res, body }) {
+  const { content, title, chunks } = body
+
+  if (!content) {
+    return sendJson(res, 400, { error: 'Missing content' })
+  }
+
+  console.log(`\n📝 Analyzing content: "${(title || 'untitled').slice(0, 50)}" (${content.length} chars${chunks?.length ? `, ${chunks.length} chunks` : ''})`)
+  const analysis = await analyzeSource({ title, content, chunks })
+
+  return sendJson(res, 200, {
+    success: true,
+    ...analysis
+  })
+}
+
+/**
+ * Numbered source descriptions for synthesis prompts. Ingested documents
+ * carry chunks with locations, so their points and excerpts can be cited
+ * precisely.
+ */
+function describeSources(sources) {
+  return sources.map((s, i) => {
+    const magnitude = s.magnitude || 1
+    const chunkById = new Map((s.chunks || []).map(c => [c.id, c]))
+    const citesFor = (k) => (s.citations?.[k] || []).map(id => chunkById.get(id)?.cite).filter(Boolean)
+    const keyPoints = (s.keyPoints || []).map((p, k) => {
+      const cites = citesFor(k)
+      return `- ${p}${cites.length ? ` [${cites.join('; ')}]` : ''}`
+    })
+    const excerpt = chunkById.size > 0
+      ? `Cited excerpts:\n${[...chunkById.values()].map(c => `[${c.cite}] ${c.text.slice(0, 400)}`).join('\n').slice(0, 2000)}`
+      : `Content excerpt: ${(s.content || '').slice(0, 1500)}...`
+    return `SOURCE ${i + 1} (weight: ${Math.round(magnitude * 100)}%):
+Title: ${s.title}
+Summary: ${s.summary || 'No summary available'}
+Key themes: ${(s.themes || []).join(', ') || 'None identified'}
+Stance: ${s.stance || 'Not specified'}
+Key points: ${keyPoints.join('\n') || 'None identified'}
+${excerpt}
+`
+  }).join('\n---\n')
+}
+
+/**
+ * Generate synthesis from a mixture of sources
+ */
+async function handleSynthesize({ res, body }) {
+  const { sources, acrimony = 0.5, mode = 'structured' } = body
+
+  if (!sources || !Array.isArray(sources) || sources.length < 2) {
+    return sendJson(res, 400, { error: 'Need at least 2 sources' })
+  }
+
+  console.log(`\n🎨 Synthesizing ${sources.length} sources`)
+  console.log(`  Mode: ${mode}, Tension: ${Math.round(acrimony * 100)}%`)
+
+  const sourceDescriptions = describeSources(sources)
+
+  // Determine synthesis style based on acrimony and mode
+  let toneGuidance
+  if (acrimony < 0.3) {
+    toneGuidance = 'Find common ground and areas of agreement. Emphasize synthesis and complementary perspectives. Minimize conflict.'
+  } else if (acrimony < 0.7) {
+    toneGuidance = 'Present each perspective fairly. Acknowledge both agreements and disagreements. Be balanced and analytical.'
+  } else {
+    toneGuidance = 'Highlight tensions and contradictions. Let the sources challenge each other directly. Be provocative and dialectical.'
+  }
+
+  let formatGuidance
+  if (mode === 'dialogue') {
+    formatGuidance = `Format as a dialogue/debate between voices representing each source.
+Use source titles or "Voice 1", "Voice 2" etc as speaker names.
+Each voice should authentically represent its source's perspective.
+Include back-and-forth exchanges where voices respond to each other.`
+  } else {
+    formatGuidance = `Format as a structured essay with clear sections:
+1. Introduction - frame the topic and the perspectives being compared
+2. Areas of Agreement - where sources converge
+3. Points of Tension - where sources diverge or conflict
+4. Synthesis - your analysis drawing from all sources
+5. Conclusion - key takeaways`
+  }
+
+  const systemPrompt = `You are ThoughtBlend, an AI that synthesizes multiple perspectives into coherent discourse.
+
+Your task is to create a ${mode === 'dialogue' ? 'dialogue' : 'structured essay'} that weaves together the following sources.
+
+Tone guidance: ${toneGuidance}
+
+Format guidance: ${formatGuidance}
+
+Important:
+- Weight each source according to its specified magnitude
+- Cite or attribute ideas to their sources; where a point or excerpt has a location in [brackets], cite it as (Source title, location)
+- Don't just summarize - synthesize and analyze
+- Make connections the sources themselves might not make
+- Be intellectually honest about genuine disagreements`
+
+  const prompt = `Here are the sources to synthesize:
+
+${sourceDescriptions}
+
+Create a ${mode === 'dialogue' ? 'dialogue between these perspectives' : 'structured synthesis essay'} with ${acrimony < 0.3 ? 'harmonious' : acrimony < 0.7 ? 'balanced' : 'contentious'} tone.
+
+Output the synthesis directly as markdown. Include section headers.`
+
+  console.log(`  🤖 Generating synthesis...`)
+  const synthesis = await callAI(systemPrompt, prompt)
+
+  return sendJson(res, 200, {
+    success: true,
+    synthesis: synthesis.trim(),
+    mode,
+    acrimony,
+    sourceCount: sources.length
+  })
+}
+
+// Title of a published synthesis: the given one, or its sources' titles
+function publishTitle({ title, sources }) {
+  if (typeof title === 'string' && title.trim()) return title.trim()
+  return Array.isArray(sources) ? sources.map(s => s?.title || 'Untitled').join(' × ') : ''
+}
+
+/**
+ * Publish a synthesis as a tutorial: the AI turns the wheel's sources,
+ * weights and synthesis into a standard tutorial document whose [n]
+ * markers become footnotes to a Sources section. Saved to src/content,
+ * where the catalog picks it up.
+ * Body: { title?, sources, synthesis, mode?, acrimony?, wheelId? }
+ */
+async function handlePublish({ res, body }) {
+  const { sources, synthesis, mode = 'structured', acrimony = 0.5, wheelId } = body
+
+  if (!Array.isArray(sources) || sources.length < 2) {
+    return sendJson(res, 400, { error: 'Need at least 2 sources' })
+  }
+  if (typeof synthesis !== 'string' || !synthesis.trim()) {
+    return sendJson(res, 400, { error: 'Generate a synthesis before publishing' })
+  }
+
+  const title = publishTitle(body)
+  const tutorialId = tutorialIdFrom(title)
+  if (!tutorialId) {
+    return sendJson(res, 400, { error: 'Title needs at least one letter or digit' })
+  }
+
+  const jsonPath = path.join(CONTENT_DIR, `${tutorialId}.json`)
+  try {
+    await fs.access(jsonPath)
+    return sendJson(res, 409, { error: `Tutorial "${tutorialId}" already exists. Choose another title.` })
+  } catch {
+    // Good, it doesn't exist
+  }
+
+  console.log(`\n📚 Publishing synthesis of ${sources.length} sources as "${tutorialId}"`)
+
+  const systemPrompt = `You are an expert educator turning a ThoughtBlend synthesis - a weighted blend of several sources - into an interactive tutorial.
+The tutorial teaches the topic through the sources' perspectives: where they agree, where they clash, and what the blend reveals.
+Give each source space in proportion to its weight, and keep the synthesis's ${acrimony < 0.3 ? 'harmonious' : acrimony < 0.7 ? 'balanced' : 'contentious'} tone.
+
+Cite sources with their number in square brackets, e.g. "attention is a lookup [1]" or "[1, 3]". Cite every claim that comes from a source.
+Do not add your own bibliography; a numbered Sources section is appended automatically.`
+
+  const prompt = `Sources (numbered for citation):
+
+${describeSources(sources)}
+
+Synthesis (${mode}):
+${synthesis.slice(0, 12000)}
+
+Create a tutorial from this synthesis. Return a JSON object with this exact structure:
+{
+  "id": "${tutorialId}",
+  "title": "${title.replace(/"/g, '\\"')}",
+  "subtitle": "One-line description of what readers will learn",
+  "readTime": "X min",
+  "state": {},
+  "content": {
+    "type": "Fragment",
+    "children": [
+      // Array of Section objects
+    ]
+  }
+}
+
+Each Section should have:
+{
+  "type": "Section",
+  "props": { "title": "Section Title" },
+  "children": [
+    // Mix of these element types:
+${ELEMENT_GUIDE}
+  ]
+}
+
+Create 4-6 sections that:
+1. Open with why these perspectives are worth comparing
+2. Explain each source's position, weighted as above
+3. Include at least one ComparisonTable with a column per source, comparing their positions point by point
+4. Include at least one Analogy that makes the central tension or agreement concrete
+5. End with the synthesis's key takeaways
+
+Return ONLY valid JSON. No markdown, no preamble, no explanation outside the JSON.`
+
+  console.log(`  🤖 Generating tutorial...`)
+  const response = await callAI(systemPrompt, prompt)
+
+  let tutorial
+  try {
+    tutorial = parseTutorialResponse(response)
+  } catch (parseError) {
+    console.error('❌ Failed to parse AI response:', parseError.message)
+    console.log('Response preview:', response.slice(0, 500))
+    return sendJson(res, 500, { error: 'Failed to parse generated tutorial' })
+  }
+  if (!tutorial.content) {
+    return sendJson(res, 500, { error: 'Generated tutorial has no content' })
+  }
+
+  const totalMagnitude = sources.reduce((sum, s) => sum + (s.magnitude || 1), 0)
+  const footnotes = sources.map(s => {
+    const chunkById = new Map((s.chunks || []).map(c => [c.id, c]))
+    const cites = [...new Set((s.citations || []).flat().map(id => chunkById.get(id)?.cite).filter(Boolean))]
+    const weight = `${Math.round((s.magnitude || 1) / totalMagnitude * 100)}% of the blend`
+    return { title: s.title || 'Untitled source', url: s.url, detail: cites.length ? `${weight} · cited: ${cites.join('; ')}` : weight }
+  })
+
+  const themes = [...new Set(sources.flatMap(s => s.themes || []))].slice(0, 4)
+  tutorial = {
+    ...tutorial,
+    id: tutorialId,
+    title: tutorial.title || title,
+    state: tutorial.state || {},
+    tags: ['thoughtblend', ...themes],
+    icon: '🎨',
+    thoughtblend: { ...(wheelId && { wheelId }), mode, acrimony, publishedAt: new Date().toISOString() },
+    content: linkSourceFootnotes(tutorial.content, footnotes)
+  }
+  assertValidContent(tutorial)
+
+  await fs.writeFile(jsonPath, JSON.stringify(tutorial, null, 2))
+  console.log(`💾 Saved: ${jsonPath}`)
+  commitAndPush(jsonPath, `[thoughtblend] Published tutorial: ${tutorial.title.slice(0, 50)}`).catch(() => {})
+
+  return sendJson(res, 200, {
+    success: true,
+    tutorialId,
+    title: tutorial.title,
+    message: `Tutorial "${tutorial.title}" published`
+  })
+}
+
+/**
+ * Suggest contrasting perspectives
+ */
+async function handleSuggestOpposite({ res, body }) {
+  const { source } = body
+
+  if (!source) {
+    return sendJson(res, 400, { error: 'Missing source' })
+  }
+
+  console.log(`\n🔄 Generating opposite suggestions for: "${source.title?.slice(0, 50)}"`)
+
+  const systemPrompt = `You are helping users find contrasting perspectives for ThoughtBlend.
+
+Given a source document, suggest works/authors/perspectives that would provide meaningful intellectual opposition or contrast.
+
+Return a JSON object with:
+- suggestions: An array of 3-5 suggestions, each with:
+  - title: Name of the work or a descriptive title
+  - author: Author if known, or "Various" 
+  - description: Why this contrasts with the original
+  - searchQuery: A search query to find this content
+
+Focus on substantive intellectual contrast, not just surface-level disagreement.`
+
+  const prompt = `Original source:
+Title: ${source.title}
+Summary: ${source.summary || 'Not available'}
+Themes: ${(source.themes || []).join(', ')}
+Stance: ${source.stance || 'Not specified'}
+
+Suggest contrasting perspectives that would create productive intellectual tension with this source.`
+
+  console.log(`  🤖 Generating suggestions...`)
+  const response = await callAI(systemPrompt, prompt)
+
+  let suggestions
+  try {
+    const jsonMatch = response.match(/\{[\s\S]*\}/)
+    suggestions = JSON.parse(jsonMatch[0]).suggestions || []
+  } catch {
+    suggestions = []
+  }
+
+  return sendJson(res, 200, {
+    success: true,
+    suggestions
+  })
+}
+
+export const routes = [
+  { method: 'POST', path: '/thoughtblend/fetch-url', handler: handleFetchUrl, description: 'Fetch a URL, extract its main content and analyze it' },
+  { method: 'POST', path: '/thoughtblend/ingest', handler: handleIngest, description: 'Extract text and cited chunks from a PDF, EPUB or HTML file' },
+  { method: 'POST', path: '/thoughtblend/analyze', handler: handleAnalyze, description: 'Analyze text content, citing chunks when given' },
+  { method: 'POST', path: '/thoughtblend/synthesize', handler: handleSynthesize, description: 'Generate synthesis from a mixture of sources' },
+  { method: 'POST', path: '/thoughtblend/publish', handler: handlePublish, description: 'Publish a synthesis as a tutorial with source footnotes', lock: ({ body }) => lockNewTutorial(publishTitle(body)) },
+  { method: 'POST', path: '/thoughtblend/suggest-opposite', handler: handleSuggestOpposite, description: 'Suggest contrasting perspectives' }
+]
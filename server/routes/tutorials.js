@@ -0,0 +1,497 @@
+/**
+ * Tutorial routes
+ *
+ * Health, listing/fetching tutorials, generating and editing tutorials, undo.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { execSync } from 'child_process'
+import { callAI, getAIInfo, getEmbeddingInfo } from '../../ai-config.js'
+import { CONTENT_DIR, TUTORIALS_REPO } from '../config.js'
+import { sendJson } from '../http.js'
+import { commitAndPush } from '../git.js'
+import { withLock, lockTutorial } from '../jobs.js'
+import { assertValidContent } from '../content-schema.js'
+import { reanchorTutorial, saveReanchoredLayers } from '../reanchor.js'
+import { buildCatalog } from '../catalog.js'
+import {
+  ELEMENT_GUIDE, MAX_SOURCE_DOCUMENTS, tutorialIdFrom, lockNewTutorial, parseTutorialResponse,
+  prepareSourceDocuments, planSections, attachPassageFootnotes
+} from '../tutorial-generator.js'
+
+/**
+ * Health check
+ */
+async function handleHealth({ res }) {
+  const aiInfo = getAIInfo()
+  return sendJson(res, 200, { 
+    status: 'ok', 
+    timestamp: new Date().toISOString(),
+    ai: aiInfo,
+    embedding: getEmbeddingInfo()
+  })
+}
+
+/**
+ * List tutorials
+ */
+async function handleListTutorials({ res }) {
+  try {
+    const files = await fs.readdir(CONTENT_DIR)
+    const tutorials = files.filter(f => f.endsWith('.json')).map(f => f.replace('.json', ''))
+    return sendJson(res, 200, { tutorials })
+  } catch (error) {
+    return sendJson(res, 500, { error: error.message })
+  }
+}
+
+/**
+ * Tutorial catalog: listing metadata derived from content files plus overrides
+ */
+async function handleCatalog({ res }) {
+  const tutorials = buildCatalog()
+  return sendJson(res, 200, { tutorials, count: tutorials.length })
+}
+
+/**
+ * Fetch a single tutorial (avoids import caching issues)
+ */
+async function handleGetTutorial({ res, params }) {
+  try {
+    const { tutorialId } = params
+    const jsonPath = path.join(CONTENT_DIR, `${tutorialId}.json`)
+    const content = JSON.parse(await fs.readFile(jsonPath, 'utf-8'))
+    return sendJson(res, 200, content)
+  } catch (error) {
+    return sendJson(res, 404, { error: `Tutorial not found: ${error.message}` })
+  }
+}
+
+/**
+ * Revert tutorial to its previous git commit
+ */
+async function handleUndo({ res, body }) {
+  const { tutorialId } = body
+
+  console.log('\n⏪ Undo Request:')
+  console.log(`  Tutorial: ${tutorialId}`)
+
+  if (!tutorialId) {
+    return sendJson(res, 400, { error: 'Missing tutorialId' })
+  }
+
+  const jsonFilenames = {
+    'matrix-from-vectors-engine': 'matrix-from-vectors',
+    'matrix-discovery-engine': 'matrix-discovery',
+    'lead-lag-correlation-engine': 'lead-lag-correlation',
+    'least-squares-engine': 'least-squares'
+  }
+
+  const filename = jsonFilenames[tutorialId] || tutorialId
+  const jsonPath = path.join(CONTENT_DIR, `${filename}.json`)
+  const relativePath = `src/content/${filename}.json`
+
+  try {
+    // Wait for queued commits so HEAD~1 really is the previous version
+    const content = await withLock('git', async () => {
+      // Revert to previous commit for this file
+      execSync(`git checkout HEAD~1 -- "${relativePath}"`, { 
+        cwd: TUTORIALS_REPO,
+        stdio: 'pipe'
+      })
+
+      // Read the reverted content
+      const reverted = JSON.parse(await fs.readFile(jsonPath, 'utf-8'))
+
+      // Commit the revert
+      execSync(`git add "${relativePath}" && git commit -m "[undo] Reverted ${tutorialId}"`, {
+        cwd: TUTORIALS_REPO,
+        stdio: 'pipe'
+      })
+      return reverted
+    })
+
+    console.log('✅ Reverted to previous version')
+
+    return sendJson(res, 200, {
+      success: true,
+      message: 'Reverted to previous version',
+      updatedContent: content
+    })
+  } catch (e) {
+    console.error('Undo failed:', e.message)
+    return sendJson(res, 500, { error: 'No previous version to undo to' })
+  }
+}
+
+/**
+ * Natural language tutorial editing
+ */
+async function handleEditTutorial({ res, body, progress }) {
+  const { tutorialId, instruction } = body
+
+  if (!tutorialId || !instruction) {
+    return sendJson(res, 400, { error: 'tutorialId and instruction are required' })
+  }
+
+  console.log(`\n✏️ Edit Tutorial: "${tutorialId}"`)
+  console.log(`  Instruction: "${instruction}"`)
+
+  const jsonPath = path.join(CONTENT_DIR, `${tutorialId}.json`)
+  let raw, tutorial
+  try {
+    raw = await fs.readFile(jsonPath, 'utf-8')
+    tutorial = JSON.parse(raw)
+  } catch (e) {
+    return sendJson(res, 404, { error: `Tutorial "${tutorialId}" not found` })
+  }
+
+  // Save backup
+  await fs.writeFile(jsonPath + '.backup', JSON.stringify(tutorial, null, 2))
+
+  // Build structure summary for planning step
+  const sections = tutorial.content?.children?.filter(c => c.type === 'Section') || []
+  const structureSummary = sections.map((s, i) => {
+    const preview = JSON.stringify(s.children || []).slice(0, 100)
+    return `[${i}] "${s.props?.title || 'Untitled'}" — preview: ${preview}...`
+  }).join('\n')
+
+  // Step 1: Ask AI for a plan
+  const planSystemPrompt = `You are a tutorial editor. Given a tutorial structure and an edit instruction, return a JSON plan of which sections to modify.
+Return ONLY valid JSON, no markdown fences. Format:
+{"plan": [{"sectionIndex": 0, "action": "modify|delete|add_after", "description": "what to do"}], "summary": "overall description"}`
+
+  const planPrompt = `Tutorial: "${tutorial.title}"
+Sections:
+${structureSummary}
+
+Edit instruction: "${instruction}"
+
+Return the JSON plan.`
+
+  console.log('  Step 1: Getting edit plan...')
+  progress.step('planning', 'Planning the edit')
+  const planRaw = await callAI(planSystemPrompt, planPrompt)
+  let plan
+  try {
+    const cleaned = planRaw.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim()
+    plan = JSON.parse(cleaned)
+  } catch (e) {
+    console.error('Failed to parse plan:', planRaw)
+    return progress.send(500, { error: 'AI returned invalid plan JSON' })
+  }
+
+  console.log(`  Plan: ${plan.plan?.length || 0} changes — ${plan.summary}`)
+  progress.partial({ plan: plan.plan || [], summary: plan.summary })
+
+  // Step 2: Apply each change
+  const changes = []
+  const newSections = [...sections]
+  const deletions = new Set()
+
+  const planSteps = plan.plan || []
+  for (const [i, step] of planSteps.entries()) {
+    const idx = step.sectionIndex
+    progress.checkpoint()
+    progress.step('section', step.description || `${step.action} section ${idx}`, { step: i + 1, total: planSteps.length })
+
+    if (step.action === 'delete') {
+      deletions.add(idx)
+      changes.push({ section: sections[idx]?.props?.title, action: 'delete', description: step.description })
+      continue
+    }
+
+    if (step.action === 'add_after') {
+      const addSystemPrompt = `You are a tutorial content author. Create a new tutorial section as valid JSON.
+Return ONLY valid JSON matching this structure: {"type": "Section", "props": {"title": "..."}, "children": [...]}
+Children can be: {"type": "Paragraph", "children": ["text"]} or {"type": "DeepDive", "props": {"title": "..."}, "children": [...]}
+No markdown fences.`
+
+      const addPrompt = `Tutorial: "${tutorial.title}"
+Instruction: "${step.description}"
+Overall edit goal: "${instruction}"
+
+Create the new section as JSON.`
+
+      const addRaw = await callAI(addSystemPrompt, addPrompt)
+      try {
+        const cleaned = addRaw.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim()
+        const newSection = JSON.parse(cleaned)
+        // Insert after the specified index
+        newSections.splice(idx + 1, 0, newSection)
+        changes.push({ section: newSection.props?.title || 'New Section', action: 'add', description: step.description })
+      } catch (e) {
+        console.error(`Failed to parse new section:`, addRaw.slice(0, 200))
+        changes.push({ section: `Index ${idx}`, action: 'error', description: 'Failed to create section' })
+      }
+      continue
+    }
+
+    // modify
+    if (idx < 0 || idx >= sections.length) continue
+    const section = sections[idx]
+
+    const modifySystemPrompt = `You are a tutorial content editor. Modify the given section JSON according to the instruction.
+Return ONLY the modified section as valid JSON. Keep the exact same structure format. No markdown fences.`
+
+    const modifyPrompt = `Section JSON:
+${JSON.stringify(section, null, 2)}
+
+Edit instruction: "${instruction}"
+Specific task: "${step.description}"
+
+Return the modified section JSON.`
+
+    console.log(`  Modifying section [${idx}]: "${section.props?.title}"`)
+    const modRaw = await callAI(modifySystemPrompt, modifyPrompt)
+    try {
+      const cleaned = modRaw.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim()
+      const modified = JSON.parse(cleaned)
+      newSections[idx] = modified
+      changes.push({ section: section.props?.title, action: 'modify', description: step.description })
+    } catch (e) {
+      console.error(`Failed to parse modified section [${idx}]:`, modRaw.slice(0, 200))
+      changes.push({ section: section.props?.title, action: 'error', description: 'Failed to parse AI response' })
+    }
+  }
+
+  // Remove deleted sections (reverse order to preserve indices)
+  const finalSections = newSections.filter((_, i) => !deletions.has(i))
+
+  // Rebuild tutorial
+  tutorial.content.children = [
+    ...tutorial.content.children.filter(c => c.type !== 'Section'),
+    ...finalSections
+  ]
+
+  // Put back annotations the rewritten sections lost, report the rest
+  progress.step('reanchoring', 'Re-attaching annotations')
+  const { content: reanchored, report: reanchor, layers } = await reanchorTutorial(tutorialId, JSON.parse(raw), tutorial)
+  tutorial = reanchored
+
+  // Validate and save
+  progress.step('validating', 'Validating the edited tutorial')
+  assertValidContent(tutorial, JSON.parse(raw))
+  // Last chance to cancel: from here the edit is written
+  progress.checkpoint()
+  await fs.writeFile(jsonPath, JSON.stringify(tutorial, null, 2))
+  const layerPaths = await saveReanchoredLayers(layers)
+
+  // Git commit
+  progress.step('committing', 'Committing the edit')
+  commitAndPush(jsonPath, `[edit] ${tutorialId}: ${instruction.slice(0, 60)}`).catch(() => {})
+  for (const layerPath of layerPaths) {
+    commitAndPush(layerPath, `[reanchor] ${path.basename(layerPath)} after edit of ${tutorialId}`).catch(() => {})
+  }
+
+  return progress.send(200, {
+    success: true,
+    message: plan.summary || 'Tutorial edited',
+    changes,
+    reanchor
+  })
+}
+
+/**
+ * Prompt for a tutorial grounded in uploaded documents: a section plan
+ * taken from their structure, and the passages to draw on and cite
+ */
+function buildGroundedPrompt(tutorialId, topic, sources, plan) {
+  const outline = plan.map((s, i) => `${i + 1}. "${s.title}" - passages ${s.chunkIds.join(', ')}`).join('\n')
+  const passages = sources.documents.map(doc => `DOCUMENT: ${doc.title}\n\n${
+    doc.chunks.map(c => `[${c.id}] (${c.cite || 'start'})\n${c.text}`).join('\n\n')
+  }`).join('\n\n---\n\n')
+
+  return `Create an interactive tutorial grounded in the documents below${topic ? `, focused on: "${topic}"` : ''}.
+
+Section plan, from the documents' own structure:
+${outline}
+
+Passages, each with an id in [brackets] and its location:
+${passages}
+
+Return a JSON object with this exact structure:
+{
+  "id": "${tutorialId}",
+  "title": "Clear, engaging title",
+  "subtitle": "One-line description of what users will learn",
+  "readTime": "X min",
+  "state": {},
+  "content": {
+    "type": "Fragment",
+    "children": [
+      // Array of Section objects
+    ]
+  }
+}
+
+Each Section should have:
+{
+  "type": "Section",
+  "props": { "title": "Section Title" },
+  "children": [
+    // Mix of these element types:
+${ELEMENT_GUIDE}
+  ]
+}
+
+Follow the section plan: one Section per entry, in order. You may merge thin entries, rename sections for readers, and add a short motivating opening and a "Key Takeaways" ending.
+Explain what the passages say - don't invent results, numbers or claims they don't support.
+End each sentence that draws on a passage with the passage id in brackets, e.g. "The model is trained in two stages [c4]." or "[c4, c7]". Cite in paragraph and list text, not in tables or code.
+
+Return ONLY valid JSON. No markdown, no preamble, no explanation outside the JSON.`
+}
+
+/**
+ * Generate new tutorial, from a topic or grounded in uploaded documents
+ * Body: { topic?, documents?: [{ filename, data }] } - files base64-encoded;
+ * markdown, text, PDF, EPUB and HTML are read. With documents the topic is
+ * optional and only steers the focus.
+ */
+async function handleGenerate({ res, body, progress }) {
+  const { topic = '', documents = [] } = body
+
+  console.log('\n✨ Generate Tutorial Request:')
+  console.log(`  Topic: "${topic}"`)
+
+  if (!Array.isArray(documents) || documents.length > MAX_SOURCE_DOCUMENTS) {
+    return sendJson(res, 400, { error: `documents must be a list of at most ${MAX_SOURCE_DOCUMENTS} files` })
+  }
+  if (documents.length === 0 && topic.trim().length < 3) {
+    return sendJson(res, 400, { error: 'Topic must be at least 3 characters' })
+  }
+
+  let sources = null
+  if (documents.length > 0) {
+    console.log(`  Documents: ${documents.map(d => d.filename).join(', ')}`)
+    progress.step('reading', `Reading ${documents.length} document${documents.length === 1 ? '' : 's'}`)
+    sources = await prepareSourceDocuments(documents)
+    console.log(`  📚 ${sources.chunksById.size} passages from ${sources.documents.length} documents`)
+  }
+
+  const title = topic.trim() || sources.documents[0].title
+  const tutorialId = tutorialIdFrom(title)
+  if (!tutorialId) {
+    return progress.send(400, { error: 'Give a topic to name the tutorial' })
+  }
+
+  const jsonPath = path.join(CONTENT_DIR, `${tutorialId}.json`)
+
+  // Check if it already exists
+  try {
+    await fs.access(jsonPath)
+    return progress.send(409, { error: `Tutorial "${tutorialId}" already exists` })
+  } catch {
+    // Good, it doesn't exist
+  }
+
+  console.log(`🤖 Generating tutorial structure for: "${title}"`)
+
+  const systemPrompt = `You are an expert educator creating interactive tutorials. 
+Your tutorials are clear, engaging, and use concrete examples.
+You break complex topics into digestible sections with progressive disclosure.${sources ? `
+You are writing from the reader's own papers and notes, so stay faithful to them and cite the passages you use.` : ''}`
+
+  let plan = null
+  if (sources) {
+    plan = planSections(sources.documents)
+    progress.step('planning', `Planned ${plan.length} sections from the documents' structure`)
+    progress.partial({ plan: plan.map(s => s.title) })
+  }
+
+  const generatePrompt = sources ? buildGroundedPrompt(tutorialId, topic.trim(), sources, plan) : `Create an interactive tutorial about: "${topic}"
+
+Return a JSON object with this exact structure:
+{
+  "id": "${tutorialId}",
+  "title": "Clear, engaging title",
+  "subtitle": "One-line description of what users will learn",
+  "readTime": "X min",
+  "state": {},
+  "content": {
+    "type": "Fragment",
+    "children": [
+      // Array of Section objects
+    ]
+  }
+}
+
+Each Section should have:
+{
+  "type": "Section",
+  "props": { "title": "Section Title" },
+  "children": [
+    // Mix of these element types:
+${ELEMENT_GUIDE}
+  ]
+}
+
+Create 4-6 sections that:
+1. Start with "Why This Matters" or motivation
+2. Build up concepts progressively
+3. Include concrete examples and code where relevant
+4. End with "Key Takeaways" or next steps
+
+Return ONLY valid JSON. No markdown, no preamble, no explanation outside the JSON.`
+
+  progress.step('writing', 'Writing the tutorial')
+  const response = await callAI(systemPrompt, generatePrompt)
+  progress.checkpoint()
+
+  progress.step('validating', 'Checking the generated tutorial')
+  let tutorialContent
+  try {
+    tutorialContent = parseTutorialResponse(response)
+  } catch (parseError) {
+    console.error('❌ Failed to parse AI response:', parseError.message)
+    console.log('Response preview:', response.slice(0, 500))
+    return progress.send(500, { error: 'Failed to parse generated tutorial' })
+  }
+  progress.partial({
+    title: tutorialContent.title,
+    sections: (tutorialContent.content?.children || []).filter(c => c.type === 'Section').map(c => c.props?.title)
+  })
+
+  // Ensure required fields
+  tutorialContent.id = tutorialId
+  if (!tutorialContent.title) tutorialContent.title = title
+  if (!tutorialContent.state) tutorialContent.state = {}
+
+  let citationCount
+  if (sources) {
+    progress.step('citing', 'Attaching passage citations')
+    const cited = attachPassageFootnotes(tutorialContent, sources.chunksById)
+    tutorialContent = { ...cited.tutorial, sourceDocuments: sources.documents.map(d => ({ title: d.title, format: d.format })) }
+    citationCount = cited.citationCount
+    console.log(`  📎 Attached ${citationCount} passage citations`)
+  }
+
+  // Save the file
+  progress.checkpoint()
+  await fs.writeFile(jsonPath, JSON.stringify(tutorialContent, null, 2))
+  console.log(`💾 Saved: ${jsonPath}`)
+
+  // Commit to git
+  progress.step('committing', 'Committing the new tutorial')
+  const commitMsg = `[generate] New tutorial: ${title.slice(0, 50)}`
+  commitAndPush(jsonPath, commitMsg).catch(() => {})
+
+  return progress.send(200, {
+    success: true,
+    tutorialId,
+    title: tutorialContent.title,
+    ...(sources && { citationCount }),
+    message: `Tutorial "${tutorialContent.title}" created successfully`
+  })
+}
+
+export const routes = [
+  { method: 'GET', path: '/health', handler: handleHealth, description: 'Health check' },
+  { method: 'GET', path: '/tutorials', handler: handleListTutorials, description: 'List tutorials' },
+  { method: 'GET', path: '/api/catalog', handler: handleCatalog, description: 'Tutorial catalog for the listing' },
+  { method: 'GET', path: '/api/tutorial/:tutorialId', handler: handleGetTutorial, description: 'Fetch a single tutorial (avoids import caching issues)' },
+  { method: 'POST', path: '/undo', handler: handleUndo, description: 'Revert tutorial to its previous git commit', lock: lockTutorial },
+  { method: 'POST', path: '/edit-tutorial', handler: handleEditTutorial, description: 'Natural language tutorial editing', lock: lockTutorial },
+  { method: 'POST', path: '/generate', handler: handleGenerate, description: 'Generate new tutorial', lock: ({ body }) => lockNewTutorial(body.topic) }
+]
@@ -0,0 +1,221 @@
+/**
+ * Version history routes
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import crypto from 'crypto'
+import { createVersion, listVersions, getVersion, restoreVersion, compareVersions } from '../../src/utils/versioning.js'
+import { diffTutorials, applyHunks } from '../../src/utils/treeDiff.js'
+import { CONTENT_DIR } from '../config.js'
+import { sendJson } from '../http.js'
+import { lockTutorial } from '../jobs.js'
+import { commitAndPush } from '../git.js'
+import { assertValidContent } from '../content-schema.js'
+
+// Fingerprint of the file a diff was computed against, so hunks aren't applied to a different one
+function contentHash(content) {
+  return crypto.createHash('sha1').update(JSON.stringify(content)).digest('hex').slice(0, 12)
+}
+
+function versionError(message, status) {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
+/**
+ * Check version indices before reading them, so a bad one is a 400 (not an
+ * integer) or 404 (no such tutorial or version) rather than a 500
+ */
+async function assertVersions(jsonPath, tutorialId, indices) {
+  const invalid = indices.find(index => !Number.isInteger(index))
+  if (invalid !== undefined) {
+    throw versionError(`Version index must be an integer, got ${JSON.stringify(invalid)}`, 400)
+  }
+  try {
+    await fs.access(jsonPath)
+  } catch {
+    throw versionError(`Tutorial not found: ${tutorialId}`, 404)
+  }
+  // Negative indices count back from the newest version
+  const count = (await listVersions(jsonPath)).length
+  const missing = indices.find(index => index >= count || index < -count)
+  if (missing !== undefined) {
+    throw versionError(`Version ${missing} not found (${tutorialId} has ${count})`, 404)
+  }
+}
+
+/**
+ * List versions for a tutorial
+ */
+async function handleListVersions({ res, url }) {
+  const tutorialId = url.searchParams.get('tutorialId')
+  if (!tutorialId) {
+    return sendJson(res, 400, { error: 'Missing tutorialId parameter' })
+  }
+
+  const jsonPath = path.join(CONTENT_DIR, `${tutorialId}.json`)
+  const versions = await listVersions(jsonPath)
+
+  return sendJson(res, 200, { 
+    tutorialId,
+    versions,
+    count: versions.length
+  })
+}
+
+/**
+ * Get a specific version
+ */
+async function handleGetVersion({ res, url }) {
+  const tutorialId = url.searchParams.get('tutorialId')
+  const index = parseInt(url.searchParams.get('index'), 10)
+
+  if (!tutorialId || isNaN(index)) {
+    return sendJson(res, 400, { error: 'Missing tutorialId or index parameter' })
+  }
+
+  const jsonPath = path.join(CONTENT_DIR, `${tutorialId}.json`)
+  await assertVersions(jsonPath, tutorialId, [index])
+  const { content, versionInfo } = await getVersion(jsonPath, index)
+
+  return sendJson(res, 200, { 
+    tutorialId,
+    index,
+    versionInfo,
+    content
+  })
+}
+
+/**
+ * Restore a version
+ */
+async function handleRestoreVersion({ res, body }) {
+  const { tutorialId, index } = body
+
+  if (!tutorialId || index === undefined) {
+    return sendJson(res, 400, { error: 'Missing tutorialId or index' })
+  }
+
+  console.log(`\n🔄 Restore version request: ${tutorialId} -> index ${index}`)
+
+  const jsonPath = path.join(CONTENT_DIR, `${tutorialId}.json`)
+  await assertVersions(jsonPath, tutorialId, [index])
+  const restoredInfo = await restoreVersion(jsonPath, index)
+
+  // Also commit to git
+  const commitMsg = `[restore] Restored to: ${restoredInfo.message}`
+  commitAndPush(jsonPath, commitMsg).catch(() => {})
+
+  return sendJson(res, 200, { 
+    success: true,
+    tutorialId,
+    restoredFrom: restoredInfo
+  })
+}
+
+/**
+ * Create a version snapshot
+ */
+async function handleCreateVersion({ res, body }) {
+  const { tutorialId, message = 'Manual snapshot' } = body
+
+  if (!tutorialId) {
+    return sendJson(res, 400, { error: 'Missing tutorialId' })
+  }
+
+  console.log(`\n📸 Manual version snapshot: ${tutorialId}`)
+
+  const jsonPath = path.join(CONTENT_DIR, `${tutorialId}.json`)
+  const versionInfo = await createVersion(jsonPath, message, 'manual')
+
+  return sendJson(res, 200, { 
+    success: true,
+    tutorialId,
+    versionInfo
+  })
+}
+
+/**
+ * Structural diff between a version and the current file (or another version)
+ * Query params: tutorialId, index, against (version index, default current)
+ */
+async function handleDiffVersions({ res, url }) {
+  const tutorialId = url.searchParams.get('tutorialId')
+  const index = parseInt(url.searchParams.get('index'), 10)
+  const againstParam = url.searchParams.get('against')
+  const against = againstParam && againstParam !== 'current' ? parseInt(againstParam, 10) : 'current'
+
+  if (!tutorialId || isNaN(index) || Number.isNaN(against)) {
+    return sendJson(res, 400, { error: 'Missing tutorialId or index parameter' })
+  }
+
+  const jsonPath = path.join(CONTENT_DIR, `${tutorialId}.json`)
+  await assertVersions(jsonPath, tutorialId, against === 'current' ? [index] : [index, against])
+  const { versionA, versionB, contentA, contentB } = await compareVersions(jsonPath, index, against)
+  const { hunks, stats } = diffTutorials(contentA, contentB)
+
+  return sendJson(res, 200, {
+    tutorialId,
+    index,
+    against,
+    versionA,
+    versionB,
+    hunks,
+    stats,
+    baseHash: contentHash(contentB)
+  })
+}
+
+/**
+ * Bring selected hunks from an old version back into the current file
+ */
+async function handleCherryPick({ res, body }) {
+  const { tutorialId, index, hunkIds, baseHash } = body
+
+  // Hunk ids only mean something against the content they were computed from
+  if (!tutorialId || index === undefined || !Array.isArray(hunkIds) || hunkIds.length === 0 || !baseHash) {
+    return sendJson(res, 400, { error: 'tutorialId, index, hunkIds and baseHash are required' })
+  }
+
+  console.log(`\n🍒 Cherry-pick request: ${tutorialId} <- version ${index} (${hunkIds.length} hunks)`)
+
+  const jsonPath = path.join(CONTENT_DIR, `${tutorialId}.json`)
+  await assertVersions(jsonPath, tutorialId, [index])
+  const { versionA, contentA, contentB } = await compareVersions(jsonPath, index)
+  if (baseHash !== contentHash(contentB)) {
+    return sendJson(res, 409, { error: 'Tutorial changed since the diff was computed; reload the diff and try again' })
+  }
+
+  const { hunks } = diffTutorials(contentA, contentB)
+  const selected = hunks.filter(h => hunkIds.includes(h.id))
+  if (selected.length !== hunkIds.length) {
+    return sendJson(res, 400, { error: `Unknown hunk ids: ${hunkIds.filter(id => !hunks.some(h => h.id === id)).join(', ')}` })
+  }
+
+  const updated = applyHunks(contentB, selected)
+  assertValidContent(updated, contentB)
+
+  await createVersion(jsonPath, `Before cherry-pick from: ${versionA.message}`, 'restore')
+  await fs.writeFile(jsonPath, JSON.stringify(updated, null, 2))
+  console.log(`💾 Applied ${selected.length} hunks from ${versionA.timestamp}`)
+
+  commitAndPush(jsonPath, `[cherry-pick] ${selected.length} change${selected.length !== 1 ? 's' : ''} from: ${versionA.message}`).catch(() => {})
+
+  return sendJson(res, 200, {
+    success: true,
+    tutorialId,
+    applied: selected.map(h => h.id),
+    updatedContent: updated
+  })
+}
+
+export const routes = [
+  { method: 'GET', path: '/api/versions', handler: handleListVersions, description: 'List versions for a tutorial' },
+  { method: 'GET', path: '/api/versions/get', handler: handleGetVersion, description: 'Get a specific version' },
+  { method: 'POST', path: '/api/versions/restore', handler: handleRestoreVersion, description: 'Restore a version', lock: lockTutorial },
+  { method: 'POST', path: '/api/versions/create', handler: handleCreateVersion, description: 'Create a version snapshot', lock: lockTutorial },
+  { method: 'GET', path: '/api/versions/diff', handler: handleDiffVersions, description: 'Structural diff between versions' },
+  { method: 'POST', path: '/api/versions/cherry-pick', handler: handleCherryPick, description: 'Apply selected diff hunks from a version', lock: lockTutorial }
+]
@@ -0,0 +1,176 @@
+/**
+ * ThoughtBlend wheel routes
+ *
+ * Wheels (sources around the color wheel plus mixture settings) are saved
+ * as src/content/.wheels/<id>.json so they survive reloads and can be
+ * shared by id. Every new synthesized output is kept as a version with a
+ * snapshot of the mixture that produced it (see src/utils/wheelSyntheses.js).
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import crypto from 'crypto'
+import { CONTENT_DIR } from '../config.js'
+import { sendJson } from '../http.js'
+import { snapshotComposition } from '../../src/utils/wheelSyntheses.js'
+
+const WHEELS_DIR = path.join(CONTENT_DIR, '.wheels')
+
+function wheelError(message, status) {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
+function getWheelPath(id) {
+  if (typeof id !== 'string' || !/^[a-z0-9-]{1,80}$/.test(id)) {
+    throw wheelError(`Invalid wheel id: ${id}`, 400)
+  }
+  return path.join(WHEELS_DIR, `${id}.json`)
+}
+
+async function loadWheel(id) {
+  try {
+    return JSON.parse(await fs.readFile(getWheelPath(id), 'utf-8'))
+  } catch (e) {
+    if (e.status) throw e
+    throw wheelError(`Wheel not found: ${id}`, 404)
+  }
+}
+
+async function writeWheel(wheel) {
+  // Metadata first, bulky sources and history last
+  const { id, name, createdAt, updatedAt, revision, forkedFrom, mixture, sources, syntheses } = wheel
+  const ordered = { id, name, createdAt, updatedAt, revision, forkedFrom, mixture, sources, syntheses }
+  await fs.mkdir(WHEELS_DIR, { recursive: true })
+  await fs.writeFile(getWheelPath(id), JSON.stringify(ordered, null, 2))
+  return ordered
+}
+
+function newWheelId(name) {
+  const slug = (name || 'wheel').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'wheel'
+  return `${slug}-${crypto.randomBytes(3).toString('hex')}`
+}
+
+// What the list shows, without the sources' content
+function summarize(wheel) {
+  return {
+    id: wheel.id,
+    name: wheel.name,
+    createdAt: wheel.createdAt,
+    updatedAt: wheel.updatedAt,
+    revision: wheel.revision,
+    sourceCount: Object.keys(wheel.sources || {}).length,
+    synthesisCount: wheel.syntheses?.length || 0,
+    ...(wheel.forkedFrom && { forkedFrom: wheel.forkedFrom })
+  }
+}
+
+/**
+ * List saved wheels, most recently updated first
+ */
+async function handleListWheels({ res }) {
+  let files = []
+  try {
+    files = (await fs.readdir(WHEELS_DIR)).filter(f => f.endsWith('.json'))
+  } catch {
+    // No wheels saved yet
+  }
+
+  const wheels = []
+  for (const file of files) {
+    try {
+      wheels.push(summarize(JSON.parse(await fs.readFile(path.join(WHEELS_DIR, file), 'utf-8'))))
+    } catch (e) {
+      console.log(`  ⚠️ Skipping unreadable wheel ${file}: ${e.message}`)
+    }
+  }
+  wheels.sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''))
+
+  return sendJson(res, 200, { wheels, count: wheels.length })
+}
+
+/**
+ * Get a saved wheel with its synthesis versions
+ */
+async function handleGetWheel({ res, params }) {
+  return sendJson(res, 200, { wheel: await loadWheel(params.id) })
+}
+
+/**
+ * Save a wheel. Without an id a new one is created. A `mixture.output`
+ * that differs from the latest version is recorded as a new version.
+ * Body: { id?, name, sources, mixture, revision? } - a stale revision is rejected with 409
+ */
+async function handleSaveWheel({ res, body }) {
+  const { id, name, sources, mixture, revision } = body
+
+  if (!sources || typeof sources !== 'object' || !mixture || typeof mixture !== 'object') {
+    return sendJson(res, 400, { error: 'sources and mixture are required' })
+  }
+
+  const now = new Date().toISOString()
+  let wheel
+  if (id) {
+    wheel = await loadWheel(id)
+    if (revision !== undefined && revision !== wheel.revision) {
+      return sendJson(res, 409, { error: 'This wheel was saved elsewhere since you loaded it. Reload or fork it.', revision: wheel.revision })
+    }
+  } else {
+    wheel = { id: newWheelId(name), createdAt: now, revision: 0, syntheses: [] }
+  }
+
+  const { output, ...settings } = mixture
+  wheel.name = name?.trim() || wheel.name || 'Untitled wheel'
+  wheel.sources = sources
+  wheel.mixture = settings
+  wheel.updatedAt = now
+  wheel.revision += 1
+
+  const latest = wheel.syntheses[wheel.syntheses.length - 1]
+  if (output && output !== latest?.output) {
+    wheel.syntheses.push({
+      version: (latest?.version || 0) + 1,
+      createdAt: now,
+      mode: settings.mode,
+      acrimony: settings.acrimony,
+      composition: snapshotComposition(sources),
+      output
+    })
+  }
+
+  const stored = await writeWheel(wheel)
+  console.log(`🎨 Saved wheel ${wheel.id} (rev ${wheel.revision}, ${wheel.syntheses.length} syntheses)`)
+  return sendJson(res, 200, { wheel: stored })
+}
+
+/**
+ * Copy a wheel under a new id, keeping its synthesis history
+ * Body: { name? }
+ */
+async function handleForkWheel({ res, params, body }) {
+  const original = await loadWheel(params.id)
+  const now = new Date().toISOString()
+  const name = body.name?.trim() || `${original.name} (fork)`
+
+  const wheel = {
+    ...original,
+    id: newWheelId(name),
+    name,
+    createdAt: now,
+    updatedAt: now,
+    revision: 1,
+    forkedFrom: { id: original.id, name: original.name, revision: original.revision }
+  }
+
+  const stored = await writeWheel(wheel)
+  console.log(`🍴 Forked wheel ${original.id} -> ${wheel.id}`)
+  return sendJson(res, 200, { wheel: stored })
+}
+
+export const routes = [
+  { method: 'GET', path: '/thoughtblend/wheels', handler: handleListWheels, description: 'List saved wheels' },
+  { method: 'POST', path: '/thoughtblend/wheels', handler: handleSaveWheel, description: 'Save a wheel, versioning new syntheses', lock: ({ body }) => body.id && `wheel:${body.id}` },
+  { method: 'GET', path: '/thoughtblend/wheels/:id', handler: handleGetWheel, description: 'Load a saved wheel' },
+  { method: 'POST', path: '/thoughtblend/wheels/:id/fork', handler: handleForkWheel, description: 'Fork a wheel under a new id' }
+]
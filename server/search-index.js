@@ -0,0 +1,521 @@
+/**
+ * Full-text search index across all tutorials
+ *
+ * Each top-level Section of a tutorial is one search document (plus an
+ * "intro" document for the title and anything before the first section),
+ * ranked with BM25. Catalog entries without a content file (JSX tutorials,
+ * apps) are indexed as one document of their listing title, description
+ * and tags. Documents are persisted with their term frequencies in
+ * src/content/.search-index.json; postings are rebuilt in memory on load.
+ *
+ * Files are re-indexed when their mtime changes, and the content directory
+ * is watched so any route that writes a tutorial keeps the index current.
+ *
+ * Sections line up with the semantic tree's `section-<i>` nodes, so search
+ * can optionally blend in embedding similarity for tutorials that have one.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { CONTENT_DIR } from './config.js'
+import { generateEmbedding, cosineSimilarity } from '../ai-config.js'
+import { getTreeEmbeddingInfo } from '../semantic-tree.js'
+import { readSemanticTree } from '../embedding-store.js'
+import { getSectionAnchors } from '../src/utils/sectionAnchor.js'
+import { buildCatalog, OVERRIDES_PATH } from './catalog.js'
+
+const INDEX_PATH = path.join(CONTENT_DIR, '.search-index.json')
+const INDEX_VERSION = 2
+
+// BM25 parameters
+const K1 = 1.2
+const B = 0.75
+const TITLE_BOOST = 3
+
+const SNIPPET_RADIUS = 90
+
+// Content files that aren't tutorial documents
+const NON_TUTORIAL = /-(quiz|semantic-tree)\.json$/
+
+// Props that hold configuration rather than readable text
+const SKIP_KEYS = new Set([
+  'id', 'type', 'className', 'style', 'bind', 'compute', 'when', 'href', 'spec', 'config',
+  'targetId', 'sourceId', 'gradient', 'shadowColor', 'glowColor', 'icon', 'color', 'bgColor', 'borderColor'
+])
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'how', 'if',
+  'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'so', 'than', 'that', 'the', 'their', 'then',
+  'there', 'these', 'this', 'to', 'was', 'we', 'were', 'what', 'when', 'which', 'while', 'with', 'you', 'your'
+])
+
+/**
+ * Split text into index terms: lowercase, accents stripped, stopwords
+ * dropped, plural "s" trimmed
+ */
+export function tokenize(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[̀-ͯ]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word))
+}
+
+function extractSearchText(node) {
+  if (node === null || node === undefined) return ''
+  if (typeof node === 'string' || typeof node === 'number') return `${node} `
+  if (Array.isArray(node)) return node.map(extractSearchText).join('')
+  if (typeof node === 'object') {
+    let text = ''
+    for (const [key, value] of Object.entries(node)) {
+      if (!SKIP_KEYS.has(key)) text += extractSearchText(value)
+    }
+    return text
+  }
+  return ''
+}
+
+function countTerms(tokens) {
+  const tf = {}
+  for (const token of tokens) tf[token] = (tf[token] || 0) + 1
+  return tf
+}
+
+function makeDoc(tutorialId, tutorialTitle, sectionIndex, sectionTitle, body, anchor = null) {
+  const text = extractSearchText(body).replace(/\s+/g, ' ').trim()
+  const heading = sectionTitle || tutorialTitle
+  const tokens = [...tokenize(text), ...tokenize(tutorialTitle)]
+  for (let i = 0; i < TITLE_BOOST; i++) tokens.push(...tokenize(heading))
+
+  return {
+    tutorialId,
+    sectionIndex,
+    sectionTitle,
+    anchor,
+    length: tokens.length,
+    tf: countTerms(tokens),
+    text
+  }
+}
+
+/**
+ * Split a tutorial into search documents, one per top-level Section
+ */
+export function buildTutorialDocs(tutorialId, tutorial) {
+  const title = tutorial.title || tutorialId
+  const children = tutorial.content?.children
+  const topLevel = Array.isArray(children) ? children : [tutorial.content]
+
+  const sections = topLevel.filter(c => c?.type === 'Section')
+  const intro = topLevel.filter(c => c?.type !== 'Section')
+  const anchors = getSectionAnchors(tutorial.content)
+
+  const docs = [
+    makeDoc(tutorialId, title, null, null, [tutorial.subtitle, tutorial.description, intro])
+  ]
+  sections.forEach((section, i) => {
+    docs.push(makeDoc(tutorialId, title, i, section.props?.title || `Section ${i + 1}`, section.children, anchors.get(section)))
+  })
+  return docs
+}
+
+/**
+ * The one search document for a catalog entry without a content file
+ */
+function buildListingDocs(entry) {
+  return [makeDoc(entry.id, entry.title, null, null, [entry.description, entry.tags])]
+}
+
+// ---------------------------------------------------------------------------
+// Index state
+// ---------------------------------------------------------------------------
+
+let index = null // { tutorials: { [id]: { mtimeMs, title, docs: [], listing? } } }
+let postings = null // Map<term, Map<docKey, tf>>
+let docsByKey = null // Map<docKey, doc>
+let saveTimer = null
+
+function docKey(doc) {
+  return `${doc.tutorialId}#${doc.sectionIndex ?? 'intro'}`
+}
+
+function addPostings(docs) {
+  for (const doc of docs) {
+    const key = docKey(doc)
+    docsByKey.set(key, doc)
+    for (const [term, tf] of Object.entries(doc.tf)) {
+      if (!postings.has(term)) postings.set(term, new Map())
+      postings.get(term).set(key, tf)
+    }
+  }
+}
+
+function removePostings(docs) {
+  for (const doc of docs) {
+    const key = docKey(doc)
+    docsByKey.delete(key)
+    for (const term of Object.keys(doc.tf)) {
+      const list = postings.get(term)
+      if (!list) continue
+      list.delete(key)
+      if (list.size === 0) postings.delete(term)
+    }
+  }
+}
+
+function scheduleSave() {
+  clearTimeout(saveTimer)
+  saveTimer = setTimeout(() => {
+    const data = { version: INDEX_VERSION, savedAt: new Date().toISOString(), tutorials: index.tutorials }
+    fs.promises.writeFile(INDEX_PATH, JSON.stringify(data))
+      .catch(e => console.warn('⚠️ Could not save search index:', e.message))
+  }, 1000)
+}
+
+function listTutorialFiles() {
+  return fs.readdirSync(CONTENT_DIR)
+    .filter(f => f.endsWith('.json') && !f.startsWith('.') && !NON_TUTORIAL.test(f))
+}
+
+/**
+ * (Re)index one tutorial from disk, or drop it if the file is gone
+ * @returns {boolean} whether the index changed
+ */
+export function updateTutorial(tutorialId) {
+  ensureIndex()
+  const filePath = path.join(CONTENT_DIR, `${tutorialId}.json`)
+  const existing = index.tutorials[tutorialId]
+
+  let stat
+  try {
+    stat = fs.statSync(filePath)
+  } catch {
+    if (!existing || existing.listing) return false // Listings are kept by updateListings()
+    removePostings(existing.docs)
+    delete index.tutorials[tutorialId]
+    scheduleSave()
+    return true
+  }
+
+  if (existing && existing.mtimeMs === stat.mtimeMs) return false
+
+  let tutorial
+  try {
+    tutorial = JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+  } catch {
+    return false // Mid-write or malformed; the next change event retries
+  }
+
+  if (existing) removePostings(existing.docs)
+  const docs = buildTutorialDocs(tutorialId, tutorial)
+  index.tutorials[tutorialId] = { mtimeMs: stat.mtimeMs, title: tutorial.title || tutorialId, docs }
+  addPostings(docs)
+  scheduleSave()
+  return true
+}
+
+/**
+ * (Re)index catalog entries that have no content file, from their listing
+ * metadata, and drop listings that left the catalog
+ * @returns {number} how many entries changed
+ */
+function updateListings() {
+  let changed = 0
+  const listings = buildCatalog().filter(entry => !entry.hasContent)
+
+  for (const entry of listings) {
+    const existing = index.tutorials[entry.id]
+    const listing = JSON.stringify([entry.title, entry.description, entry.tags])
+    if (existing?.listing === listing) continue
+
+    if (existing) removePostings(existing.docs)
+    const docs = buildListingDocs(entry)
+    index.tutorials[entry.id] = { mtimeMs: null, title: entry.title, listing, docs }
+    addPostings(docs)
+    changed++
+  }
+
+  const ids = new Set(listings.map(entry => entry.id))
+  for (const [id, entry] of Object.entries(index.tutorials)) {
+    if (!entry.listing || ids.has(id)) continue
+    removePostings(entry.docs)
+    delete index.tutorials[id]
+    changed++
+  }
+
+  if (changed > 0) scheduleSave()
+  return changed
+}
+
+/**
+ * Load the persisted index and bring it up to date with the content directory
+ */
+function ensureIndex() {
+  if (index) return
+
+  index = { tutorials: {} }
+  try {
+    const saved = JSON.parse(fs.readFileSync(INDEX_PATH, 'utf-8'))
+    if (saved.version === INDEX_VERSION) index.tutorials = saved.tutorials
+  } catch {
+    // No index yet
+  }
+
+  postings = new Map()
+  docsByKey = new Map()
+  for (const entry of Object.values(index.tutorials)) addPostings(entry.docs)
+
+  const ids = new Set(listTutorialFiles().map(f => f.replace(/\.json$/, '')))
+  let changed = 0
+  for (const id of new Set([...ids, ...Object.keys(index.tutorials)])) {
+    if (updateTutorial(id)) changed++
+  }
+  changed += updateListings()
+  if (changed > 0) console.log(`🔎 Search index: updated ${changed} tutorial(s)`)
+}
+
+/**
+ * Watch the content directory and re-index tutorials as they're written
+ */
+export function watchContent() {
+  ensureIndex()
+  const pending = new Map()
+
+  // Catalog overrides add and describe the entries without content files
+  let overridesTimer = null
+  fs.watchFile(OVERRIDES_PATH, { interval: 2000 }, () => {
+    clearTimeout(overridesTimer)
+    overridesTimer = setTimeout(() => {
+      const changed = updateListings()
+      if (changed > 0) console.log(`🔎 Re-indexed ${changed} catalog listing(s)`)
+    }, 300)
+  })
+
+  return fs.watch(CONTENT_DIR, (event, filename) => {
+    if (!filename || filename.startsWith('.') || !filename.endsWith('.json') || NON_TUTORIAL.test(filename)) return
+
+    const tutorialId = filename.replace(/\.json$/, '')
+    clearTimeout(pending.get(tutorialId))
+    pending.set(tutorialId, setTimeout(() => {
+      pending.delete(tutorialId)
+      // A new or deleted content file moves its id between file and listing
+      const changed = updateTutorial(tutorialId)
+      if (updateListings() > 0 || changed) console.log(`🔎 Re-indexed ${tutorialId}`)
+    }, 300))
+  })
+}
+
+export function getIndexStats() {
+  ensureIndex()
+  return {
+    tutorials: Object.keys(index.tutorials).length,
+    documents: docsByKey.size,
+    terms: postings.size
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Querying
+// ---------------------------------------------------------------------------
+
+/**
+ * Expand the last query term to indexed terms it prefixes, for search-as-you-type
+ */
+function expandTerms(terms) {
+  if (terms.length === 0) return []
+  const last = terms[terms.length - 1]
+  const expanded = terms.map(term => [term])
+  if (last.length >= 3 && !postings.has(last)) {
+    const matches = []
+    for (const term of postings.keys()) {
+      if (term.startsWith(last)) matches.push(term)
+      if (matches.length >= 20) break
+    }
+    expanded[expanded.length - 1] = matches
+  }
+  return expanded
+}
+
+function bm25(expandedTerms) {
+  const N = docsByKey.size
+  let totalLength = 0
+  for (const doc of docsByKey.values()) totalLength += doc.length
+  const avgLength = totalLength / Math.max(N, 1)
+
+  const scores = new Map()
+  for (const alternatives of expandedTerms) {
+    for (const term of alternatives) {
+      const list = postings.get(term)
+      if (!list) continue
+      const idf = Math.log(1 + (N - list.size + 0.5) / (list.size + 0.5))
+      for (const [key, tf] of list) {
+        const doc = docsByKey.get(key)
+        const norm = tf * (K1 + 1) / (tf + K1 * (1 - B + B * doc.length / avgLength))
+        scores.set(key, (scores.get(key) || 0) + idf * norm)
+      }
+    }
+  }
+  return scores
+}
+
+/**
+ * Window of text around the first occurrence of any query word
+ */
+function makeSnippet(text, words) {
+  const lower = text.toLowerCase()
+  let at = -1
+  for (const word of words) {
+    const i = lower.indexOf(word)
+    if (i >= 0 && (at < 0 || i < at)) at = i
+  }
+  if (at < 0) at = 0
+
+  const start = Math.max(0, at - SNIPPET_RADIUS)
+  const end = Math.min(text.length, at + SNIPPET_RADIUS * 2)
+  return (start > 0 ? '…' : '') + text.slice(start, end).trim() + (end < text.length ? '…' : '')
+}
+
+const treeCache = new Map() // tutorialId -> { mtimeMs, sections: [{ index, embeddings }], info }
+
+async function loadTreeSections(tutorialId) {
+  const treePath = path.join(CONTENT_DIR, `${tutorialId}-semantic-tree.json`)
+  let stat
+  try {
+    stat = fs.statSync(treePath)
+  } catch {
+    return null
+  }
+
+  const cached = treeCache.get(tutorialId)
+  if (cached?.mtimeMs === stat.mtimeMs) return cached
+
+  const { tree } = await readSemanticTree(treePath)
+  const sections = (tree.children || []).map((node, i) => {
+    const embeddings = []
+    const collect = n => {
+      if (n.embedding) embeddings.push(n.embedding)
+      n.children?.forEach(collect)
+    }
+    collect(node)
+    return { index: i, embeddings }
+  })
+
+  const entry = { mtimeMs: stat.mtimeMs, sections, info: getTreeEmbeddingInfo(tree) }
+  treeCache.set(tutorialId, entry)
+  return entry
+}
+
+/**
+ * Embedding similarity per section, for tutorials with an embedded semantic tree
+ * @returns {Map<docKey, number>}
+ */
+async function semanticScores(query, tutorialIds) {
+  const scores = new Map()
+  const queryEmbeddings = new Map() // provider key -> vector
+
+  for (const tutorialId of tutorialIds) {
+    let tree
+    try {
+      tree = await loadTreeSections(tutorialId)
+    } catch (e) {
+      console.warn(`⚠️ Semantic search skipped for ${tutorialId}:`, e.message)
+      continue
+    }
+    if (!tree?.info) continue
+
+    const providerKey = `${tree.info.provider}:${tree.info.dimensions}`
+    if (!queryEmbeddings.has(providerKey)) {
+      try {
+        queryEmbeddings.set(providerKey, await generateEmbedding(query, tree.info))
+      } catch (e) {
+        console.warn(`⚠️ Semantic search skipped for ${providerKey} trees:`, e.message)
+        queryEmbeddings.set(providerKey, null)
+      }
+    }
+    const queryEmbedding = queryEmbeddings.get(providerKey)
+    if (!queryEmbedding) continue
+
+    for (const section of tree.sections) {
+      if (section.embeddings.length === 0) continue
+      const best = Math.max(...section.embeddings.map(e => cosineSimilarity(queryEmbedding, e)))
+      scores.set(`${tutorialId}#${section.index}`, best)
+    }
+  }
+  return scores
+}
+
+/**
+ * Search all tutorials
+ * @param {string} query
+ * @param {Object} options
+ * @param {number} options.limit - max tutorials returned
+ * @param {number} options.sectionsPerTutorial - max section hits per tutorial
+ * @param {boolean} options.semantic - blend in semantic-tree embedding similarity
+ * @param {number} options.semanticWeight - share of the final score from embeddings (0-1)
+ * @returns {Promise<Object[]>} tutorials ranked by their best section, each with ranked `sections`
+ */
+export async function search(query, options = {}) {
+  const {
+    limit = 20,
+    sectionsPerTutorial = 3,
+    semantic = false,
+    semanticWeight = 0.3,
+    minSemanticScore = 0.35
+  } = options
+
+  ensureIndex()
+  const terms = tokenize(query)
+  const lexical = bm25(expandTerms(terms))
+
+  // Normalize BM25 so it can be blended with cosine similarity
+  const maxLexical = Math.max(0, ...lexical.values())
+  const scores = new Map()
+  for (const [key, score] of lexical) {
+    scores.set(key, { score: maxLexical > 0 ? score / maxLexical : 0, lexical: score })
+  }
+
+  if (semantic && query.trim()) {
+    const similarity = await semanticScores(query, Object.keys(index.tutorials))
+    for (const [key, score] of scores) {
+      score.semantic = similarity.get(key) || 0
+      score.score = (1 - semanticWeight) * score.score + semanticWeight * score.semantic
+    }
+    for (const [key, sim] of similarity) {
+      if (!scores.has(key) && sim >= minSemanticScore && docsByKey.has(key)) {
+        scores.set(key, { score: semanticWeight * sim, lexical: 0, semantic: sim })
+      }
+    }
+  }
+
+  // Group hits by tutorial, ranked by best section
+  const words = query.toLowerCase().split(/\s+/).filter(w => w.length > 1)
+  const byTutorial = new Map()
+  for (const [key, { score, lexical: lexicalScore, semantic: semanticScore }] of scores) {
+    const doc = docsByKey.get(key)
+    if (!byTutorial.has(doc.tutorialId)) byTutorial.set(doc.tutorialId, [])
+    byTutorial.get(doc.tutorialId).push({ doc, score, lexicalScore, semanticScore })
+  }
+
+  return [...byTutorial.entries()]
+    .map(([tutorialId, hits]) => {
+      hits.sort((a, b) => b.score - a.score)
+      return {
+        tutorialId,
+        title: index.tutorials[tutorialId].title,
+        score: hits[0].score,
+        sections: hits.slice(0, sectionsPerTutorial).map(({ doc, score, lexicalScore, semanticScore }) => ({
+          sectionIndex: doc.sectionIndex,
+          sectionTitle: doc.sectionTitle,
+          anchor: doc.anchor,
+          score,
+          lexicalScore,
+          ...(semanticScore !== undefined && { semanticScore }),
+          snippet: makeSnippet(doc.text, words)
+        }))
+      }
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+}
@@ -0,0 +1,399 @@
+/**
+ * Tutorial generation helpers
+ *
+ * Shared by the routes that have the AI write a whole tutorial document:
+ * the element vocabulary the prompts describe, ids derived from titles,
+ * lenient parsing of the JSON that comes back, and citations for
+ * tutorials generated from sources: numbered source footnotes, or section
+ * plans and passage footnotes for tutorials grounded in documents.
+ */
+
+import { extractDocument, chunkDocument } from './ingest.js'
+import { insertAnnotation, insertMarker, generateAnnotationId } from '../src/utils/annotationTree.js'
+import { createAnchor } from '../src/utils/textAnchors.js'
+
+export const MAX_SOURCE_DOCUMENTS = 5
+const MAX_DOCUMENT_BYTES = 25 * 1024 * 1024
+// Passage text the generation prompt can hold, shared between documents
+const MAX_SOURCE_CHARS = 40000
+
+/**
+ * The element types a generated tutorial may use, as prompt text
+ */
+export const ELEMENT_GUIDE = `    { "type": "p", "children": "Paragraph text explaining concepts" },
+    { "type": "Callout", "props": { "type": "info|tip|warning" }, "children": "Important callout" },
+    { "type": "h3", "children": "Subsection heading" },
+    { "type": "ul", "children": [{ "type": "li", "children": "Bullet point" }] },
+    { "type": "ol", "children": [{ "type": "li", "children": "Numbered item" }] },
+    { "type": "Code", "props": { "language": "python|javascript" }, "children": "code here" },
+    { "type": "Example", "props": { "title": "Example: ..." }, "children": [...] },
+    { "type": "Blockquote", "children": "Key insight or quote" },
+    { "type": "Analogy", "props": { "concept": "What it explains", "analogy": "Think of it like..." } },
+    { "type": "DefinitionList", "props": { "items": [{ "term": "Term", "definition": "..." }] } },
+    { "type": "ComparisonTable", "props": { "headers": ["A", "B"], "rows": [["x", "y"]] } }`
+
+/**
+ * URL-safe tutorial id from a topic or title
+ */
+export function tutorialIdFrom(text) {
+  return text.trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50)
+}
+
+/**
+ * Lock key for a request that creates the tutorial named by `title`, so two
+ * requests for the same id can't both pass the "already exists" check.
+ * Without a title (named later, e.g. from uploaded documents) they share one key.
+ */
+export function lockNewTutorial(title) {
+  const tutorialId = typeof title === 'string' ? tutorialIdFrom(title) : ''
+  return `tutorial:${tutorialId || 'new'}`
+}
+
+/**
+ * Parse a tutorial document out of an AI response: strips code fences,
+ * falls back to the outermost object, and closes truncated JSON
+ * @throws {Error} when nothing parseable is found
+ */
+export function parseTutorialResponse(response) {
+  const cleaned = response.trim().replace(/^```(?:json)?\s*\n?/i, '').replace(/\n?```\s*$/i, '')
+
+  try {
+    return JSON.parse(cleaned)
+  } catch {
+    // Fall through to extraction
+  }
+
+  // Find the first { and match to its closing }
+  const startIdx = cleaned.indexOf('{')
+  if (startIdx === -1) throw new Error('No JSON object found in response')
+
+  let depth = 0
+  let endIdx = -1
+  for (let i = startIdx; i < cleaned.length; i++) {
+    if (cleaned[i] === '{') depth++
+    else if (cleaned[i] === '}') {
+      depth--
+      if (depth === 0) { endIdx = i; break }
+    }
+  }
+
+  if (endIdx !== -1) return JSON.parse(cleaned.slice(startIdx, endIdx + 1))
+
+  // JSON was truncated — try to repair by closing open structures
+  console.warn('⚠️ JSON appears truncated, attempting repair...')
+  let partial = cleaned.slice(startIdx)
+  // Close any open strings
+  const quoteCount = (partial.match(/(?<!\\)"/g) || []).length
+  if (quoteCount % 2 !== 0) partial += '"'
+  // Close open arrays and objects by counting
+  const openBrackets = (partial.match(/\[/g) || []).length - (partial.match(/\]/g) || []).length
+  const openBraces = (partial.match(/\{/g) || []).length - (partial.match(/\}/g) || []).length
+  for (let i = 0; i < openBrackets; i++) partial += ']'
+  for (let i = 0; i < openBraces; i++) partial += '}'
+  return JSON.parse(partial)
+}
+
+const SOURCE_MARKER = /\[(\d+(?:\s*,\s*\d+)*)\]/g
+
+/**
+ * Turn [n] / [n, m] markers in element text into FootnoteRef links and
+ * append a Sources section listing each source, anchored as source-<n>.
+ * Markers inside props (table cells, definitions) are rendered as-is by
+ * their components, so they stay plain text pointing at the same list.
+ * @param {Object} content - tutorial content root
+ * @param {{ title: string, url?: string, detail?: string }[]} sources - in marker order
+ * @returns {Object} new content root
+ */
+export function linkSourceFootnotes(content, sources) {
+  let refCount = 0
+
+  const linkText = (text) => {
+    const parts = []
+    let last = 0
+    for (const match of text.matchAll(SOURCE_MARKER)) {
+      const numbers = match[1].split(',').map(Number)
+      // Not one of ours, e.g. a literal [0] in prose
+      if (!numbers.every(n => n >= 1 && n <= sources.length)) continue
+      if (match.index > last) parts.push(text.slice(last, match.index))
+      for (const n of numbers) {
+        parts.push({ type: 'FootnoteRef', props: { id: `source-ref-${++refCount}`, targetId: `source-${n}`, type: 'source', label: n } })
+      }
+      last = match.index + match[0].length
+    }
+    if (parts.length === 0) return text
+    if (last < text.length) parts.push(text.slice(last))
+    return parts
+  }
+
+  const walk = (node) => {
+    if (typeof node === 'string') return linkText(node)
+    if (Array.isArray(node)) return node.flatMap(child => typeof child === 'string' ? linkText(child) : [walk(child)])
+    if (!node || typeof node !== 'object' || node.children === undefined) return node
+    if (node.type === 'Code' || node.type === 'Formula') return node
+    return { ...node, children: walk(node.children) }
+  }
+
+  const linked = walk(content)
+  const sourcesSection = {
+    type: 'Section',
+    props: { title: 'Sources' },
+    children: [{
+      type: 'ol',
+      children: sources.map((source, i) => ({
+        type: 'li',
+        children: [{
+          type: 'span',
+          props: { id: `source-${i + 1}` },
+          children: [
+            source.url ? { type: 'a', props: { href: source.url }, children: source.title } : source.title,
+            ...(source.detail ? [` — ${source.detail}`] : [])
+          ]
+        }]
+      }))
+    }]
+  }
+
+  const children = Array.isArray(linked.children) ? linked.children : [linked.children].filter(Boolean)
+  return { ...linked, children: [...children, sourcesSection] }
+}
+
+function documentError(message, status) {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
+/**
+ * Extract and chunk uploaded documents for grounded generation. Chunk ids
+ * are renumbered across documents (c1, c2, ...) and each document keeps
+ * an even share of the passage budget, sampled across its length.
+ * @param {{ filename: string, data: string }[]} documents - files base64-encoded
+ * @returns {Promise<{ documents: { title: string, format: string, chunks: Object[] }[], chunksById: Map<string, Object> }>}
+ */
+export async function prepareSourceDocuments(documents) {
+  const budget = MAX_SOURCE_CHARS / documents.length
+  const prepared = []
+  const chunksById = new Map()
+
+  for (const { filename, data } of documents) {
+    if (!data) throw documentError(`Missing file data for ${filename || 'a document'}`, 400)
+    const buffer = Buffer.from(data, 'base64')
+    if (buffer.length > MAX_DOCUMENT_BYTES) {
+      throw documentError(`${filename} is too large (max ${MAX_DOCUMENT_BYTES / 1024 / 1024} MB)`, 413)
+    }
+
+    const doc = await extractDocument(buffer, filename)
+    let chunks = chunkDocument(doc.blocks)
+    if (chunks.length === 0) {
+      throw documentError(`No readable text found in ${filename} (scanned PDFs need OCR first)`, 422)
+    }
+
+    const size = chunks.reduce((sum, c) => sum + c.text.length, 0)
+    if (size > budget) {
+      const keep = Math.max(1, Math.floor(chunks.length * budget / size))
+      const step = chunks.length / keep
+      chunks = Array.from({ length: keep }, (_, i) => chunks[Math.floor(i * step)])
+    }
+
+    const renumbered = []
+    for (const chunk of chunks) {
+      const id = `c${chunksById.size + 1}`
+      chunksById.set(id, { ...chunk, id, documentTitle: doc.title })
+      renumbered.push(chunksById.get(id))
+    }
+    prepared.push({ title: doc.title, format: doc.format, chunks: renumbered })
+  }
+
+  return { documents: prepared, chunksById }
+}
+
+const MAX_PLANNED_SECTIONS = 8
+// Chunks per section for documents without usable headings
+const CHUNKS_PER_UNTITLED_SECTION = 4
+
+// Consecutive runs of chunks sharing a key
+function groupRuns(chunks, keyOf) {
+  const runs = []
+  for (const chunk of chunks) {
+    const key = keyOf(chunk)
+    const last = runs[runs.length - 1]
+    if (last && last.key === key) last.chunks.push(chunk)
+    else runs.push({ key, chunks: [chunk] })
+  }
+  return runs
+}
+
+/**
+ * Plan tutorial sections from the documents' own structure: each document
+ * is split at the shallowest heading level (or chapter) that divides it,
+ * and the plan is merged down to at most maxSections entries.
+ * @param {{ title: string, chunks: Object[] }[]} documents - chunks as from chunkDocument, with global ids
+ * @returns {{ title: string, chunkIds: string[] }[]}
+ */
+export function planSections(documents, { maxSections = MAX_PLANNED_SECTIONS } = {}) {
+  const plan = []
+  for (const doc of documents) {
+    let runs = null
+    for (const depth of [0, 1, 2]) {
+      const candidate = groupRuns(doc.chunks, c => c.chapterTitle || c.headings[depth] || null)
+      if (candidate.length > 1) {
+        runs = candidate
+        break
+      }
+    }
+    if (runs) {
+      plan.push(...runs.map(run => ({ title: run.key || doc.title, chunkIds: run.chunks.map(c => c.id) })))
+    } else {
+      for (let i = 0; i < doc.chunks.length; i += CHUNKS_PER_UNTITLED_SECTION) {
+        const part = doc.chunks.slice(i, i + CHUNKS_PER_UNTITLED_SECTION)
+        const number = i / CHUNKS_PER_UNTITLED_SECTION + 1
+        plan.push({ title: doc.chunks.length > CHUNKS_PER_UNTITLED_SECTION ? `${doc.title} (part ${number})` : doc.title, chunkIds: part.map(c => c.id) })
+      }
+    }
+  }
+
+  if (plan.length <= maxSections) return plan
+
+  // Merge neighbours evenly; a merged entry keeps its first title
+  const merged = []
+  const per = plan.length / maxSections
+  for (let i = 0; i < maxSections; i++) {
+    const group = plan.slice(Math.round(i * per), Math.round((i + 1) * per))
+    merged.push({ title: group[0].title, chunkIds: group.flatMap(p => p.chunkIds) })
+  }
+  return merged
+}
+
+const PASSAGE_MARKER = /\s*\[(c\d+(?:\s*,\s*c\d+)*)\]/g
+const QUOTE_CHARS = 60
+const PASSAGE_EXCERPT_CHARS = 600
+
+// Last few words of a string, at most `max` characters
+function tailWords(text, max) {
+  const trimmed = text.trimEnd()
+  if (trimmed.length <= max) return trimmed
+  const tail = trimmed.slice(-max)
+  const space = tail.indexOf(' ')
+  return space !== -1 && space < tail.length - 1 ? tail.slice(space + 1) : tail
+}
+
+/**
+ * Re-anchor inserted footnotes against the finished content. Anchors taken
+ * while inserting are stale: later insertions split the text around them
+ * and add footnote text to their context. Each quote is anchored in the
+ * text just before its FootnoteRef.
+ */
+function refreshFootnoteAnchors(content, quotes) {
+  const quotePaths = new Map() // annotation id -> path of the text its first marker follows
+  const markerCounts = new Map() // annotation id -> markers seen so far
+  const footnotes = []
+
+  const walk = (node, path) => {
+    if (Array.isArray(node)) {
+      let textPath = null
+      node.forEach((child, i) => {
+        if (typeof child === 'string') textPath = [...path, i]
+        else if (child?.type === 'FootnoteRef' && quotes.has(child.props?.targetId)) {
+          const { targetId } = child.props
+          const count = (markerCounts.get(targetId) || 0) + 1
+          markerCounts.set(targetId, count)
+          // The footnote quotes its first citation; later markers get their own element ids
+          if (count === 1) quotePaths.set(targetId, textPath)
+          else child.props.id = `${child.props.id}-${count}`
+        } else walk(child, [...path, i])
+      })
+      return
+    }
+    if (!node || typeof node !== 'object') return
+    if (node.type === 'Footnote' && quotes.has(node.props?.id)) footnotes.push(node)
+    if (node.children !== undefined) walk(node.children, [...path, 'children'])
+  }
+  walk(content, [])
+
+  for (const footnote of footnotes) {
+    const anchor = createAnchor(content, quotes.get(footnote.props.id), quotePaths.get(footnote.props.id))
+    if (anchor) footnote.props.anchor = anchor
+  }
+}
+
+/**
+ * Replace [cN] passage markers in a generated tutorial with Footnote
+ * annotations quoting the cited passage. Each footnote is inserted like a
+ * reader's annotation (FootnoteRef after the citing text, anchored so it
+ * survives edits), placed after the paragraph that cites it. A chunk cited
+ * more than once in the same text gets one footnote, with a marker at each
+ * citation.
+ * @param {Object} tutorial - generated tutorial document
+ * @param {Map<string, Object>} chunksById - chunk id -> { text, cite, documentTitle }
+ * @returns {{ tutorial: Object, citationCount: number }}
+ */
+export function attachPassageFootnotes(tutorial, chunksById) {
+  const citations = [] // { path, quote, chunkIds }, in document order
+
+  const stripMarkers = (text, path) => {
+    let stripped = ''
+    let last = 0
+    let previous = null // citation for the previous marker in this string
+    for (const match of text.matchAll(PASSAGE_MARKER)) {
+      const segment = text.slice(last, match.index)
+      stripped += segment
+      last = match.index + match[0].length
+      const chunkIds = [...new Set(match[1].split(',').map(id => id.trim()))].filter(id => chunksById.has(id))
+      if (chunkIds.length === 0) continue
+      // Quote only the text since the previous marker, so quotes never span a FootnoteRef
+      const quote = tailWords(segment, QUOTE_CHARS).replace(/^[\s.,;:!?]+/, '')
+      if (quote.trim()) {
+        previous = { path, quote, chunkIds }
+        citations.push(previous)
+      } else if (previous) {
+        // Back-to-back markers cite the same text; a marker with nothing before it has no text to anchor to
+        previous.chunkIds.push(...chunkIds.filter(id => !previous.chunkIds.includes(id)))
+      }
+    }
+    return last === 0 ? text : stripped + text.slice(last)
+  }
+
+  const walk = (node, path) => {
+    if (typeof node === 'string') return stripMarkers(node, path)
+    if (Array.isArray(node)) return node.map((child, i) => walk(child, [...path, i]))
+    if (!node || typeof node !== 'object' || node.children === undefined) return node
+    if (node.type === 'Code' || node.type === 'Formula') return node
+    return { ...node, children: walk(node.children, [...path, 'children']) }
+  }
+
+  let result = { ...tutorial, content: walk(tutorial.content, []) }
+  const quotes = new Map() // annotation id -> quote
+
+  // One footnote per chunk per string: the first citation inserts it, later ones only add a marker
+  const footnoteIds = new Map() // `${path}|${chunkId}` -> annotation id
+  const refs = citations.flatMap(({ path, quote, chunkIds }) => chunkIds.map(chunkId => {
+    const key = `${path.join('.')}|${chunkId}`
+    const first = !footnoteIds.has(key)
+    if (first) footnoteIds.set(key, generateAnnotationId())
+    return { path, quote, chunkId, annotationId: footnoteIds.get(key), first }
+  }))
+
+  // Last first, so inserting footnotes doesn't shift the paths still to come
+  for (const { path, quote, chunkId, annotationId, first } of refs.reverse()) {
+    if (!first) {
+      result = insertMarker(result, quote, annotationId, 'source', { path, log: () => {} }) || result
+      continue
+    }
+    const chunk = chunksById.get(chunkId)
+    const excerpt = chunk.text.length > PASSAGE_EXCERPT_CHARS ? `${chunk.text.slice(0, PASSAGE_EXCERPT_CHARS).trimEnd()}…` : chunk.text
+    const footnote = {
+      type: 'Footnote',
+      props: { type: 'source', reference: [chunk.documentTitle, chunk.cite].filter(Boolean).join(' · ') },
+      children: [{ type: 'Blockquote', children: excerpt }]
+    }
+    result = insertAnnotation(result, quote, footnote, 'source', { id: annotationId, path, log: () => {} })
+    quotes.set(annotationId, quote)
+  }
+
+  refreshFootnoteAnchors(result.content, quotes)
+  return { tutorial: result, citationCount: quotes.size }
+}
@@ -4,6 +4,7 @@ import Listing from './pages/Listing.jsx'
 import TutorialWrapper from './pages/TutorialWrapper.jsx'
 import TreeWrapper from './pages/TreeWrapper.jsx'
 import QuizWrapper from './pages/QuizWrapper.jsx'
+import Review from './pages/Review.jsx'
 import GoogleDriveDemo from './pages/GoogleDriveDemo.jsx'
 import ImplicationsGraph from './pages/ImplicationsGraph.jsx'
 import ThoughtBlend from './tutorials/ThoughtBlend/index.jsx'
@@ -23,6 +24,7 @@ function App() {
         <Route path="/tutorial/:tutorialId" element={<TutorialWrapper />} />
         <Route path="/tree/:tutorialId" element={<TreeWrapper />} />
         <Route path="/quiz/:tutorialId" element={<QuizWrapper />} />
+        <Route path="/review" element={<Review />} />
         <Route path="/drive-demo" element={<GoogleDriveDemo />} />
         <Route path="/implications" element={<ImplicationsGraph />} />
         <Route path="/thoughtblend" element={<ThoughtBlend />} />
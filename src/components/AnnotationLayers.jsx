@@ -0,0 +1,165 @@
+import React, { useState } from 'react'
+
+const ACTION_LABELS = {
+  explain: '💡 Explain',
+  branch: '🌿 Deep dive',
+  ask: '❓ Ask',
+  footnote: '📝 Note',
+  source: '📚 Source'
+}
+
+function LayerAnnotation({ annotation, orphaned, onPromote, onDelete }) {
+  const [busy, setBusy] = useState(false)
+
+  const run = async (fn) => {
+    setBusy(true)
+    try {
+      await fn()
+    } catch (e) {
+      alert(e.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <li className="px-3 py-2 rounded-lg bg-gray-800/60 space-y-1">
+      <div className="flex items-center justify-between gap-2">
+        <span className="text-xs text-gray-300">{ACTION_LABELS[annotation.action] || annotation.action}</span>
+        {orphaned && <span className="text-[10px] text-amber-400" title="The quoted text is no longer in the tutorial">⚠️ text not found</span>}
+      </div>
+      <div className="text-xs text-gray-400 italic line-clamp-2">"{annotation.quote}"</div>
+      <div className="flex gap-2 pt-1">
+        <button
+          onClick={() => confirm('Add this annotation to the canonical tutorial for everyone?') && run(onPromote)}
+          disabled={busy || orphaned}
+          className="text-[11px] px-2 py-0.5 rounded bg-indigo-600 text-white hover:bg-indigo-500 disabled:opacity-40"
+        >
+          Promote
+        </button>
+        <button
+          onClick={() => run(onDelete)}
+          disabled={busy}
+          className="text-[11px] px-2 py-0.5 rounded bg-gray-700 text-gray-300 hover:bg-gray-600 disabled:opacity-40"
+        >
+          Delete
+        </button>
+      </div>
+    </li>
+  )
+}
+
+// Floating panel: toggle overlay layers, pick the layer to write to,
+// and promote or delete layer annotations
+export function LayerPanel({ layers, hidden, orphans, activeLayer, onToggle, onSetActive, onPromote, onDelete }) {
+  const [open, setOpen] = useState(false)
+  const [expanded, setExpanded] = useState(null)
+  const [teamName, setTeamName] = useState('')
+
+  const orphanIds = new Set(orphans.map(o => o.annotationId))
+  const total = layers.reduce((sum, l) => sum + l.annotations.length, 0)
+
+  if (!open) {
+    return (
+      <button
+        onClick={() => setOpen(true)}
+        className="fixed bottom-6 left-6 z-50 h-12 px-4 rounded-full bg-gray-900 text-white shadow-lg hover:bg-gray-800 transition-all hover:scale-105 flex items-center gap-2 text-sm"
+        title="Annotation layers"
+      >
+        🗂️ {total > 0 && <span className="text-xs text-gray-300">{total}</span>}
+      </button>
+    )
+  }
+
+  const joinTeam = () => {
+    if (!teamName.trim()) return
+    onSetActive('team', teamName.trim())
+    setTeamName('')
+  }
+
+  return (
+    <div className="fixed bottom-6 left-6 z-50 w-80 max-h-[70vh] flex flex-col bg-gray-900 border border-gray-700 rounded-xl shadow-2xl overflow-hidden">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-700">
+        <span className="text-sm font-medium text-white">🗂️ Annotation Layers</span>
+        <button onClick={() => setOpen(false)} className="text-gray-400 hover:text-white text-lg">×</button>
+      </div>
+
+      <div className="px-4 py-3 border-b border-gray-700 space-y-2">
+        <div className="text-xs text-gray-400">
+          New annotations go to <span className="text-white font-medium">{activeLayer.name}</span>
+          <span className="ml-1 text-gray-500">({activeLayer.kind})</span>
+        </div>
+        <div className="flex gap-2">
+          <input
+            value={teamName}
+            onChange={e => setTeamName(e.target.value)}
+            onKeyDown={e => { if (e.key === 'Enter') joinTeam() }}
+            placeholder="Team layer name"
+            className="flex-1 min-w-0 bg-gray-800 border border-gray-600 rounded-lg px-2 py-1 text-xs text-white placeholder-gray-500 focus:outline-none focus:border-indigo-500"
+          />
+          <button
+            onClick={joinTeam}
+            disabled={!teamName.trim()}
+            className="text-xs px-2 py-1 rounded-lg bg-indigo-600 text-white hover:bg-indigo-500 disabled:opacity-50"
+          >
+            Use
+          </button>
+          {activeLayer.kind === 'team' && (
+            <button
+              onClick={() => onSetActive('user')}
+              className="text-xs px-2 py-1 rounded-lg bg-gray-700 text-gray-300 hover:bg-gray-600"
+            >
+              Mine
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="p-3 space-y-2 overflow-y-auto">
+        {layers.length === 0 && (
+          <div className="text-xs text-gray-500 text-center py-4">
+            No layers yet — annotations you add will appear here.
+          </div>
+        )}
+        {layers.map(layer => (
+          <div key={layer.id} className="rounded-lg border border-gray-700">
+            <div className="flex items-center gap-2 px-3 py-2">
+              <input
+                type="checkbox"
+                checked={!hidden.has(layer.id)}
+                onChange={() => onToggle(layer.id)}
+                className="accent-indigo-500"
+                title="Show this layer"
+              />
+              <button
+                onClick={() => setExpanded(expanded === layer.id ? null : layer.id)}
+                className="flex-1 flex items-center gap-2 text-left min-w-0"
+              >
+                <span className={`text-sm truncate ${layer.id === activeLayer.id ? 'text-white font-medium' : 'text-gray-300'}`}>
+                  {layer.name}
+                </span>
+                <span className={`text-[10px] px-1.5 py-0.5 rounded ${layer.kind === 'team' ? 'bg-emerald-500/20 text-emerald-300' : 'bg-indigo-500/20 text-indigo-300'}`}>
+                  {layer.kind}
+                </span>
+                <span className="ml-auto text-xs text-gray-500">{layer.annotations.length}</span>
+              </button>
+            </div>
+            {expanded === layer.id && layer.annotations.length > 0 && (
+              <ul className="px-3 pb-3 space-y-2">
+                {layer.annotations.map(annotation => (
+                  <LayerAnnotation
+                    key={annotation.id}
+                    annotation={annotation}
+                    orphaned={orphanIds.has(annotation.id)}
+                    onPromote={() => onPromote(layer.id, annotation.id)}
+                    onDelete={() => onDelete(layer.id, annotation.id)}
+                  />
+                ))}
+              </ul>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
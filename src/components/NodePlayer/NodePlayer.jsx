@@ -5,14 +5,18 @@
  * Think: Schoolhouse Rock meets React.
  */
 
-import React, { useState, useEffect, useRef, useCallback } from 'react'
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import { API_BASE } from '../../config.js'
+import { splitWords, estimateWordTimings, wordAt, wordAtChar } from '../../utils/wordTimings.js'
 
-// Audio playback hook - uses Polly audio URL if available, falls back to browser TTS
+// Audio playback hook - uses the pre-rendered audio URL if available, falls back to browser TTS.
+// Tracks which word is being spoken (index into the `words` passed to speak).
 function useAudio() {
   const audioRef = useRef(null)
+  const frameRef = useRef(null)
   const [voice, setVoice] = useState(null)
+  const [activeWord, setActiveWord] = useState(-1)
   
   // Find a good voice for fallback TTS
   useEffect(() => {
@@ -33,19 +37,42 @@ function useAudio() {
     return () => window.speechSynthesis?.removeEventListener('voiceschanged', findVoice)
   }, [])
   
-  const speak = useCallback((text, audioUrl, onEnd) => {
-    // Stop any existing audio
+  const stopAll = () => {
     if (audioRef.current) {
       audioRef.current.pause()
       audioRef.current = null
     }
+    cancelAnimationFrame(frameRef.current)
     window.speechSynthesis?.cancel()
+    setActiveWord(-1)
+  }
+  
+  const speak = useCallback((text, audioUrl, onEnd, words = []) => {
+    // Stop any existing audio
+    stopAll()
     
-    // Prefer Polly audio URL if available
+    // Prefer pre-rendered audio if available
     if (audioUrl) {
       const audio = new Audio(audioUrl)
       audioRef.current = audio
-      audio.onended = onEnd
+      
+      // Follow playback against the word timings (estimated from the clip length if it has none)
+      let timings = words[0]?.start !== undefined ? words : null
+      audio.onloadedmetadata = () => {
+        if (!timings && isFinite(audio.duration)) timings = estimateWordTimings(text, audio.duration * 1000)
+      }
+      const follow = () => {
+        if (audioRef.current !== audio) return
+        if (timings) setActiveWord(wordAt(timings, audio.currentTime * 1000))
+        frameRef.current = requestAnimationFrame(follow)
+      }
+      frameRef.current = requestAnimationFrame(follow)
+      
+      audio.onended = () => {
+        cancelAnimationFrame(frameRef.current)
+        setActiveWord(-1)
+        onEnd?.()
+      }
       audio.onerror = () => {
         console.warn('Audio playback failed, falling back to TTS')
         speakWithTTS(text, onEnd)
@@ -59,12 +86,19 @@ function useAudio() {
     }
     
     function speakWithTTS(text, onEnd) {
+      cancelAnimationFrame(frameRef.current)
       if ('speechSynthesis' in window && text) {
         const utterance = new SpeechSynthesisUtterance(text)
         utterance.rate = 0.95
         utterance.pitch = 1.05
         if (voice) utterance.voice = voice
-        utterance.onend = onEnd
+        utterance.onboundary = (e) => {
+          if (e.name === 'word') setActiveWord(wordAtChar(words, e.charIndex))
+        }
+        utterance.onend = () => {
+          setActiveWord(-1)
+          onEnd?.()
+        }
         utterance.onerror = onEnd
         window.speechSynthesis.speak(utterance)
       } else {
@@ -73,15 +107,36 @@ function useAudio() {
     }
   }, [voice])
   
-  const stop = useCallback(() => {
-    if (audioRef.current) {
-      audioRef.current.pause()
-      audioRef.current = null
-    }
-    window.speechSynthesis?.cancel()
-  }, [])
+  const stop = useCallback(() => stopAll(), [])
   
-  return { speak, stop }
+  return { speak, stop, activeWord }
+}
+
+// Narration captions with the spoken word highlighted
+function Captions({ text, words, activeWord }) {
+  if (!text) return null
+  
+  const parts = []
+  let cursor = 0
+  words.forEach((word, i) => {
+    if (word.charStart > cursor) parts.push(text.slice(cursor, word.charStart))
+    parts.push(
+      <span
+        key={i}
+        className={`rounded px-0.5 transition-colors ${i === activeWord ? 'bg-emerald-500/30 text-white' : ''}`}
+      >
+        {text.slice(word.charStart, word.charEnd)}
+      </span>
+    )
+    cursor = Math.max(cursor, word.charEnd)
+  })
+  if (cursor < text.length) parts.push(text.slice(cursor))
+  
+  return (
+    <div className="px-8 py-4 max-w-4xl mx-auto text-center text-lg leading-relaxed text-white/60">
+      {parts}
+    </div>
+  )
 }
 
 // Slide types
@@ -215,18 +270,21 @@ const SlideRenderers = {
 }
 
 export default function NodePlayer({ 
-  script, // Array of { type, content, narration, duration }
+  script, // Array of { type, content, narration, duration, audioUrl?, words? }
+  cacheKey, // Server cache key, enables exporting the deck
   onClose,
   autoPlay = true 
 }) {
   const [currentSlide, setCurrentSlide] = useState(0)
   const [isPlaying, setIsPlaying] = useState(autoPlay)
   const [progress, setProgress] = useState(0)
-  const { speak, stop } = useAudio()
+  const { speak, stop, activeWord } = useAudio()
   const timerRef = useRef(null)
   const startTimeRef = useRef(null)
   
   const slide = script?.[currentSlide]
+  // Word timings from the narration audio, or just the words for browser TTS
+  const words = useMemo(() => slide?.words || splitWords(slide?.narration), [slide])
   
   // Handle slide progression
   useEffect(() => {
@@ -247,12 +305,12 @@ export default function NodePlayer({
       }
     }
     
-    // Start narration (use Polly audio if available)
+    // Start narration (use pre-rendered audio if available)
     if (slide.narration || slide.audioUrl) {
       speak(slide.narration, slide.audioUrl, () => {
         narrationDone = true
         checkAdvance()
-      })
+      }, words)
     } else {
       narrationDone = true
     }
@@ -280,7 +338,7 @@ export default function NodePlayer({
       cancelAnimationFrame(timerRef.current)
       stop()
     }
-  }, [currentSlide, isPlaying, slide, speak, stop, script?.length])
+  }, [currentSlide, isPlaying, slide, words, speak, stop, script?.length])
   
   if (!script || script.length === 0) {
     return (
@@ -318,6 +376,9 @@ export default function NodePlayer({
           </AnimatePresence>
         </div>
         
+        {/* Captions */}
+        <Captions text={slide.narration} words={words} activeWord={activeWord} />
+        
         {/* Progress bar */}
         <div className="h-1 bg-white/10">
           <motion.div 
@@ -369,6 +430,17 @@ export default function NodePlayer({
           <span className="text-white/40 ml-4">
             {currentSlide + 1} / {script.length}
           </span>
+          
+          {cacheKey && (
+            <a
+              href={`${API_BASE}/api/presentations/${cacheKey}/export`}
+              download
+              className="text-white/40 hover:text-white text-sm ml-4"
+              title="Download as a standalone HTML deck that plays offline"
+            >
+              ⬇ Export
+            </a>
+          )}
         </div>
       </div>
     </div>
@@ -385,6 +457,6 @@ export async function generatePresentationScript(nodeContent, nodeTitle) {
   
   if (!response.ok) throw new Error('Failed to generate presentation')
   
-  const result = await response.json()
-  return result.script
+  // { script, cacheKey }
+  return response.json()
 }
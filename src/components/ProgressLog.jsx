@@ -0,0 +1,42 @@
+import React from 'react'
+
+/**
+ * Progress Log Component
+ *
+ * Step-by-step log for a long-running AI request (see useProgressStream).
+ * Earlier steps are ticked off, the latest one spins. Colors follow the
+ * surrounding text so it sits in light modals and dark panels alike.
+ */
+export default function ProgressLog({ steps, isRunning, onCancel, className = '' }) {
+  if (!isRunning && steps.length === 0) return null
+
+  return (
+    <div className={`text-xs space-y-1 ${className}`}>
+      <ol className="space-y-1 max-h-40 overflow-y-auto">
+        {steps.length === 0 && isRunning && (
+          <li className="flex items-center gap-2 opacity-70">
+            <span className="animate-spin w-3 h-3 border-2 border-current border-t-transparent rounded-full" />
+            Starting...
+          </li>
+        )}
+        {steps.map((s, i) => {
+          const isCurrent = isRunning && i === steps.length - 1
+          return (
+            <li key={i} className={`flex items-center gap-2 ${isCurrent ? '' : 'opacity-60'}`}>
+              {isCurrent
+                ? <span className="animate-spin w-3 h-3 shrink-0 border-2 border-current border-t-transparent rounded-full" />
+                : <span className="w-3 shrink-0 text-center">✓</span>}
+              <span className="truncate">{s.message}</span>
+              {s.total > 0 && <span className="ml-auto shrink-0 tabular-nums opacity-70">{s.step}/{s.total}</span>}
+            </li>
+          )
+        })}
+      </ol>
+      {isRunning && onCancel && (
+        <button type="button" onClick={onCancel} className="underline opacity-70 hover:opacity-100">
+          Cancel
+        </button>
+      )}
+    </div>
+  )
+}
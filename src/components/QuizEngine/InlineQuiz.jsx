@@ -0,0 +1,117 @@
+import React, { useState, useMemo, useRef, useCallback } from 'react'
+import QuizQuestion from './QuizQuestion'
+import QuizFeedback from './QuizFeedback'
+import { checkAnswer } from './QuizEngine'
+import { playSound } from './QuizSounds'
+import { normalizeInlineQuestions, loadInlineResults, saveInlineResult } from './InlineQuizResults'
+import { useTutorialState } from '../TutorialEngine/TutorialStateContext'
+import { inlineCardId } from '../../utils/spacedRepetition.js'
+import { recordReview } from '../../utils/reviewHistory.js'
+import './QuizStyles.css'
+
+/**
+ * Inline knowledge check embedded in a tutorial
+ * Reuses the QuizEngine question types, scoring and feedback, and records
+ * each answer against the tutorial so the header can show progress.
+ * `quiz` is the Quiz element itself, since its questions aren't always in props.
+ */
+export default function InlineQuiz({ quiz }) {
+  const { tutorialId } = useTutorialState()
+  const questions = useMemo(() => normalizeInlineQuestions(quiz), [quiz])
+
+  const [currentIndex, setCurrentIndex] = useState(0)
+  const [feedback, setFeedback] = useState(null) // { isCorrect, answer }
+  const [answers, setAnswers] = useState({}) // { questionKey: isCorrect }
+  const [finished, setFinished] = useState(false)
+  const questionStartTime = useRef(Date.now())
+
+  // Questions already passed in an earlier visit
+  const previous = useMemo(() => loadInlineResults(tutorialId), [tutorialId])
+  const previouslyPassed = questions.filter(q => previous[q.key]?.isCorrect).length
+
+  const currentQuestion = questions[currentIndex]
+  const isLastQuestion = currentIndex === questions.length - 1
+
+  const handleSubmit = useCallback((answer) => {
+    const isCorrect = checkAnswer(currentQuestion, answer)
+    const timeSpent = Date.now() - questionStartTime.current
+
+    setAnswers(prev => ({ ...prev, [currentQuestion.key]: isCorrect }))
+    setFeedback({ isCorrect, answer })
+    saveInlineResult(tutorialId, currentQuestion.key, { isCorrect, answer, timeSpent })
+    if (tutorialId) recordReview(inlineCardId(tutorialId, currentQuestion.key), { isCorrect, timeSpent })
+    playSound(isCorrect ? 'correct' : 'incorrect', 1)
+  }, [currentQuestion, tutorialId])
+
+  const handleNext = useCallback(() => {
+    setFeedback(null)
+    questionStartTime.current = Date.now()
+
+    if (isLastQuestion) {
+      setFinished(true)
+    } else {
+      setCurrentIndex(i => i + 1)
+    }
+  }, [isLastQuestion])
+
+  const handleRetry = () => {
+    setAnswers({})
+    setCurrentIndex(0)
+    setFinished(false)
+    questionStartTime.current = Date.now()
+  }
+
+  if (questions.length === 0) return null
+
+  const title = quiz.props?.title || 'Check your understanding'
+
+  if (finished) {
+    const correct = Object.values(answers).filter(Boolean).length
+    return (
+      <div className="quiz-inline my-6">
+        <div className="quiz-inline-summary">
+          <span className="text-2xl">{correct === questions.length ? '🏆' : '📝'}</span>
+          <div className="flex-1">
+            <div className="font-semibold text-gray-800">{title}</div>
+            <div className="text-sm text-gray-600">
+              {correct}/{questions.length} correct
+            </div>
+          </div>
+          <button onClick={handleRetry} className="quiz-inline-retry">
+            Try again
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="quiz-inline my-6">
+      <div className="quiz-inline-header">
+        <span className="font-semibold">🧠 {title}</span>
+        <span className="text-sm text-gray-500">
+          {questions.length > 1 && `${currentIndex + 1} of ${questions.length}`}
+          {previouslyPassed > 0 && ` · ✓ ${previouslyPassed} passed before`}
+        </span>
+      </div>
+
+      {feedback ? (
+        <QuizFeedback
+          isCorrect={feedback.isCorrect}
+          question={currentQuestion}
+          userAnswer={feedback.answer}
+          explanation={currentQuestion.explanation}
+          onNext={handleNext}
+          isLastQuestion={isLastQuestion}
+        />
+      ) : (
+        <QuizQuestion
+          key={currentQuestion.key}
+          question={currentQuestion}
+          onSubmit={handleSubmit}
+          shuffleOptions={false}
+        />
+      )}
+    </div>
+  )
+}
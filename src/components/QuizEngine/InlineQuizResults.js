@@ -0,0 +1,150 @@
+/**
+ * Inline quiz helpers
+ * Normalizes the `Quiz` elements embedded in tutorial JSON into QuizEngine
+ * question format, and persists per-tutorial results in localStorage.
+ */
+
+const STORAGE_KEY = 'inline_quiz_results'
+export const RESULTS_EVENT = 'inline-quiz-results'
+
+const isQuestion = (q) => !!(q && (q.question || q.text))
+
+/**
+ * The raw questions of a Quiz element, in whichever shape the tutorial
+ * wrote them: `props.questions`, `questions` on the node, one question
+ * spread into props or onto the node, or question objects / elements
+ * (`{ type: 'QuizQuestion', props }`) as children.
+ */
+export function getQuizQuestions(quiz = {}) {
+  const props = quiz.props || {}
+  if (Array.isArray(props.questions)) return props.questions
+  if (Array.isArray(quiz.questions)) return quiz.questions
+  if (isQuestion(props)) return [props]
+
+  const children = Array.isArray(quiz.children) ? quiz.children : []
+  const nested = children.map(child => (child?.type ? child.props : child)).filter(isQuestion)
+  if (nested.length > 0) return nested
+
+  return [quiz]
+}
+
+/**
+ * Convert a Quiz element into QuizEngine questions (see getQuizQuestions).
+ * Inline questions use string options with a numeric `correct`,
+ * `correctIndex` or `answer`; full QuizEngine questions pass through.
+ */
+export function normalizeInlineQuestions(quiz = {}) {
+  return getQuizQuestions(quiz)
+    .filter(isQuestion)
+    .map((q, i) => {
+      const text = q.question || q.text
+      const key = getQuestionKey(q)
+
+      // Already in QuizEngine format
+      if (q.type && q.correctAnswer !== undefined) {
+        return { points: 10, ...q, id: q.id || `q${i + 1}`, question: text, key }
+      }
+
+      const options = (q.options || []).map((opt, j) =>
+        typeof opt === 'string' ? { id: String(j), text: opt } : { id: String(opt.id ?? j), text: opt.text }
+      )
+      const correctIndex = q.correctIndex ?? q.correct ?? q.answer
+
+      return {
+        id: q.id || `q${i + 1}`,
+        key,
+        type: 'multiple-choice',
+        points: q.points || 10,
+        question: text,
+        options,
+        correctAnswer: String(correctIndex),
+        explanation: q.explanation,
+        hint: q.hint
+      }
+    })
+}
+
+/**
+ * Stable key for a question, so results survive the quiz moving within the tutorial
+ */
+export function getQuestionKey(q) {
+  const options = (q.options || []).map(o => (typeof o === 'string' ? o : o.text)).join('|')
+  const str = `${q.question || q.text}|${options}`
+
+  // djb2
+  let hash = 5381
+  for (let i = 0; i < str.length; i++) {
+    hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0
+  }
+  return `iq-${(hash >>> 0).toString(36)}`
+}
+
+/**
+ * Collect every inline question in a tutorial content tree
+ */
+export function collectInlineQuestions(node, questions = []) {
+  if (!node || typeof node !== 'object') return questions
+
+  if (Array.isArray(node)) {
+    node.forEach(child => collectInlineQuestions(child, questions))
+    return questions
+  }
+
+  if (node.type === 'Quiz') {
+    questions.push(...normalizeInlineQuestions(node))
+  }
+
+  if (node.children) collectInlineQuestions(node.children, questions)
+  return questions
+}
+
+/**
+ * Load all stored results for a tutorial: { [questionKey]: { isCorrect, answer, timeSpent, answeredAt } }
+ */
+export function loadInlineResults(tutorialId) {
+  try {
+    const all = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}')
+    return all[tutorialId] || {}
+  } catch {
+    return {}
+  }
+}
+
+/**
+ * Record the latest answer to an inline question
+ */
+export function saveInlineResult(tutorialId, questionKey, result) {
+  if (!tutorialId) return
+
+  try {
+    const all = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}')
+    all[tutorialId] = {
+      ...all[tutorialId],
+      [questionKey]: { ...result, answeredAt: new Date().toISOString() }
+    }
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all))
+    window.dispatchEvent(new CustomEvent(RESULTS_EVENT, { detail: { tutorialId } }))
+  } catch (e) {
+    console.warn('Could not save inline quiz result:', e.message)
+  }
+}
+
+/**
+ * Summarize a tutorial's inline checks: how many of its current questions were last answered correctly
+ */
+export function getInlineQuizStats(tutorialId, content) {
+  const questions = collectInlineQuestions(content)
+  const results = loadInlineResults(tutorialId)
+
+  const keys = new Set(questions.map(q => q.key))
+  let answered = 0
+  let passed = 0
+  for (const key of keys) {
+    if (results[key]) {
+      answered++
+      if (results[key].isCorrect) passed++
+    }
+  }
+
+  return { total: keys.size, answered, passed }
+}
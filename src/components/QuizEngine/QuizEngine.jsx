@@ -112,9 +112,9 @@ export default function QuizEngine({ quiz, tutorialId, onComplete }) {
       setIsComplete(true)
       const score = calculateScore()
       playSound('complete', score.percentage >= (quiz.settings?.passingScore || 70))
-      onComplete?.(score)
+      onComplete?.(score, answers)
     }
-  }, [currentIndex, totalQuestions, calculateScore, quiz.settings?.passingScore, onComplete])
+  }, [currentIndex, totalQuestions, calculateScore, answers, quiz.settings?.passingScore, onComplete])
   
   // Retry quiz
   const handleRetry = useCallback(() => {
@@ -204,7 +204,7 @@ export default function QuizEngine({ quiz, tutorialId, onComplete }) {
 /**
  * Check if the answer is correct based on question type
  */
-function checkAnswer(question, answer) {
+export function checkAnswer(question, answer) {
   switch (question.type) {
     case 'multiple-choice':
       return answer === question.correctAnswer
@@ -4,6 +4,8 @@ export { default as QuizProgress } from './QuizProgress'
 export { default as QuizQuestion } from './QuizQuestion'
 export { default as QuizFeedback } from './QuizFeedback'
 export { default as QuizSummary } from './QuizSummary'
+export { default as InlineQuiz } from './InlineQuiz'
+export { getInlineQuizStats, RESULTS_EVENT as INLINE_QUIZ_RESULTS_EVENT } from './InlineQuizResults'
 export { playSound, preloadSounds } from './QuizSounds'
 
 // Re-export QuizEngine as default
@@ -3,6 +3,7 @@ import * as d3 from 'd3'
 import { AnnotatableContent } from '../AnnotationSystem.jsx'
 import NodePlayer, { generatePresentationScript } from '../NodePlayer/NodePlayer.jsx'
 import { API_BASE } from '../../config.js'
+import { describeOrphans } from '../../utils/annotationLayers.js'
 
 /**
  * D3Tree - Polished hierarchical tree visualization
@@ -24,7 +25,7 @@ const X = ({ className }) => (
 // Detail modal component
 function DetailModal({ node, onClose, renderContent, tutorialId, onAnnotationRequest, onExpandNode, expansionMode, onExplainSelection }) {
   const [showPlayer, setShowPlayer] = useState(false)
-  const [presentationScript, setPresentationScript] = useState(null)
+  const [presentation, setPresentation] = useState(null)
   const [isGenerating, setIsGenerating] = useState(false)
   const [isExpanding, setIsExpanding] = useState(false)
   
@@ -37,11 +38,11 @@ function DetailModal({ node, onClose, renderContent, tutorialId, onAnnotationReq
   const handlePresent = async () => {
     setIsGenerating(true)
     try {
-      const script = await generatePresentationScript(
+      const result = await generatePresentationScript(
         node.data?.content || node.data || node,
         node.data?.title || node.title || 'Untitled'
       )
-      setPresentationScript(script)
+      setPresentation(result)
       setShowPlayer(true)
     } catch (err) {
       console.error('Failed to generate presentation:', err)
@@ -90,13 +91,14 @@ function DetailModal({ node, onClose, renderContent, tutorialId, onAnnotationReq
     <p className="text-gray-500 italic">No detailed content available.</p>
   )
   
-  if (showPlayer && presentationScript) {
+  if (showPlayer && presentation) {
     return (
       <NodePlayer 
-        script={presentationScript}
+        script={presentation.script}
+        cacheKey={presentation.cacheKey}
         onClose={() => {
           setShowPlayer(false)
-          setPresentationScript(null)
+          setPresentation(null)
         }}
       />
     )
@@ -200,6 +202,7 @@ export default function D3Tree({
   onExpandNode,    // Callback for expanding semantic nodes
   expansionMode,   // 'faithful' or 'enriched'
   onExplainSelection, // Callback for explaining selected text
+  highlightNodeId, // Node to reveal and outline (e.g. a chat citation)
 }) {
   const svgRef = useRef(null)
   const containerRef = useRef(null)
@@ -216,6 +219,7 @@ export default function D3Tree({
   // Preserve zoom/pan transform across re-renders
   const transformRef = useRef(null)
   const zoomRef = useRef(null)
+  const centeredNodeRef = useRef(null)
   
   // Combine modal state
   const [showCombineModal, setShowCombineModal] = useState(false)
@@ -355,7 +359,8 @@ export default function D3Tree({
           })
           
           if (execResponse.ok) {
-            alert('Structure updated! Reloading...')
+            const { reanchor } = await execResponse.json()
+            alert(['Structure updated! Reloading...', describeOrphans(reanchor)].filter(Boolean).join('\n\n'))
             window.location.reload()
           } else {
             const err = await execResponse.json()
@@ -411,6 +416,13 @@ export default function D3Tree({
     }
   }, [data, collectAllNodes, expandAncestors, tutorialId])
   
+  // Expand the path down to a highlighted node
+  useEffect(() => {
+    if (!highlightNodeId || !data) return
+    expandAncestors([highlightNodeId], collectAllNodes(data))
+    containerRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' })
+  }, [highlightNodeId, data])
+  
   const expandAll = useCallback(() => {
     const allIds = new Set()
     const collect = (node) => {
@@ -570,6 +582,7 @@ export default function D3Tree({
       const displayTitle = title.length > 35 ? title.slice(0, 35) + '...' : title
       const hasChildren = d.data._children || d.data.children
       const isExpanded = expandedNodes.has(d.data.id || 'root')
+      const isHighlighted = highlightNodeId && d.data.id === highlightNodeId
       
       // Build tooltip text - include content preview for generic nodes
       let tooltipText = title
@@ -594,8 +607,8 @@ export default function D3Tree({
         .attr('rx', 8)
         .attr('ry', 8)
         .attr('fill', colors.bg)
-        .attr('stroke', selectedNodes.has(d.data.id || 'root') ? '#6366f1' : colors.border)
-        .attr('stroke-width', selectedNodes.has(d.data.id || 'root') ? 3 : (d.depth === 0 ? 2 : 1))
+        .attr('stroke', isHighlighted ? '#f59e0b' : selectedNodes.has(d.data.id || 'root') ? '#6366f1' : colors.border)
+        .attr('stroke-width', isHighlighted || selectedNodes.has(d.data.id || 'root') ? 3 : (d.depth === 0 ? 2 : 1))
         .attr('filter', isExpanded && hasChildren ? 'url(#node-shadow)' : null)
       
       // Selection checkbox (only in selection mode)
@@ -718,7 +731,14 @@ export default function D3Tree({
       transformRef.current = initialTransform
     }
     
-  }, [data, dimensions, expandedNodes, toggleExpand, selectionMode, selectedNodes, toggleNodeSelection])
+    // Pan to a newly highlighted node once its branch is laid out
+    const target = highlightNodeId && root.descendants().find(d => d.data.id === highlightNodeId)
+    if (target && centeredNodeRef.current !== highlightNodeId) {
+      centeredNodeRef.current = highlightNodeId
+      svg.transition().duration(500).call(zoom.translateTo, target.y, target.x)
+    }
+    
+  }, [data, dimensions, expandedNodes, toggleExpand, selectionMode, selectedNodes, toggleNodeSelection, highlightNodeId])
   
   return (
     <div className={`bg-white rounded-xl border border-gray-200 shadow-sm overflow-hidden ${className}`}>
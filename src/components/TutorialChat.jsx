@@ -0,0 +1,180 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { API_BASE } from '../config.js'
+
+const MAX_CITATIONS = 4
+
+/**
+ * "Ask this tutorial" chat panel
+ *
+ * Answers come from the hierarchical RAG endpoint (/rag/query) over the
+ * tutorial's semantic tree. Earlier turns are sent along so follow-ups
+ * work, and kept in sessionStorage so a reload doesn't lose the thread.
+ * Each answer lists its sources; clicking one calls onCite(source) so the
+ * page can scroll to the section or tree node it came from.
+ */
+export default function TutorialChat({ tutorialId, onCite, onAnswerSaved }) {
+  const storageKey = `tutorial-chat:${tutorialId}`
+  const [open, setOpen] = useState(false)
+  const [messages, setMessages] = useState(() => {
+    try {
+      return JSON.parse(sessionStorage.getItem(storageKey)) || []
+    } catch {
+      return []
+    }
+  })
+  const [question, setQuestion] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [savingIndex, setSavingIndex] = useState(null)
+  const scrollRef = useRef(null)
+
+  useEffect(() => {
+    sessionStorage.setItem(storageKey, JSON.stringify(messages))
+  }, [storageKey, messages])
+
+  useEffect(() => {
+    scrollRef.current?.scrollTo({ top: scrollRef.current.scrollHeight, behavior: 'smooth' })
+  }, [messages, loading, open])
+
+  const ask = async () => {
+    const text = question.trim()
+    if (!text || loading) return
+    setLoading(true)
+    setError(null)
+    setQuestion('')
+    const history = messages.map(({ question, answer }) => ({ question, answer }))
+    try {
+      const res = await fetch(`${API_BASE}/rag/query`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ tutorialId, question: text, history })
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Could not answer that')
+      setMessages(prev => [...prev, { question: text, answer: data.answer, sources: data.sources || [] }])
+    } catch (e) {
+      setError(e.message === 'Failed to fetch' ? 'Server not reachable' : e.message)
+      setQuestion(text)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const saveAsDeepDive = async (index) => {
+    const { question, answer, sources } = messages[index]
+    setSavingIndex(index)
+    setError(null)
+    try {
+      const res = await fetch(`${API_BASE}/rag/save-answer`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ tutorialId, question, answer, sources })
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Save failed')
+      setMessages(prev => prev.map((m, i) => (i === index ? { ...m, savedTo: data.sectionTitle } : m)))
+      onAnswerSaved?.(data)
+    } catch (e) {
+      setError(e.message)
+    } finally {
+      setSavingIndex(null)
+    }
+  }
+
+  if (!open) {
+    return (
+      <button
+        onClick={() => setOpen(true)}
+        className="fixed bottom-6 right-20 z-50 w-12 h-12 rounded-full bg-violet-600 text-white shadow-lg hover:bg-violet-500 transition-all hover:scale-110 flex items-center justify-center text-xl"
+        title="Ask this tutorial"
+      >
+        💬
+      </button>
+    )
+  }
+
+  return (
+    <div className="fixed top-0 right-0 bottom-0 z-50 w-96 max-w-full bg-gray-900 border-l border-gray-700 shadow-2xl flex flex-col">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-700">
+        <span className="text-sm font-medium text-white">💬 Ask this tutorial</span>
+        <div className="flex items-center gap-3">
+          {messages.length > 0 && (
+            <button onClick={() => setMessages([])} className="text-xs text-gray-400 hover:text-white" title="Start a new conversation">
+              Clear
+            </button>
+          )}
+          <button onClick={() => setOpen(false)} className="text-gray-400 hover:text-white text-lg">×</button>
+        </div>
+      </div>
+
+      <div ref={scrollRef} className="flex-1 overflow-y-auto p-4 space-y-4">
+        {messages.length === 0 && !loading && (
+          <p className="text-sm text-gray-400">
+            Ask anything about this tutorial. Answers cite the sections they draw on, and follow-up questions remember the conversation.
+          </p>
+        )}
+        {messages.map((m, i) => (
+          <div key={i} className="space-y-2">
+            <div className="ml-8 px-3 py-2 rounded-lg bg-indigo-600 text-sm text-white">{m.question}</div>
+            <div className="px-3 py-2 rounded-lg bg-gray-800 text-sm text-gray-200 whitespace-pre-wrap">{m.answer}</div>
+            {m.sources.length > 0 && (
+              <div className="flex flex-wrap gap-1">
+                {m.sources.slice(0, MAX_CITATIONS).map((s, j) => (
+                  <button
+                    key={s.id}
+                    onClick={() => onCite?.(s)}
+                    className="px-2 py-0.5 rounded-full bg-gray-800 border border-gray-600 text-xs text-violet-300 hover:bg-gray-700 max-w-full truncate"
+                    title={[...(s.path || []).slice(1), s.title].join(' › ')}
+                  >
+                    [{j + 1}] {s.title}
+                  </button>
+                ))}
+              </div>
+            )}
+            {m.savedTo ? (
+              <div className="text-xs text-green-400">✅ Saved as a DeepDive in "{m.savedTo}"</div>
+            ) : (
+              <button
+                onClick={() => saveAsDeepDive(i)}
+                disabled={savingIndex !== null}
+                className="text-xs text-gray-400 hover:text-white disabled:opacity-50"
+              >
+                {savingIndex === i ? 'Saving...' : '💾 Save as DeepDive'}
+              </button>
+            )}
+          </div>
+        ))}
+        {loading && (
+          <div className="flex items-center gap-2 text-sm text-gray-400">
+            <div className="animate-spin w-4 h-4 border-2 border-gray-400 border-t-transparent rounded-full" />
+            Searching the tutorial...
+          </div>
+        )}
+      </div>
+
+      <div className="p-4 border-t border-gray-700 space-y-2">
+        {error && <div className="text-xs text-red-400">{error}</div>}
+        <textarea
+          value={question}
+          onChange={e => setQuestion(e.target.value)}
+          placeholder={messages.length > 0 ? 'Ask a follow-up...' : 'e.g. Why does the projection use a dot product?'}
+          className="w-full h-20 bg-gray-800 border border-gray-600 rounded-lg p-3 text-sm text-white placeholder-gray-500 resize-none focus:outline-none focus:border-violet-500"
+          disabled={loading}
+          onKeyDown={e => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+              e.preventDefault()
+              ask()
+            }
+          }}
+        />
+        <button
+          onClick={ask}
+          disabled={loading || !question.trim()}
+          className="w-full py-2 rounded-lg bg-violet-600 text-white text-sm font-medium hover:bg-violet-500 disabled:opacity-50 transition-colors"
+        >
+          Ask
+        </button>
+      </div>
+    </div>
+  )
+}
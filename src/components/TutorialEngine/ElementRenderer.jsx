@@ -1,4 +1,4 @@
-import React from 'react'
+import React, { useMemo } from 'react'
 import { 
   TutorialStateProvider, 
   StateValue, 
@@ -25,6 +25,8 @@ import { MambaTokenStepViz } from '../visualizations/MambaTokenStepViz'
 import { VanillaMambaViz } from '../visualizations/VanillaMambaViz'
 import { LambdaReductionStepper, ModalWorldExplorer, FactPromotionSim, ClarificationDialogueSim, NeuralRoutingSim } from '../visualizations/DGoIMViz'
 import BOExplorerViz from '../visualizations/BOExplorerViz'
+import InlineQuiz from '../QuizEngine/InlineQuiz'
+import { getSectionAnchor, withSectionAnchors } from '../../utils/sectionAnchor'
 
 /**
  * Registry of components that can be rendered from JSON
@@ -96,8 +98,9 @@ const componentMap = {
   ),
   
   // Footnote reference - superscript link to footnote (appears inline at source)
-  FootnoteRef: ({ id, targetId, type }) => {
-    const icons = { footnote: '📝', branch: '🌿', ask: '❓', explain: '💡' }
+  // A label (e.g. a source number) replaces the icon
+  FootnoteRef: ({ id, targetId, type, label }) => {
+    const icons = { footnote: '📝', branch: '🌿', ask: '❓', explain: '💡', source: '📎' }
     return (
       <sup
         id={id}
@@ -113,23 +116,24 @@ const componentMap = {
           text-xs rounded cursor-pointer select-none
           bg-indigo-100 text-indigo-600 hover:bg-indigo-200 
           transition-colors align-super"
-        title="Jump to note"
+        title={type === 'source' ? 'Jump to source' : 'Jump to note'}
       >
-        {icons[type] || '📎'}
+        {label ?? icons[type] ?? '📎'}
       </sup>
     )
   },
   
-  // User footnote - personal marginalia augmented by AI
-  Footnote: ({ id, sourceId, reference, userNote, children }) => (
+  // User footnote - personal marginalia augmented by AI.
+  // type="source" is a cited passage, with its location as the reference
+  Footnote: ({ id, sourceId, reference, userNote, type, children }) => (
     <div 
       id={id}
       className="my-6 rounded-xl overflow-hidden border border-slate-200 bg-gradient-to-br from-slate-50 to-gray-50"
     >
       <div className="px-4 py-2 bg-slate-100 border-b border-slate-200 flex items-center justify-between">
         <div className="flex items-center gap-2 text-sm text-slate-600">
-          <span>📝</span>
-          <span className="font-medium">Note on "{reference}..."</span>
+          <span>{type === 'source' ? '📎' : '📝'}</span>
+          <span className="font-medium">{type === 'source' ? reference : `Note on "${reference}..."`}</span>
         </div>
         {sourceId && (
           <button
@@ -402,8 +406,9 @@ const componentMap = {
   ),
   
   // Section with numbered badges
-  Section: ({ title, number, children, className = '' }) => (
-    <section className={`mt-16 first:mt-0 ${className}`}>
+  // `anchor` is set by withSectionAnchors() so repeated titles get distinct ids
+  Section: ({ title, anchor, number, children, className = '' }) => (
+    <section id={anchor || getSectionAnchor(title) || undefined} className={`mt-16 first:mt-0 scroll-mt-24 ${className}`}>
       {title && (
         <h2 className="flex items-center gap-4 text-2xl font-semibold text-gray-900 mb-6 tracking-tight">
           {number && (
@@ -722,6 +727,9 @@ const componentMap = {
     )
   },
   
+  // Inline knowledge check (QuizEngine question types, results saved per tutorial)
+  Quiz: InlineQuiz,
+  
   // HTML elements pass through
 }
 
@@ -752,6 +760,9 @@ export function renderElement(node, key = undefined) {
     return null
   }
   
+  // Quiz questions can sit on the node or in its children, so the quiz reads the element itself
+  if (type === 'Quiz') return <InlineQuiz key={key ?? props.key} quiz={node} />
+
   // Resolve component: check registry first, then use as HTML tag
   const Component = componentMap[type] || type
   
@@ -773,10 +784,11 @@ export function renderElement(node, key = undefined) {
  * Main component that renders a tutorial from JSON data
  */
 export function TutorialContent({ data, onAnnotationRequest }) {
+  const tree = useMemo(() => withSectionAnchors(data.content), [data.content])
   const content = (
-    <TutorialStateProvider initialState={data.state || {}}>
+    <TutorialStateProvider initialState={data.state || {}} tutorialId={data.id}>
       <div className="tutorial-content">
-        {renderElement(data.content)}
+        {renderElement(tree)}
       </div>
     </TutorialStateProvider>
   )
@@ -799,11 +811,12 @@ export function TutorialContent({ data, onAnnotationRequest }) {
 /**
  * Simplified interface: accepts content and state separately
  */
-export function TutorialEngine({ content, state = {} }) {
+export function TutorialEngine({ content, state = {}, tutorialId }) {
+  const tree = useMemo(() => withSectionAnchors(content), [content])
   return (
-    <TutorialStateProvider initialState={state}>
+    <TutorialStateProvider initialState={state} tutorialId={tutorialId}>
       <div className="tutorial-content">
-        {renderElement(content)}
+        {renderElement(tree)}
       </div>
     </TutorialStateProvider>
   )
@@ -4,8 +4,9 @@ const TutorialStateContext = createContext()
 
 /**
  * Provider that holds tutorial state and makes it available to all child components
+ * tutorialId is passed through so components can persist per-tutorial data
  */
-export function TutorialStateProvider({ initialState = {}, children }) {
+export function TutorialStateProvider({ initialState = {}, tutorialId, children }) {
   const [state, setState] = useState(initialState)
   
   const updateState = useCallback((key, value) => {
@@ -16,7 +17,7 @@ export function TutorialStateProvider({ initialState = {}, children }) {
   const getState = useCallback((key) => state[key], [state])
   
   return (
-    <TutorialStateContext.Provider value={{ state, updateState, getState }}>
+    <TutorialStateContext.Provider value={{ state, updateState, getState, tutorialId }}>
       {children}
     </TutorialStateContext.Provider>
   )
@@ -0,0 +1,168 @@
+/**
+ * Prop specs for the components in ElementRenderer's componentMap
+ *
+ * Each entry is a JSON Schema fragment for that component's `props`.
+ * Used to generate the tutorial content schema (see validate-content.js),
+ * so every registered component needs an entry here.
+ * Extra props are allowed; only the listed ones are checked.
+ */
+
+const str = { type: 'string' }
+const num = { type: 'number' }
+const bool = { type: 'boolean' }
+const strOrNum = { type: ['string', 'number'] }
+const node = { $ref: '#/definitions/node' }
+const bind = { type: 'string', description: 'State key to bind to' }
+
+// Callout styles defined in ElementRenderer — anything else silently renders as 'info'
+export const CALLOUT_TYPES = ['info', 'warning', 'success', 'tip', 'error', 'note', 'important']
+
+// Sidebar styles defined in Sidebar.jsx — anything else silently renders as 'note'.
+// 'tip' has no style of its own but is what resource annotations are written with.
+export const SIDEBAR_TYPES = ['note', 'definition', 'warning', 'deeper', 'historical', 'tip']
+
+export const BADGE_COLORS = ['gray', 'blue', 'green', 'amber', 'red', 'purple']
+
+// Interactive visualizations own their props; nothing to check beyond the type name
+const vizProps = {}
+
+export const componentProps = {
+  VectorProjectionViz: { properties: { bindAx: bind, bindAy: bind, bindBx: bind, bindBy: bind } },
+  InfiniteMatricesDemo: vizProps,
+  MatrixCalculator: vizProps,
+  TwoSystemCalculator: vizProps,
+  MatrixDiscoveryTool: vizProps,
+  LeadLagPlayground: vizProps,
+  LeastSquaresPlayground: vizProps,
+  ComplexRotationViz: { properties: { initialAngle: num, showFormula: bool } },
+  ComplexVectorViz: vizProps,
+  DimensionalityChoiceViz: vizProps,
+  TriangleRotationPuzzle: {
+    properties: { showCayley: bool, showStateLabel: bool, showOperationHistory: bool, interactive: bool }
+  },
+  CoinFlipPuzzle: { properties: { showGroup: bool } },
+  TwoCoinsPuzzle: { properties: { showCayley: bool } },
+  GroupMultTable: { properties: { group: str } },
+  MambaDeltaViz: vizProps,
+  MambaTokenStepViz: vizProps,
+  VanillaMambaViz: vizProps,
+  LambdaReductionStepper: vizProps,
+  ModalWorldExplorer: vizProps,
+  FactPromotionSim: vizProps,
+  ClarificationDialogueSim: vizProps,
+  NeuralRoutingSim: vizProps,
+
+  // State bindings
+  StateValue: { properties: { bind, format: str, className: str }, required: ['bind'] },
+  StateComputed: { properties: { compute: str, className: str }, required: ['compute'] },
+  Slider: {
+    properties: { bind, min: num, max: num, step: num, label: str, showValue: bool },
+    required: ['bind']
+  },
+  Toggle: { properties: { bind, label: str }, required: ['bind'] },
+  NumberInput: { properties: { bind, label: str, min: num, max: num, step: num }, required: ['bind'] },
+  StateConditional: { properties: { when: str, otherwise: node }, required: ['when'] },
+
+  // Annotations
+  Annotation: {
+    properties: { id: str, type: { enum: ['explain', 'visualize', 'branch'] }, trigger: node, defaultOpen: bool }
+  },
+  FootnoteAnnotation: { properties: { id: str } },
+  AnnotationMarker: { properties: { targetId: str, type: str, label: strOrNum }, required: ['targetId'] },
+  FootnoteRef: {
+    properties: { id: str, targetId: str, type: { enum: ['footnote', 'branch', 'ask', 'explain', 'source'] }, label: strOrNum },
+    required: ['targetId']
+  },
+  Footnote: { properties: { id: str, sourceId: str, reference: str, userNote: str, type: { enum: ['note', 'source'] } } },
+
+  // Layout
+  Fragment: {},
+  Box: { properties: { className: str } },
+  InteractiveDemo: {
+    properties: { type: str, title: str, description: str, config: { type: 'object' }, steps: { type: 'array' } }
+  },
+  InteractiveCard: { properties: { className: str } },
+  Card: { properties: { className: str } },
+  Callout: { properties: { type: { enum: CALLOUT_TYPES }, title: str } },
+  Sidebar: { properties: { type: { enum: SIDEBAR_TYPES }, title: str, expanded: bool } },
+  D3Canvas: { properties: { spec: { type: 'object' } }, required: ['spec'] },
+  Code: { properties: { language: str, filename: str } },
+  Math: { properties: { block: bool } },
+  Section: { properties: { title: str, number: strOrNum, className: str } },
+  Blockquote: {},
+  DeepDive: { properties: { title: str, defaultOpen: bool, id: str, sourceId: str } },
+
+  // Text
+  p: { properties: { className: str } },
+  strong: {},
+  em: {},
+  code: {},
+  a: { properties: { href: str }, required: ['href'] },
+  ul: {},
+  ol: {},
+  li: {},
+
+  // Structured content
+  DefinitionList: {
+    properties: {
+      items: {
+        type: 'array',
+        items: { type: 'object', properties: { term: node, definition: node }, required: ['term', 'definition'] }
+      }
+    },
+    required: ['items']
+  },
+  ComparisonTable: {
+    properties: {
+      headers: { type: 'array' },
+      rows: { type: 'array', items: { type: 'array' } },
+      highlightRows: { type: 'array', items: num },
+      highlightId: str
+    },
+    required: ['headers', 'rows']
+  },
+  Steps: {
+    properties: {
+      steps: {
+        type: 'array',
+        items: { type: ['string', 'object'], properties: { title: node, description: node } }
+      }
+    },
+    required: ['steps']
+  },
+  KeyValue: { properties: { label: node, value: node, highlight: bool } },
+  Example: { properties: { title: str } },
+  Formula: { properties: { label: str } },
+  Analogy: {
+    properties: { concept: node, analogy: node, source: node, target: node, mapping: { type: 'array' } }
+  },
+  Divider: { properties: { label: str } },
+  Badge: { properties: { color: { enum: BADGE_COLORS } } },
+  Quiz: {
+    properties: {
+      title: str,
+      question: str,
+      options: { type: 'array' },
+      correct: num,
+      correctIndex: num,
+      answer: num,
+      explanation: str,
+      questions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { question: str, options: { type: 'array' }, explanation: str }
+        }
+      }
+    }
+  },
+}
+
+// Plain HTML tags rendered as-is when not in componentMap
+export const HTML_TAGS = [
+  'div', 'span', 'section', 'header', 'footer', 'article', 'aside', 'figure', 'figcaption',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'hr', 'br', 'img',
+  'b', 'i', 'u', 's', 'small', 'mark', 'sub', 'sup', 'kbd', 'abbr', 'del', 'ins', 'cite', 'q',
+  'dl', 'dt', 'dd', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'caption',
+  'details', 'summary', 'button', 'label'
+]
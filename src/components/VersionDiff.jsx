@@ -0,0 +1,269 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { API_BASE } from '../config.js'
+import { getTextSegments } from '../utils/textAnchors.js'
+
+/**
+ * Version Diff Modal
+ *
+ * Side-by-side structural diff between a saved version and the current
+ * tutorial (see src/utils/treeDiff.js). Authors tick the hunks they want
+ * from the old version and cherry-pick just those into the current file.
+ */
+
+const KIND_STYLES = {
+  inserted: { label: '➕ Added since', text: 'text-emerald-300', border: 'border-emerald-500/30' },
+  removed: { label: '➖ Removed since', text: 'text-red-300', border: 'border-red-500/30' },
+  moved: { label: '↕️ Moved', text: 'text-blue-300', border: 'border-blue-500/30' },
+  edited: { label: '✏️ Edited', text: 'text-amber-300', border: 'border-amber-500/30' }
+}
+
+// What picking a hunk does to the current file
+const PICK_LABELS = {
+  inserted: 'Remove it',
+  removed: 'Bring it back',
+  moved: 'Move it back',
+  edited: 'Use old text'
+}
+
+function preview(value) {
+  if (value === undefined) return <span className="italic text-gray-600">(none)</span>
+  if (typeof value === 'string') return value
+  const text = value && typeof value === 'object' ? getTextSegments(value).text.trim() : ''
+  return text || JSON.stringify(value)
+}
+
+function NodePreview({ node }) {
+  return (
+    <div className="text-sm text-gray-300 line-clamp-4 whitespace-pre-wrap">
+      {node?.type && <span className="text-xs font-mono text-gray-500 mr-2">&lt;{node.type}&gt;</span>}
+      {preview(node)}
+    </div>
+  )
+}
+
+// One side of a text diff: the old side shows deletions, the new side insertions
+function TextSide({ ops, side }) {
+  const hidden = side === 'old' ? 'insert' : 'delete'
+  return (
+    <div className="text-sm text-gray-300 whitespace-pre-wrap">
+      {ops.filter(o => o.op !== hidden).map((o, i) => (
+        <span
+          key={i}
+          className={o.op === 'delete' ? 'bg-red-500/30 text-red-200 line-through' : o.op === 'insert' ? 'bg-emerald-500/30 text-emerald-200' : ''}
+        >
+          {o.text}
+        </span>
+      ))}
+    </div>
+  )
+}
+
+function hunkSides(hunk) {
+  const empty = <div className="text-sm italic text-gray-600">—</div>
+
+  if (hunk.kind === 'inserted') return [empty, <NodePreview key="new" node={hunk.node} />]
+  if (hunk.kind === 'removed') return [<NodePreview key="old" node={hunk.node} />, empty]
+  if (hunk.kind === 'moved') {
+    const where = sections => (sections?.length ? `in “${sections[sections.length - 1]}”` : 'at the top level')
+    return [
+      <div key="old">
+        <div className="text-xs text-gray-500 mb-1">Was {where(hunk.oldSections)}</div>
+        <NodePreview node={hunk.node} />
+      </div>,
+      <div key="new">
+        <div className="text-xs text-gray-500 mb-1">Now {where(hunk.sections)}{hunk.edited && ' (its edits are listed separately)'}</div>
+        <NodePreview node={hunk.node} />
+      </div>
+    ]
+  }
+
+  return ['old', 'new'].map(side => (
+    <div key={side} className="space-y-2">
+      {hunk.changes.map((c, i) => (
+        <div key={i}>
+          {c.key.length > 0 && <div className="text-xs font-mono text-gray-500">{c.key.join('.')}</div>}
+          {c.text
+            ? <TextSide ops={c.text} side={side} />
+            : <div className="text-sm text-gray-300 whitespace-pre-wrap line-clamp-4">{preview(side === 'old' ? c.before : c.after)}</div>}
+        </div>
+      ))}
+    </div>
+  ))
+}
+
+export default function VersionDiff({ tutorialId, onClose, onApplied }) {
+  const [versions, setVersions] = useState([])
+  const [timestamp, setTimestamp] = useState(null) // selected version
+  const [diff, setDiff] = useState(null)
+  const [selected, setSelected] = useState(new Set())
+  const [loading, setLoading] = useState(false)
+  const [applying, setApplying] = useState(false)
+  const [error, setError] = useState(null)
+  const [revision, setRevision] = useState(0) // bumped when the current file changes
+
+  // Versions come newest first, but the API indexes them oldest first (0 = oldest)
+  const position = versions.findIndex(v => v.timestamp === timestamp)
+  const index = position === -1 ? null : versions.length - 1 - position
+
+  const loadVersions = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_BASE}/api/versions?tutorialId=${tutorialId}`)
+      const list = res.ok ? (await res.json()).versions || [] : []
+      setVersions(list)
+      setTimestamp(prev => (list.some(v => v.timestamp === prev) ? prev : list[0]?.timestamp ?? null))
+    } catch {
+      setError('Could not reach the annotation server')
+    }
+  }, [tutorialId])
+
+  useEffect(() => { loadVersions() }, [loadVersions])
+
+  const loadDiff = useCallback(async () => {
+    if (index === null) return
+    setLoading(true)
+    setError(null)
+    setSelected(new Set())
+    try {
+      const res = await fetch(`${API_BASE}/api/versions/diff?tutorialId=${tutorialId}&index=${index}`)
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Diff failed')
+      setDiff(data)
+    } catch (err) {
+      setError(err.message)
+      setDiff(null)
+    } finally {
+      setLoading(false)
+    }
+  }, [tutorialId, index, revision])
+
+  useEffect(() => { loadDiff() }, [loadDiff])
+
+  const toggle = (id) => {
+    setSelected(prev => {
+      const next = new Set(prev)
+      if (next.has(id)) next.delete(id)
+      else next.add(id)
+      return next
+    })
+  }
+
+  const handleApply = async () => {
+    setApplying(true)
+    setError(null)
+    try {
+      const res = await fetch(`${API_BASE}/api/versions/cherry-pick`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ tutorialId, index, hunkIds: [...selected], baseHash: diff.baseHash })
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Cherry-pick failed')
+      onApplied?.(data.updatedContent)
+      // Cherry-picking saves a version, which can prune the oldest and shift indices
+      await loadVersions()
+      setRevision(r => r + 1)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setApplying(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm">
+      <div className="bg-gray-900 rounded-xl border border-gray-700 max-w-5xl w-full max-h-[85vh] overflow-hidden flex flex-col">
+        {/* Header */}
+        <div className="p-6 border-b border-gray-700 flex items-start justify-between gap-4">
+          <div>
+            <h2 className="text-xl font-semibold text-white mb-2">📜 Compare Versions</h2>
+            {versions.length > 0 ? (
+              <select
+                value={timestamp ?? ''}
+                onChange={e => setTimestamp(e.target.value)}
+                className="bg-gray-800 border border-gray-700 rounded-lg px-3 py-1.5 text-sm text-gray-200"
+              >
+                {versions.map(v => (
+                  <option key={v.timestamp} value={v.timestamp}>
+                    {new Date(v.timestamp).toLocaleString()} — {v.message}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <p className="text-gray-400 text-sm">No saved versions yet. Versions are created before regroups, restores and cherry-picks.</p>
+            )}
+            {diff && (
+              <p className="text-gray-500 text-xs mt-2">
+                {diff.hunks.length === 0
+                  ? 'Identical to the current version.'
+                  : Object.entries(diff.stats).filter(([, n]) => n > 0).map(([kind, n]) => `${n} ${kind}`).join(' · ')}
+              </p>
+            )}
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-300 text-xl leading-none">✕</button>
+        </div>
+
+        {/* Hunks */}
+        <div className="flex-1 overflow-y-auto p-6 space-y-3">
+          {loading && <div className="text-center text-gray-500 py-8">Computing diff...</div>}
+
+          {!loading && diff?.hunks.length > 0 && (
+            <div className="grid grid-cols-[auto_1fr_1fr] gap-4 text-xs uppercase tracking-wider text-gray-500 px-4">
+              <span className="w-5" />
+              <span>{diff.versionA.message}</span>
+              <span>Current</span>
+            </div>
+          )}
+
+          {!loading && diff?.hunks.map(hunk => {
+            const style = KIND_STYLES[hunk.kind]
+            const [oldSide, newSide] = hunkSides(hunk)
+            return (
+              <label
+                key={hunk.id}
+                className={`block p-4 rounded-lg border bg-gray-800/40 cursor-pointer ${style.border} ${selected.has(hunk.id) ? 'ring-2 ring-indigo-500/60' : ''}`}
+              >
+                <div className="flex items-center gap-2 mb-3">
+                  <span className={`text-sm font-medium ${style.text}`}>{style.label}</span>
+                  {hunk.sections.length > 0 && (
+                    <span className="text-xs text-gray-500 truncate">{hunk.sections.join(' › ')}</span>
+                  )}
+                  <span className="ml-auto text-xs text-gray-500">{PICK_LABELS[hunk.kind]}</span>
+                </div>
+                <div className="grid grid-cols-[auto_1fr_1fr] gap-4">
+                  <input
+                    type="checkbox"
+                    checked={selected.has(hunk.id)}
+                    onChange={() => toggle(hunk.id)}
+                    className="w-5 mt-1"
+                  />
+                  <div className="min-w-0">{oldSide}</div>
+                  <div className="min-w-0 border-l border-gray-700 pl-4">{newSide}</div>
+                </div>
+              </label>
+            )
+          })}
+        </div>
+
+        {/* Footer */}
+        <div className="p-4 border-t border-gray-700 flex items-center justify-between gap-3">
+          <span className="text-sm text-red-400">{error && `❌ ${error}`}</span>
+          <div className="flex gap-3">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200 text-sm transition-colors"
+            >
+              Close
+            </button>
+            <button
+              onClick={handleApply}
+              disabled={selected.size === 0 || applying}
+              className="px-4 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white text-sm font-medium transition-colors"
+            >
+              {applying ? 'Applying...' : `Apply ${selected.size} change${selected.size !== 1 ? 's' : ''} from this version`}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,128 @@
+import { useState, useEffect, useMemo, useCallback } from 'react'
+import { API_BASE } from '../config.js'
+import { mergeLayers, makeLayerId } from '../utils/annotationLayers.js'
+
+const USER_LAYER_KEY = 'annotation_layer_user'
+const ACTIVE_LAYER_KEY = 'annotation_layer'
+const HIDDEN_LAYERS_KEY = 'annotation_layers_hidden'
+
+function readJson(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || fallback
+  } catch {
+    return fallback
+  }
+}
+
+// This reader's personal layer, created on first use
+function loadUserLayer() {
+  const saved = readJson(USER_LAYER_KEY, null)
+  if (saved?.id) return saved
+
+  const layer = { id: `user-${Math.random().toString(36).slice(2, 10)}`, name: 'My notes', kind: 'user' }
+  localStorage.setItem(USER_LAYER_KEY, JSON.stringify(layer))
+  return layer
+}
+
+// The layer new annotations go to: the personal layer unless a team layer was chosen
+function loadActiveLayer() {
+  const saved = readJson(ACTIVE_LAYER_KEY, null)
+  return saved?.id ? saved : loadUserLayer()
+}
+
+/**
+ * Overlay annotation layers for a tutorial: loads them from the annotation
+ * server, merges the visible ones into the canonical tutorial, and tracks
+ * which layer new annotations are written to.
+ */
+export function useAnnotationLayers(tutorialId, tutorial) {
+  const [layers, setLayers] = useState([])
+  const [activeLayer, setActiveLayerState] = useState(loadActiveLayer)
+  const [hidden, setHidden] = useState(() => new Set(readJson(HIDDEN_LAYERS_KEY, {})[tutorialId] || []))
+
+  useEffect(() => {
+    setHidden(new Set(readJson(HIDDEN_LAYERS_KEY, {})[tutorialId] || []))
+    setLayers([])
+    if (!tutorialId) return
+
+    let cancelled = false
+    fetch(`${API_BASE}/api/layers?tutorialId=${encodeURIComponent(tutorialId)}`)
+      .then(res => (res.ok ? res.json() : null))
+      .then(data => {
+        if (!cancelled && data?.layers) setLayers(data.layers)
+      })
+      .catch(() => {}) // No server: canonical content only
+    return () => { cancelled = true }
+  }, [tutorialId])
+
+  const { tutorial: merged, orphans } = useMemo(() => {
+    if (!tutorial) return { tutorial, orphans: [] }
+    return mergeLayers(tutorial, layers, hidden)
+  }, [tutorial, layers, hidden])
+
+  const toggleLayer = useCallback((layerId) => {
+    setHidden(prev => {
+      const next = new Set(prev)
+      if (next.has(layerId)) next.delete(layerId)
+      else next.add(layerId)
+
+      const all = readJson(HIDDEN_LAYERS_KEY, {})
+      all[tutorialId] = [...next]
+      localStorage.setItem(HIDDEN_LAYERS_KEY, JSON.stringify(all))
+      return next
+    })
+  }, [tutorialId])
+
+  // Write to a team layer (by name) or back to the reader's own layer
+  const setActiveLayer = useCallback((kind, name) => {
+    const layer = kind === 'team'
+      ? { id: makeLayerId('team', name), name, kind: 'team' }
+      : loadUserLayer()
+
+    localStorage.setItem(ACTIVE_LAYER_KEY, JSON.stringify(layer))
+    setActiveLayerState(layer)
+  }, [])
+
+  // Replace (or add) a layer with the server's updated copy
+  const applyLayer = useCallback((layer) => {
+    setLayers(prev => prev.some(l => l.id === layer.id)
+      ? prev.map(l => (l.id === layer.id ? layer : l))
+      : [...prev, layer])
+  }, [])
+
+  const post = async (endpoint, body) => {
+    const res = await fetch(`${API_BASE}${endpoint}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    })
+    const data = await res.json()
+    if (!res.ok) throw new Error(data.error || `Request failed: ${res.status}`)
+    return data
+  }
+
+  const removeAnnotation = useCallback(async (layerId, annotationId) => {
+    const data = await post('/api/layers/remove', { tutorialId, layerId, annotationId })
+    applyLayer(data.layer)
+  }, [tutorialId, applyLayer])
+
+  // Move an annotation into the canonical tutorial; returns the updated tutorial
+  const promoteAnnotation = useCallback(async (layerId, annotationId) => {
+    const data = await post('/api/layers/promote', { tutorialId, layerId, annotationId })
+    applyLayer(data.layer)
+    return data.updatedContent
+  }, [tutorialId, applyLayer])
+
+  return {
+    layers,
+    merged,
+    orphans,
+    hidden,
+    activeLayer,
+    toggleLayer,
+    setActiveLayer,
+    applyLayer,
+    removeAnnotation,
+    promoteAnnotation
+  }
+}
@@ -0,0 +1,22 @@
+import { useState, useEffect } from 'react'
+import staticCatalog from 'virtual:tutorial-catalog'
+import { API_BASE } from '../config.js'
+
+// Tutorial catalog: starts from the build-time manifest, then picks up
+// tutorials generated since the build from the annotation server
+export function useCatalog() {
+  const [catalog, setCatalog] = useState(staticCatalog)
+
+  useEffect(() => {
+    let cancelled = false
+    fetch(`${API_BASE}/api/catalog`)
+      .then(res => (res.ok ? res.json() : null))
+      .then(data => {
+        if (!cancelled && data?.tutorials) setCatalog(data.tutorials)
+      })
+      .catch(() => {}) // Static deploys have no server; the manifest is enough
+    return () => { cancelled = true }
+  }, [])
+
+  return catalog
+}
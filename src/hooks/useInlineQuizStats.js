@@ -0,0 +1,22 @@
+import { useState, useEffect } from 'react'
+import { getInlineQuizStats, RESULTS_EVENT } from '../components/QuizEngine/InlineQuizResults'
+
+// Track inline quiz results for a tutorial: { total, answered, passed }
+export function useInlineQuizStats(tutorialId, content) {
+  const [stats, setStats] = useState({ total: 0, answered: 0, passed: 0 })
+
+  useEffect(() => {
+    if (!tutorialId || !content) return
+
+    const refresh = () => setStats(getInlineQuizStats(tutorialId, content))
+    refresh()
+
+    const onResult = (e) => {
+      if (e.detail?.tutorialId === tutorialId) refresh()
+    }
+    window.addEventListener(RESULTS_EVENT, onResult)
+    return () => window.removeEventListener(RESULTS_EVENT, onResult)
+  }, [tutorialId, content])
+
+  return stats
+}
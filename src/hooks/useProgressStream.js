@@ -0,0 +1,95 @@
+import { useState, useRef, useCallback, useEffect } from 'react'
+import { API_BASE } from '../config.js'
+
+// Split a Server-Sent Events buffer into complete events plus the unfinished tail
+function parseEvents(buffer) {
+  const blocks = buffer.split('\n\n')
+  const rest = blocks.pop()
+  const events = blocks.map(block => {
+    let event = 'message'
+    let data = ''
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim()
+      else if (line.startsWith('data:')) data += line.slice(5).trim()
+    }
+    return { event, data: data ? JSON.parse(data) : null }
+  })
+  return { events, rest }
+}
+
+function requestError(data, status) {
+  const error = new Error(data?.error || `Request failed (${status})`)
+  error.status = status
+  error.data = data
+  return error
+}
+
+// POST to a long-running AI route and follow its progress events
+// (server/progress.js). run() resolves with the final JSON, or null when
+// cancel() was called; failures reject with the server's error message.
+export function useProgressStream() {
+  const [steps, setSteps] = useState([])
+  const [partials, setPartials] = useState([])
+  const [isRunning, setIsRunning] = useState(false)
+  const controllerRef = useRef(null)
+
+  const run = useCallback(async (route, body, { onPartial } = {}) => {
+    controllerRef.current?.abort()
+    const controller = new AbortController()
+    controllerRef.current = controller
+    setSteps([])
+    setPartials([])
+    setIsRunning(true)
+
+    try {
+      const response = await fetch(`${API_BASE}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream' },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      })
+
+      // Validation errors (and servers that don't stream) answer with plain JSON
+      if (!(response.headers.get('content-type') || '').includes('text/event-stream')) {
+        const data = await response.json().catch(() => null)
+        if (!response.ok) throw requestError(data, response.status)
+        return data
+      }
+
+      const reader = response.body.getReader()
+      const decoder = new TextDecoder()
+      let buffer = ''
+      while (true) {
+        const { done, value } = await reader.read()
+        if (done) break
+        buffer += decoder.decode(value, { stream: true })
+        const { events, rest } = parseEvents(buffer)
+        buffer = rest
+        for (const { event, data } of events) {
+          if (event === 'progress') setSteps(prev => [...prev, data])
+          else if (event === 'partial') {
+            setPartials(prev => [...prev, data])
+            onPartial?.(data)
+          } else if (event === 'result') return data
+          else if (event === 'error') throw requestError(data, data.status)
+        }
+      }
+      throw new Error('Connection closed before the result arrived')
+    } catch (err) {
+      if (err.name === 'AbortError') return null
+      throw err
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null
+        setIsRunning(false)
+      }
+    }
+  }, [])
+
+  const cancel = useCallback(() => controllerRef.current?.abort(), [])
+
+  // Leaving the page cancels whatever is still running
+  useEffect(() => () => controllerRef.current?.abort(), [])
+
+  return { run, cancel, steps, partials, isRunning }
+}
@@ -0,0 +1,34 @@
+import { useState, useEffect } from 'react'
+import { API_BASE } from '../config.js'
+
+// Review cards: the build-time deck (its own chunk, only loaded here), then
+// the annotation server's copy, which includes quizzes generated since the build
+export function useReviewDeck() {
+  const [cards, setCards] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    let fromServer = false
+
+    import('virtual:review-deck')
+      .then(mod => {
+        if (!cancelled && !fromServer) setCards(mod.default)
+      })
+      .catch(() => {
+        if (!cancelled && !fromServer) setCards([])
+      })
+
+    fetch(`${API_BASE}/api/review/deck`)
+      .then(res => (res.ok ? res.json() : null))
+      .then(data => {
+        if (cancelled || !data?.cards) return
+        fromServer = true
+        setCards(data.cards)
+      })
+      .catch(() => {}) // Static deploys have no server; the built deck is enough
+
+    return () => { cancelled = true }
+  }, [])
+
+  return cards
+}
@@ -0,0 +1,78 @@
+import { useState, useEffect } from 'react'
+import { API_BASE } from '../config.js'
+
+const DEBOUNCE_MS = 200
+
+// Metadata-only matching, used when the annotation server can't be reached
+function searchMetadata(tutorials, query) {
+  const q = query.toLowerCase()
+  return tutorials
+    .filter(t => `${t.title} ${t.description} ${(t.tags || []).join(' ')}`.toLowerCase().includes(q))
+    .map(t => ({ tutorial: t, excerpt: t.description, sections: [] }))
+}
+
+// Stand-in listing entry for tutorials the server found but the listing doesn't know
+function unlistedTutorial(hit) {
+  return {
+    id: hit.tutorialId,
+    title: hit.title,
+    description: '',
+    tags: [],
+    icon: '📄',
+    gradient: 'from-gray-500 to-slate-600'
+  }
+}
+
+/**
+ * Ranked search across all tutorials via the annotation server's GET /search.
+ * Returns { results, isSearching, offline }, where each result is
+ * { tutorial, excerpt, sections: [{ title, anchor, snippet }] }.
+ */
+export function useTutorialSearch(tutorials, query) {
+  const [results, setResults] = useState([])
+  const [isSearching, setIsSearching] = useState(false)
+  const [offline, setOffline] = useState(false)
+
+  useEffect(() => {
+    const q = query.trim()
+    if (!q) {
+      setResults([])
+      setIsSearching(false)
+      return
+    }
+
+    const controller = new AbortController()
+    setIsSearching(true)
+
+    const timer = setTimeout(async () => {
+      try {
+        const res = await fetch(`${API_BASE}/search?q=${encodeURIComponent(q)}`, { signal: controller.signal })
+        if (!res.ok) throw new Error(`Search failed: ${res.status}`)
+        const data = await res.json()
+
+        const byId = new Map(tutorials.map(t => [t.id, t]))
+        setResults(data.results.map(hit => ({
+          tutorial: byId.get(hit.tutorialId) || unlistedTutorial(hit),
+          excerpt: hit.sections[0]?.snippet || '',
+          sections: hit.sections
+            .filter(s => s.sectionTitle)
+            .map(s => ({ title: s.sectionTitle, anchor: s.anchor, snippet: s.snippet }))
+        })))
+        setOffline(false)
+      } catch (e) {
+        if (e.name === 'AbortError') return
+        console.warn('Search server unavailable, matching titles only:', e.message)
+        setResults(searchMetadata(tutorials, q))
+        setOffline(true)
+      }
+      setIsSearching(false)
+    }, DEBOUNCE_MS)
+
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+  }, [tutorials, query])
+
+  return { results, isSearching, offline }
+}
@@ -1,6 +1,7 @@
-import React, { useEffect, useRef, useState, useCallback } from 'react'
+import React, { useEffect, useRef, useState, useCallback, useMemo } from 'react'
 import { Link } from 'react-router-dom'
 import * as d3 from 'd3'
+import { useCatalog } from '../hooks/useCatalog.js'
 
 // ─── Concept Dictionary ─────────────────────────────────────────────────────
 // Cross-cutting concepts that span multiple tutorials.
@@ -591,31 +592,6 @@ function SuggestedConceptsPanel({ activeSuggestions, onToggleSuggestion, isOpen,
 
 // ─── Main Page ──────────────────────────────────────────────────────────────
 
-// Tutorial metadata — we need this to know which files to scan
-const TUTORIAL_FILES = [
-  { id: 'group-theory-puzzles', icon: '🔺' },
-  { id: 'lead-lag-correlation', icon: '📈' },
-  { id: 'vector-projection', icon: '↗️' },
-  { id: 'matrix-discovery', icon: '🔢' },
-  { id: 'matrix-from-vectors', icon: '🎯' },
-  { id: 'least-squares', icon: '📊' },
-  { id: 'schankian-paper-draft', icon: '📝' },
-  { id: 'rotate-paper', icon: '🔄' },
-  { id: 'neural-oscillations', icon: '🧠' },
-  { id: 'brainstorm-09-knn-linguistic-anchors', icon: '⚓' },
-  { id: 'brainstorm-23-differentiable-state-machines', icon: '⚙️' },
-  { id: 'brainstorm-06-tensor-products-fail', icon: '💥' },
-  { id: 'brainstorm-07-structure-mapping', icon: '🔗' },
-  { id: 'brainstorm-11-talmys-force-dynamics', icon: '💪' },
-  { id: 'brainstorm-15-atomic-relations', icon: '⚛️' },
-  { id: 'hungarian-basics', icon: '🇭🇺' },
-  { id: 'peptides-tutorial', icon: '🧬' },
-  { id: 'how-peptides-can-be-used-in-a-way-that-resembles-p', icon: '💊' },
-  { id: 'category-theory', icon: '🔀' },
-  { id: 'implicit-explicit-enrichment', icon: '🔍' },
-  { id: 'mining-sae-operators', icon: '⛏️' },
-]
-
 export default function ImplicationsGraph() {
   const [graphData, setGraphData] = useState(null)
   const [loading, setLoading] = useState(true)
@@ -627,6 +603,12 @@ export default function ImplicationsGraph() {
   const [showSuggestions, setShowSuggestions] = useState(false)
   const containerRef = useRef(null)
 
+  // Scan every tutorial with a JSON content file. Keyed on ids + icons so the
+  // server's catalog only triggers a rescan when it actually adds something.
+  const catalog = useCatalog()
+  const catalogKey = catalog.filter(t => t.hasContent).map(t => `${t.id}:${t.icon}`).join('|')
+  const tutorialFiles = useMemo(() => catalog.filter(t => t.hasContent), [catalogKey])
+
   // Resize handler
   useEffect(() => {
     function handleResize() {
@@ -657,7 +639,7 @@ export default function ImplicationsGraph() {
 
     const tutorialConcepts = [] // { tutorialId, title, icon, concepts: [{conceptId, score}] }
 
-    for (const tut of TUTORIAL_FILES) {
+    for (const tut of tutorialFiles) {
       const content = await loadTutorialContent(tut.id)
       if (!content) continue
       const text = extractTextFromJson(content)
@@ -728,7 +710,7 @@ export default function ImplicationsGraph() {
 
     setGraphData({ nodes, links })
     setLoading(false)
-  }, [activeSuggestions, suggestedConceptsMap])
+  }, [tutorialFiles, activeSuggestions, suggestedConceptsMap])
 
   useEffect(() => {
     buildGraph()
@@ -837,7 +819,7 @@ export default function ImplicationsGraph() {
             <div className="bg-slate-800/90 backdrop-blur-sm px-8 py-6 rounded-2xl border border-slate-600 text-center">
               <div className="text-4xl mb-3 animate-pulse">🔍</div>
               <p className="text-slate-200 font-medium">Scanning tutorials for concepts...</p>
-              <p className="text-slate-400 text-sm mt-1">Analyzing content across {TUTORIAL_FILES.length} tutorials</p>
+              <p className="text-slate-400 text-sm mt-1">Analyzing content across {tutorialFiles.length} tutorials</p>
             </div>
           </div>
         )}
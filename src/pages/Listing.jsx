@@ -1,45 +1,57 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react'
 import { Link, useNavigate } from 'react-router-dom'
 import { Container } from '../components/SharedUI.jsx'
-import { API_BASE } from '../config.js'
-import { useSearchIndex } from '../hooks/useSearchIndex.js'
+import { useTutorialSearch } from '../hooks/useTutorialSearch.js'
+import { useCatalog } from '../hooks/useCatalog.js'
+import { useProgressStream } from '../hooks/useProgressStream.js'
+import ProgressLog from '../components/ProgressLog.jsx'
 import tutorialTimestamps from 'virtual:tutorial-timestamps'
 
+// Documents /generate can ground a tutorial in (at most 5)
+const SOURCE_DOCUMENT_TYPES = '.md,.markdown,.txt,.pdf,.epub,.html,.htm'
+const MAX_SOURCE_DOCUMENTS = 5
+
+const readAsBase64 = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve(reader.result.split(',')[1])
+  reader.onerror = () => reject(reader.error)
+  reader.readAsDataURL(file)
+})
+
 // Modal for creating a new tutorial
 function CreateTutorialModal({ isOpen, onClose }) {
   const [topic, setTopic] = useState('')
-  const [isGenerating, setIsGenerating] = useState(false)
+  const [files, setFiles] = useState([])
   const [error, setError] = useState(null)
+  const { run, cancel, steps, isRunning: isGenerating } = useProgressStream()
   const navigate = useNavigate()
   
+  const addFiles = (e) => {
+    const added = [...e.target.files].filter(f => !files.some(existing => existing.name === f.name))
+    setFiles([...files, ...added].slice(0, MAX_SOURCE_DOCUMENTS))
+    e.target.value = ''
+  }
+  
+  const canSubmit = files.length > 0 || topic.trim().length >= 3
+  
   const handleSubmit = async (e) => {
     e.preventDefault()
-    if (!topic.trim()) return
+    if (!canSubmit) return
     
-    setIsGenerating(true)
     setError(null)
     
     try {
-      const response = await fetch(`${API_BASE}/generate`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ topic: topic.trim() })
-      })
+      const documents = await Promise.all(files.map(async f => ({ filename: f.name, data: await readAsBase64(f) })))
+      const data = await run('/generate', { topic: topic.trim(), documents })
+      if (!data) return // Cancelled
       
-      if (!response.ok) {
-        const data = await response.json()
-        throw new Error(data.error || 'Failed to generate tutorial')
-      }
-      
-      const data = await response.json()
       onClose()
       setTopic('')
+      setFiles([])
       // Navigate to the new tutorial
       navigate(`/tutorial/${data.tutorialId}`)
     } catch (err) {
-      setError(err.message)
-    } finally {
-      setIsGenerating(false)
+      setError(err.message || 'Failed to generate tutorial')
     }
   }
   
@@ -58,14 +70,14 @@ function CreateTutorialModal({ isOpen, onClose }) {
             <span>✨</span> Create New Tutorial
           </h2>
           <p className="text-indigo-100 text-sm mt-1">
-            AI will generate an interactive tutorial based on your topic
+            AI will generate an interactive tutorial based on your topic or documents
           </p>
         </div>
         
         {/* Form */}
         <form onSubmit={handleSubmit} className="p-6">
           <label className="block text-sm font-medium text-gray-700 mb-2">
-            What would you like to learn about?
+            {files.length > 0 ? 'What should it focus on? (optional)' : 'What would you like to learn about?'}
           </label>
           <textarea
             value={topic}
@@ -77,6 +89,42 @@ function CreateTutorialModal({ isOpen, onClose }) {
             autoFocus
           />
           
+          {/* Source documents: the tutorial follows their structure and cites their passages */}
+          <div className="mt-4">
+            <label className="inline-flex items-center gap-2 text-sm text-indigo-600 hover:text-indigo-800 cursor-pointer">
+              <span>📎</span>
+              {files.length > 0 ? 'Add more documents' : 'Ground it in your own papers or notes'}
+              <input
+                type="file"
+                accept={SOURCE_DOCUMENT_TYPES}
+                multiple
+                onChange={addFiles}
+                disabled={isGenerating || files.length >= MAX_SOURCE_DOCUMENTS}
+                className="hidden"
+              />
+            </label>
+            {files.length > 0 && (
+              <ul className="mt-2 space-y-1">
+                {files.map(f => (
+                  <li key={f.name} className="flex items-center justify-between px-3 py-1.5 bg-gray-50 rounded-lg text-sm text-gray-700">
+                    <span className="truncate">{f.name}</span>
+                    <button
+                      type="button"
+                      onClick={() => setFiles(files.filter(other => other !== f))}
+                      disabled={isGenerating}
+                      className="ml-2 text-gray-400 hover:text-red-500"
+                      title="Remove"
+                    >
+                      ✕
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+          
+          <ProgressLog steps={steps} isRunning={isGenerating} onCancel={cancel} className="mt-4 text-gray-600" />
+          
           {error && (
             <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">
               {error}
@@ -94,7 +142,7 @@ function CreateTutorialModal({ isOpen, onClose }) {
             </button>
             <button
               type="submit"
-              disabled={!topic.trim() || isGenerating}
+              disabled={!canSubmit || isGenerating}
               className="px-6 py-2 bg-gradient-to-r from-indigo-500 to-purple-600 text-white font-medium rounded-xl
                 hover:from-indigo-600 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed
                 transition-all duration-200 flex items-center gap-2"
@@ -117,7 +165,8 @@ function CreateTutorialModal({ isOpen, onClose }) {
         {/* Footer tip */}
         <div className="px-6 py-3 bg-gray-50 border-t border-gray-100">
           <p className="text-xs text-gray-500">
-            💡 Tip: Be specific! "How backpropagation calculates gradients" works better than just "neural networks"
+            💡 Tip: Be specific! "How backpropagation calculates gradients" works better than just "neural networks".
+            Markdown, text, PDF, EPUB and HTML documents are cited passage by passage.
           </p>
         </div>
       </div>
@@ -125,2128 +174,6 @@ function CreateTutorialModal({ isOpen, onClose }) {
   )
 }
 
-const tutorials = [
-  {
-    id: 'bayesian-optimization',
-    title: 'Bayesian Optimization: The Smart Search',
-    description: 'How to find the best hyperparameters without trying them all — surrogate models, acquisition functions, and Tree-structured Parzen Estimators (TPE). With a deep dive into our Hydra SSM decay parameter search.',
-    tags: ['optimization', 'Bayesian', 'hyperparameters', 'Optuna', 'TPE'],
-    icon: '🎯',
-    gradient: 'from-blue-500 to-purple-600',
-    shadowColor: 'shadow-blue-500/30',
-    glowColor: 'rgba(99, 102, 241, 0.4)',
-    readTime: '30 min',
-    difficulty: 2,
-    featured: true,
-  },
-  {
-    id: 'dragon-hatchling-bdh',
-    title: 'Dragon Hatchling (BDH)',
-    description: 'A biologically-inspired LLM architecture combining scale-free networks, Hebbian learning, and inherent interpretability',
-    tags: ['architecture', 'biological', 'SSM', 'interpretability', 'spiking neurons'],
-    icon: '🐉',
-    gradient: 'from-orange-500 to-red-500',
-    shadowColor: 'shadow-orange-500/25',
-    glowColor: 'orange',
-    readTime: '18 min',
-    difficulty: 'Advanced',
-  },
-  {
-    id: 'symmetry-representations',
-    title: 'Symmetry in Language Statistics → Geometry of Representations',
-    description: 'Why months form circles, years form manifolds, and cities encode lat/long — how translation symmetry in co-occurrence statistics analytically determines representational geometry. Based on Karkada et al. (arXiv:2602.15029).',
-    tags: ['symmetry', 'co-occurrence', 'manifolds', 'Fourier', 'word embeddings', 'LLM representations', 'geometry'],
-    icon: '🔄',
-    gradient: 'from-cyan-500 to-blue-600',
-    shadowColor: 'rgba(6, 182, 212, 0.3)',
-    glowColor: 'rgba(6, 182, 212, 0.15)',
-    readTime: '35 min',
-    difficulty: 3,
-    featured: true,
-  },
-  {
-    id: 'fine-tuning-mechanics',
-    title: 'Fine-Tuning LLMs: Mechanics, Myths, and the Knowledgebase Dream',
-    description: 'What actually happens to weights during fine-tuning, why LoRA works, what you can and can\'t achieve, and the realistic path to turning a small LLM into a domain expert.',
-    tags: ['fine-tuning', 'LoRA', 'LLM', 'deep learning', 'fundamentals'],
-    icon: '🔧',
-    gradient: 'from-orange-500 to-red-600',
-    shadowColor: 'rgba(249, 115, 22, 0.3)',
-    glowColor: 'rgba(249, 115, 22, 0.15)',
-    readTime: '25 min',
-    difficulty: 2,
-    featured: true,
-  },
-  {
-    id: 'geometric-deep-learning',
-    title: 'Geometric Deep Learning: From Symmetry to Neural Networks',
-    description: 'How symmetry principles unify CNNs, GNNs, Transformers, and beyond — the Bronstein et al. blueprint, representation theory, gauge equivariance, and connections to polysemy.',
-    tags: ['geometric deep learning', 'group theory', 'equivariance', 'GNN', 'transformers', 'manifolds'],
-    icon: '💎',
-    gradient: 'from-indigo-500 to-violet-600',
-    shadowColor: 'rgba(99, 102, 241, 0.3)',
-    glowColor: 'rgba(99, 102, 241, 0.15)',
-    readTime: '60 min',
-    difficulty: 3,
-    featured: true,
-  },
-  {
-    id: 'brainstorm-10-hierarchical-operator-trees',
-    title: 'Hierarchical Operator Trees',
-    description: 'Symbolic + Geometric: organizing Schankian operators into trees where each node is BOTH a label AND an embedding region. Handles polysemy, composition, and metaphor.',
-    tags: ['Schankian', 'operators', 'hierarchy', 'hyperbolic', 'polysemy', 'brainstorm'],
-    icon: '🌲',
-    gradient: 'from-amber-500 to-orange-600',
-    shadowColor: 'rgba(245, 158, 11, 0.3)',
-    glowColor: 'rgba(245, 158, 11, 0.15)',
-    readTime: '25 min',
-    difficulty: 'intermediate',
-  },
-  {
-    id: 'brainstorm-79-type-constructors',
-    title: 'Schankian Primitives as Type Constructors',
-    description: 'How Schank\'s semantic primitives map to type theory — operators generate event structure spaces, parse shapes are types, words are values. With testable predictions for shape embedding clustering.',
-    tags: ['Schankian', 'type theory', 'parse shapes', 'syntax-semantics', 'brainstorm'],
-    icon: '🏗️',
-    gradient: 'from-indigo-500 to-violet-600',
-    shadowColor: 'rgba(99, 102, 241, 0.3)',
-    glowColor: 'rgba(99, 102, 241, 0.15)',
-    readTime: '18 min',
-    difficulty: 'advanced',
-  },
-  {
-    id: 'brainstorm-78-operator-decomposition-trees',
-    title: 'Operator Decomposition Trees',
-    description: 'How Schankian operators form recursive decomposition trees — simultaneously story plan, interpretable trace, and editable outline',
-    tags: ['Schankian', 'operators', 'trees', 'generation', 'brainstorm'],
-    icon: '🌳',
-    gradient: 'from-emerald-500 to-teal-600',
-    shadowColor: 'rgba(16, 185, 129, 0.3)',
-    glowColor: 'rgba(16, 185, 129, 0.15)',
-    readTime: '20 min',
-    difficulty: 'intermediate',
-  },
-  {
-    id: 'brainstorm-77-recursive-midpoint',
-    title: 'Recursive Midpoint Diffusion',
-    description: 'Brownian lightning for text generation — endpoints first, details last. A radical architecture that generates text from the outside in with O(log n) depth, embarrassing parallelism, and natural global coherence.',
-    tags: ['diffusion', 'text generation', 'architecture', 'parallelism', 'SAE', 'hierarchical planning', 'Schankian operators'],
-    icon: '⚡',
-    gradient: 'from-purple-500 to-fuchsia-600',
-    shadowColor: 'shadow-purple-500/30',
-    glowColor: 'rgba(168, 85, 247, 0.4)',
-    readTime: '25 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-74-attention-heads-modal-operators',
-    title: 'Attention Heads as Modal Operators',
-    description: 'How transformer attention implements Kripke accessibility relations — unifying epistemic reasoning, Bloom filter heads, and Schankian mental primitives under modal logic.',
-    tags: ['modal logic', 'attention', 'Kripke', 'mechanistic interpretability', 'epistemic', 'Schankian operators'],
-    icon: '🔮',
-    gradient: 'from-violet-500 to-indigo-600',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '25 min',
-    difficulty: 4,
-  },
-  {
-    id: 'where-grammar-lives',
-    title: 'Where Grammar Lives: Syntactic Transition Priors in MLP Vectors',
-    description: 'We matched MLP input/output vectors across tokens in GPT-2 and found something unexpected: displacement vectors encode syntactic transition probabilities — not semantic content, but grammar itself.',
-    tags: ['GPT-2', 'MLP', 'mechanistic interpretability', 'POS', 'syntax', 'displacement vectors'],
-    icon: '🗺️',
-    gradient: 'from-emerald-500 to-teal-600',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '25 min',
-    difficulty: 3,
-  },
-  {
-    id: 'first-three-minutes-of-a-transformer',
-    title: 'The First Three Minutes of a Transformer',
-    description: 'Everything that happens to raw text before Layer 1 — BPE tokenization, the embedding matrix, positional encoding, and the vector that enters GPT-2.',
-    tags: ['transformers', 'GPT-2', 'tokenization', 'BPE', 'embeddings', 'positional encoding', 'BERT'],
-    icon: '⏱️',
-    gradient: 'from-sky-500 to-blue-600',
-    shadowColor: 'shadow-sky-500/30',
-    glowColor: 'rgba(14, 165, 233, 0.4)',
-    readTime: '20 min',
-    difficulty: 1,
-  },
-  {
-    id: 'second-three-minutes-of-a-transformer',
-    title: 'The Second Three Minutes of a Transformer',
-    description: 'From Layer 1 to the next token — attention, the residual stream, MLPs, and how GPT-2 turns vectors into language. Sequel to The First Three Minutes.',
-    tags: ['transformers', 'GPT-2', 'attention', 'residual stream', 'MLP', 'BERT', 'softmax', 'unembedding'],
-    icon: '⏱️',
-    gradient: 'from-blue-500 to-indigo-600',
-    shadowColor: 'shadow-blue-500/30',
-    glowColor: 'rgba(59, 130, 246, 0.4)',
-    readTime: '25 min',
-    difficulty: 2,
-  },
-  {
-    id: 'neural-turing-machines-dnc',
-    title: 'Neural Turing Machines & DNCs',
-    description: 'When neural networks got their own RAM — differentiable memory, learned algorithms, and why these ideas are due for a comeback.',
-    tags: ['architecture', 'memory', 'NTM', 'DNC', 'attention', 'differentiable computing'],
-    icon: '🖥️',
-    gradient: 'from-emerald-500 to-teal-600',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '30 min',
-    difficulty: 2,
-  },
-  {
-    id: 'brainstorm-25-mining-sae-dictionaries',
-    title: 'Mining SAE Dictionaries for Schankian Operators',
-    description: 'What if Anthropic\'s 34M monosemantic features already contain Schankian primitives? Search instead of train — a potential shortcut that validates the hypothesis AND gets operators for free.',
-    tags: ['SAE', 'operators', 'Schank', 'mechanistic interpretability', 'features', 'sparse autoencoders'],
-    icon: '⛏️',
-    gradient: 'from-amber-500 to-yellow-600',
-    shadowColor: 'shadow-amber-500/30',
-    glowColor: 'rgba(245, 158, 11, 0.4)',
-    readTime: '25 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-66-thought-gestalts',
-    title: 'Thought Gestalts — Sentence-Level Operators',
-    description: 'How two-level transformers with thought states provide the perfect architecture for Schankian operators — plus the fractal three-level operator hierarchy.',
-    tags: ['thought gestalts', 'operators', 'Schank', 'architecture', 'working memory'],
-    icon: '🧠',
-    gradient: 'from-violet-500 to-fuchsia-600',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '25 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-39-information-bottleneck',
-    title: 'Information Bottleneck as Operator Discovery',
-    description: 'How compression reveals semantic primitives — squeeze event descriptions through a bottleneck and what survives IS the Schankian operator. No labels needed.',
-    tags: ['information theory', 'compression', 'operators', 'Schank', 'IB', 'unsupervised'],
-    icon: '🔬',
-    gradient: 'from-cyan-500 to-blue-600',
-    shadowColor: 'shadow-cyan-500/30',
-    glowColor: 'rgba(6, 182, 212, 0.4)',
-    readTime: '25 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-45-mdl-operator-discovery',
-    title: 'MDL Operator Discovery — Compression as Primitivity Test',
-    description: 'How Minimum Description Length finds the right number of Schankian operators — not too few, not too many. The compression sweet spot reveals true primitives.',
-    tags: ['MDL', 'compression', 'operators', 'Schank', 'Kolmogorov', 'information theory'],
-    icon: '🗜️',
-    gradient: 'from-emerald-500 to-teal-600',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '25 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-75-kan-operators',
-    title: 'KAN Edge Functions as Interpretable Operators',
-    description: 'How Kolmogorov-Arnold Networks learn per-dimension spline functions that are structurally identical to Schankian operators, with automatic symbolic extraction yielding human-readable equations.',
-    tags: ['KAN', 'Kolmogorov-Arnold', 'operators', 'interpretability', 'splines'],
-    icon: '📐',
-    gradient: 'from-violet-500 to-fuchsia-600',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '25 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-82-vla-mech-interp',
-    title: 'VLA Mech Interp — Action Primitives as Thin Semantic Layer',
-    description: 'How Vision-Language-Action models reveal action primitives are a thin layer atop semantic representations — direct evidence for the operator-as-interface thesis.',
-    tags: ['VLA', 'mech interp', 'operators', 'embodied AI', 'SAE'],
-    icon: '🤖',
-    gradient: 'from-cyan-500 to-blue-600',
-    shadowColor: 'shadow-cyan-500/30',
-    glowColor: 'rgba(6, 182, 212, 0.4)',
-    readTime: '20 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-84-manifold-local-operators',
-    title: 'Schankian Primitives as Manifold-Local Operators',
-    description: 'What if ATRANS means something different in every register? Exploring Schankian primitives as sections of a fiber bundle over the speech manifold — varying across registers, sociolects, and modalities.',
-    tags: ['operators', 'manifold', 'fiber bundle', 'register', 'geometry'],
-    icon: '🌍',
-    gradient: 'from-emerald-500 to-teal-600',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '25 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-85-operator-discovery-denoising',
-    title: 'Operator Discovery as Denoising',
-    description: 'Wake-sleep operator discovery is structurally isomorphic to diffusion-based denoising. Generic events are noise, the LLM adapter is a denoising step, and the MDL objective is a noise schedule.',
-    tags: ['diffusion', 'denoising', 'wake-sleep', 'MDL', 'compression', 'operators'],
-    icon: '🌫️',
-    gradient: 'from-violet-500 to-purple-600',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '20 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-88-boolean-circuit-extraction',
-    title: 'Boolean Circuit Extraction as Primitive Discovery',
-    description: 'How MLP neurons compose into Boolean lookup tables, and how recurring circuit motifs reveal learned Schankian primitives with inspectable truth tables.',
-    tags: ['mechanistic interpretability', 'Boolean circuits', 'MLPs', 'Schank', 'primitives'],
-    icon: '🔌',
-    gradient: 'from-emerald-500 to-cyan-600',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '22 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-62-moe-routing-operators',
-    title: 'Operators as Semantic Expert Modules',
-    description: 'How Mixture-of-Experts routing is structurally identical to Schankian primitive selection — constrain experts to ~14 and rediscover semantic primitives.',
-    tags: ['MoE', 'operators', 'Schank', 'routing', 'architecture'],
-    icon: '🎯',
-    gradient: 'from-rose-500 to-orange-600',
-    shadowColor: 'shadow-rose-500/30',
-    glowColor: 'rgba(244, 63, 94, 0.4)',
-    readTime: '25 min',
-    difficulty: 3,
-  },
-  {
-    id: 'functional-information',
-    title: 'Functional Information: Measuring Complexity That Matters',
-    description: 'From combination locks to neural networks — why the universe keeps getting more interesting. Ladders from ELI5 to graduate-level FI theory.',
-    tags: ['information theory', 'functional information', 'complexity', 'evolution'],
-    icon: '🧬',
-    gradient: 'from-emerald-500 to-cyan-600',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '25 min',
-    difficulty: 3,
-  },
-  {
-    id: 'interp-crash-course',
-    title: 'Interpretability Crash Course: Hands-On with TransformerLens, SAEs & Circuits',
-    description: 'Six-module interactive companion — from loading models to replicating the Bloom filter heads paper. Covers TransformerLens, ablation, SAELens, probing, steering, circuit analysis, and full paper replication.',
-    tags: ['mechanistic interpretability', 'TransformerLens', 'SAEs', 'hands-on'],
-    icon: '🧪',
-    gradient: 'from-amber-500 to-orange-600',
-    shadowColor: 'shadow-amber-500/30',
-    glowColor: 'rgba(245, 158, 11, 0.4)',
-    readTime: '30 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-28-differentiable-strips',
-    title: 'Operators as Differentiable STRIPS',
-    description: 'The neuro-symbolic bridge — how classical AI planning actions (preconditions + effects) become learned geometric transformations. Solves the frame problem for free.',
-    tags: ['Schankian', 'operators', 'STRIPS', 'planning', 'neuro-symbolic', 'brainstorm'],
-    icon: '🗺️',
-    gradient: 'from-teal-500 to-cyan-600',
-    shadowColor: 'shadow-teal-500/30',
-    glowColor: 'rgba(20, 184, 166, 0.4)',
-    readTime: '25 min',
-    difficulty: 3,
-  },
-  {
-    id: 'ff-key-value-memories',
-    title: 'Feed-Forward Layers as Key-Value Memories',
-    description: 'The landmark paper revealing that MLP layers are giant lookup tables — each neuron stores a pattern (key) and a prediction (value)',
-    tags: ['transformers', 'MLP', 'mechanistic interpretability', 'memory'],
-    icon: '🗄️',
-    gradient: 'from-cyan-500 to-blue-600',
-    shadowColor: 'shadow-cyan-500/30',
-    glowColor: 'rgba(6, 182, 212, 0.4)',
-    readTime: '20 min',
-    difficulty: 2,
-  },
-  {
-    id: 'brainstorm-34-semantic-intervals',
-    title: 'Operators as Semantic Intervals — The Music Theory of Meaning',
-    description: 'How transposition-invariant transformations connect word2vec analogies, Schankian operators, and musical harmony. Melodies are interval sequences; narratives are operator sequences.',
-    tags: ['Schankian', 'operators', 'music theory', 'analogy', 'word2vec', 'intervals', 'brainstorm'],
-    icon: '🎵',
-    gradient: 'from-pink-500 to-rose-600',
-    shadowColor: 'shadow-pink-500/30',
-    glowColor: 'rgba(236, 72, 153, 0.4)',
-    readTime: '25 min',
-    difficulty: 2,
-  },
-  {
-    id: 'geometry-of-polysemy',
-    title: 'The Geometry of Polysemy',
-    description: 'How raw cosine similarity achieves 99.8%+ accuracy for word sense disambiguation in GPT-2 — no classifier needed. The sense inventory was the bottleneck, not the classifier.',
-    tags: ['embeddings', 'polysemy', 'GPT-2', 'cosine similarity'],
-    icon: '📐',
-    gradient: 'from-teal-500 to-cyan-600',
-    shadowColor: 'shadow-teal-500/30',
-    glowColor: 'rgba(20, 184, 166, 0.4)',
-    readTime: '25 min',
-    difficulty: 2,
-    featured: true,
-  },
-  {
-    id: 'word-sense-superposition',
-    title: 'Word Senses in Superposition',
-    description: 'How polysemous word embeddings are weighted sums of sense vectors — and how sparse coding recovers them. The intellectual ancestor of SAEs.',
-    tags: ['embeddings', 'polysemy', 'sparse coding', 'superposition'],
-    icon: '🔮',
-    gradient: 'from-amber-500 to-orange-600',
-    shadowColor: 'shadow-amber-500/30',
-    glowColor: 'rgba(245, 158, 11, 0.4)',
-    readTime: '20 min',
-    difficulty: 2,
-  },
-  {
-    id: 'pure-sense-sufficiency-test',
-    title: 'The Sufficiency Test: Did You Cut in the Right Place?',
-    description: 'How to verify that your pure sense embedding actually contains the sense — and only the sense — using surgical ablation with linear probes.',
-    tags: ['embeddings', 'polysemy', 'probing', 'decomposition', 'verification'],
-    icon: '🔬',
-    gradient: 'from-emerald-500 to-teal-600',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '18 min',
-    difficulty: 3,
-  },
-  {
-    id: 'diffusion-models',
-    title: 'Diffusion Models: From Images to Text to SAE',
-    description: 'Understanding diffusion from first principles — how it conquers images, struggles with text, and how SAE dictionaries could unlock controllable generation',
-    tags: ['diffusion', 'generative', 'SAE', 'fundamentals'],
-    icon: '🎨',
-    gradient: 'from-violet-500 to-fuchsia-600',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '25 min',
-    difficulty: 2,
-    featured: true,
-  },
-  {
-    id: 'diffusion-sae-research',
-    title: 'SAE-Guided Diffusion: Research Exploration',
-    description: 'Living document tracking our investigation into combining sparse autoencoders with diffusion models for controllable text generation',
-    tags: ['research', 'diffusion', 'SAE', 'generative'],
-    icon: '🌊',
-    gradient: 'from-sky-500 to-indigo-600',
-    shadowColor: 'shadow-sky-500/30',
-    glowColor: 'rgba(14, 165, 233, 0.4)',
-    readTime: 'Ongoing',
-    difficulty: 3,
-    featured: true,
-  },
-  {
-    id: 'research-blog',
-    title: 'Research Radar — Daily ArXiv Insights',
-    description: 'Daily scan of cs.AI papers with connections to our Schankian operators research. Updated automatically.',
-    tags: ['research', 'papers', 'daily'],
-    icon: '📡',
-    gradient: 'from-cyan-500 to-blue-600',
-    shadowColor: 'shadow-cyan-500/30',
-    glowColor: 'rgba(6, 182, 212, 0.4)',
-    readTime: 'Updated daily',
-    difficulty: 2,
-    featured: true,
-  },
-  {
-    id: 'transformerlens',
-    title: 'TransformerLens: X-Ray Vision for Language Models',
-    description: 'Inspect, hook, and manipulate transformer internals using Neel Nanda\'s mechanistic interpretability library.',
-    tags: ['mechanistic interpretability', 'TransformerLens', 'tools'],
-    icon: '🔬',
-    gradient: 'from-violet-500 to-purple-600',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '15 min',
-    difficulty: 2,
-  },
-  {
-    id: 'anxiety-of-influence-bloom-filter-heads',
-    title: 'The Anxiety of Influence: Bloom Filters in Attention Heads',
-    description: 'Interactive companion to the paper — discover how transformer attention heads implement membership testing like classical Bloom filters.',
-    tags: ['mechanistic interpretability', 'attention heads', 'transformers'],
-    icon: '🔍',
-    gradient: 'from-emerald-500 to-teal-600',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '20 min',
-    difficulty: 3,
-    featured: true,
-  },
-  {
-    id: 'dendritic-diffusion',
-    title: 'Dendritic Diffusion: Growing Sentences Like Crystals',
-    description: 'How we turned a masked diffusion language model into a depth-first crystal grower — and why text generation should work more like dendrites than assembly lines.',
-    tags: ['diffusion models', 'language generation', 'dendritic diffusion', 'emergent structure'],
-    icon: '🔮',
-    gradient: 'from-violet-500 to-fuchsia-600',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '18 min',
-    difficulty: 2,
-    featured: true,
-  },
-  {
-    id: 'research-roadmap',
-    title: 'Schankian Operators — Research Roadmap',
-    description: 'The 8-phase research program from discovery to deployment.',
-    tags: ['research', 'roadmap'],
-    icon: '🗺️',
-    gradient: 'from-indigo-500 to-purple-600',
-    shadowColor: 'shadow-indigo-500/30',
-    glowColor: 'rgba(99, 102, 241, 0.4)',
-    readTime: '10 min',
-    difficulty: 3,
-    featured: true,
-  },
-  {
-    id: 'group-theory-puzzles',
-    title: 'Group Theory for Puzzle Solving',
-    description: 'Discover how abstract symmetry helps crack puzzles — from coin flips to Rubik\'s cubes, with interactive Cayley diagrams',
-    tags: ['group theory', 'puzzles', 'fundamentals'],
-    icon: '🔺',
-    gradient: 'from-rose-500 to-orange-500',
-    shadowColor: 'shadow-rose-500/30',
-    glowColor: 'rgba(244, 63, 94, 0.4)',
-    readTime: '12 min',
-    difficulty: 1,
-    featured: true,
-  },
-  {
-    id: 'engine-demo',
-    title: 'Tutorial Engine Demo',
-    description: 'A self-documenting demonstration of the data-driven tutorial system with live state bindings',
-    tags: ['experimental', 'meta', 'tutorial-engine'],
-    icon: '🧪',
-    gradient: 'from-violet-500 to-purple-600',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '8 min',
-    difficulty: 2,
-  },
-  {
-    id: 'lead-lag-correlation',
-    title: 'Lead-Lag Correlation',
-    description: 'Discover predictive relationships in time series data with cross-correlation analysis',
-    tags: ['time series', 'correlation', 'quantitative finance'],
-    icon: '📈',
-    gradient: 'from-blue-500 to-cyan-500',
-    shadowColor: 'shadow-blue-500/30',
-    glowColor: 'rgba(59, 130, 246, 0.4)',
-    readTime: '10 min',
-    difficulty: 3,
-  },
-  {
-    id: 'vector-projection',
-    title: 'Vector Projection',
-    description: 'Interactive exploration of projecting one 2D vector onto another with drag-and-drop visualization',
-    tags: ['vectors', 'linear algebra', 'fundamentals'],
-    icon: '↗️',
-    gradient: 'from-emerald-500 to-teal-500',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '8 min',
-    difficulty: 1,
-  },
-  {
-    id: 'matrix-discovery',
-    title: 'Matrix Discovery',
-    description: 'Interactive tool for discovering transformation matrices from input-output pairs',
-    tags: ['matrices', 'linear algebra', 'clustering'],
-    icon: '🔢',
-    gradient: 'from-orange-500 to-amber-500',
-    shadowColor: 'shadow-orange-500/30',
-    glowColor: 'rgba(249, 115, 22, 0.4)',
-    readTime: '12 min',
-    difficulty: 2,
-  },
-  {
-    id: 'matrix-from-vectors-engine',
-    title: 'Matrix from Vectors (Engine)',
-    description: 'Find the transformation matrix from input-output observations — JSON-driven version',
-    tags: ['linear algebra', 'matrices', 'experimental'],
-    icon: '🎯',
-    gradient: 'from-pink-500 to-rose-500',
-    shadowColor: 'shadow-pink-500/30',
-    glowColor: 'rgba(236, 72, 153, 0.4)',
-    readTime: '10 min',
-    difficulty: 2,
-  },
-  {
-    id: 'matrix-from-vectors',
-    title: 'Matrix from Vectors',
-    description: 'Explore how vectors transform through matrices and visualize the geometric transformation',
-    tags: ['linear algebra', 'vectors', 'visualization'],
-    icon: '🎯',
-    gradient: 'from-pink-500 to-rose-500',
-    shadowColor: 'shadow-pink-500/30',
-    glowColor: 'rgba(236, 72, 153, 0.4)',
-    readTime: '10 min',
-    difficulty: 2,
-  },
-  {
-    id: 'least-squares',
-    title: 'Least Squares Regression',
-    description: 'Interactive exploration of fitting lines to data by minimizing squared errors',
-    tags: ['regression', 'statistics', 'optimization'],
-    icon: '📊',
-    gradient: 'from-indigo-500 to-blue-500',
-    shadowColor: 'shadow-indigo-500/30',
-    glowColor: 'rgba(99, 102, 241, 0.4)',
-    readTime: '15 min',
-    difficulty: 3,
-  },
-  {
-    id: 'schankian-paper-draft',
-    title: 'Schankian Operators Paper Draft',
-    description: 'Working draft: Learning Semantic Operators from Event Data — add annotations and questions',
-    tags: ['experimental', 'NLP', 'research draft'],
-    icon: '📝',
-    gradient: 'from-amber-500 to-orange-600',
-    shadowColor: 'shadow-amber-500/30',
-    glowColor: 'rgba(245, 158, 11, 0.4)',
-    readTime: '30 min',
-    difficulty: 3,
-  },
-  {
-    id: 'schankian-tree',
-    title: 'Schankian Paper Tree View',
-    description: 'Hierarchical summary tree of the paper draft — click nodes to expand and see details',
-    tags: ['experimental', 'NLP', 'summary tree'],
-    icon: '🌳',
-    gradient: 'from-emerald-500 to-teal-600',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '5 min',
-    difficulty: 1,
-  },
-  {
-    id: 'rotate-paper',
-    title: 'RotatE Paper: Annotated Tutorial',
-    description: 'Interactive annotated version of the foundational RotatE paper (Sun et al., ICLR 2019)',
-    tags: ['experimental', 'NLP', 'knowledge graphs'],
-    icon: '🔄',
-    gradient: 'from-cyan-500 to-blue-600',
-    shadowColor: 'shadow-cyan-500/30',
-    glowColor: 'rgba(6, 182, 212, 0.4)',
-    readTime: '45 min',
-    difficulty: 3,
-  },
-  {
-    id: 'neural-oscillations',
-    title: 'Neural Oscillations & Memory',
-    description: 'How theta and gamma rhythms encode memories — and connections to semantic operators',
-    tags: ['experimental', 'neuroscience', 'memory'],
-    icon: '🧠',
-    gradient: 'from-purple-500 to-pink-600',
-    shadowColor: 'shadow-purple-500/30',
-    glowColor: 'rgba(168, 85, 247, 0.4)',
-    readTime: '30 min',
-    difficulty: 2,
-  },
-  {
-    id: 'brainstorm-09-knn-linguistic-anchors',
-    title: 'KNN with Linguistic Anchors',
-    description: 'Semi-supervised operator discovery using Schank\'s primitive actions as anchor points in embedding space',
-    tags: ['schankian', 'semi-supervised', 'KNN'],
-    icon: '⚓',
-    gradient: 'from-amber-500 to-orange-600',
-    shadowColor: 'shadow-amber-500/30',
-    glowColor: 'rgba(245, 158, 11, 0.4)',
-    readTime: '20 min',
-    difficulty: 2,
-  },
-  {
-    id: 'brainstorm-23-differentiable-state-machines',
-    title: 'Differentiable State Machines',
-    description: 'Constrained neural process networks — STRIPS-style operators made differentiable for learning valid state transitions',
-    tags: ['schankian', 'architecture', 'state-machines'],
-    icon: '⚙️',
-    gradient: 'from-cyan-500 to-blue-600',
-    shadowColor: 'shadow-cyan-500/30',
-    glowColor: 'rgba(6, 182, 212, 0.4)',
-    readTime: '25 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-50-epistemic-operators',
-    title: 'Epistemic State Operators',
-    description: 'Modeling belief, doubt, and wise refusal as geometric transformations — extending operators from entity states to knowledge states',
-    tags: ['schankian', 'epistemics', 'belief', 'DEL'],
-    icon: '🧠',
-    gradient: 'from-violet-500 to-purple-600',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '20 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-55-flat-arrays-to-rotations',
-    title: 'From Flat Arrays to Full Rotation Matrices',
-    description: 'Deriving the operator architecture from first principles — starting with the simplest graph database and building up to full rotation matrices on concatenated participants',
-    tags: ['schankian', 'architecture', 'rotation', 'first-principles'],
-    icon: '🔄',
-    gradient: 'from-amber-500 to-orange-600',
-    shadowColor: 'shadow-amber-500/30',
-    glowColor: 'rgba(245, 158, 11, 0.4)',
-    readTime: '25 min',
-    difficulty: 2,
-  },
-  {
-    id: 'brainstorm-44-periodic-table-of-operators',
-    title: 'The Periodic Table of Operators',
-    description: 'Organizing semantic primitives by domain × transformation type — and predicting undiscovered operators from gaps, validated by cross-linguistic universals',
-    tags: ['schankian', 'taxonomy', 'cross-linguistic', 'NSM', 'operator discovery'],
-    icon: '🧪',
-    gradient: 'from-amber-500 to-orange-600',
-    shadowColor: 'shadow-amber-500/30',
-    glowColor: 'rgba(245, 158, 11, 0.4)',
-    readTime: '20 min',
-    difficulty: 2,
-  },
-  {
-    id: 'brainstorm-36-eigenoperators',
-    title: 'Eigenoperators and Semantic Attractors',
-    description: 'What eigenvectors of operator matrices reveal about dimensions of meaning — PCA on operators, fixed-point attractors, and embedding compression',
-    tags: ['schankian', 'linear-algebra', 'eigenvalues', 'compression'],
-    icon: '🔮',
-    gradient: 'from-fuchsia-500 to-pink-600',
-    shadowColor: 'shadow-fuchsia-500/30',
-    glowColor: 'rgba(217, 70, 239, 0.4)',
-    readTime: '22 min',
-    difficulty: 2,
-  },
-  {
-    id: 'brainstorm-05-prototypes-good-enough-centers',
-    title: 'Prototypes vs. Definitions — Good Enough Centers',
-    description: 'Why Schankian primitives work like Rosch\'s prototypes — fuzzy, gradient, and "good enough" rather than rigidly defined',
-    tags: ['schankian', 'prototypes', 'categorization', 'embeddings'],
-    icon: '🎯',
-    gradient: 'from-amber-500 to-orange-600',
-    shadowColor: 'shadow-amber-500/30',
-    glowColor: 'rgba(245, 158, 11, 0.4)',
-    readTime: '18 min',
-    difficulty: 1,
-  },
-  {
-    id: 'brainstorm-02-frame-problem-annotations',
-    title: 'The Frame Problem and Implicit State Annotation',
-    description: 'How making the invisible visible solves AI\'s oldest problem — the hierarchical annotation schema for Darkness Visible',
-    tags: ['schankian', 'annotation', 'RAG', 'frame-problem'],
-    icon: '👁️',
-    gradient: 'from-slate-600 to-zinc-800',
-    shadowColor: 'shadow-slate-600/30',
-    glowColor: 'rgba(71, 85, 105, 0.4)',
-    readTime: '20 min',
-    difficulty: 2,
-  },
-  {
-    id: 'brainstorm-18-telicity-eigenvalues',
-    title: 'Telicity from Eigenvalues',
-    description: 'How Vendler\'s telic/atelic distinction emerges from operator eigenvalues — our first testable prediction connecting learned matrices to established linguistics',
-    tags: ['schankian', 'linguistics', 'eigenvalues', 'prediction'],
-    icon: '🎯',
-    gradient: 'from-rose-500 to-red-600',
-    shadowColor: 'shadow-rose-500/30',
-    glowColor: 'rgba(244, 63, 94, 0.4)',
-    readTime: '22 min',
-    difficulty: 2,
-  },
-  {
-    id: 'brainstorm-06-tensor-products-fail',
-    title: 'Tensor Products Fail at Compositionality',
-    description: 'Why operators succeed where vector composition breaks down — bounded vs exponential dimensionality',
-    tags: ['schankian', 'compositionality', 'tensors'],
-    icon: '💥',
-    gradient: 'from-red-500 to-rose-600',
-    shadowColor: 'shadow-red-500/30',
-    glowColor: 'rgba(239, 68, 68, 0.4)',
-    readTime: '20 min',
-    difficulty: 2,
-  },
-  {
-    id: 'brainstorm-07-structure-mapping',
-    title: 'Operators as Structure-Mapping Engines',
-    description: 'How Schankian primitives enable analogical reasoning — from Gentner\'s theory to computational analogy',
-    tags: ['schankian', 'analogy', 'cognition'],
-    icon: '🔗',
-    gradient: 'from-indigo-500 to-blue-600',
-    shadowColor: 'shadow-indigo-500/30',
-    glowColor: 'rgba(99, 102, 241, 0.4)',
-    readTime: '20 min',
-    difficulty: 2,
-  },
-  {
-    id: 'brainstorm-11-talmys-force-dynamics',
-    title: 'Talmy\'s Force Dynamics',
-    description: 'Finer-grained causation primitives — how Agonist vs Antagonist patterns map to Schankian operators',
-    tags: ['schankian', 'linguistics', 'causation'],
-    icon: '💪',
-    gradient: 'from-emerald-500 to-teal-600',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '25 min',
-    difficulty: 2,
-  },
-  {
-    id: 'brainstorm-15-atomic-relations',
-    title: 'ATOMIC Relations = Operator Decomposition',
-    description: 'How ATOMIC\'s 9 commonsense relations decompose what Schankian operators encode — 880K training tuples as operator dimensions',
-    tags: ['schankian', 'ATOMIC', 'commonsense', 'knowledge-graphs'],
-    icon: '⚛️',
-    gradient: 'from-emerald-500 to-teal-600',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '20 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-16-compositional-generalization',
-    title: 'Compositional Generalization — The Primitive Test',
-    description: 'Can neural networks compose like humans? SCAN benchmarks, meta-learning, and Schankian operators',
-    tags: ['schankian', 'compositionality', 'generalization', 'benchmarks'],
-    icon: '🧩',
-    gradient: 'from-violet-500 to-indigo-600',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '22 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-22-causal-interventions',
-    title: 'Operators as Causal Interventions',
-    description: 'The bridge between Schankian operators and Pearl\'s do-calculus — and how mechanistic interpretability can find operators in neural networks.',
-    tags: ['causality', 'operators', 'interpretability'],
-    icon: '🔬',
-    gradient: 'from-emerald-500 to-teal-600',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '18 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-54-dreamcoder-library-learning',
-    title: 'DreamCoder-Style Library Learning',
-    description: 'How wake-sleep loops can discover reusable semantic primitives — from program synthesis to Schankian operators',
-    tags: ['schankian', 'program-synthesis', 'library-learning'],
-    icon: '🌙',
-    gradient: 'from-indigo-500 to-violet-600',
-    shadowColor: 'shadow-indigo-500/30',
-    glowColor: 'rgba(99, 102, 241, 0.4)',
-    readTime: '22 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-58-delta-guided-attention',
-    title: 'Delta-Guided Attention',
-    description: 'SAE features as attractor targets for contextual disambiguation — making attention explicitly goal-directed',
-    tags: ['schankian', 'SAE', 'attention', 'interpretability'],
-    icon: '🎯',
-    gradient: 'from-cyan-500 to-teal-600',
-    shadowColor: 'shadow-cyan-500/30',
-    glowColor: 'rgba(6, 182, 212, 0.4)',
-    readTime: '20 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-61-successor-representation',
-    title: 'Operators Generate the Successor Representation',
-    description: 'Scripts as factored predictive maps — how Schankian operators are literally the transition matrix that generates the brain\'s GPS for events',
-    tags: ['schankian', 'neuroscience', 'successor-representation', 'scripts'],
-    icon: '🗺️',
-    gradient: 'from-emerald-500 to-teal-600',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '22 min',
-    difficulty: 2,
-  },
-  {
-    id: 'brainstorm-51-adversarial-perturbation',
-    title: 'Adversarial Pressure as Operator Perturbation',
-    description: 'Sycophancy through a geometric lens — how social pressure acts as a Lie algebra perturbation rotating model outputs away from truth',
-    tags: ['schankian', 'sycophancy', 'lie-groups', 'adversarial', 'geometric', 'alignment'],
-    icon: '🧲',
-    gradient: 'from-red-500 to-rose-600',
-    shadowColor: 'shadow-red-500/30',
-    glowColor: 'rgba(239, 68, 68, 0.4)',
-    readTime: '20 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-37-lie-algebra',
-    title: 'Lie Algebra Structure — Commutators Capture Order Effects',
-    description: 'Why "harm then heal" ≠ "heal then harm" — how Lie algebras formalize non-commutativity of Schankian operators, with commutators as emergent semantic primitives.',
-    tags: ['Lie algebra', 'operators', 'Schank', 'commutator', 'non-commutativity', 'rotation matrices'],
-    icon: '🔄',
-    gradient: 'from-violet-500 to-purple-600',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '25 min',
-    difficulty: 4,
-  },
-  {
-    id: 'brainstorm-63-operators-as-options',
-    title: 'Operators as Options',
-    description: 'Temporal abstraction as event semantics — how Schankian operators ARE Sutton\'s options, with initiation sets, policies, and termination conditions',
-    tags: ['schankian', 'reinforcement-learning', 'options', 'temporal-abstraction', 'event-segmentation'],
-    icon: '⏱️',
-    gradient: 'from-orange-500 to-amber-600',
-    shadowColor: 'shadow-orange-500/30',
-    glowColor: 'rgba(249, 115, 22, 0.4)',
-    readTime: '25 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-57-reward-machine-transitions',
-    title: 'Operators as Reward Machine Transitions',
-    description: 'How Schankian operators become the transition language for agentic planning — bridging narrative understanding and reinforcement learning',
-    tags: ['schankian', 'reinforcement-learning', 'reward-machines', 'planning', 'symbol-grounding'],
-    icon: '🎰',
-    gradient: 'from-emerald-500 to-teal-600',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '25 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-57b-primitives-routing-boundaries',
-    title: 'Primitives as Natural Routing Boundaries',
-    description: 'Do MoE experts rediscover Schank? When compression and routing converge on the same event categories, those categories are computationally real',
-    tags: ['schankian', 'mixture-of-experts', 'routing', 'convergent-evidence', 'hydra'],
-    icon: '🔀',
-    gradient: 'from-violet-500 to-purple-600',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '14 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-52-pearls-ladder',
-    title: "Pearl's Ladder as an Operator Hierarchy",
-    description: "Why confusing correlation with causation is literally a type error — three classes of operators formalize the Causal Hierarchy Theorem",
-    tags: ['schankian', 'causality', 'pearl', 'type-theory', 'category-theory'],
-    icon: '🪜',
-    gradient: 'from-amber-500 to-red-600',
-    shadowColor: 'shadow-amber-500/30',
-    glowColor: 'rgba(245, 158, 11, 0.4)',
-    readTime: '20 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-52-cd-lakoff-isomorphism',
-    title: 'Schankian Primitives ARE Image Schemas',
-    description: "Schank's 11 CDs map 1:1 onto Lakoff's image schemas (PTRANS=PATH, PROPEL=FORCE_DYNAMICS, INGEST=CONTAINER). Three independent research programs converge on the same cognitive primitives.",
-    tags: ['schankian', 'lakoff', 'image-schemas', 'embodied-cognition', 'metaphor', 'isomorphism'],
-    icon: '🪞',
-    gradient: 'from-emerald-500 to-cyan-600',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '12 min',
-    difficulty: 2,
-  },
-  {
-    id: 'brainstorm-53-rhetoric-primitives',
-    title: 'Rhetoric Primitives: The Schank of Persuasion',
-    description: 'If events decompose into ATRANS/PTRANS/MTRANS, what do rhetorical moves decompose into? Wake-sleep compression on 41K discourse relations from the GUM corpus discovers the primitives of persuasion.',
-    tags: ['schankian', 'rhetoric', 'discourse', 'RST', 'wake-sleep', 'L-systems'],
-    icon: '🎭',
-    gradient: 'from-rose-500 to-orange-600',
-    shadowColor: 'shadow-rose-500/30',
-    glowColor: 'rgba(244, 63, 94, 0.4)',
-    readTime: '25 min',
-    difficulty: 2,
-  },
-  {
-    id: 'brainstorm-59-modal-operators-tom',
-    title: 'Differentiable Modal Operators & Theory of Mind',
-    description: 'How Schank\'s mental primitives (MBUILD, MTRANS) are modal operators in disguise — Kripke semantics, BDI architecture, and learnable belief tracking',
-    tags: ['schankian', 'modal-logic', 'theory-of-mind', 'mental-primitives'],
-    icon: '🧠',
-    gradient: 'from-purple-500 to-pink-600',
-    shadowColor: 'shadow-purple-500/30',
-    glowColor: 'rgba(168, 85, 247, 0.4)',
-    readTime: '25 min',
-    difficulty: 4,
-  },
-  {
-    id: 'brainstorm-24-operators-as-interface-layer',
-    title: 'Operators as Interface Layer for LLM World Models',
-    description: 'LLMs have implicit world models — Schankian operators extract and organize that hidden knowledge into explicit, composable event semantics',
-    tags: ['schankian', 'world-models', 'LLM', 'interface-layer', 'extraction'],
-    icon: '🔌',
-    gradient: 'from-amber-500 to-orange-600',
-    shadowColor: 'shadow-amber-500/30',
-    glowColor: 'rgba(245, 158, 11, 0.4)',
-    readTime: '22 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-56-rate-distortion-bounds',
-    title: 'Rate-Distortion Bounds on Operator Compression',
-    description: 'When do embeddings provably fail? Shannon\'s theory reveals the minimum dimensions each Schankian operator needs',
-    tags: ['schankian', 'information-theory', 'rate-distortion', 'embeddings'],
-    icon: '📉',
-    gradient: 'from-cyan-500 to-blue-600',
-    shadowColor: 'shadow-cyan-500/30',
-    glowColor: 'rgba(6, 182, 212, 0.4)',
-    readTime: '20 min',
-    difficulty: 4,
-  },
-  {
-    id: 'brainstorm-89-wake-sleep-library-learning',
-    title: 'Wake-Sleep Library Learning for Operator Discovery',
-    description: 'Let compression find the primitives — DreamCoder/Lilo-style wake-sleep cycles discover Schankian operators from data, deriving their number and nature via MDL pressure rather than hand-crafting them.',
-    tags: ['Schankian', 'DreamCoder', 'Lilo', 'MDL', 'compression', 'library-learning', 'wake-sleep'],
-    icon: '🌗',
-    gradient: 'from-violet-500 to-amber-500',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '24 min',
-    difficulty: 4,
-  },
-  {
-    id: 'brainstorm-91-causal-abstraction',
-    title: 'Causal Abstraction as Operator Verification',
-    description: 'Interchange interventions for Schankian primitives — proving operators are causally computed inside transformers, not just decodable. Compare Schank-11 vs Dowty-4 vs data-driven primitives.',
-    tags: ['Schankian', 'causal-abstraction', 'interchange-interventions', 'DII', 'mech-interp', 'falsifiable'],
-    icon: '🔬',
-    gradient: 'from-emerald-500 to-cyan-500',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '20 min',
-    difficulty: 4,
-  },
-  {
-    id: 'brainstorm-91b-type-erasure-abstraction',
-    title: 'Type Erasure as Neural Abstraction',
-    description: 'Parametric polymorphism meets SAE features: how PTRANS<Emergence, Biological<Human>> erases to PTRANS at coarser dictionary sizes. Multi-parameter generics factor operator space into orthogonal dimensions — feature conjunctions = full operator types.',
-    tags: ['Schankian', 'type-erasure', 'SAE', 'generics', 'abstraction', 'matryoshka', 'hierarchy'],
-    icon: '🪆',
-    gradient: 'from-violet-500 to-purple-600',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '18 min',
-    difficulty: 4,
-  },
-  {
-    id: 'brainstorm-92-moa-pharmacological-primitive',
-    title: 'Mechanism of Action as Pharmacological Primitive',
-    description: 'The Broad Repurposing Hub\'s 1,135 MoA classes decompose drug action like Schank decomposed events. Combination therapy = compound operators. Scaffold hopping = operator-preserving paraphrase. Schankian primitives are universal state-transition vocabulary.',
-    tags: ['Schankian', 'pharmacology', 'drug-discovery', 'MoA', 'operators', 'HRR', 'antibiotics'],
-    icon: '💊',
-    gradient: 'from-cyan-500 to-blue-600',
-    shadowColor: 'shadow-cyan-500/30',
-    glowColor: 'rgba(6, 182, 212, 0.4)',
-    readTime: '12 min',
-    difficulty: 2,
-  },
-  {
-    id: 'brainstorm-93-fiber-bundles-event-space',
-    title: 'Fiber Bundles Over Event Space',
-    description: 'HRR fiber decomposition IS Schankian decomposition in different notation. MI clustering discovers semi-independent dimensions in drugs, theorems, and any structured domain. If cross-domain fiber genomes share invariants, Wigner\'s unreasonable effectiveness becomes computable.',
-    tags: ['Schankian', 'fiber-bundles', 'HRR', 'Wigner', 'decomposition', 'cross-domain', 'Jackendoff'],
-    icon: '🧬',
-    gradient: 'from-violet-500 to-purple-600',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '15 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-94b-fiber-discovery-primitive-discovery',
-    title: 'Fiber Discovery IS Primitive Discovery',
-    description: 'MI-based fiber discovery is the automated Schank: both decompose domains into minimal independent subspaces. Identical fibers across datasets (Jaccard=1.0) prove primitives are real statistical invariants. Vocabulary/semantics distinction maps directly: fibers are vocabulary, target importance is semantics.',
-    tags: ['Schankian', 'mutual-information', 'fibers', 'primitives', 'hyperbolic', 'cross-domain', 'sisPCA'],
-    icon: '🔬',
-    gradient: 'from-emerald-500 to-teal-600',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '18 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-91c-recursive-terms-native-output',
-    title: 'Recursive Terms as Native Output',
-    description: 'Can a Mamba model learn to output recursive JSON where any argument slot can be an arbitrarily nested structure? Training on Schankian CD structures that naturally nest events inside events — if it works, the parser output IS a lambda term.',
-    tags: ['Schankian', 'recursive-json', 'mamba', 'lambda-calculus', 'semantic-parsing', 'hydra'],
-    icon: '🌿',
-    gradient: 'from-emerald-500 to-teal-600',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '12 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-41-attention-motifs',
-    title: 'Operators as Attention Motifs',
-    description: 'Schankian primitives may already exist inside transformers as characteristic multi-head attention patterns. Cluster attention motifs on event sentences to discover operators — connected to the N2123 vote counter finding.',
-    tags: ['Schankian', 'attention', 'mech-interp', 'operators', 'motifs', 'circuits'],
-    icon: '🎯',
-    gradient: 'from-rose-500 to-red-600',
-    shadowColor: 'shadow-rose-500/30',
-    glowColor: 'rgba(244, 63, 94, 0.4)',
-    readTime: '20 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-42b-negative-knowledge-binding-energy',
-    title: 'Negative Knowledge as Binding Energy',
-    description: 'What you don\'t know has a shape. Schankian primitives with unfilled slots ARE lambda terms with free variables. Binding energy = number of free slots = minimum questions to ask. Connects Schank\'s 1977 gap-filling to lambda calculus and information theory.',
-    tags: ['Schankian', 'lambda-calculus', 'knowledge-representation', 'information-theory', 'negative-knowledge'],
-    icon: '∅',
-    gradient: 'from-amber-500 to-orange-700',
-    shadowColor: 'shadow-amber-500/30',
-    glowColor: 'rgba(245, 158, 11, 0.4)',
-    readTime: '20 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-42-lambda-calculus-bridge',
-    title: 'Lambda Calculus as the Bridge Between Operator Discovery and SAE Features',
-    description: 'GPT-2 implements a lambda calculus over entity-state transformations. Operators are tensors in orthogonal SAE subspaces (14.4× separation). Partial application produces rank decrease (12/12). Future arguments = zero change. Mentalese has its own grammar with canonical argument order and case features.',
-    tags: ['Schankian', 'lambda-calculus', 'SAE', 'mech-interp', 'operators', 'partial-application', 'case-system'],
-    icon: 'λ',
-    gradient: 'from-violet-500 to-purple-700',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '30 min',
-    difficulty: 4,
-  },
-  {
-    id: 'brainstorm-92-routing-signatures',
-    title: 'Operator Discovery via Routing Signatures',
-    description: 'Knowledge neurons are routing neurons — the same 27 neurons appear for every fact (36.5× enrichment). Schankian operators should be discoverable as distinct routing configurations in the 7D consensus space.',
-    tags: ['Schankian', 'routing', 'knowledge-neurons', 'mech-interp', 'consensus', 'experimental'],
-    icon: '🛤️',
-    gradient: 'from-amber-500 to-orange-600',
-    shadowColor: 'shadow-amber-500/30',
-    glowColor: 'rgba(245, 158, 11, 0.4)',
-    readTime: '22 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-92b-primitive-granularity-gradient',
-    title: 'The Primitive Granularity Gradient',
-    description: 'SAE features at different layers encode Schankian primitives at different resolutions — sharp individual detectors at middle layers, family-level megafeatures at late layers. The network discovers meta-primitives that Schank never named.',
-    tags: ['Schankian', 'SAE', 'mech-interp', 'Hydra', 'granularity', 'empirical'],
-    icon: '🔬',
-    gradient: 'from-violet-500 to-purple-700',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '20 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-93-operator-universality-classes',
-    title: 'Operator Universality Classes',
-    description: 'When different event corpora (ATOMIC, GLUCOSE) are compressed under MDL, they converge on overlapping operator vocabularies — analogous to universality classes in statistical physics. Cross-corpus transfer with <1 bit/event degradation suggests semantic primitives are fixed points of compression, not dataset artifacts.',
-    tags: ['Schankian', 'MDL', 'universality', 'ATOMIC', 'GLUCOSE', 'cross-corpus', 'information-theory'],
-    icon: '🌐',
-    gradient: 'from-emerald-500 to-teal-700',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '18 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-96-inference-time-orchestration',
-    title: 'Operators as Inference-Time Orchestration Programs',
-    description: 'What if Schankian operators aren\'t inside the model? Inspired by dendritic diffusion\'s model-agnostic orchestration layer, this tutorial reframes operators as inference-time steering protocols — external programs that configure model behavior via activation steering, not internal representations to be discovered.',
-    tags: ['Schankian', 'dendritic-diffusion', 'inference-time', 'steering', 'activation-engineering'],
-    icon: '🎛️',
-    gradient: 'from-cyan-500 to-blue-600',
-    shadowColor: 'shadow-cyan-500/30',
-    glowColor: 'rgba(6, 182, 212, 0.4)',
-    readTime: '18 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-83-active-inference',
-    title: 'Active Inference Meets Schankian Operators',
-    description: 'Friston\'s Free Energy Principle maps directly onto Schankian operators: operators ARE event-level generative models, event boundaries ARE prediction error spikes, scripts ARE hierarchical predictions, and cross-entropy training IS free energy minimization.',
-    tags: ['Schankian', 'free-energy', 'active-inference', 'predictive-coding', 'Friston', 'theoretical'],
-    icon: '🧠',
-    gradient: 'from-violet-500 to-fuchsia-600',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '24 min',
-    difficulty: 4,
-  },
-  {
-    id: 'brainstorm-85-deeponet-operators',
-    title: 'DeepONet: Operators as Learned Functional Mappings',
-    description: 'Physics-informed neural operator architectures map perfectly onto Schankian semantic primitives. Branch=operator encoder, Trunk=entity encoder, dot product=application. Universal Approximation Theorem guarantees expressivity.',
-    tags: ['Schankian', 'deeponet', 'neural-operators', 'architecture', 'operator-learning'],
-    icon: '🔬',
-    gradient: 'from-cyan-500 to-blue-600',
-    shadowColor: 'shadow-cyan-500/30',
-    glowColor: 'rgba(6, 182, 212, 0.4)',
-    readTime: '18 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-94-concept-decoupling-cats-net',
-    title: 'Concept Decoupling as Operator Formation — The CATS Net Bridge',
-    description: 'How CATS Net\'s dual-module architecture maps to Schankian operator formation and application, bridging neuroscience and symbolic AI',
-    tags: ['CATS Net', 'concept formation', 'operators', 'Gärdenfors', 'architecture'],
-    icon: '🧩',
-    gradient: 'from-emerald-500 to-teal-600',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '18 min',
-    difficulty: 'intermediate',
-  },
-  {
-    id: 'brainstorm-47-semantic-renormalization',
-    title: 'Semantic Renormalization Group',
-    description: 'Schankian operators as RG fixed points — why different verbs across all languages converge to the same primitives under coarse-graining, just like physical universality classes.',
-    tags: ['Schankian', 'renormalization', 'physics', 'universality', 'coarse-graining'],
-    icon: '🔄',
-    gradient: 'from-rose-500 to-purple-600',
-    shadowColor: 'shadow-rose-500/30',
-    glowColor: 'rgba(244, 63, 94, 0.4)',
-    readTime: '25 min',
-    difficulty: 4,
-  },
-  {
-    id: 'brainstorm-72-resonator-networks',
-    title: 'Resonator Networks — VSA Operator Factorization',
-    description: 'How Vector Symbolic Architectures decompose event vectors into operator × agent × patient — codebook convergence IS Schankian primitive discovery.',
-    tags: ['Schankian', 'VSA', 'resonator', 'factorization', 'binding'],
-    icon: '📡',
-    gradient: 'from-cyan-500 to-blue-600',
-    shadowColor: 'shadow-cyan-500/30',
-    glowColor: 'rgba(6, 182, 212, 0.4)',
-    readTime: '30 min',
-    difficulty: 4,
-  },
-  {
-    id: 'thoughtblend',
-    title: 'ThoughtBlend',
-    description: 'Synthesize perspectives through dialectical color mixing — add sources as color swatches and blend them into structured text or dialogue',
-    tags: ['experimental', 'synthesis', 'dialectics'],
-    icon: '🎨',
-    gradient: 'from-teal-500 to-emerald-500',
-    shadowColor: 'shadow-teal-500/30',
-    glowColor: 'rgba(20, 184, 166, 0.4)',
-    readTime: '∞',
-    difficulty: 2,
-    isApp: true,
-  },
-  {
-    id: 'hungarian-basics',
-    title: 'Hungarian Language Basics',
-    description: 'An introduction to one of Europe\'s most unique languages — vowel harmony, agglutination, and essential phrases',
-    tags: ['languages', 'Hungarian', 'linguistics'],
-    icon: '🇭🇺',
-    gradient: 'from-red-500 to-green-600',
-    shadowColor: 'shadow-red-500/30',
-    glowColor: 'rgba(239, 68, 68, 0.4)',
-    readTime: '12 min',
-    difficulty: 1,
-  },
-  {
-    id: 'peptides',
-    title: 'Peptides: Building Blocks of Life',
-    description: 'Build peptide chains by linking amino acids together — watch dehydration synthesis and learn protein structure',
-    tags: ['biology', 'biochemistry', 'fundamentals'],
-    icon: '🧬',
-    gradient: 'from-emerald-500 to-cyan-500',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '10 min',
-    difficulty: 1,
-    isApp: true,
-  },
-  {
-    id: 'peptides-tutorial',
-    title: 'Peptides: The Molecular Alphabet',
-    description: 'Comprehensive guide to amino acids, peptide bonds, and protein structure — from 20 building blocks to 100,000+ proteins',
-    tags: ['biology', 'biochemistry', 'proteins'],
-    icon: '🧬',
-    gradient: 'from-emerald-500 to-cyan-500',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '15 min',
-    difficulty: 2,
-  },
-  {
-    id: 'how-peptides-can-be-used-in-a-way-that-resembles-p',
-    title: 'Therapeutic Peptides: Nature\'s Precision Medicine',
-    description: 'How peptides function as targeted pharmaceuticals to heal and regulate critical body processes',
-    tags: ['biology', 'biochemistry', 'therapeutics'],
-    icon: '💊',
-    gradient: 'from-violet-500 to-fuchsia-500',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '8 min',
-    difficulty: 2,
-  },
-  {
-    id: 'category-theory',
-    title: 'Category Theory',
-    description: 'The mathematics of composition — from objects and morphisms to semantic operators and narrative coherence',
-    tags: ['math', 'category-theory', 'schankian'],
-    icon: '🔀',
-    gradient: 'from-violet-500 to-purple-600',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '35 min',
-    difficulty: 3,
-  },
-  {
-    id: 'dict-learning-embeddings',
-    title: 'Dictionary Learning for Word Embeddings',
-    description: 'How sparse coding reveals the hidden structure of word vectors — from visual cortex to language, a direct ancestor of SAEs',
-    tags: ['embeddings', 'dictionary learning', 'sparse coding', 'interpretability'],
-    icon: '📖',
-    gradient: 'from-emerald-500 to-teal-600',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '18 min',
-    difficulty: 2,
-  },
-  {
-    id: 'transformer-dict-learning',
-    title: 'Transformer Factors: The SAE Origin Story',
-    description: 'Dictionary learning on transformer hidden states reveals interpretable factors — the direct intellectual ancestor of modern SAEs',
-    tags: ['transformers', 'dictionary learning', 'SAE', 'interpretability', 'superposition'],
-    icon: '🔬',
-    gradient: 'from-rose-500 to-pink-600',
-    shadowColor: 'shadow-rose-500/30',
-    glowColor: 'rgba(244, 63, 94, 0.4)',
-    readTime: '20 min',
-    difficulty: 3,
-  },
-  {
-    id: 'why-networks-dont-collapse',
-    title: "Why Neural Networks Don't Collapse Into a Single Matrix",
-    description: "The geometry of nonlinearity — how activation functions fold space, break linearity, and make depth meaningful. From the collapse theorem to origami to transformers.",
-    tags: ['neural networks', 'linear algebra', 'activation functions', 'ReLU', 'deep learning', 'fundamentals'],
-    icon: '🫧',
-    gradient: 'from-rose-500 to-violet-600',
-    shadowColor: 'shadow-rose-500/30',
-    glowColor: 'rgba(244, 63, 94, 0.4)',
-    readTime: '25 min',
-    difficulty: 1,
-    featured: true,
-  },
-  {
-    id: 'reverse-engineering-a-prediction',
-    title: 'Reverse-Engineering a GPT-2 Prediction',
-    description: 'A forensic investigation tracing how GPT-2 predicts the next token after "The cat sat on the mat" — with real numbers from every layer, attention head, and MLP.',
-    tags: ['GPT-2', 'mechanistic interpretability', 'TransformerLens', 'transformers'],
-    icon: '🔍',
-    gradient: 'from-red-500 to-orange-600',
-    shadowColor: 'shadow-red-500/30',
-    glowColor: 'rgba(239, 68, 68, 0.4)',
-    readTime: '25 min',
-    difficulty: 2,
-    featured: true,
-  },
-  {
-    id: 'from-matrices-to-functions',
-    title: 'From Matrices to Functions: What If Neural Networks Used Richer Math?',
-    description: 'Why matrices can\'t capture nonlinear maps, functions as ultimate compression, weights as parameters not data, KANs, structured matrices, and the frontier of richer mathematical primitives.',
-    tags: ['neural networks', 'linear algebra', 'kernel methods', 'KAN', 'Fourier', 'compression', 'deep learning'],
-    icon: '🔬',
-    gradient: 'from-indigo-500 to-violet-600',
-    shadowColor: 'shadow-indigo-500/30',
-    glowColor: 'rgba(99, 102, 241, 0.4)',
-    readTime: '30 min',
-    difficulty: 2,
-    featured: true,
-  },
-  {
-    id: 'word2sense',
-    title: 'Word2Sense: Interpretable by Design',
-    description: 'What if every dimension of a word embedding corresponded to a specific meaning? Sparse, non-negative, and readable.',
-    tags: ['embeddings', 'interpretability', 'LDA', 'sparse'],
-    icon: '💡',
-    gradient: 'from-yellow-500 to-amber-600',
-    shadowColor: 'shadow-yellow-500/30',
-    glowColor: 'rgba(234, 179, 8, 0.4)',
-    readTime: '16 min',
-    difficulty: 2,
-  },
-  {
-    id: 'brainstorm-98-grammar-protocol-layers',
-    title: 'Grammar Tags as Protocol Layers',
-    description: 'How symbolic grammar tags create inspectable interfaces between neural modules — from Stack-SSM to Grammar-Mamba',
-    tags: ['grammar', 'protocol', 'modularity', 'mamba', 'syntax'],
-    icon: '🔌',
-    gradient: 'from-teal-500 to-cyan-500',
-    shadowColor: 'shadow-teal-500/25',
-    glowColor: 'teal',
-    readTime: '15 min',
-    difficulty: 2,
-  },
-  {
-    id: 'brainstorm-99-kolmogorov-event-cognition',
-    title: 'The Kolmogorov Complexity of Event Cognition',
-    description: 'Why compression rediscovers Schank\'s primitives — MDL, wake-sleep discovery, and what data-driven operators reveal that hand-crafted ones missed',
-    tags: ['kolmogorov-complexity', 'MDL', 'compression', 'operators', 'wake-sleep', 'event-cognition'],
-    icon: '📦',
-    gradient: 'from-amber-500 to-orange-600',
-    shadowColor: 'shadow-amber-500/25',
-    glowColor: 'amber',
-    readTime: '18 min',
-    difficulty: 2,
-  },
-  {
-    id: 'brainstorm-100-operator-params-distributions',
-    title: 'Operator Parameters as Evolved Distributions',
-    description: 'Unifying symbolic regression, probabilistic programming, and evolutionary algorithms — the three-layer language of thought',
-    tags: ['operators', 'probabilistic-programming', 'evolutionary-algorithms', 'symbolic-regression', 'webppl'],
-    icon: '🧬',
-    gradient: 'from-purple-500 to-pink-500',
-    shadowColor: 'shadow-purple-500/25',
-    glowColor: 'purple',
-    readTime: '25 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-82-compression-codebook-consolidation',
-    title: 'Operators as the Compression Codebook for Memory Consolidation',
-    description: 'Why Schankian primitives are the schemas that make sleep learning possible — connecting operator libraries to neuroscience of memory consolidation.',
-    tags: ['Schankian', 'memory consolidation', 'compression', 'sleep', 'neuroscience'],
-    icon: '🌙',
-    gradient: 'from-indigo-500 to-violet-600',
-    shadowColor: 'shadow-indigo-500/30',
-    glowColor: 'rgba(99, 102, 241, 0.4)',
-    readTime: '22 min',
-    difficulty: 3,
-  },
-  {
-    id: 'modal-lambda-knowledge-store',
-    title: 'Lambda Calculus as a Knowledge Store: Possible Worlds for AI Memory',
-    description: 'What if AI could tell the difference between facts, fiction, beliefs, and hypotheticals? A working prototype using lambda calculus and modal logic for structured memory with possible worlds.',
-    tags: ['lambda calculus', 'knowledge representation', 'modal logic', 'AI memory'],
-    icon: 'λ',
-    gradient: 'from-violet-500 to-indigo-600',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '25 min',
-    difficulty: 3,
-    featured: true,
-  },
-  {
-    id: 'compression-discovers-cognition',
-    title: "Compression Discovers Cognition: How MDL Rediscovers Schank's Primitives",
-    description: 'How Minimum Description Length pressure in a wake-sleep loop independently recovers Schankian primitives from event data.',
-    tags: ['Schankian', 'MDL', 'compression', 'wake-sleep'],
-    icon: '🗜️',
-    gradient: 'from-amber-500 to-orange-600',
-    shadowColor: 'shadow-amber-500/30',
-    glowColor: 'rgba(245, 158, 11, 0.4)',
-    readTime: '20 min',
-    difficulty: 3,
-  },
-  {
-    id: 'mamba-state-space-models',
-    title: 'Mamba: The Selective Memory Machine',
-    description: 'How state-space models with selective mechanisms achieve transformer-quality results at linear complexity.',
-    tags: ['architecture', 'SSM', 'Mamba', 'sequence modeling'],
-    icon: '🐍',
-    gradient: 'from-emerald-500 to-teal-600',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '25 min',
-    difficulty: 2,
-    featured: true,
-  },
-  {
-    id: 'holographic-reduced-representations',
-    title: 'Holographic Reduced Representations',
-    description: 'Bind ideas together with circular convolution, unbind them with correlation. Fixed-size vectors that encode structured knowledge — and why Mamba\'s complex diagonal A-matrix is secretly doing the same operation.',
-    tags: ['HRR', 'circular convolution', 'binding', 'SSM', 'Mamba', 'knowledge representation'],
-    icon: '🔮',
-    gradient: 'from-violet-500 to-purple-600',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '25 min',
-    difficulty: 3,
-  },
-  {
-    id: 'holographic-residual-stream',
-    title: 'The Holographic Residual Stream',
-    description: 'How the residual stream encodes information holographically — every position contains a compressed version of the whole.',
-    tags: ['transformers', 'residual stream', 'holographic', 'interpretability'],
-    icon: '🌈',
-    gradient: 'from-purple-500 to-fuchsia-600',
-    shadowColor: 'shadow-purple-500/30',
-    glowColor: 'rgba(168, 85, 247, 0.4)',
-    readTime: '20 min',
-    difficulty: 3,
-  },
-  {
-    id: 'sae-semantic-attractors',
-    title: 'SAE Features as Semantic Attractors',
-    description: 'How sparse autoencoder features act as basins of attraction in meaning space — pulling nearby representations toward stable interpretations.',
-    tags: ['SAE', 'semantic', 'attractors', 'interpretability'],
-    icon: '🧲',
-    gradient: 'from-rose-500 to-red-600',
-    shadowColor: 'shadow-rose-500/30',
-    glowColor: 'rgba(244, 63, 94, 0.4)',
-    readTime: '20 min',
-    difficulty: 3,
-  },
-  {
-    id: 'tensor-products-for-humans',
-    title: 'Tensor Products for Humans',
-    description: 'Demystifying tensor products with visual intuition — from outer products to binding operations in neural networks.',
-    tags: ['linear algebra', 'tensors', 'fundamentals'],
-    icon: '⊗',
-    gradient: 'from-indigo-500 to-blue-600',
-    shadowColor: 'shadow-indigo-500/30',
-    glowColor: 'rgba(99, 102, 241, 0.4)',
-    readTime: '20 min',
-    difficulty: 2,
-  },
-  {
-    id: 'mining-sae-operators',
-    title: 'Mining SAE Dictionaries for Schankian Operators',
-    description: 'Searching Anthropic\'s 34M monosemantic features for Schankian primitives — a shortcut to validating the operator hypothesis.',
-    tags: ['SAE', 'operators', 'Schank', 'mechanistic interpretability'],
-    icon: '⛏️',
-    gradient: 'from-amber-500 to-yellow-600',
-    shadowColor: 'shadow-amber-500/30',
-    glowColor: 'rgba(245, 158, 11, 0.4)',
-    readTime: '20 min',
-    difficulty: 3,
-  },
-  {
-    id: 'beam-search-interpretation',
-    title: 'Beam Search on Meaning: How Minds and Machines Resolve Ambiguity',
-    description: 'How beam search algorithms parallel human sentence processing — maintaining multiple interpretations until disambiguation.',
-    tags: ['parsing', 'psycholinguistics', 'beam search'],
-    icon: '🔦',
-    gradient: 'from-sky-500 to-blue-600',
-    shadowColor: 'shadow-sky-500/30',
-    glowColor: 'rgba(14, 165, 233, 0.4)',
-    readTime: '20 min',
-    difficulty: 2,
-  },
-  {
-    id: 'diffusion-01-denoising-basics',
-    title: 'Text Diffusion I: The Art of Controlled Destruction',
-    description: 'Understanding diffusion from first principles — the forward process, noise schedules, and why destroying is the first step to creating.',
-    tags: ['diffusion', 'text generation', 'fundamentals'],
-    icon: '💨',
-    gradient: 'from-blue-500 to-indigo-600',
-    shadowColor: 'shadow-blue-500/30',
-    glowColor: 'rgba(59, 130, 246, 0.4)',
-    readTime: '20 min',
-    difficulty: 2,
-  },
-  {
-    id: 'diffusion-02-pixels-to-words',
-    title: 'Text Diffusion II: From Pixels to Words',
-    description: 'The challenges of moving diffusion from continuous pixel space to discrete token space.',
-    tags: ['diffusion', 'text generation'],
-    icon: '🖼️',
-    gradient: 'from-blue-500 to-indigo-600',
-    shadowColor: 'shadow-blue-500/30',
-    glowColor: 'rgba(59, 130, 246, 0.4)',
-    readTime: '20 min',
-    difficulty: 2,
-  },
-  {
-    id: 'diffusion-03-three-approaches',
-    title: 'Text Diffusion III: Three Roads to Denoising Text',
-    description: 'Comparing the major approaches to text diffusion — continuous embeddings, discrete corruption, and masked diffusion.',
-    tags: ['diffusion', 'text generation'],
-    icon: '🛤️',
-    gradient: 'from-blue-500 to-indigo-600',
-    shadowColor: 'shadow-blue-500/30',
-    glowColor: 'rgba(59, 130, 246, 0.4)',
-    readTime: '20 min',
-    difficulty: 3,
-  },
-  {
-    id: 'diffusion-04-brownian-bridge',
-    title: 'Text Diffusion IV: The Brownian Bridge — Why Endpoints Change Everything',
-    description: 'How conditioning diffusion on both start and end points creates controllable text transformations.',
-    tags: ['diffusion', 'Brownian bridge', 'text generation'],
-    icon: '🌉',
-    gradient: 'from-blue-500 to-purple-600',
-    shadowColor: 'shadow-blue-500/30',
-    glowColor: 'rgba(59, 130, 246, 0.4)',
-    readTime: '20 min',
-    difficulty: 3,
-  },
-  {
-    id: 'predictive-coding-free-energy',
-    title: 'Predictive Coding Under the Free-Energy Principle',
-    description: 'Friston\'s theory of the brain as a prediction machine — minimizing surprise through hierarchical generative models.',
-    tags: ['neuroscience', 'predictive coding', 'Friston', 'free energy'],
-    icon: '🧠',
-    gradient: 'from-purple-500 to-pink-600',
-    shadowColor: 'shadow-purple-500/30',
-    glowColor: 'rgba(168, 85, 247, 0.4)',
-    readTime: '25 min',
-    difficulty: 3,
-  },
-  {
-    id: 'sausage-machine-parsing',
-    title: 'The Sausage Machine: How Your Brain Parses Sentences',
-    description: 'Frazier\'s garden-path theory of human sentence processing — and why some sentences make your brain stumble.',
-    tags: ['psycholinguistics', 'parsing', 'Frazier'],
-    icon: '🌭',
-    gradient: 'from-orange-500 to-red-600',
-    shadowColor: 'shadow-orange-500/30',
-    glowColor: 'rgba(249, 115, 22, 0.4)',
-    readTime: '20 min',
-    difficulty: 2,
-  },
-  {
-    id: 'surprisal-theory-levy',
-    title: 'Surprisal Theory: Why Some Words Stop You in Your Tracks',
-    description: 'How information-theoretic surprise predicts reading times — the elegant link between probability and processing difficulty.',
-    tags: ['psycholinguistics', 'information theory', 'surprisal'],
-    icon: '😮',
-    gradient: 'from-rose-500 to-pink-600',
-    shadowColor: 'shadow-rose-500/30',
-    glowColor: 'rgba(244, 63, 94, 0.4)',
-    readTime: '20 min',
-    difficulty: 2,
-  },
-  {
-    id: 'probabilistic-parsing-jurafsky',
-    title: "Probabilistic Parsing: Your Brain's Betting System",
-    description: 'How the brain uses probabilistic cues to parse sentences in real time — frequency, context, and competition.',
-    tags: ['psycholinguistics', 'parsing', 'probabilistic'],
-    icon: '🎲',
-    gradient: 'from-violet-500 to-indigo-600',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '20 min',
-    difficulty: 2,
-  },
-  {
-    id: 'competition-model-bates',
-    title: 'The Competition Model: How Languages Fight Over Meaning',
-    description: 'Bates and MacWhinney\'s theory that language processing is a competition between cues — and why different languages weight cues differently.',
-    tags: ['psycholinguistics', 'competition model', 'cross-linguistic'],
-    icon: '⚔️',
-    gradient: 'from-red-500 to-orange-600',
-    shadowColor: 'shadow-red-500/30',
-    glowColor: 'rgba(239, 68, 68, 0.4)',
-    readTime: '20 min',
-    difficulty: 2,
-  },
-  {
-    id: 'complexity-metrics-cheung-kemper',
-    title: 'Measuring Sentence Complexity: Yngve Depth and Frazier Count',
-    description: 'Two classic metrics for quantifying syntactic complexity — and why they disagree in interesting ways.',
-    tags: ['psycholinguistics', 'complexity', 'parsing'],
-    icon: '📏',
-    gradient: 'from-teal-500 to-cyan-600',
-    shadowColor: 'shadow-teal-500/30',
-    glowColor: 'rgba(20, 184, 166, 0.4)',
-    readTime: '20 min',
-    difficulty: 2,
-  },
-  {
-    id: 'either-or-prediction-staub-clifton',
-    title: 'Either...Or: How One Word Changes Everything',
-    description: 'How correlative conjunctions create strong predictions — and what happens when those predictions are violated.',
-    tags: ['psycholinguistics', 'prediction', 'parsing'],
-    icon: '⚖️',
-    gradient: 'from-amber-500 to-orange-600',
-    shadowColor: 'shadow-amber-500/30',
-    glowColor: 'rgba(245, 158, 11, 0.4)',
-    readTime: '18 min',
-    difficulty: 2,
-  },
-  {
-    id: 'fodor-learning-to-parse',
-    title: 'Learning to Parse: Prosody, Weight, and the Sausage Machine Revisited',
-    description: 'How children learn parsing strategies from prosodic cues and constituent weight — Fodor\'s updated theory.',
-    tags: ['psycholinguistics', 'parsing', 'prosody', 'acquisition'],
-    icon: '🎵',
-    gradient: 'from-indigo-500 to-violet-600',
-    shadowColor: 'shadow-indigo-500/30',
-    glowColor: 'rgba(99, 102, 241, 0.4)',
-    readTime: '20 min',
-    difficulty: 3,
-  },
-  {
-    id: 'hagoort-unification-model',
-    title: "Hagoort's Unification Model and the N400/P600 Dissociation",
-    description: 'How the brain dissociates semantic (N400) and syntactic (P600) processing — and what it means for language architecture.',
-    tags: ['neurolinguistics', 'ERP', 'N400', 'P600', 'unification'],
-    icon: '⚡',
-    gradient: 'from-yellow-500 to-amber-600',
-    shadowColor: 'shadow-yellow-500/30',
-    glowColor: 'rgba(234, 179, 8, 0.4)',
-    readTime: '22 min',
-    difficulty: 3,
-  },
-  {
-    id: 'local-coherence-kukona',
-    title: "Local Coherence: When Words Don't Listen to Context",
-    description: 'How local word associations can override global sentence meaning — and what this tells us about parallel processing.',
-    tags: ['psycholinguistics', 'coherence', 'parsing'],
-    icon: '🔗',
-    gradient: 'from-emerald-500 to-teal-600',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '18 min',
-    difficulty: 2,
-  },
-  {
-    id: 'phillips-three-benchmarks',
-    title: 'Three Benchmarks: The Test Every Parsing Theory Must Pass',
-    description: 'Phillips\' three challenges for any theory of human sentence processing — incrementality, prediction, and reanalysis.',
-    tags: ['psycholinguistics', 'benchmarks', 'parsing'],
-    icon: '✅',
-    gradient: 'from-green-500 to-emerald-600',
-    shadowColor: 'shadow-green-500/30',
-    glowColor: 'rgba(34, 197, 94, 0.4)',
-    readTime: '20 min',
-    difficulty: 2,
-  },
-  {
-    id: 'thematic-role-prediction-altmann',
-    title: 'Thematic Role Prediction: How Verbs Set the Table',
-    description: 'How verbs create expectations about upcoming arguments — and how the brain uses these predictions in real-time processing.',
-    tags: ['psycholinguistics', 'thematic roles', 'prediction'],
-    icon: '🍽️',
-    gradient: 'from-cyan-500 to-blue-600',
-    shadowColor: 'shadow-cyan-500/30',
-    glowColor: 'rgba(6, 182, 212, 0.4)',
-    readTime: '20 min',
-    difficulty: 2,
-  },
-  {
-    id: 'verb-sense-subcat-roland-jurafsky',
-    title: 'Verb Sense and Subcategorization: Why "Worry" Worries Differently',
-    description: 'How verb senses predict different argument structures — and what this means for parsing and generation.',
-    tags: ['psycholinguistics', 'verbs', 'subcategorization'],
-    icon: '📖',
-    gradient: 'from-teal-500 to-emerald-600',
-    shadowColor: 'shadow-teal-500/30',
-    glowColor: 'rgba(20, 184, 166, 0.4)',
-    readTime: '20 min',
-    difficulty: 2,
-  },
-  {
-    id: 'implicit-explicit-enrichment',
-    title: 'Implicit-Explicit Document Enrichment',
-    description: 'Making the invisible visible — enriching documents with explicit annotations of implied information.',
-    tags: ['NLP', 'enrichment', 'annotation'],
-    icon: '📝',
-    gradient: 'from-slate-500 to-gray-600',
-    shadowColor: 'shadow-slate-500/30',
-    glowColor: 'rgba(100, 116, 139, 0.4)',
-    readTime: '20 min',
-    difficulty: 2,
-  },
-  {
-    id: 'inner-product-unification',
-    title: 'The Shadow on the Wall: How One Operation Connects Everything',
-    description: 'How the inner product unifies projection, similarity, attention, and quantum measurement — one operation to rule them all.',
-    tags: ['linear algebra', 'inner product', 'unification'],
-    icon: '🔮',
-    gradient: 'from-violet-500 to-purple-600',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '22 min',
-    difficulty: 2,
-  },
-  {
-    id: 'kernel-arithmetic-with-matrices',
-    title: 'Kernel Arithmetic with Matrices',
-    description: 'How kernel methods lift linear operations into infinite-dimensional feature spaces — making nonlinear problems linear.',
-    tags: ['linear algebra', 'kernels', 'matrices'],
-    icon: '🔢',
-    gradient: 'from-indigo-500 to-blue-600',
-    shadowColor: 'shadow-indigo-500/30',
-    glowColor: 'rgba(99, 102, 241, 0.4)',
-    readTime: '22 min',
-    difficulty: 3,
-  },
-  {
-    id: 'vector-transformations-tour',
-    title: 'Beyond Linear: A Whirlwind Tour of Vector Transformations & Projections',
-    description: 'Interactive exploration of rotations, reflections, projections, and nonlinear transformations in 2D and 3D.',
-    tags: ['linear algebra', 'transformations', 'visualization'],
-    icon: '🎢',
-    gradient: 'from-pink-500 to-rose-600',
-    shadowColor: 'shadow-pink-500/30',
-    glowColor: 'rgba(236, 72, 153, 0.4)',
-    readTime: '20 min',
-    difficulty: 2,
-  },
-  {
-    id: 'transformerlens-explained-simply-at-first-eli5-eli',
-    title: 'TransformerLens: Your X-Ray Vision into AI Models',
-    description: 'The simplest possible introduction to TransformerLens — hook into any layer, read any activation, understand any prediction.',
-    tags: ['mechanistic interpretability', 'TransformerLens', 'ELI5'],
-    icon: '🔬',
-    gradient: 'from-violet-500 to-purple-600',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '15 min',
-    difficulty: 1,
-  },
-  {
-    id: 'dgoim-modal-knowledge-store',
-    title: 'Token-Guided AI Memory: From Lambda Calculus to Modal Knowledge Stores',
-    description: 'How a graph-rewriting abstract machine from proof theory gives AI systems structured, provenance-tracked memory with beliefs, fiction, and uncertainty.',
-    tags: ['lambda calculus', 'geometry of interaction', 'knowledge representation', 'AI memory', 'modal logic'],
-    icon: '🧠',
-    gradient: 'from-emerald-500 to-teal-600',
-    shadowColor: 'rgba(16, 185, 129, 0.3)',
-    glowColor: 'rgba(16, 185, 129, 0.15)',
-    readTime: '45 min',
-    difficulty: 3,
-    featured: true,
-  },
-  {
-    id: 'brainstorm-46-persistent-homology-operators',
-    title: 'Persistent Homology of Operator Spaces',
-    description: 'Apply topological data analysis to learned Schankian operator embeddings. Persistence barcodes give coordinate-free fingerprints — simpler barcodes = more primitive operators. Cross-lingual comparison without embedding alignment.',
-    tags: ['persistent homology', 'TDA', 'Betti numbers', 'barcodes', 'topology', 'operators', 'cross-lingual'],
-    icon: '🕸️',
-    gradient: 'from-violet-500 to-purple-700',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '24 min',
-    difficulty: 4,
-  },
-  {
-    id: 'brainstorm-102-epistemic-regress',
-    title: 'The Epistemic Regress of Operator Discovery',
-    description: 'How epistemology\'s oldest problem — the infinite justification chain — maps onto Schankian operator discovery. Russell\'s acquaintance/description distinction provides foundations that stop the regress.',
-    tags: ['epistemology', 'foundationalism', 'Russell', 'symbol grounding', 'Gettier', 'operators'],
-    icon: '🏛️',
-    gradient: 'from-amber-500 to-orange-600',
-    shadowColor: 'shadow-amber-500/30',
-    glowColor: 'rgba(245, 158, 11, 0.4)',
-    readTime: '22 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-103-eigenverbs',
-    title: 'Eigenverbs: Spectral Decomposition of Narrative Transitions',
-    description: 'What if Schank\'s primitives aren\'t types of events but the principal AXES of world-state change? Build a transition matrix from narrative triples, eigendecompose it, and the spectral gap predicts primitive count.',
-    tags: ['eigenvalues', 'PCA', 'transition matrices', 'Markov chains', 'spectral gap', 'narrative'],
-    icon: '🌈',
-    gradient: 'from-violet-500 to-fuchsia-600',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '18 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-104-fixed-points-reflexive-decomposition',
-    title: 'Primitives as Fixed Points of Reflexive Decomposition',
-    description: 'Apply a decomposition operator to itself — what survives unchanged IS primitive. Lawvere\'s 1969 theorem guarantees these exist. ATRANS(ATRANS)=ATRANS. A constructive algorithm for discovering primitives without corpus analysis.',
-    tags: ['Lawvere', 'fixed points', 'category theory', 'self-reference', 'reflexivity', 'HRR'],
-    icon: '🔄',
-    gradient: 'from-emerald-500 to-teal-600',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '12 min',
-    difficulty: 4,
-  },
-  {
-    title: 'Routing Programs as Primitive Selectors',
-    description: 'Is the MLP exception handler a Schankian dispatcher? The 27-neuron routing program in GPT-2 may literally select which conceptual primitive applies to each token — connecting mech interp to cognitive science.',
-    tags: ['mechanistic interpretability', 'Schankian primitives', 'MLP routing', 'transformers', 'Hydra'],
-    icon: '🔀',
-    gradient: 'from-rose-500 to-red-600',
-    shadowColor: 'shadow-rose-500/30',
-    glowColor: 'rgba(244, 63, 94, 0.4)',
-    readTime: '15 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-88-operator-remapping-place-cells',
-    title: 'Operator Remapping: Primitives as Place Cells',
-    description: 'Hippocampal place cells remap when context changes — what if Schankian primitives do the same? ATRANS in a courtroom has different argument structure, temporal profile, and inference chain than ATRANS on a playground. Same topological role, different geometry.',
-    tags: ['neuroscience', 'Schankian primitives', 'manifold theory', 'Hydra', 'cognitive maps'],
-    icon: '🧠',
-    gradient: 'from-emerald-500 to-teal-600',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '30 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-89-consensus-typed-failure',
-    title: 'Consensus as Typed Expectation Failure',
-    description: 'The 7 consensus neurons in GPT-2 decompose scalar surprisal into a 7-bit typed failure fingerprint — structurally implementing Schank\'s failure-driven memory. Different dropout patterns identify different KINDS of expectation failure, predicting different Schankian repair primitives.',
-    tags: ['mechanistic interpretability', 'Schankian primitives', 'event segmentation', 'consensus neurons'],
-    icon: '🔔',
-    gradient: 'from-amber-500 to-orange-600',
-    shadowColor: 'shadow-amber-500/30',
-    glowColor: 'rgba(245, 158, 11, 0.4)',
-    readTime: '18 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-90-trajectory-dissociation-operator-freezing',
-    title: 'Trajectory Dissociation as Operator Freezing',
-    description: 'Why does AI text feel "correct but lifeless"? Because the model is FROZEN on the meaning manifold — it can generate fluent words but never switches between Schankian operators. Connects fiber bundle geometry, event segmentation, and the dual-mechanism theory of event boundaries.',
-    tags: ['Schankian primitives', 'event segmentation', 'fiber bundles', 'trajectory analysis'],
-    icon: '🧊',
-    gradient: 'from-cyan-500 to-blue-600',
-    shadowColor: 'shadow-cyan-500/30',
-    glowColor: 'rgba(6, 182, 212, 0.4)',
-    readTime: '20 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-62-operators-conservation-laws',
-    title: 'Operators as Conservation Laws',
-    description: 'Schankian operators are conservation laws: ATRANS conserves possession, MTRANS breaks conservation (info copies). The taxonomy derives purely from the algebraic structure of state diffs. Connects operator discovery to write-time knowledge graph constraints via Noether\'s theorem.',
-    tags: ['Schankian primitives', 'conservation laws', 'knowledge graphs', 'write-time constraints', 'Noether'],
-    icon: '⚖️',
-    gradient: 'from-amber-500 to-orange-600',
-    shadowColor: 'shadow-amber-500/30',
-    glowColor: 'rgba(245, 158, 11, 0.4)',
-    readTime: '14 min',
-    difficulty: 2,
-  },
-  {
-    id: 'brainstorm-63-primitives-transition-matrices',
-    title: 'Primitives as Structured Transition Matrices',
-    description: 'Schankian primitives as PD-SSM transition matrices: each operator is a (P,D) pair routing state to specific channels. Connects Hydra timescale partitions, operator discovery, and persistent knowledge stores through one mechanism.',
-    tags: ['Schankian primitives', 'PD-SSM', 'state space models', 'transition matrices', 'Hydra', 'knowledge store'],
-    icon: '🔀',
-    gradient: 'from-cyan-500 to-blue-600',
-    shadowColor: 'shadow-cyan-500/30',
-    glowColor: 'rgba(6, 182, 212, 0.4)',
-    readTime: '18 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-64-cognitive-pharmacophores',
-    title: 'Cognitive Pharmacophores: Meaning Primitives as Functional Groups',
-    description: 'Schankian primitives are to event cognition what pharmacophores are to drug design: the minimal functional features that determine activity regardless of scaffold. Scaffold-hopping in chemistry = paraphrase in language. MDL compression discovers both.',
-    tags: ['Schankian primitives', 'pharmacophore', 'HRR', 'scaffold-hopping', 'drug discovery', 'MDL compression'],
-    icon: '💊',
-    gradient: 'from-rose-500 to-pink-600',
-    shadowColor: 'shadow-rose-500/30',
-    glowColor: 'rgba(244, 63, 94, 0.4)',
-    readTime: '15 min',
-    difficulty: 2,
-  },
-  {
-    id: 'brainstorm-65-operator-half-lives',
-    title: 'Operators Have Half-Lives',
-    description: 'Schankian primitives differ not just in what they change, but how long their effects persist. ATRANS is permanent, PTRANS semi-permanent, MTRANS ephemeral, MBUILD volatile. These temporal signatures map directly onto SSM decay rates — and are measurable in SAE features.',
-    tags: ['Schankian primitives', 'half-life', 'temporal decay', 'Mamba SSM', 'A matrix', 'fiber envelopes', 'Hydra'],
-    icon: '☢️',
-    gradient: 'from-amber-500 to-orange-600',
-    shadowColor: 'shadow-amber-500/30',
-    glowColor: 'rgba(245, 158, 11, 0.4)',
-    readTime: '15 min',
-    difficulty: 2,
-  },
-  {
-    id: 'brainstorm-94-conceptual-spaces-geometry',
-    title: 'Conceptual Spaces Meet Schankian Primitives',
-    description: 'Gärdenfors decomposes events into geometric vectors (agent, force, patient, result). Schank partitions the same space into discrete primitives. Wake-sleep discovers the Voronoi tessellation connecting them — primitives are centroids in conceptual space.',
-    tags: ['Gärdenfors', 'conceptual spaces', 'Voronoi', 'Schankian primitives', 'image schemas', 'Lakoff', 'Hydra'],
-    icon: '🌐',
-    gradient: 'from-violet-500 to-purple-600',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '18 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-operator-motifs-causal',
-    title: 'Operator Motifs as Causal Contribution Patterns',
-    description: 'Can behavioral compression (wake-sleep) and mechanistic decomposition (CODEC/SAE) converge on the same Schankian primitives from opposite directions? If so, operators are real computational structures, not just labels.',
-    tags: ['Schankian primitives', 'SAE', 'CODEC', 'causal motifs', 'convergent evidence'],
-    icon: '🔬',
-    gradient: 'from-emerald-500 to-teal-600',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '14 min',
-    difficulty: 3,
-  },
-  {
-    id: 'sgd-to-spectra-weight-dynamics',
-    title: 'From SGD to Spectra: Weight Matrix Dynamics',
-    description: 'A weight matrix is a fuzzy hashmap — but what SHAPE is the hashmap? How training sculpts the spectrum of singular values, why eigenvalues repel like charged particles, and what the bulk+tail structure tells you about learning. Based on Fatehmanesh et al. (2025).',
-    tags: ['linear algebra', 'training dynamics', 'random matrix theory', 'transformers'],
-    icon: '📊',
-    gradient: 'from-violet-500 to-purple-600',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '35 min',
-    difficulty: 2,
-  },
-  {
-    id: 'brainstorm-56-zipfian-gorilla',
-    title: 'The Zipfian Gorilla',
-    description: 'Why dominant signals colonize shared resources — frequency bias in primitive discovery and beyond',
-    tags: ['Schankian Primitives', 'Compression', 'Zipf\'s Law', 'Training Bias'],
-    icon: '🦍',
-    gradient: 'from-amber-500 to-orange-600',
-    shadowColor: 'shadow-amber-500/25',
-    glowColor: 'amber',
-    readTime: '12 min',
-    difficulty: 'Intermediate'
-  },
-  {
-    id: 'brainstorm-58b-aspectual-decay',
-    title: 'Aspectual Decay: Primitive Timescales Meet SSM Memory',
-    description: 'How Schankian primitives have characteristic temporal profiles that map to SSM decay rates',
-    tags: ['Schank', 'SSM', 'Aspect', 'Mamba', 'Decay'],
-    icon: '⏳',
-    gradient: 'from-amber-500 to-orange-600',
-    shadowColor: 'shadow-amber-500/25',
-    glowColor: 'group-hover:shadow-amber-500/40',
-    readTime: '12 min',
-    difficulty: 'Intermediate'
-  },
-  {
-    id: 'brainstorm-60-polysemy-operator-superposition',
-    title: 'Polysemy IS Operator Superposition',
-    description: 'Why 57% of "polysemanticity" is actually Schankian operator structure. The superposition debate meets computational semantics — and both communities are studying the same phenomenon.',
-    tags: ['Superposition', 'SAE', 'Polysemy', 'Schank', 'Interpretability'],
-    icon: '🔀',
-    gradient: 'from-violet-500 to-fuchsia-600',
-    shadowColor: 'shadow-violet-500/25',
-    glowColor: 'group-hover:shadow-violet-500/40',
-    readTime: '16 min',
-    difficulty: 'Advanced'
-  },
-  {
-    id: 'brainstorm-59b-gradient-stability-primitiveness',
-    title: 'Gradient Stability as Primitiveness',
-    description: 'Why primitive operators live in flat loss landscapes and surface patterns explode into NaN. The edge-of-stability test for semantic abstraction.',
-    tags: ['Schank', 'Loss Landscape', 'SAM', 'Edge of Stability', 'Hydra'],
-    icon: '📉',
-    gradient: 'from-red-500 to-amber-600',
-    shadowColor: 'shadow-red-500/25',
-    glowColor: 'group-hover:shadow-red-500/40',
-    readTime: '14 min',
-    difficulty: 'Advanced'
-  },
-  {
-    id: 'brainstorm-95-syntax-tax',
-    title: 'The Syntax Tax',
-    description: 'What if models waste parameters rediscovering structure that could be given for free? The syntax tax measures this hidden cost, and operator tags might eliminate it. Connects information bottleneck theory to practical architecture design.',
-    tags: ['information theory', 'Schankian primitives', 'Mamba', 'efficiency'],
-    icon: '🏷️',
-    gradient: 'from-emerald-500 to-teal-600',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '18 min',
-    difficulty: 2,
-  },
-  {
-    id: 'brainstorm-95b-bpe-for-meaning',
-    title: 'BPE for Meaning — Adaptive Semantic Vocabularies',
-    description: 'BPE merges bytes into tokens; our system splits overloaded semantic primitives and merges frequent co-occurrences. Four fates: survive, promote, demote, split. The optimal vocabulary emerges through information-theoretic pressure — natural selection for concepts.',
-    tags: ['BPE', 'Wierzbicka', 'MDL', 'information theory', 'semantic primes', 'vocabulary optimization'],
-    icon: '🧬',
-    gradient: 'from-violet-500 to-fuchsia-600',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '15 min',
-    difficulty: 2,
-  },
-  {
-    id: 'brainstorm-27-forward-inverse',
-    title: 'Operators as Forward-Inverse Model Pairs',
-    description: 'Motor control uses forward models (predict effects) and inverse models (infer actions). Schankian operators ARE semantic forward models — ATRANS predicts possession change, PTRANS predicts location change. HRR binding implements the forward model; unbinding implements the inverse. With interactive operator guessing game.',
-    tags: ['motor control', 'forward models', 'HRR', 'Schankian primitives', 'predictive processing'],
-    icon: '🔄',
-    gradient: 'from-rose-500 to-orange-600',
-    shadowColor: 'shadow-rose-500/30',
-    glowColor: 'rgba(244, 63, 94, 0.4)',
-    readTime: '20 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-96b-navigable-semantics',
-    title: 'Navigable Semantics: Operator Frequencies as Kleinberg Coordinates',
-    description: 'Why are social networks navigable? Kleinberg proved greedy routing needs inverse-square link distributions. We show that Schankian operator frequencies (which follow Zipf\'s law) naturally produce exactly this distribution in semantic space — solving an open problem from Easley & Kleinberg.',
-    tags: ['small-world', 'Kleinberg', 'Zipf', 'navigability', 'operator frequency', 'network science'],
-    icon: '🧭',
-    gradient: 'from-emerald-500 to-teal-600',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '18 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-97-deontic-personality',
-    title: "Dickens's Diff: Personality as Deontic Policy",
-    description: 'Character traits like generous, vindictive, and reliable are statistical signatures over obligation patterns. 18 temporal-deontic compound operators decompose social verbs into Schankian primitives + modal worlds. Character arcs are measurable rotations — Scrooge\'s Christmas Carol is a vector diff in obligation space.',
-    tags: ['deontic logic', 'Schankian primitives', 'narrative', 'personality', 'modal worlds', 'obligations'],
-    icon: '⚖️',
-    gradient: 'from-amber-500 to-orange-600',
-    shadowColor: 'shadow-amber-500/30',
-    glowColor: 'rgba(245, 158, 11, 0.4)',
-    readTime: '20 min',
-    difficulty: 2,
-  },
-  {
-    id: 'brainstorm-95-proof-tactics-as-primitives',
-    title: 'Proof Tactics as Schankian Primitives',
-    description: 'When we encoded 61,544 Mathlib theorems as HRR vectors, WHAT you prove and HOW you prove it decomposed into independent fibers — the same pattern found in drugs, language, and scientific papers. Six structural invariants hold across five domains. Schank found it first by hand; we found it everywhere by algorithm.',
-    tags: ['Schankian primitives', 'formal proofs', 'fiber bundles', 'HRR', 'Lean', 'independence'],
-    icon: '📐',
-    gradient: 'from-emerald-500 to-teal-600',
-    shadowColor: 'shadow-emerald-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '20 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-96-compositional-sparsity-codes',
-    title: 'Error-Correcting Codes as Compositional Sparsity',
-    description: 'Error-correcting codes decompose into three independent dimensions (algebraic, iterative, geometric). All existing codes use at most two. This is the same compositional sparsity that explains Schankian primitives, protein operators, and drug mechanisms — and nobody has deliberately composed all three coding dimensions until now.',
-    tags: ['Schankian primitives', 'coding theory', 'compositional sparsity', '6G', 'fiber bundles', 'triple composition'],
-    icon: '📡',
-    gradient: 'from-cyan-500 to-blue-600',
-    shadowColor: 'shadow-cyan-500/30',
-    glowColor: 'rgba(6, 182, 212, 0.4)',
-    readTime: '15 min',
-    difficulty: 3,
-  },
-  {
-    id: 'brainstorm-97-autopoietic-knowledge-stores',
-    title: 'Self-Growing Knowledge Stores as Autopoietic Systems',
-    description: 'A lambda store that grows itself — ingesting from multiple sources, discovering its own ontology via MI fiber clustering, expanding its own frontier, and validating its own consistency. The store produces the components for its own continued growth.',
-    tags: ['knowledge graphs', 'autopoiesis', 'Schankian primitives', 'lambda calculus', 'FAISS', 'self-organization'],
-    icon: '🌱',
-    gradient: 'from-green-500 to-emerald-600',
-    shadowColor: 'shadow-green-500/30',
-    glowColor: 'rgba(16, 185, 129, 0.4)',
-    readTime: '18 min',
-    difficulty: 2,
-  },
-  {
-    id: 'brainstorm-53-disambiguation-pressure',
-    title: 'Disambiguation Pressure: How Primitives Emerge from Context',
-    description: 'When a parser must decide "noun or verb?", the categories that crystallize ARE the Schankian primitives — no supervision needed. Geometric context vectors learn to disambiguate via running centroids, and the equilibrium categories converge to Schank\'s 11 ACTs.',
-    tags: ['disambiguation', 'HRR', 'Schankian primitives', 'self-learning', 'geometric parsing', 'information theory'],
-    icon: '🎯',
-    gradient: 'from-violet-500 to-purple-600',
-    shadowColor: 'shadow-violet-500/30',
-    glowColor: 'rgba(139, 92, 246, 0.4)',
-    readTime: '12 min',
-    difficulty: 2,
-  },
-]
-
 // Semantic tag color system - filled backgrounds
 const tagColors = {
   // Research / Generative
@@ -2558,17 +485,22 @@ function ViewToggle({ mode, onChange }) {
   )
 }
 
-// Highlight matching text
+// Highlight each word of the query in the text
 function HighlightText({ text, query }) {
-  if (!query) return <>{text}</>
-  const q = query.toLowerCase()
-  const idx = text.toLowerCase().indexOf(q)
-  if (idx < 0) return <>{text}</>
+  const words = (query || '')
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(w => w.length > 1)
+    .map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+  if (!text || words.length === 0) return <>{text}</>
+  const pattern = new RegExp(`(${words.join('|')})`, 'gi')
   return (
     <>
-      {text.slice(0, idx)}
-      <mark className="bg-yellow-200 text-yellow-900 rounded px-0.5">{text.slice(idx, idx + query.length)}</mark>
-      {text.slice(idx + query.length)}
+      {text.split(pattern).map((part, i) =>
+        i % 2 === 1
+          ? <mark key={i} className="bg-yellow-200 text-yellow-900 rounded px-0.5">{part}</mark>
+          : part
+      )}
     </>
   )
 }
@@ -2606,8 +538,11 @@ function SearchBar({ value, onChange, inputRef }) {
   )
 }
 
-function SearchResults({ results, query }) {
+function SearchResults({ results, query, isSearching, offline }) {
   if (results.length === 0) {
+    if (isSearching) {
+      return <p className="text-center text-gray-400 py-16">Searching…</p>
+    }
     return (
       <div className="text-center py-16">
         <div className="text-4xl mb-3">🔍</div>
@@ -2619,12 +554,15 @@ function SearchResults({ results, query }) {
 
   return (
     <div className="flex flex-col gap-3">
-      <p className="text-sm text-gray-500 mb-1">{results.length} result{results.length !== 1 ? 's' : ''}</p>
-      {results.map(({ tutorial, excerpt }) => {
+      <p className="text-sm text-gray-500 mb-1">
+        {results.length} result{results.length !== 1 ? 's' : ''}
+        {offline && <span className="text-gray-400"> · search server offline, matching titles only</span>}
+      </p>
+      {results.map(({ tutorial, excerpt, sections }) => {
         const linkPath = tutorial.isApp ? `/${tutorial.id}` : `/tutorial/${tutorial.id}`
         return (
-          <Link key={tutorial.id} to={linkPath} className="group block no-underline">
-            <div className="p-5 rounded-xl bg-white border border-gray-100 hover:border-indigo-200 hover:shadow-md transition-all duration-200">
+          <div key={tutorial.id} className="p-5 rounded-xl bg-white border border-gray-100 hover:border-indigo-200 hover:shadow-md transition-all duration-200">
+            <Link to={linkPath} className="group block no-underline">
               <div className="flex items-start gap-3">
                 <div className={`w-9 h-9 rounded-lg bg-gradient-to-br ${tutorial.gradient} flex items-center justify-center flex-shrink-0 shadow-sm`}>
                   <span className="text-lg">{tutorial.icon}</span>
@@ -2633,7 +571,7 @@ function SearchResults({ results, query }) {
                   <h3 className="text-base font-semibold text-gray-900 group-hover:text-indigo-600 transition-colors">
                     <HighlightText text={tutorial.title} query={query} />
                   </h3>
-                  {excerpt && (
+                  {excerpt && sections.length === 0 && (
                     <p className="text-sm text-gray-500 mt-1 leading-relaxed line-clamp-2">
                       <HighlightText text={excerpt} query={query} />
                     </p>
@@ -2647,8 +585,26 @@ function SearchResults({ results, query }) {
                   </div>
                 </div>
               </div>
-            </div>
-          </Link>
+            </Link>
+
+            {/* Matching sections, linked straight to their anchors */}
+            {sections.length > 0 && (
+              <div className="mt-3 ml-12 flex flex-col gap-2">
+                {sections.map(section => (
+                  <Link
+                    key={section.anchor || section.title}
+                    to={section.anchor ? `${linkPath}#${section.anchor}` : linkPath}
+                    className="block no-underline rounded-lg px-3 py-2 hover:bg-indigo-50 transition-colors"
+                  >
+                    <div className="text-sm font-medium text-indigo-600">§ {section.title}</div>
+                    <p className="text-sm text-gray-500 mt-0.5 leading-relaxed line-clamp-2">
+                      <HighlightText text={section.snippet} query={query} />
+                    </p>
+                  </Link>
+                ))}
+              </div>
+            )}
+          </div>
         )
       })}
     </div>
@@ -2659,11 +615,10 @@ export default function Listing() {
   const [showCreateModal, setShowCreateModal] = useState(false)
   const [viewMode, setViewMode] = useState('grid')
   const [sortMode, setSortMode] = useState('default')
-  const [allTutorials, setAllTutorials] = useState(tutorials)
+  const allTutorials = useCatalog()
   const [searchQuery, setSearchQuery] = useState('')
   const searchInputRef = useRef(null)
-  const { search, isBuilding } = useSearchIndex(allTutorials)
-  const searchResults = searchQuery.trim() ? search(searchQuery) : []
+  const { results: searchResults, isSearching, offline: searchOffline } = useTutorialSearch(allTutorials, searchQuery)
   const isSearchActive = searchQuery.trim().length > 0
 
   // Sort tutorials
@@ -2710,61 +665,6 @@ export default function Listing() {
     document.addEventListener('keydown', handler)
     return () => document.removeEventListener('keydown', handler)
   }, [searchQuery])
-
-  // Auto-discover JSON tutorials not in the curated list
-  useEffect(() => {
-    const discoverTutorials = async () => {
-      try {
-        // Use Vite's glob import to find all content JSON files
-        const contentModules = import.meta.glob('../content/*.json')
-        const knownIds = new Set(tutorials.map(t => t.id))
-        const discovered = []
-        
-        for (const [path, loader] of Object.entries(contentModules)) {
-          const filename = path.split('/').pop().replace('.json', '')
-          
-          // Skip non-tutorial files
-          if (filename.includes('semantic-tree') || filename.includes('-quiz')) continue
-          
-          // Skip already listed
-          if (knownIds.has(filename)) continue
-          
-          try {
-            const module = await loader()
-            const data = module.default || module
-            
-            // Only include files that look like tutorials (have title + content)
-            if (data.title && data.content) {
-              discovered.push({
-                id: filename,
-                title: data.title,
-                description: data.subtitle || data.description || 'Auto-discovered tutorial',
-                tags: data.tags || ['uncategorized'],
-                icon: '📄',
-                gradient: 'from-gray-500 to-slate-600',
-                shadowColor: 'shadow-gray-500/30',
-                glowColor: 'rgba(107, 114, 128, 0.4)',
-                readTime: data.readTime || '? min',
-                difficulty: data.difficulty || 1,
-                autoDiscovered: true,
-              })
-            }
-          } catch (e) {
-            // Skip files that can't be parsed
-          }
-        }
-        
-        if (discovered.length > 0) {
-          console.log(`Auto-discovered ${discovered.length} unlisted tutorials:`, discovered.map(d => d.id))
-          setAllTutorials([...tutorials, ...discovered])
-        }
-      } catch (e) {
-        console.error('Tutorial discovery failed:', e)
-      }
-    }
-    
-    discoverTutorials()
-  }, [])
   
   return (
     <div className="min-h-screen bg-[#fafafa]">
@@ -2853,6 +753,16 @@ export default function Listing() {
               <span>🌐</span>
               Implications Cloud
             </Link>
+            <Link
+              to="/review"
+              className="px-6 py-3 bg-gradient-to-r from-amber-500/20 to-orange-500/20 text-amber-300 font-medium rounded-xl
+                border border-amber-500/30 hover:border-amber-400/50 hover:scale-105
+                transition-all duration-200
+                flex items-center gap-2"
+            >
+              <span>🧠</span>
+              Review
+            </Link>
           </div>
         </div>
         
@@ -2868,7 +778,7 @@ export default function Listing() {
         </div>
 
         {isSearchActive ? (
-          <SearchResults results={searchResults} query={searchQuery} />
+          <SearchResults results={searchResults} query={searchQuery} isSearching={isSearching} offline={searchOffline} />
         ) : (
         <>
         {/* Sort + View toggle */}
@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react'
 import { useParams, Link } from 'react-router-dom'
 import QuizEngine from '../components/QuizEngine'
 import { Container } from '../components/SharedUI.jsx'
+import { quizCardId } from '../utils/spacedRepetition.js'
+import { recordReview } from '../utils/reviewHistory.js'
 
 /**
  * Quiz Wrapper - loads quiz JSON and renders QuizEngine
@@ -29,10 +31,12 @@ export default function QuizWrapper() {
     loadQuiz()
   }, [tutorialId])
   
-  // Handle quiz completion
-  const handleComplete = (score) => {
+  // Handle quiz completion: every answer feeds the spaced-repetition schedule
+  const handleComplete = (score, answers = {}) => {
     console.log('Quiz completed:', score)
-    // Could save to localStorage or send to server
+    for (const [questionId, answer] of Object.entries(answers)) {
+      recordReview(quizCardId(tutorialId, quiz.id || tutorialId, questionId), answer)
+    }
   }
   
   // Loading state
@@ -0,0 +1,203 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react'
+import { Link } from 'react-router-dom'
+import QuizQuestion from '../components/QuizEngine/QuizQuestion'
+import QuizFeedback from '../components/QuizEngine/QuizFeedback'
+import { checkAnswer } from '../components/QuizEngine/QuizEngine'
+import { playSound } from '../components/QuizEngine/QuizSounds'
+import { Container } from '../components/SharedUI.jsx'
+import { useReviewDeck } from '../hooks/useReviewDeck.js'
+import { buildDailyQueue, getNextDue } from '../utils/spacedRepetition.js'
+import {
+  loadHistory,
+  recordReview,
+  getSyncSettings,
+  setSyncSettings,
+  syncHistory,
+  HISTORY_EVENT
+} from '../utils/reviewHistory.js'
+import '../components/QuizEngine/QuizStyles.css'
+
+/**
+ * Review - daily spaced-repetition queue across every tutorial's quizzes
+ */
+export default function Review() {
+  const cards = useReviewDeck()
+  const [history, setHistory] = useState(loadHistory)
+  const [sync, setSync] = useState(getSyncSettings)
+
+  // Today's queue is fixed when the session starts so cards don't vanish mid-answer
+  const [session, setSession] = useState(null)
+  const [index, setIndex] = useState(0)
+  const [feedback, setFeedback] = useState(null) // { isCorrect, answer }
+  const questionStartTime = useRef(Date.now())
+
+  useEffect(() => {
+    const refresh = () => setHistory(loadHistory())
+    window.addEventListener(HISTORY_EVENT, refresh)
+    syncHistory()
+    return () => window.removeEventListener(HISTORY_EVENT, refresh)
+  }, [])
+
+  const startSession = useCallback(() => {
+    if (!cards) return
+    setSession(buildDailyQueue(cards, loadHistory()))
+    setIndex(0)
+    setFeedback(null)
+    questionStartTime.current = Date.now()
+  }, [cards])
+
+  // Start once the deck loads; later restarts only come from "Keep going"
+  useEffect(() => {
+    if (!session) startSession()
+  }, [session, startSession])
+
+  const current = session?.queue[index]
+
+  const handleSubmit = useCallback((answer) => {
+    const isCorrect = checkAnswer(current.card.question, answer)
+    const timeSpent = Date.now() - questionStartTime.current
+
+    recordReview(current.card.id, { isCorrect, timeSpent })
+    setFeedback({ isCorrect, answer })
+    playSound(isCorrect ? 'correct' : 'incorrect', 1)
+
+    // Missed cards come back once at the end of the session
+    if (!isCorrect && !current.again) {
+      setSession(prev => ({ ...prev, queue: [...prev.queue, { ...current, again: true }] }))
+    }
+  }, [current])
+
+  const handleNext = useCallback(() => {
+    setFeedback(null)
+    setIndex(i => i + 1)
+    questionStartTime.current = Date.now()
+  }, [])
+
+  const handleToggleSync = () => {
+    setSync(setSyncSettings({ enabled: !sync.enabled }))
+    syncHistory()
+  }
+
+  const stats = cards ? buildDailyQueue(cards, history) : null
+  const nextDue = getNextDue(history)
+
+  return (
+    <div className="min-h-screen bg-[#fafafa]">
+      <header className="relative overflow-hidden">
+        <div
+          className="absolute inset-0"
+          style={{
+            background: `
+              radial-gradient(ellipse 80% 50% at 50% -20%, rgba(99, 102, 241, 0.3), transparent),
+              linear-gradient(to bottom, #0f0e17, #1a1825)
+            `
+          }}
+        />
+
+        <div className="relative max-w-3xl mx-auto px-6 py-12">
+          <nav className="flex items-center gap-2 text-sm text-gray-400 mb-6">
+            <Link to="/" className="hover:text-indigo-400 transition-colors">Tutorials</Link>
+            <span className="text-gray-600">/</span>
+            <span className="text-gray-500">Review</span>
+          </nav>
+
+          <h1 className="text-3xl font-bold text-white mb-2">🧠 Daily Review</h1>
+          <p className="text-gray-400">
+            Questions from every tutorial, scheduled so you see each one just before you'd forget it.
+          </p>
+
+          {stats && (
+            <div className="flex flex-wrap items-center gap-6 mt-6 text-sm text-indigo-300/80">
+              <span>📅 {stats.dueCount} due</span>
+              <span>✨ {stats.newCount} new</span>
+              <span>✅ {stats.reviewedToday} reviewed today</span>
+              <span className="text-gray-500">{cards.length} cards total</span>
+            </div>
+          )}
+
+          <label className="flex items-center gap-2 mt-4 text-xs text-gray-400 cursor-pointer">
+            <input type="checkbox" checked={sync.enabled} onChange={handleToggleSync} />
+            Sync history through the annotation server
+            {sync.enabled && <code className="text-gray-500">({sync.userId})</code>}
+          </label>
+        </div>
+      </header>
+
+      <Container className="py-10">
+        {!session ? (
+          <p className="text-center text-gray-400 py-16">Loading review deck…</p>
+        ) : current ? (
+          <div className="quiz-inline">
+            <div className="quiz-inline-header">
+              <span className="text-sm">
+                <Link to={`/tutorial/${current.card.tutorialId}`} className="font-semibold hover:underline">
+                  {current.card.tutorialTitle}
+                </Link>
+                {current.card.sectionTitle && (
+                  <>
+                    <span className="text-gray-400"> · </span>
+                    <Link
+                      to={`/tutorial/${current.card.tutorialId}${current.card.anchor ? `#${current.card.anchor}` : ''}`}
+                      className="hover:underline"
+                    >
+                      {current.card.sectionTitle}
+                    </Link>
+                  </>
+                )}
+              </span>
+              <span className="text-sm text-gray-500">
+                {current.isNew && !current.again && '✨ new · '}
+                {current.again && '🔁 again · '}
+                {index + 1} of {session.queue.length}
+              </span>
+            </div>
+
+            {feedback ? (
+              <QuizFeedback
+                isCorrect={feedback.isCorrect}
+                question={current.card.question}
+                userAnswer={feedback.answer}
+                explanation={current.card.question.explanation}
+                onNext={handleNext}
+                isLastQuestion={index === session.queue.length - 1}
+              />
+            ) : (
+              <QuizQuestion
+                key={`${current.card.id}:${index}`}
+                question={current.card.question}
+                onSubmit={handleSubmit}
+                shuffleOptions={false}
+              />
+            )}
+          </div>
+        ) : (
+          <div className="text-center py-16">
+            <div className="text-5xl mb-4">🎉</div>
+            <h2 className="text-2xl font-bold text-gray-800 mb-2">All caught up</h2>
+            <p className="text-gray-500 mb-8">
+              {nextDue
+                ? `Next review due ${nextDue.toLocaleDateString(undefined, { weekday: 'long', month: 'short', day: 'numeric' })}.`
+                : 'Answer quizzes in any tutorial to add them to your reviews.'}
+            </p>
+            <div className="flex gap-4 justify-center">
+              {stats?.queue.length > 0 && (
+                <button
+                  onClick={startSession}
+                  className="px-6 py-3 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors font-medium"
+                >
+                  Keep going
+                </button>
+              )}
+              <Link
+                to="/"
+                className="px-6 py-3 bg-gray-700 text-white rounded-lg hover:bg-gray-600 transition-colors font-medium"
+              >
+                All Tutorials
+              </Link>
+            </div>
+          </div>
+        )}
+      </Container>
+    </div>
+  )
+}
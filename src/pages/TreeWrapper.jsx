@@ -5,6 +5,9 @@ import { Container } from '../components/SharedUI.jsx'
 import { TutorialEngine } from '../components/TutorialEngine/ElementRenderer.jsx'
 import VersionDropdown from '../components/VersionDropdown.jsx'
 import { API_BASE } from '../config.js'
+import { useProgressStream } from '../hooks/useProgressStream.js'
+import ProgressLog from '../components/ProgressLog.jsx'
+import TutorialChat from '../components/TutorialChat.jsx'
 
 // JSON-based tutorials that can have tree views
 const jsonTutorials = ['vector-projection', 'engine-demo', 'matrix-from-vectors-engine', 'matrix-discovery-engine', 'lead-lag-correlation-engine', 'least-squares-engine', 'schankian-paper-draft', 'rotate-paper', 'neural-oscillations']
@@ -384,21 +387,17 @@ export default function TreeWrapper() {
   const [loadingSemanticTree, setLoadingSemanticTree] = useState(true)
   const [useSemanticTree, setUseSemanticTree] = useState(true) // Default to semantic
   const [expansionMode, setExpansionMode] = useState('enriched') // 'faithful' or 'enriched' — default enriched for tutorials; faithful reserved for RAG/source-document scenarios
+  const [highlightNodeId, setHighlightNodeId] = useState(null) // Node cited by the chat panel
   
-  // Load semantic tree
+  const treeProgress = useProgressStream()
+  
+  // Load semantic tree (streams section-by-section progress when it has to be generated)
   useEffect(() => {
     const loadSemanticTree = async () => {
       setLoadingSemanticTree(true)
       try {
-        const response = await fetch(`${API_BASE}/generate-semantic-tree`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ tutorialId })
-        })
-        if (response.ok) {
-          const data = await response.json()
-          setSemanticTree(data.tree)
-        }
+        const data = await treeProgress.run('/generate-semantic-tree', { tutorialId })
+        if (data) setSemanticTree(data.tree)
       } catch (e) {
         console.error('Failed to load semantic tree:', e)
       } finally {
@@ -619,8 +618,9 @@ export default function TreeWrapper() {
       
       {/* Loading indicator for semantic tree */}
       {loadingSemanticTree && useSemanticTree && (
-        <div className="fixed top-4 right-4 z-50 bg-violet-600 text-white px-4 py-2 rounded-lg shadow-lg text-sm">
+        <div className="fixed top-4 right-4 z-50 w-72 bg-violet-600 text-white px-4 py-2 rounded-lg shadow-lg text-sm">
           🧠 Loading semantic tree...
+          <ProgressLog steps={treeProgress.steps} isRunning={treeProgress.isRunning} onCancel={treeProgress.cancel} className="mt-2" />
         </div>
       )}
       
@@ -638,6 +638,7 @@ export default function TreeWrapper() {
           onCombineNodes={handleCombineNodes}
           onDeleteNodes={handleDeleteNodes}
           onExpandNode={handleExpandNode}
+          highlightNodeId={useSemanticTree ? highlightNodeId : null}
           expansionMode={expansionMode}
           onExplainSelection={handleExplainSelection}
           renderContent={(node) => {
@@ -723,6 +724,16 @@ export default function TreeWrapper() {
           }}
         />
       </Container>
+      
+      <TutorialChat
+        key={tutorialId}
+        tutorialId={tutorialId}
+        onCite={(source) => {
+          setUseSemanticTree(true)
+          setHighlightNodeId(source.id)
+        }}
+        onAnswerSaved={() => loadTutorial()}
+      />
     </div>
   )
 }
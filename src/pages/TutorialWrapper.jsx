@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react'
-import { useParams, Link } from 'react-router-dom'
+import { useParams, useLocation, Link } from 'react-router-dom'
 import MatrixDiscovery from '../tutorials/MatrixDiscovery.jsx'
 import MatrixFromVectors from '../tutorials/MatrixFromVectors.jsx'
 import LeastSquares from '../tutorials/LeastSquares.jsx'
@@ -13,6 +13,15 @@ import { TutorialEngine } from '../components/TutorialEngine/ElementRenderer.jsx
 import { useMockVisualize } from '../components/visualizations/templates/useVisualize.js'
 import { VisualizationRenderer } from '../components/visualizations/templates/VisualizationRenderer.jsx'
 import { API_BASE } from '../config.js'
+import { useInlineQuizStats } from '../hooks/useInlineQuizStats.js'
+import { useAnnotationLayers } from '../hooks/useAnnotationLayers.js'
+import { useProgressStream } from '../hooks/useProgressStream.js'
+import ProgressLog from '../components/ProgressLog.jsx'
+import TutorialChat from '../components/TutorialChat.jsx'
+import { getSectionAnchor, getSectionAnchors } from '../utils/sectionAnchor.js'
+import { LayerPanel } from '../components/AnnotationLayers.jsx'
+import VersionDiff from '../components/VersionDiff.jsx'
+import { describeOrphans } from '../utils/annotationLayers.js'
 
 // Preview Modal Component for Regroup changes
 function RegroupPreviewModal({ preview, onApply, onCancel }) {
@@ -103,48 +112,39 @@ function RegroupPreviewModal({ preview, onApply, onCancel }) {
 function FloatingEditButton({ tutorialId, onUpdate }) {
   const [open, setOpen] = useState(false)
   const [instruction, setInstruction] = useState('')
-  const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
   const [successMsg, setSuccessMsg] = useState(null)
+  const { run, cancel, steps, isRunning: loading } = useProgressStream()
 
   const handleSubmit = async () => {
     if (!instruction.trim() || loading) return
-    setLoading(true)
     setError(null)
     setSuccessMsg(null)
+    let data
     try {
-      const res = await fetch(`${API_BASE}/edit-tutorial`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ tutorialId, instruction: instruction.trim() })
-      })
-      const data = await res.json()
-      if (data.success) {
-        // Fetch the fresh tutorial JSON from the server (not the stale bundle)
-        try {
-          const freshRes = await fetch(`${API_BASE}/api/tutorial/${tutorialId}`)
-          const freshData = await freshRes.json()
-          if (onUpdate && freshData && freshData.content) {
-            onUpdate(freshData)
-            setSuccessMsg(data.message || 'Tutorial updated!')
-            setInstruction('')
-            setLoading(false)
-            // Auto-hide success after 3s
-            setTimeout(() => setSuccessMsg(null), 3000)
-          } else {
-            // Fallback: reload the page
-            window.location.reload()
-          }
-        } catch {
-          window.location.reload()
-        }
+      data = await run('/edit-tutorial', { tutorialId, instruction: instruction.trim() })
+    } catch (e) {
+      setError(e.status ? e.message : 'Server not reachable')
+      return
+    }
+    if (!data) return // Cancelled
+
+    // Fetch the fresh tutorial JSON from the server (not the stale bundle)
+    try {
+      const freshRes = await fetch(`${API_BASE}/api/tutorial/${tutorialId}`)
+      const freshData = await freshRes.json()
+      if (onUpdate && freshData && freshData.content) {
+        onUpdate(freshData)
+        setSuccessMsg([data.message || 'Tutorial updated!', describeOrphans(data.reanchor)].filter(Boolean).join(' '))
+        setInstruction('')
+        // Auto-hide success after 3s
+        setTimeout(() => setSuccessMsg(null), 3000)
       } else {
-        setError(data.error || 'Edit failed')
-        setLoading(false)
+        // Fallback: reload the page
+        window.location.reload()
       }
-    } catch (e) {
-      setError('Server not reachable')
-      setLoading(false)
+    } catch {
+      window.location.reload()
     }
   }
 
@@ -175,6 +175,7 @@ function FloatingEditButton({ tutorialId, onUpdate }) {
           disabled={loading}
           onKeyDown={e => { if (e.key === 'Enter' && e.metaKey) handleSubmit() }}
         />
+        <ProgressLog steps={steps} isRunning={loading} onCancel={cancel} className="text-gray-300" />
         {error && <div className="text-xs text-red-400">{error}</div>}
         {successMsg && <div className="text-xs text-green-400">✅ {successMsg}</div>}
         <button
@@ -194,6 +195,28 @@ function FloatingEditButton({ tutorialId, onUpdate }) {
   )
 }
 
+/**
+ * Element id of the section a chat source cites. Sources carry the section's
+ * index, so duplicate titles resolve to their numbered anchor as in search.
+ */
+function citedSectionAnchor(content, source) {
+  const anchors = getSectionAnchors(content)
+  const sections = (content?.children || []).filter(c => c?.type === 'Section')
+  const section = sections[source.sectionIndex]
+  if (section && section.props?.title === source.sectionTitle) return anchors.get(section)
+  // Answers from before sources carried an index
+  return getSectionAnchor(source.sectionTitle)
+}
+
+// Scroll to the section a chat answer cites and flash it
+function showCitedSection(content, source) {
+  const el = source.sectionTitle && document.getElementById(citedSectionAnchor(content, source))
+  if (!el) return
+  el.scrollIntoView({ behavior: 'smooth', block: 'start' })
+  el.classList.add('ring-2', 'ring-violet-400', 'ring-offset-8', 'rounded-lg')
+  setTimeout(() => el.classList.remove('ring-2', 'ring-violet-400', 'ring-offset-8', 'rounded-lg'), 2000)
+}
+
 // Legacy JSX component tutorials
 const tutorialComponents = {
   'matrix-discovery': MatrixDiscovery,
@@ -489,7 +512,7 @@ function SectionProgress({ sections, glowColor }) {
 }
 
 // Premium tutorial header with atmospheric effects (matching listing page)
-function TutorialHeader({ meta, tutorialId, onRegroup, regroupStatus, canUndo, onUndo }) {
+function TutorialHeader({ meta, tutorialId, onRegroup, regroupStatus, regroupProgress, canUndo, onUndo, onShowHistory }) {
   return (
     <header className="relative overflow-hidden">
       {/* Atmospheric gradient background */}
@@ -580,6 +603,14 @@ function TutorialHeader({ meta, tutorialId, onRegroup, regroupStatus, canUndo, o
             </svg>
             <span>{meta.sections?.length || 0} sections</span>
           </div>
+          {meta.inlineChecks?.total > 0 && (
+            <div className="flex items-center gap-2">
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
+              </svg>
+              <span>{meta.inlineChecks.passed}/{meta.inlineChecks.total} inline checks passed</span>
+            </div>
+          )}
         </div>
         
         {/* Annotation hint */}
@@ -626,6 +657,19 @@ function TutorialHeader({ meta, tutorialId, onRegroup, regroupStatus, canUndo, o
             </button>
           )}
           
+          {/* Version diff */}
+          {onShowHistory && (
+            <button
+              onClick={onShowHistory}
+              className="inline-flex items-center gap-2 px-3 py-1.5 rounded-full 
+                bg-sky-500/10 border border-sky-500/20 text-sm text-sky-400
+                hover:bg-sky-500/20 transition-colors"
+            >
+              <span>📜</span>
+              Compare Versions
+            </button>
+          )}
+          
           {/* Undo button */}
           {canUndo && onUndo && (
             <button
@@ -640,6 +684,11 @@ function TutorialHeader({ meta, tutorialId, onRegroup, regroupStatus, canUndo, o
           )}
         </div>
         
+        {/* Step-by-step progress while a regroup is applied */}
+        {regroupStatus === 'loading' && regroupProgress && (
+          <ProgressLog {...regroupProgress} className="mt-4 max-w-md text-violet-300" />
+        )}
+        
         {/* Status toast */}
         {regroupStatus && regroupStatus !== 'loading' && (
           <div className={`mt-4 px-4 py-2 rounded-lg text-sm inline-flex items-center gap-2 ${
@@ -696,10 +745,22 @@ export default function TutorialWrapper({ tutorial: propTutorial }) {
     loadTutorial()
   }, [tutorialId, propTutorial])
   
+  // Deep links from search (#section-…): scroll once the content has rendered
+  const { hash } = useLocation()
+  useEffect(() => {
+    if (!hash || !jsonTutorial) return
+    const frame = requestAnimationFrame(() => {
+      document.getElementById(decodeURIComponent(hash.slice(1)))?.scrollIntoView({ behavior: 'smooth', block: 'start' })
+    })
+    return () => cancelAnimationFrame(frame)
+  }, [hash, jsonTutorial])
+  
   // Determine which mode we're in
   const isJsonTutorial = jsonTutorial != null || propTutorial
   const TutorialComponent = tutorialComponents[tutorialId]
   const meta = tutorialMeta[tutorialId]
+  const inlineChecks = useInlineQuizStats(tutorialId, jsonTutorial?.content)
+  const layersState = useAnnotationLayers(tutorialId, jsonTutorial)
 
   // Visualization state
   const [visualizations, setVisualizations] = useState([])
@@ -708,18 +769,24 @@ export default function TutorialWrapper({ tutorial: propTutorial }) {
   const handleAnnotationRequest = async ({ action, selectedText, context, tutorialId, question }) => {
     console.log('📝 Annotation request:', { action, selectedText, context, tutorialId, question })
     
-    // Call the annotation server for all actions
+    // Call the annotation server for all actions; JSON tutorials write to the reader's active layer
+    const { activeLayer } = layersState
+    const layerFields = jsonTutorial
+      ? { layer: activeLayer.id, layerName: activeLayer.name, layerKind: activeLayer.kind }
+      : {}
     try {
       const response = await fetch(`${API_BASE}/annotate`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ action, selectedText, context, tutorialId, question })
+        body: JSON.stringify({ action, selectedText, context, tutorialId, question, ...layerFields })
       })
       
       if (response.ok) {
         const data = await response.json()
-        // Reload the tutorial content to show the new annotation
-        if (data.updatedContent) {
+        // Show the new annotation: merged in from its layer, or the reloaded canonical content
+        if (data.layer) {
+          layersState.applyLayer(data.layer)
+        } else if (data.updatedContent) {
           setJsonTutorial(data.updatedContent)
         }
       } else {
@@ -734,7 +801,10 @@ export default function TutorialWrapper({ tutorial: propTutorial }) {
   // Regroup and Tidy handler - with preview modal
   const [regroupStatus, setRegroupStatus] = useState(null) // null | 'loading' | { type: 'success'|'error', message }
   const [canUndo, setCanUndo] = useState(false)
+  const [showHistory, setShowHistory] = useState(false)
   const [previewData, setPreviewData] = useState(null) // null or { changes, decisions, summary }
+  const { run: runRegroup, cancel: cancelRegroup, steps: regroupSteps, isRunning: isRegrouping } = useProgressStream()
+  const regroupProgress = { steps: regroupSteps, isRunning: isRegrouping, onCancel: cancelRegroup }
   
   const handleRegroup = async (aggressive = false) => {
     if (!tutorialId) return
@@ -789,28 +859,21 @@ export default function TutorialWrapper({ tutorial: propTutorial }) {
     setRegroupStatus('loading')
     
     try {
-      const response = await fetch(`${API_BASE}/regroup`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ tutorialId, aggressive: previewData.aggressive, apply: true })
-      })
-      
-      if (response.ok) {
-        const data = await response.json()
-        setJsonTutorial(data.updatedContent)
-        setCanUndo(true)
-        setRegroupStatus({ 
-          type: 'success', 
-          message: data.message 
-        })
-        setTimeout(() => setRegroupStatus(null), 5000)
-      } else {
-        const error = await response.json()
-        setRegroupStatus({ type: 'error', message: error.error })
-        setTimeout(() => setRegroupStatus(null), 4000)
+      const data = await runRegroup('/regroup', { tutorialId, aggressive: previewData.aggressive, apply: true })
+      if (!data) {
+        setRegroupStatus({ type: 'info', message: 'Regroup cancelled' })
+        setTimeout(() => setRegroupStatus(null), 3000)
+        return
       }
+      setJsonTutorial(data.updatedContent)
+      setCanUndo(true)
+      setRegroupStatus({ 
+        type: 'success', 
+        message: [data.message, describeOrphans(data.reanchor)].filter(Boolean).join(' — ')
+      })
+      setTimeout(() => setRegroupStatus(null), 5000)
     } catch (e) {
-      setRegroupStatus({ type: 'error', message: 'Apply failed' })
+      setRegroupStatus({ type: 'error', message: e.status ? e.message : 'Apply failed' })
       setTimeout(() => setRegroupStatus(null), 4000)
     }
   }
@@ -872,13 +935,14 @@ export default function TutorialWrapper({ tutorial: propTutorial }) {
       readTime: jsonTutorial.readTime || meta?.readTime || '10 min',
       exercises: meta?.exercises || jsonTutorial.state ? Object.keys(jsonTutorial.state).length : 0,
       sections: jsonTutorial.content?.children?.filter(c => c.type === 'Section').map(s => s.props?.title) || [],
-      isExperimental: meta?.isExperimental || false
+      isExperimental: meta?.isExperimental || false,
+      inlineChecks
     }
     
     return (
       <div className="min-h-screen bg-[#fafafa]">
         <ProgressBar />
-        <TutorialHeader meta={jsonMeta} tutorialId={tutorialId} onRegroup={handleRegroup} regroupStatus={regroupStatus} canUndo={canUndo} onUndo={handleUndo} />
+        <TutorialHeader meta={jsonMeta} tutorialId={tutorialId} onRegroup={handleRegroup} regroupStatus={regroupStatus} regroupProgress={regroupProgress} canUndo={canUndo} onUndo={handleUndo} onShowHistory={() => setShowHistory(true)} />
         {jsonMeta.sections.length > 0 && (
           <SectionProgress sections={jsonMeta.sections} glowColor={jsonMeta.glowColor} />
         )}
@@ -889,8 +953,9 @@ export default function TutorialWrapper({ tutorial: propTutorial }) {
         >
           <Container className="py-12 max-w-3xl">
             <TutorialEngine 
-              content={jsonTutorial.content} 
+              content={layersState.merged.content} 
               state={jsonTutorial.state} 
+              tutorialId={tutorialId}
             />
             
             {/* Generated Visualizations */}
@@ -931,7 +996,31 @@ export default function TutorialWrapper({ tutorial: propTutorial }) {
           onCancel={() => setPreviewData(null)}
         />
         
+        {showHistory && (
+          <VersionDiff
+            tutorialId={tutorialId}
+            onClose={() => setShowHistory(false)}
+            onApplied={setJsonTutorial}
+          />
+        )}
+        
+        <LayerPanel
+          layers={layersState.layers}
+          hidden={layersState.hidden}
+          orphans={layersState.orphans}
+          activeLayer={layersState.activeLayer}
+          onToggle={layersState.toggleLayer}
+          onSetActive={layersState.setActiveLayer}
+          onPromote={async (layerId, annotationId) => setJsonTutorial(await layersState.promoteAnnotation(layerId, annotationId))}
+          onDelete={layersState.removeAnnotation}
+        />
         <FloatingEditButton tutorialId={tutorialId} onUpdate={setJsonTutorial} />
+        <TutorialChat
+          key={tutorialId}
+          tutorialId={tutorialId}
+          onCite={source => showCitedSection(layersState.merged.content, source)}
+          onAnswerSaved={data => setJsonTutorial(data.updatedContent)}
+        />
       </div>
     )
   }
@@ -941,7 +1030,7 @@ export default function TutorialWrapper({ tutorial: propTutorial }) {
     return (
       <div className="min-h-screen bg-[#fafafa]">
         <ProgressBar />
-        <TutorialHeader meta={meta} tutorialId={tutorialId} onRegroup={handleRegroup} regroupStatus={regroupStatus} canUndo={canUndo} onUndo={handleUndo} />
+        <TutorialHeader meta={meta} tutorialId={tutorialId} onRegroup={handleRegroup} regroupStatus={regroupStatus} regroupProgress={regroupProgress} canUndo={canUndo} onUndo={handleUndo} />
         {meta.sections && <SectionProgress sections={meta.sections} glowColor={meta.glowColor} />}
         <TutorialComponent />
         
@@ -959,7 +1048,7 @@ export default function TutorialWrapper({ tutorial: propTutorial }) {
   return (
     <div className="min-h-screen bg-[#fafafa]">
       <ProgressBar />
-      <TutorialHeader meta={meta} tutorialId={tutorialId} onRegroup={handleRegroup} regroupStatus={regroupStatus} canUndo={canUndo} onUndo={handleUndo} />
+      <TutorialHeader meta={meta} tutorialId={tutorialId} onRegroup={handleRegroup} regroupStatus={regroupStatus} regroupProgress={regroupProgress} canUndo={canUndo} onUndo={handleUndo} />
       {meta.sections && <SectionProgress sections={meta.sections} glowColor={meta.glowColor} />}
       
       <AnnotatableContent 
@@ -3,37 +3,54 @@
  */
 
 import React, { useState } from 'react'
+import { Link } from 'react-router-dom'
 import { getPositionColor } from './ColorWheel'
+import SynthesisHistory from './SynthesisHistory'
 import { API_BASE } from '../../config.js'
 
 export default function MixturePanel({ 
   sources, 
   mixture, 
+  syntheses = [], // saved versions, when the wheel has been saved
+  wheelName, // titles the published tutorial
+  wheelId,
   onUpdateMixture 
 }) {
   const [isGenerating, setIsGenerating] = useState(false)
-  const [generatedOutput, setGeneratedOutput] = useState(null)
+  // A loaded wheel shows its latest synthesis
+  const [generatedOutput, setGeneratedOutput] = useState(() => {
+    const latest = syntheses[syntheses.length - 1]
+    return latest ? { content: latest.output, mode: latest.mode, acrimony: latest.acrimony, generatedAt: Date.parse(latest.createdAt) } : null
+  })
   const [error, setError] = useState(null)
+  const [isPublishing, setIsPublishing] = useState(false)
+  const [published, setPublished] = useState(null)
   
   const sourceList = Object.entries(sources)
   const totalMagnitude = sourceList.reduce((sum, [_, s]) => sum + (s.magnitude || 1), 0)
 
+  // Sources as the synthesize and publish endpoints take them
+  const buildSourcesPayload = () => sourceList.map(([pos, source]) => ({
+    title: source.title,
+    url: source.url,
+    summary: source.summary,
+    themes: source.themes,
+    stance: source.stance,
+    keyPoints: source.keyPoints,
+    content: source.content?.slice(0, 3000), // Limit content size
+    // Only the chunks the key points cite, for precise attribution
+    chunks: source.chunks?.filter(c => source.citations?.some(ids => ids.includes(c.id))),
+    citations: source.citations,
+    magnitude: source.magnitude || 1,
+    position: parseInt(pos),
+  }))
+
   const handleGenerate = async () => {
     setIsGenerating(true)
     setError(null)
     
     try {
-      // Prepare sources for the API
-      const sourcesPayload = sourceList.map(([pos, source]) => ({
-        title: source.title,
-        summary: source.summary,
-        themes: source.themes,
-        stance: source.stance,
-        keyPoints: source.keyPoints,
-        content: source.content?.slice(0, 3000), // Limit content size
-        magnitude: source.magnitude || 1,
-        position: parseInt(pos),
-      }))
+      const sourcesPayload = buildSourcesPayload()
 
       const response = await fetch(`${API_BASE}/thoughtblend/synthesize`, {
         method: 'POST',
@@ -60,6 +77,7 @@ export default function MixturePanel({
         generatedAt: Date.now(),
       })
       
+      setPublished(null)
       onUpdateMixture({ output: data.synthesis })
     } catch (err) {
       setError(err.message)
@@ -68,6 +86,35 @@ export default function MixturePanel({
     }
   }
 
+  const handlePublish = async () => {
+    if (!generatedOutput) return
+    setIsPublishing(true)
+    setError(null)
+
+    try {
+      const response = await fetch(`${API_BASE}/thoughtblend/publish`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          title: wheelName,
+          sources: buildSourcesPayload(),
+          synthesis: generatedOutput.content,
+          mode: generatedOutput.mode,
+          acrimony: generatedOutput.acrimony,
+          wheelId,
+        })
+      })
+
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.error || 'Publishing failed')
+      setPublished({ tutorialId: data.tutorialId, title: data.title })
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsPublishing(false)
+    }
+  }
+
   const handleDownload = () => {
     if (!generatedOutput) return
     
@@ -272,8 +319,34 @@ export default function MixturePanel({
                 Tree View
               </button>
             </div>
+
+            <button
+              onClick={handlePublish}
+              disabled={isPublishing || sourceList.length < 2}
+              title={wheelName ? `Publish as "${wheelName}"` : 'Name the wheel to choose the tutorial title'}
+              className="w-full py-2 px-4 text-sm text-white bg-emerald-500/20 border border-emerald-500/30
+                rounded-lg hover:bg-emerald-500/30 disabled:opacity-50 transition-colors
+                flex items-center justify-center gap-2"
+            >
+              <span>📚</span>
+              {isPublishing ? 'Writing tutorial...' : 'Publish as Tutorial'}
+            </button>
+
+            {published && (
+              <div className="p-3 bg-emerald-500/10 border border-emerald-500/30 rounded-lg text-sm text-emerald-300">
+                Published{' '}
+                <Link to={`/tutorial/${published.tutorialId}`} className="underline hover:text-emerald-200">
+                  {published.title}
+                </Link>
+              </div>
+            )}
           </div>
         )}
+
+        {/* Saved versions */}
+        {syntheses.length > 1 && (
+          <SynthesisHistory key={syntheses.length} syntheses={syntheses} />
+        )}
       </div>
     </div>
   )
@@ -111,7 +111,18 @@ export default function SourcePanel({
               {source.keyPoints.map((point, i) => (
                 <li key={i} className="text-sm text-slate-300 flex gap-2">
                   <span className="text-slate-500">•</span>
-                  <span>{point}</span>
+                  <span>
+                    {point}
+                    {source.citations?.[i]?.map(id => source.chunks?.find(c => c.id === id)).filter(Boolean).map(chunk => (
+                      <span
+                        key={chunk.id}
+                        title={chunk.text.slice(0, 300)}
+                        className="ml-1.5 text-xs text-slate-500 whitespace-nowrap"
+                      >
+                        [{chunk.cite || chunk.id}]
+                      </span>
+                    ))}
+                  </span>
                 </li>
               ))}
             </ul>
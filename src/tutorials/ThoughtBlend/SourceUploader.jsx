@@ -29,42 +29,24 @@ export default function SourceUploader({
   const oppositePosition = getOppositePosition(position)
   const hasOpposite = existingSources[oppositePosition]
 
-  // Extract text from EPUB (ZIP containing XHTML)
-  const extractEpubText = async (file) => {
-    // EPUBs are ZIP files - we need to extract and parse the XHTML content
-    // Using fflate for decompression (lighter than JSZip)
-    const arrayBuffer = await file.arrayBuffer()
-    const uint8 = new Uint8Array(arrayBuffer)
+  // PDF, EPUB and HTML are extracted on the server, which keeps headings and
+  // page/chapter locations so key points can be cited
+  const ingestFile = async (file) => {
+    const data = await new Promise((resolve, reject) => {
+      const reader = new FileReader()
+      reader.onload = () => resolve(reader.result.split(',')[1])
+      reader.onerror = () => reject(reader.error)
+      reader.readAsDataURL(file)
+    })
     
-    // Dynamic import fflate from CDN since we can't npm install
-    const { unzipSync } = await import('https://cdn.jsdelivr.net/npm/fflate@0.8.2/+esm')
-    
-    const unzipped = unzipSync(uint8)
-    
-    // Find all XHTML/HTML files in the EPUB
-    const textParts = []
-    for (const [filename, content] of Object.entries(unzipped)) {
-      if (filename.match(/\.(xhtml|html|htm)$/i) && !filename.includes('nav')) {
-        const text = new TextDecoder().decode(content)
-        // Strip HTML tags
-        const cleaned = text
-          .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
-          .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')
-          .replace(/<[^>]+>/g, ' ')
-          .replace(/&nbsp;/g, ' ')
-          .replace(/&amp;/g, '&')
-          .replace(/&lt;/g, '<')
-          .replace(/&gt;/g, '>')
-          .replace(/&quot;/g, '"')
-          .replace(/\s+/g, ' ')
-          .trim()
-        if (cleaned.length > 100) {
-          textParts.push(cleaned)
-        }
-      }
-    }
-    
-    return textParts.join('\n\n')
+    const response = await fetch(`${API_BASE}/thoughtblend/ingest`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ filename: file.name, data })
+    })
+    const result = await response.json()
+    if (!response.ok) throw new Error(result.error || 'Extraction failed')
+    return result
   }
   
   // Detect if content is binary/corrupted
@@ -86,24 +68,26 @@ export default function SourceUploader({
     setError(null)
 
     try {
-      const fileTitle = title || file.name.replace(/\.[^/.]+$/, '')
+      let fileTitle = title || file.name.replace(/\.[^/.]+$/, '')
       const extension = file.name.split('.').pop()?.toLowerCase()
       
       let text = ''
+      let extracted = null
       
       // Handle different file types
-      if (extension === 'epub') {
-        setProcessingStatus('Extracting EPUB content...')
-        try {
-          text = await extractEpubText(file)
-        } catch (epubError) {
-          throw new Error(`EPUB extraction failed: ${epubError.message}. Try converting to .txt first.`)
-        }
-      } else if (extension === 'pdf') {
-        throw new Error('PDF files are not yet supported. Please convert to .txt or paste the content directly.')
+      if (['pdf', 'epub', 'html', 'htm'].includes(extension)) {
+        setProcessingStatus(`Extracting ${extension.toUpperCase()} content...`)
+        extracted = await ingestFile(file)
+        text = extracted.content
+        // Prefer the document's own title (PDF metadata, EPUB dc:title)
+        if (!title && extracted.title) fileTitle = extracted.title
       } else {
         // Plain text files
         text = await file.text()
+        
+        if (isLikelyBinary(text)) {
+          throw new Error('This file appears to be binary or encoded. Please use .txt, .md, .pdf, .epub or .html files.')
+        }
       }
       
       // Check if content is actually readable
@@ -111,10 +95,6 @@ export default function SourceUploader({
         throw new Error('Could not extract readable text from this file. Try a different format.')
       }
       
-      if (isLikelyBinary(text)) {
-        throw new Error('This file appears to be binary or encoded. Please use .txt, .md, or .epub files.')
-      }
-      
       setProcessingStatus('Analyzing content...')
       
       // Call API to analyze content
@@ -123,7 +103,8 @@ export default function SourceUploader({
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ 
           content: text.slice(0, 50000),
-          title: fileTitle
+          title: fileTitle,
+          chunks: extracted?.chunks
         })
       })
       
@@ -143,6 +124,11 @@ export default function SourceUploader({
         themes: analysis.themes || [],
         stance: analysis.stance,
         keyPoints: analysis.keyPoints || [],
+        ...(extracted && {
+          format: extracted.format,
+          chunks: extracted.chunks,
+          citations: analysis.citations || [],
+        }),
       })
     } catch (err) {
       setError('Failed to process file: ' + err.message)
@@ -180,6 +166,9 @@ export default function SourceUploader({
         themes: data.themes || [],
         stance: data.stance,
         keyPoints: data.keyPoints || [],
+        format: data.format,
+        chunks: data.chunks,
+        citations: data.citations || [],
       })
     } catch (err) {
       setError(err.message)
@@ -313,7 +302,7 @@ export default function SourceUploader({
             <input
               ref={fileInputRef}
               type="file"
-              accept=".txt,.md,.pdf,.epub,.html"
+              accept=".txt,.md,.pdf,.epub,.html,.htm"
               onChange={handleFileSelect}
               className="hidden"
             />
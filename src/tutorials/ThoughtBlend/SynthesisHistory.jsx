@@ -0,0 +1,82 @@
+/**
+ * SynthesisHistory - Compare saved synthesis versions of a wheel
+ */
+
+import React, { useState, useMemo } from 'react'
+import { compareSyntheses } from '../../utils/wheelSyntheses.js'
+
+const percent = (magnitude) => `${Math.round(magnitude * 100)}%`
+
+const describeSetting = ({ name, from, to }) => name === 'acrimony'
+  ? `Tension ${percent(from ?? 0.5)} → ${percent(to ?? 0.5)}`
+  : `Style ${from} → ${to}`
+
+export default function SynthesisHistory({ syntheses }) {
+  const [fromVersion, setFromVersion] = useState(syntheses[syntheses.length - 2]?.version)
+  const [toVersion, setToVersion] = useState(syntheses[syntheses.length - 1]?.version)
+
+  const from = syntheses.find(s => s.version === fromVersion)
+  const to = syntheses.find(s => s.version === toVersion)
+  const changes = useMemo(() => (from && to ? compareSyntheses(from, to) : null), [from, to])
+
+  if (syntheses.length < 2) return null
+
+  const picker = (value, onChange) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className="bg-slate-900 border border-white/10 rounded-lg px-2 py-1 text-xs text-slate-200"
+    >
+      {syntheses.map(s => (
+        <option key={s.version} value={s.version}>
+          v{s.version} · {new Date(s.createdAt).toLocaleString()}
+        </option>
+      ))}
+    </select>
+  )
+
+  const compositionChanges = changes && [
+    ...changes.added.map(s => ({ key: `+${s.position}`, text: `➕ ${s.title} (${percent(s.magnitude)})`, className: 'text-emerald-400' })),
+    ...changes.removed.map(s => ({ key: `-${s.position}`, text: `➖ ${s.title}`, className: 'text-red-400' })),
+    ...changes.rebalanced.map(s => ({ key: `~${s.position}`, text: `⚖️ ${s.title} ${percent(s.from)} → ${percent(s.to)}`, className: 'text-amber-300' })),
+    ...changes.settings.map(s => ({ key: s.name, text: `🎛️ ${describeSetting(s)}`, className: 'text-slate-300' }))
+  ]
+
+  return (
+    <div className="pt-4 border-t border-white/10 space-y-3">
+      <div className="text-xs text-slate-400 uppercase tracking-wider">
+        Synthesis History
+      </div>
+      <div className="flex items-center gap-2 text-xs text-slate-400">
+        {picker(fromVersion, setFromVersion)}
+        <span>→</span>
+        {picker(toVersion, setToVersion)}
+      </div>
+
+      {changes && (
+        <>
+          {compositionChanges.length > 0 ? (
+            <ul className="space-y-1 text-xs">
+              {compositionChanges.map(c => (
+                <li key={c.key} className={c.className}>{c.text}</li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-xs text-slate-500">Same sources and settings</p>
+          )}
+
+          <div className="p-4 bg-slate-900/50 rounded-lg max-h-64 overflow-y-auto text-sm text-slate-300 whitespace-pre-wrap">
+            {changes.text.map((o, i) => (
+              <span
+                key={i}
+                className={o.op === 'delete' ? 'bg-red-500/30 text-red-200 line-through' : o.op === 'insert' ? 'bg-emerald-500/30 text-emerald-200' : ''}
+              >
+                {o.text}
+              </span>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
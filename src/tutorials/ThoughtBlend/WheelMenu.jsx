@@ -0,0 +1,100 @@
+/**
+ * WheelMenu - Save, open, fork and share ThoughtBlend wheels
+ */
+
+import React, { useState } from 'react'
+import { API_BASE } from '../../config.js'
+
+export default function WheelMenu({ saved, isSaving, onSave, onOpen, onFork, onNew }) {
+  const [name, setName] = useState(saved?.name || '')
+  const [wheels, setWheels] = useState(null)
+  const [isListOpen, setIsListOpen] = useState(false)
+  const [copied, setCopied] = useState(false)
+
+  // Keep the name field in step with whichever wheel is open
+  const [shownId, setShownId] = useState(saved?.id)
+  if (saved?.id !== shownId) {
+    setShownId(saved?.id)
+    setName(saved?.name || '')
+  }
+
+  const toggleList = async () => {
+    if (isListOpen) return setIsListOpen(false)
+    setIsListOpen(true)
+    try {
+      const response = await fetch(`${API_BASE}/thoughtblend/wheels`)
+      const data = await response.json()
+      setWheels(data.wheels || [])
+    } catch (err) {
+      console.error('Failed to list wheels:', err)
+      setWheels([])
+    }
+  }
+
+  const copyLink = async () => {
+    const link = `${window.location.origin}${window.location.pathname}?wheel=${saved.id}`
+    await navigator.clipboard?.writeText(link)
+    setCopied(true)
+    setTimeout(() => setCopied(false), 1500)
+  }
+
+  const buttonClass = 'px-3 py-1.5 text-sm text-slate-300 bg-white/5 border border-white/10 rounded-lg hover:bg-white/10 hover:text-white disabled:opacity-50 transition-colors'
+
+  return (
+    <div className="relative flex items-center gap-2">
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="Untitled wheel"
+        className="w-44 px-3 py-1.5 bg-white/5 border border-white/10 rounded-lg text-sm text-white placeholder-slate-500 focus:outline-none focus:border-white/30"
+      />
+      <button onClick={() => onSave(name)} disabled={isSaving} className={buttonClass}>
+        {isSaving ? 'Saving...' : '💾 Save'}
+      </button>
+      <button onClick={toggleList} className={buttonClass}>📂 Open</button>
+      {saved && (
+        <>
+          <button onClick={() => onFork(name)} className={buttonClass} title="Save a copy under a new id">🍴 Fork</button>
+          <button onClick={copyLink} className={buttonClass} title="Copy a link to this wheel">
+            {copied ? '✓ Copied' : '🔗 Share'}
+          </button>
+        </>
+      )}
+
+      {isListOpen && (
+        <div className="absolute right-0 top-full mt-2 w-80 max-h-96 overflow-y-auto z-20 bg-slate-800 border border-slate-700 rounded-xl shadow-xl">
+          <button
+            onClick={() => {
+              setIsListOpen(false)
+              onNew()
+            }}
+            className="w-full px-4 py-3 text-left text-sm text-emerald-400 hover:bg-white/5 border-b border-slate-700"
+          >
+            ＋ New empty wheel
+          </button>
+          {wheels === null ? (
+            <div className="px-4 py-3 text-sm text-slate-500">Loading...</div>
+          ) : wheels.length === 0 ? (
+            <div className="px-4 py-3 text-sm text-slate-500">No saved wheels yet</div>
+          ) : wheels.map(w => (
+            <button
+              key={w.id}
+              onClick={() => {
+                setIsListOpen(false)
+                onOpen(w.id)
+              }}
+              className={`w-full px-4 py-3 text-left hover:bg-white/5 ${w.id === saved?.id ? 'bg-white/5' : ''}`}
+            >
+              <div className="text-sm text-white truncate">{w.name}</div>
+              <div className="text-xs text-slate-500">
+                {w.sourceCount} source{w.sourceCount === 1 ? '' : 's'} · {w.synthesisCount} synthes{w.synthesisCount === 1 ? 'is' : 'es'} · {new Date(w.updatedAt).toLocaleDateString()}
+                {w.forkedFrom && ` · forked from ${w.forkedFrom.name}`}
+              </div>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -7,10 +7,12 @@
  */
 
 import React, { useState, useCallback, useEffect } from 'react'
+import { useSearchParams } from 'react-router-dom'
 import ColorWheel, { getOppositePosition } from './ColorWheel'
 import SourcePanel from './SourcePanel'
 import MixturePanel from './MixturePanel'
 import SourceUploader from './SourceUploader'
+import WheelMenu from './WheelMenu'
 import { API_BASE } from '../../config.js'
 
 // Initial state with no sources
@@ -29,6 +31,97 @@ export default function ThoughtBlend() {
   const [isUploading, setIsUploading] = useState(false)
   const [suggestions, setSuggestions] = useState(null)
   const [isLoadingSuggestions, setIsLoadingSuggestions] = useState(false)
+  // The saved copy: { id, name, revision, syntheses, forkedFrom? }, null until first save
+  const [saved, setSaved] = useState(null)
+  const [isSaving, setIsSaving] = useState(false)
+  const [saveError, setSaveError] = useState(null)
+  const [searchParams, setSearchParams] = useSearchParams()
+  const wheelId = searchParams.get('wheel')
+
+  // Adopt a wheel returned by the server
+  const applySaved = useCallback((stored) => {
+    const { sources, mixture, ...meta } = stored
+    setSaved(meta)
+    setSearchParams({ wheel: stored.id }, { replace: true })
+    const latest = stored.syntheses?.[stored.syntheses.length - 1]
+    return { sources, mixture: { ...createEmptyWheel().mixture, ...mixture, output: latest?.output || null } }
+  }, [setSearchParams])
+
+  const saveWheel = useCallback(async (name, current = wheel) => {
+    setIsSaving(true)
+    setSaveError(null)
+    try {
+      const response = await fetch(`${API_BASE}/thoughtblend/wheels`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          id: saved?.id,
+          revision: saved?.revision,
+          name: name ?? saved?.name,
+          sources: current.sources,
+          mixture: current.mixture
+        })
+      })
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.error || 'Save failed')
+      applySaved(data.wheel)
+    } catch (err) {
+      setSaveError(err.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }, [wheel, saved, applySaved])
+
+  const openWheel = useCallback(async (id) => {
+    setSaveError(null)
+    try {
+      const response = await fetch(`${API_BASE}/thoughtblend/wheels/${id}`)
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.error || 'Could not load wheel')
+      setWheel(applySaved(data.wheel))
+      setSelectedPosition(null)
+      setIsUploading(false)
+    } catch (err) {
+      setSaveError(err.message)
+    }
+  }, [applySaved])
+
+  const forkWheel = useCallback(async (name) => {
+    setSaveError(null)
+    try {
+      const response = await fetch(`${API_BASE}/thoughtblend/wheels/${saved.id}/fork`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: name && name !== saved.name ? name : undefined })
+      })
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.error || 'Fork failed')
+      setWheel(applySaved(data.wheel))
+    } catch (err) {
+      setSaveError(err.message)
+    }
+  }, [saved, applySaved])
+
+  const newWheel = useCallback(() => {
+    setWheel(createEmptyWheel())
+    setSaved(null)
+    setSuggestions(null)
+    setSelectedPosition(null)
+    setIsUploading(false)
+    setSearchParams({}, { replace: true })
+  }, [setSearchParams])
+
+  // Open a shared link (?wheel=<id>) on arrival
+  useEffect(() => {
+    if (wheelId) openWheel(wheelId)
+  }, [])
+
+  // Saved wheels version every new synthesis (only re-run when the output changes)
+  useEffect(() => {
+    const output = wheel.mixture.output
+    const latest = saved?.syntheses?.[saved.syntheses.length - 1]
+    if (saved && output && output !== latest?.output && !isSaving) saveWheel()
+  }, [wheel.mixture.output])
 
   // Fetch suggestions when sources change
   const fetchSuggestions = useCallback(async (sources) => {
@@ -173,11 +266,22 @@ export default function ThoughtBlend() {
                 Synthesize perspectives through dialectical color mixing
               </p>
             </div>
-            <div className="text-sm text-slate-400">
-              {sourceCount === 0 
-                ? 'Add your first source to begin'
-                : `${sourceCount} source${sourceCount === 1 ? '' : 's'} loaded`
-              }
+            <div className="flex items-center gap-4">
+              <div className="text-sm text-slate-400">
+                {sourceCount === 0 
+                  ? 'Add your first source to begin'
+                  : `${sourceCount} source${sourceCount === 1 ? '' : 's'} loaded`
+                }
+                {saveError && <span className="block text-red-400">{saveError}</span>}
+              </div>
+              <WheelMenu
+                saved={saved}
+                isSaving={isSaving}
+                onSave={saveWheel}
+                onOpen={openWheel}
+                onFork={forkWheel}
+                onNew={newWheel}
+              />
             </div>
           </div>
         </div>
@@ -221,8 +325,12 @@ export default function ThoughtBlend() {
               />
             ) : sourceCount > 0 ? (
               <MixturePanel
+                key={saved?.id}
                 sources={wheel.sources}
                 mixture={wheel.mixture}
+                syntheses={saved?.syntheses}
+                wheelName={saved?.name}
+                wheelId={saved?.id}
                 onUpdateMixture={updateMixture}
               />
             ) : (
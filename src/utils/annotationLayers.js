@@ -0,0 +1,89 @@
+/**
+ * Annotation layers
+ *
+ * Reader annotations live in overlay documents, one per user or team layer,
+ * instead of in the canonical tutorial JSON:
+ *
+ *   { id, tutorialId, name, kind: 'user' | 'team', createdAt, updatedAt,
+ *     annotations: [{ id, action, quote, path, anchor, element, question, author, createdAt }] }
+ *
+ * `quote` is the selected text, `path` the element path (under
+ * tutorial.content) where it was found, and `anchor` its text selectors
+ * (textAnchors.js) for finding it again after edits. The renderer merges
+ * visible layers into the canonical tutorial at display time; authors can
+ * promote an annotation into the canonical JSON.
+ */
+
+import { insertAnnotation, findAnchor } from './annotationTree.js'
+import { resolveAnchor } from './textAnchors.js'
+
+export const LAYER_KINDS = ['user', 'team']
+
+const LAYER_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/
+
+export function isValidLayerId(id) {
+  return typeof id === 'string' && LAYER_ID_PATTERN.test(id)
+}
+
+/**
+ * Layer id from a display name, e.g. ('team', 'Research Group') -> 'team-research-group'
+ */
+export function makeLayerId(kind, name) {
+  const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50)
+  return `${kind}-${slug || 'notes'}`
+}
+
+/**
+ * Merge visible layers into a tutorial for display
+ * @param {Object} tutorial - canonical tutorial document
+ * @param {Object[]} layers - layer documents
+ * @param {Set<string>} hidden - ids of layers to leave out
+ * @returns {{ tutorial: Object, orphans: Object[] }} merged tutorial, plus
+ *   annotations whose quote no longer appears in the content
+ */
+export function mergeLayers(tutorial, layers, hidden = new Set()) {
+  let merged = tutorial
+  const orphans = []
+
+  for (const layer of layers) {
+    if (hidden.has(layer.id)) continue
+
+    for (const annotation of layer.annotations || []) {
+      const target = annotation.anchor
+        ? resolveAnchor(merged.content, annotation.anchor)
+        : annotation.quote
+          ? { ...findAnchor(merged.content, annotation.quote, annotation.path), exact: annotation.quote }
+          : { found: false }
+      if (!target.found) {
+        orphans.push({ layerId: layer.id, annotationId: annotation.id, quote: annotation.quote })
+        continue
+      }
+
+      const element = JSON.parse(JSON.stringify(annotation.element))
+      element.props = { ...element.props, layerId: layer.id }
+      merged = insertAnnotation(merged, target.exact, element, annotation.action, {
+        id: annotation.id,
+        path: target.path,
+        log: () => {}
+      })
+    }
+  }
+
+  return { tutorial: merged, orphans }
+}
+
+/**
+ * One-line note for a re-anchoring report (see server/reanchor.js),
+ * empty when every annotation found its text again
+ */
+export function describeOrphans(report) {
+  if (!report) return ''
+  const removed = report.annotations.orphans.filter(o => o.removed).length
+  const count = report.annotations.orphans.length + report.layers.orphans.length
+  if (count === 0) return ''
+
+  const guessed = [...report.annotations.orphans, ...report.layers.orphans].filter(o => o.suggestion).length
+  const where = removed > 0 ? ' (moved to the "Orphaned annotations" layer)' : ''
+  const review = guessed > 0 ? `; ${guessed} may belong at the end of ${guessed === 1 ? 'its' : 'their'} old paragraph` : ''
+  return `⚠️ ${count} annotation${count === 1 ? '' : 's'} lost ${count === 1 ? 'its' : 'their'} text${where}${review}`
+}
@@ -0,0 +1,348 @@
+/**
+ * Annotation placement in tutorial content trees
+ *
+ * Inserts an annotation element next to the text it annotates, with an
+ * inline FootnoteRef marker after the quote. Shared by the server (canonical
+ * writes, promoting layer annotations) and the renderer, which merges
+ * overlay annotation layers into the canonical tutorial at display time.
+ * Each inserted annotation records a text anchor (see textAnchors.js) in
+ * `props.anchor` so it can be re-attached after structural edits.
+ */
+
+import { createAnchor } from './textAnchors.js'
+
+/**
+ * Generate a unique ID for annotations
+ */
+export function generateAnnotationId() {
+  return `ann-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`
+}
+
+/**
+ * Deep search for text in any string property
+ */
+function findText(node, text, path = []) {
+  if (typeof node === 'string') {
+    if (node.includes(text)) {
+      return { found: true, path, node }
+    }
+    return { found: false }
+  }
+  
+  if (Array.isArray(node)) {
+    for (let i = 0; i < node.length; i++) {
+      const result = findText(node[i], text, [...path, i])
+      if (result.found) return result
+    }
+    return { found: false }
+  }
+  
+  if (node && typeof node === 'object') {
+    // Check children
+    if (node.children !== undefined) {
+      const result = findText(node.children, text, [...path, 'children'])
+      if (result.found) return result
+    }
+    
+    // Check props.children
+    if (node.props?.children !== undefined) {
+      const result = findText(node.props.children, text, [...path, 'props', 'children'])
+      if (result.found) return result
+    }
+    
+    // Check props.steps (for Steps component)
+    if (node.props?.steps) {
+      for (let i = 0; i < node.props.steps.length; i++) {
+        const step = node.props.steps[i]
+        if (typeof step === 'string' && step.includes(text)) {
+          return { found: true, path: [...path, 'props', 'steps', i], node: step }
+        }
+        if (typeof step === 'object') {
+          if (step.title?.includes(text)) {
+            return { found: true, path: [...path, 'props', 'steps', i, 'title'], node: step.title }
+          }
+          if (step.description?.includes(text)) {
+            return { found: true, path: [...path, 'props', 'steps', i, 'description'], node: step.description }
+          }
+        }
+      }
+    }
+    
+    // Check props.items (for DefinitionList)
+    if (node.props?.items) {
+      for (let i = 0; i < node.props.items.length; i++) {
+        const item = node.props.items[i]
+        if (item.term?.includes(text)) {
+          return { found: true, path: [...path, 'props', 'items', i, 'term'], node: item.term }
+        }
+        if (item.definition?.includes(text)) {
+          return { found: true, path: [...path, 'props', 'items', i, 'definition'], node: item.definition }
+        }
+      }
+    }
+    
+    // Check props.rows (for ComparisonTable)
+    if (node.props?.rows) {
+      for (let i = 0; i < node.props.rows.length; i++) {
+        for (let j = 0; j < node.props.rows[i].length; j++) {
+          if (typeof node.props.rows[i][j] === 'string' && node.props.rows[i][j].includes(text)) {
+            return { found: true, path: [...path, 'props', 'rows', i, j], node: node.props.rows[i][j] }
+          }
+        }
+      }
+    }
+  }
+  
+  return { found: false }
+}
+
+/**
+ * Get value at path in object
+ */
+function getAtPath(obj, path) {
+  let current = obj
+  for (const key of path) {
+    if (current === undefined) return undefined
+    current = current[key]
+  }
+  return current
+}
+
+/**
+ * Locate the annotated text in a content tree: try the recorded element path
+ * first, then fall back to the first occurrence anywhere in the tree.
+ * Returns { found, path, node }.
+ */
+export function findAnchor(root, text, anchorPath) {
+  if (anchorPath) {
+    const node = getAtPath(root, anchorPath)
+    if (typeof node === 'string' && node.includes(text)) {
+      return { found: true, path: anchorPath, node }
+    }
+  }
+  return findText(root, text)
+}
+
+function makeMarker(annotationId, action) {
+  return {
+    type: 'FootnoteRef',
+    props: { 
+      id: `source-${annotationId}`,
+      targetId: annotationId, 
+      type: action,
+    }
+  }
+}
+
+/**
+ * Put an inline marker right after the found text. Text inside tables and
+ * definition lists can't hold markers, so table rows get highlighted instead.
+ */
+function placeMarker(root, searchResult, selectedText, marker, log) {
+  // FIRST: Check if this is inside a structured data component where inline markers don't work
+  const isInStructuredData = searchResult.path.some((p, i) => {
+    if (p === 'rows' || p === 'headers') return true // ComparisonTable
+    if (p === 'items' && searchResult.path[i-1] === 'props') return true // DefinitionList
+    return false
+  })
+  
+  if (isInStructuredData) {
+    log(`⚠️ Text found in structured data component (table/list) - using row highlight instead of inline marker`)
+    
+    // For ComparisonTable: add row highlighting
+    const rowsIndex = searchResult.path.indexOf('rows')
+    if (rowsIndex !== -1) {
+      // Path looks like: [..., 'props', 'rows', rowIndex, cellIndex]
+      const rowIndex = searchResult.path[rowsIndex + 1]
+      const tablePath = searchResult.path.slice(0, rowsIndex - 1) // Path to the ComparisonTable element
+      const tableNode = getAtPath(root, tablePath)
+      
+      if (tableNode && tableNode.type === 'ComparisonTable') {
+        // Add highlight info to the table
+        tableNode.props = tableNode.props || {}
+        tableNode.props.highlightRows = tableNode.props.highlightRows || []
+        if (!tableNode.props.highlightRows.includes(rowIndex)) {
+          tableNode.props.highlightRows.push(rowIndex)
+        }
+        tableNode.props.highlightId = marker.props.targetId
+        log(`✅ Added row ${rowIndex} highlight to ComparisonTable, linking to ${marker.props.targetId}`)
+      }
+    }
+    // Skip inline marker insertion - go directly to DeepDive insertion
+  } else {
+    // Try to insert inline marker by converting the string to an array with marker
+    const parentPath = searchResult.path.slice(0, -1)
+    const textKey = searchResult.path[searchResult.path.length - 1]
+    const parent = getAtPath(root, parentPath)
+    
+    // Case 1: Parent is an array, text is at index textKey
+    if (Array.isArray(parent) && typeof textKey === 'number') {
+      const originalText = parent[textKey]
+      const selectIndex = originalText.indexOf(selectedText)
+      
+      if (selectIndex !== -1) {
+        const before = originalText.slice(0, selectIndex + selectedText.length)
+        const after = originalText.slice(selectIndex + selectedText.length)
+        
+        // Replace the single string with multiple elements
+        const replacement = [before, marker]
+        if (after.trim()) replacement.push(after)
+        
+        parent.splice(textKey, 1, ...replacement)
+        log(`✅ Inserted inline marker (array case) after "${selectedText.slice(0, 30)}..."`)
+      }
+    }
+    // Case 2: Parent is an object, text is at key 'children' (e.g., { type: "p", children: "text" })
+    else if (parent && typeof parent === 'object' && textKey === 'children' && typeof parent.children === 'string') {
+      const originalText = parent.children
+      const selectIndex = originalText.indexOf(selectedText)
+      
+      if (selectIndex !== -1) {
+        const before = originalText.slice(0, selectIndex + selectedText.length)
+        const after = originalText.slice(selectIndex + selectedText.length)
+        
+        // Convert children from string to array with marker
+        const newChildren = [before, marker]
+        if (after.trim()) newChildren.push(after)
+        
+        parent.children = newChildren
+        log(`✅ Inserted inline marker (object.children case) after "${selectedText.slice(0, 30)}..."`)
+      }
+    }
+    // Case 3: Nested in props.children
+    else if (parent && typeof parent === 'object' && textKey === 'children' && parent.props?.children) {
+      // This handles cases where the path ends in props.children
+      const grandparentPath = searchResult.path.slice(0, -2)
+      const grandparent = getAtPath(root, grandparentPath)
+      
+      if (grandparent && typeof grandparent.props?.children === 'string') {
+        const originalText = grandparent.props.children
+        const selectIndex = originalText.indexOf(selectedText)
+        
+        if (selectIndex !== -1) {
+          const before = originalText.slice(0, selectIndex + selectedText.length)
+          const after = originalText.slice(selectIndex + selectedText.length)
+          
+          const newChildren = [before, marker]
+          if (after.trim()) newChildren.push(after)
+          
+          grandparent.props.children = newChildren
+          log(`✅ Inserted inline marker (props.children case) after "${selectedText.slice(0, 30)}..."`)
+        }
+      }
+    }
+    else {
+      log(`⚠️ Could not insert inline marker - unhandled parent structure`)
+    }
+  }
+}
+
+/**
+ * Re-insert only the inline marker for an annotation that's still in the
+ * content but lost its marker (e.g. an edit rewrote the paragraph).
+ * Returns the updated content, or null if the text isn't there.
+ */
+export function insertMarker(content, selectedText, annotationId, action, options = {}) {
+  const { path: anchorPath, log = console.log } = options
+  const newContent = JSON.parse(JSON.stringify(content))
+  const searchResult = findAnchor(newContent.content, selectedText, anchorPath)
+  if (!searchResult.found) return null
+
+  placeMarker(newContent.content, searchResult, selectedText, makeMarker(annotationId, action), log)
+  return newContent
+}
+
+/**
+ * Find and insert annotation into content tree
+ * Also inserts an inline marker at the source text location
+ *
+ * Options: `id` reuses an existing annotation id, `path` is the anchor's
+ * recorded element path, `log` replaces console.log.
+ */
+export function insertAnnotation(content, selectedText, annotation, action, options = {}) {
+  const { id, path: anchorPath, log = console.log } = options
+  const newContent = JSON.parse(JSON.stringify(content))
+  const annotationId = id || generateAnnotationId()
+  const sourceId = `source-${annotationId}` // ID for the source text location
+  
+  // Add ID to the annotation for linking, and sourceId for back-linking
+  annotation.props = annotation.props || {}
+  annotation.props.id = annotationId
+  annotation.props.sourceId = sourceId
+  
+  // Create inline marker that links to the annotation (superscript style)
+  const inlineMarker = makeMarker(annotationId, action)
+  
+  let insertionPoint = null // Track where we'll insert the deep dive
+  
+  /**
+   * Find the nearest Section ancestor and insert after the element containing the text
+   */
+  function findInsertionPoint(path) {
+    // Walk up the path to find a Section or the element we should insert after
+    for (let i = path.length - 1; i >= 0; i--) {
+      const partialPath = path.slice(0, i)
+      const node = getAtPath(newContent.content, partialPath)
+      
+      if (node?.type === 'Section') {
+        // Insert at end of this section's children
+        return { sectionPath: partialPath, insertIndex: node.children?.length || 0 }
+      }
+    }
+    return null
+  }
+  
+  // Search for the text
+  const searchResult = findAnchor(newContent.content, selectedText, anchorPath)
+  
+  if (searchResult.found) {
+    log(`✅ Found text at path: ${searchResult.path.join('.')}`)
+    
+    // Remember where the text was so the annotation can be re-anchored after edits
+    const anchor = createAnchor(newContent.content, selectedText, searchResult.path)
+    if (anchor) annotation.props.anchor = anchor
+    
+    placeMarker(newContent.content, searchResult, selectedText, inlineMarker, log)
+    
+    // Find where to insert the deep dive
+    const insertPoint = findInsertionPoint(searchResult.path)
+    
+    if (insertPoint) {
+      // Insert the annotation in the section
+      const section = getAtPath(newContent.content, insertPoint.sectionPath)
+      if (!section.children) section.children = []
+      
+      // Find the index of the element containing our text and insert after it
+      const containingElementIndex = searchResult.path[insertPoint.sectionPath.length + 1]
+      if (typeof containingElementIndex === 'number') {
+        section.children.splice(containingElementIndex + 1, 0, annotation)
+        log(`✅ Inserted annotation after element at index ${containingElementIndex}`)
+      } else {
+        section.children.push(annotation)
+        log(`✅ Appended annotation to section`)
+      }
+    } else {
+      // Fallback: insert after the current top-level section
+      const topLevelIndex = searchResult.path[1] // path[0] is 'children'
+      if (typeof topLevelIndex === 'number' && newContent.content.children) {
+        newContent.content.children.splice(topLevelIndex + 1, 0, {
+          type: 'Section',
+          children: [annotation]
+        })
+        log(`✅ Inserted as new section after index ${topLevelIndex}`)
+      }
+    }
+    
+    return newContent
+  }
+  
+  log(`⚠️ Text "${selectedText.slice(0, 30)}..." not found, appending to end`)
+  if (newContent.content?.children) {
+    newContent.content.children.push({
+      type: 'Section',
+      children: [annotation]
+    })
+  }
+  
+  return newContent
+}
@@ -0,0 +1,94 @@
+/**
+ * Review history persistence
+ *
+ * Keeps the spaced-repetition history (see spacedRepetition.js) in
+ * localStorage. Sync to the annotation server is opt-in: when enabled, each
+ * review pushes the history to /api/review/history, which merges it with
+ * other browsers' reviews under the same sync id.
+ */
+
+import { API_BASE } from '../config.js'
+import { gradeAnswer, scheduleReview, mergeHistories, MAX_LOG_ENTRIES } from './spacedRepetition.js'
+
+const STORAGE_KEY = 'review_history'
+const SYNC_KEY = 'review_sync'
+export const HISTORY_EVENT = 'review-history'
+
+export function loadHistory() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    return { cards: saved?.cards || {}, log: saved?.log || [] }
+  } catch {
+    return { cards: {}, log: [] }
+  }
+}
+
+function saveHistory(history) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(history))
+    window.dispatchEvent(new CustomEvent(HISTORY_EVENT))
+  } catch (e) {
+    console.warn('Could not save review history:', e.message)
+  }
+}
+
+/**
+ * Sync settings: { enabled, userId }. The id is generated once and can be
+ * copied to another browser to share a history.
+ */
+export function getSyncSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SYNC_KEY))
+    if (saved?.userId) return saved
+  } catch {
+    // fall through to a fresh id
+  }
+  const settings = { enabled: false, userId: `reader-${Math.random().toString(36).slice(2, 10)}` }
+  localStorage.setItem(SYNC_KEY, JSON.stringify(settings))
+  return settings
+}
+
+export function setSyncSettings(changes) {
+  const settings = { ...getSyncSettings(), ...changes }
+  localStorage.setItem(SYNC_KEY, JSON.stringify(settings))
+  return settings
+}
+
+/**
+ * Push local history to the server and keep the merged result
+ * @returns {Promise<boolean>} whether the sync went through
+ */
+export async function syncHistory() {
+  const { enabled, userId } = getSyncSettings()
+  if (!enabled) return false
+
+  try {
+    const res = await fetch(`${API_BASE}/api/review/history`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ userId, history: loadHistory() })
+    })
+    if (!res.ok) return false
+    const data = await res.json()
+    saveHistory(mergeHistories(loadHistory(), data.history))
+    return true
+  } catch {
+    return false // Offline or static deploy: local history still works
+  }
+}
+
+/**
+ * Record an answer to a review card and reschedule it
+ */
+export function recordReview(cardId, { isCorrect, timeSpent }, now = new Date()) {
+  const history = loadHistory()
+  const grade = gradeAnswer({ isCorrect, timeSpent })
+
+  history.cards[cardId] = scheduleReview(history.cards[cardId], grade, now)
+  history.log.push({ cardId, grade, isCorrect, timeSpent, reviewedAt: now.toISOString() })
+  if (history.log.length > MAX_LOG_ENTRIES) history.log = history.log.slice(-MAX_LOG_ENTRIES)
+
+  saveHistory(history)
+  syncHistory()
+  return history.cards[cardId]
+}
@@ -0,0 +1,66 @@
+/**
+ * Section anchors
+ *
+ * Shared by the Section component (element id) and the search index
+ * (deep links), so links like /tutorial/foo#section-why-it-works resolve.
+ * Sections with the same title get numbered anchors (section-notes-2, ...)
+ * in document order, see getSectionAnchors().
+ */
+
+export function getSectionAnchor(title) {
+  if (typeof title !== 'string' || !title.trim()) return null
+
+  const slug = title
+    .normalize('NFKD')
+    .replace(/[̀-ͯ]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+
+  return slug ? `section-${slug}` : null
+}
+
+/**
+ * Anchors for every Section in a content tree, unique within it
+ * @returns {Map<Object, string>} Section node -> anchor
+ */
+export function getSectionAnchors(content) {
+  const anchors = new Map()
+  const counts = new Map()
+
+  const walk = (node) => {
+    if (Array.isArray(node)) return node.forEach(walk)
+    if (!node || typeof node !== 'object') return
+    if (node.type === 'Section') {
+      const anchor = getSectionAnchor(node.props?.title)
+      if (anchor) {
+        const count = (counts.get(anchor) || 0) + 1
+        counts.set(anchor, count)
+        anchors.set(node, count === 1 ? anchor : `${anchor}-${count}`)
+      }
+    }
+    walk(node.children)
+  }
+
+  walk(content)
+  return anchors
+}
+
+/**
+ * Copy of a content tree whose Sections carry their unique anchor in `props.anchor`
+ */
+export function withSectionAnchors(content) {
+  const anchors = getSectionAnchors(content)
+  const copy = (node) => {
+    if (Array.isArray(node)) return node.map(copy)
+    if (!node || typeof node !== 'object' || node.children === undefined) return node
+    const anchor = anchors.get(node)
+    return {
+      ...node,
+      ...(anchor && { props: { ...node.props, anchor } }),
+      children: copy(node.children)
+    }
+  }
+  return copy(content)
+}
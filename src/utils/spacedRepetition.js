@@ -0,0 +1,170 @@
+/**
+ * Spaced repetition
+ *
+ * SM-2 scheduling for review cards built from tutorial quizzes
+ * (server/review-deck.js). Each card's review state is
+ *
+ *   { ease, interval, reps, lapses, due, firstReviewed, lastReviewed }
+ *
+ * with `interval` in days and dates as ISO strings. A review history is
+ * { cards: { [cardId]: state }, log: [{ cardId, grade, isCorrect, timeSpent, reviewedAt }] }.
+ * Shared by the review page and the annotation server, which merges
+ * histories synced from several browsers.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const DEFAULT_EASE = 2.5
+const MIN_EASE = 1.3
+
+// Answers faster than these (ms) count as easy / normal recall
+const FAST_ANSWER_MS = 10000
+const NORMAL_ANSWER_MS = 30000
+
+export const MAX_LOG_ENTRIES = 5000
+
+/**
+ * Card id for a question from a `<tutorialId>-quiz.json` file
+ */
+export function quizCardId(tutorialId, quizId, questionId) {
+  return `${tutorialId}:${quizId}:${questionId}`
+}
+
+/**
+ * Card id for an inline Quiz question (key from getQuestionKey)
+ */
+export function inlineCardId(tutorialId, questionKey) {
+  return `${tutorialId}:${questionKey}`
+}
+
+/**
+ * SM-2 quality (0-5) from a quiz answer: wrong answers are lapses,
+ * right ones are graded by how long recall took
+ */
+export function gradeAnswer({ isCorrect, timeSpent = NORMAL_ANSWER_MS }) {
+  if (!isCorrect) return 1
+  if (timeSpent < FAST_ANSWER_MS) return 5
+  if (timeSpent < NORMAL_ANSWER_MS) return 4
+  return 3
+}
+
+/**
+ * Next review state after answering with quality `grade`
+ */
+export function scheduleReview(state, grade, now = new Date()) {
+  const prev = state || { ease: DEFAULT_EASE, interval: 0, reps: 0, lapses: 0 }
+  let { ease, interval, reps, lapses } = prev
+
+  if (grade < 3) {
+    reps = 0
+    interval = 1
+    lapses += 1
+  } else {
+    interval = reps === 0 ? 1 : reps === 1 ? 6 : Math.round(interval * ease)
+    reps += 1
+  }
+  ease = Math.max(MIN_EASE, ease + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02))
+
+  return {
+    ease: Math.round(ease * 100) / 100,
+    interval,
+    reps,
+    lapses,
+    due: new Date(now.getTime() + interval * DAY_MS).toISOString(),
+    firstReviewed: prev.firstReviewed || now.toISOString(),
+    lastReviewed: now.toISOString()
+  }
+}
+
+function endOfDay(now) {
+  const end = new Date(now)
+  end.setHours(23, 59, 59, 999)
+  return end
+}
+
+function isSameDay(iso, now) {
+  return !!iso && new Date(iso).toDateString() === now.toDateString()
+}
+
+// Round-robin across tutorials, keeping each tutorial's own order
+function interleaveByTutorial(items) {
+  const groups = new Map()
+  for (const item of items) {
+    const key = item.card.tutorialId
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(item)
+  }
+
+  const queues = [...groups.values()]
+  const mixed = []
+  while (queues.some(q => q.length > 0)) {
+    for (const queue of queues) {
+      if (queue.length > 0) mixed.push(queue.shift())
+    }
+  }
+  return mixed
+}
+
+/**
+ * Today's review queue: cards due by the end of today (most overdue first),
+ * plus up to `newLimit` unseen cards, mixed across tutorials
+ * @returns {{ queue: { card, isNew }[], dueCount: number, newCount: number, reviewedToday: number }}
+ */
+export function buildDailyQueue(cards, history, { now = new Date(), newLimit = 10, reviewLimit = 100 } = {}) {
+  const states = history?.cards || {}
+  const cutoff = endOfDay(now).getTime()
+
+  const due = cards
+    .filter(card => states[card.id] && new Date(states[card.id].due).getTime() <= cutoff)
+    .sort((a, b) => new Date(states[a.id].due) - new Date(states[b.id].due))
+    .slice(0, reviewLimit)
+
+  const introducedToday = Object.values(states).filter(s => isSameDay(s.firstReviewed, now)).length
+  const unseen = cards.filter(card => !states[card.id])
+  const fresh = interleaveByTutorial(unseen.map(card => ({ card }))).slice(0, Math.max(0, newLimit - introducedToday))
+
+  const queue = interleaveByTutorial([
+    ...due.map(card => ({ card, isNew: false })),
+    ...fresh.map(({ card }) => ({ card, isNew: true }))
+  ])
+
+  const reviewedToday = new Set((history?.log || []).filter(e => isSameDay(e.reviewedAt, now)).map(e => e.cardId)).size
+
+  return { queue, dueCount: due.length, newCount: fresh.length, reviewedToday }
+}
+
+/**
+ * Earliest upcoming due date after today, or null
+ */
+export function getNextDue(history, now = new Date()) {
+  const cutoff = endOfDay(now).getTime()
+  const upcoming = Object.values(history?.cards || {})
+    .map(s => new Date(s.due).getTime())
+    .filter(t => t > cutoff)
+  return upcoming.length > 0 ? new Date(Math.min(...upcoming)) : null
+}
+
+/**
+ * Combine two histories: per card the most recently reviewed state wins,
+ * logs are unioned by card and time
+ */
+export function mergeHistories(a, b) {
+  const cards = { ...a?.cards }
+  for (const [id, state] of Object.entries(b?.cards || {})) {
+    const current = cards[id]
+    if (!current || (state.lastReviewed || '') > (current.lastReviewed || '')) cards[id] = state
+  }
+
+  const seen = new Set()
+  const log = [...(a?.log || []), ...(b?.log || [])]
+    .filter(entry => {
+      const key = `${entry.cardId}@${entry.reviewedAt}`
+      if (seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+    .sort((x, y) => x.reviewedAt.localeCompare(y.reviewedAt))
+    .slice(-MAX_LOG_ENTRIES)
+
+  return { cards, log }
+}
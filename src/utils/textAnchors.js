@@ -0,0 +1,288 @@
+/**
+ * Text anchors for annotations
+ *
+ * W3C Web Annotation-style selectors describing where an annotation's quote
+ * sits in a tutorial content tree, so it can be found again after edits move
+ * or reword the surrounding content:
+ *
+ *   [{ type: 'TextQuoteSelector', exact, prefix, suffix },
+ *    { type: 'TextPositionSelector', start, end },
+ *    { type: 'FragmentSelector', value: elementId }]
+ *
+ * Positions are offsets into the tree's plain text (every text node
+ * concatenated in document order). The element id is the nearest enclosing
+ * `props.id`, or the enclosing Section's anchor id.
+ *
+ * Paths use the same key arrays as annotationTree.js, relative to the root
+ * passed in (normally tutorial.content).
+ */
+
+import { getSectionAnchor } from './sectionAnchor.js'
+
+const CONTEXT_LENGTH = 32
+
+// Minimum bigram similarity for accepting reworded text at the old position
+const POSITION_SIMILARITY = 0.6
+
+// Longest quote used when falling back to the end of an element
+const ELEMENT_QUOTE_LENGTH = 80
+
+/**
+ * Every text node in the tree with its path and offset into the plain text.
+ * Visits the same places annotationTree's text search does.
+ */
+export function getTextSegments(root) {
+  const segments = []
+  let offset = 0
+
+  const add = (text, path) => {
+    segments.push({ text, path, start: offset })
+    offset += text.length
+  }
+
+  const walk = (node, path) => {
+    if (typeof node === 'string') return add(node, path)
+    if (Array.isArray(node)) return node.forEach((child, i) => walk(child, [...path, i]))
+    if (!node || typeof node !== 'object') return
+
+    if (node.children !== undefined) walk(node.children, [...path, 'children'])
+
+    const props = node.props
+    if (!props) return
+    if (props.children !== undefined) walk(props.children, [...path, 'props', 'children'])
+
+    if (Array.isArray(props.steps)) {
+      props.steps.forEach((step, i) => {
+        if (typeof step === 'string') return add(step, [...path, 'props', 'steps', i])
+        if (typeof step?.title === 'string') add(step.title, [...path, 'props', 'steps', i, 'title'])
+        if (typeof step?.description === 'string') add(step.description, [...path, 'props', 'steps', i, 'description'])
+      })
+    }
+    if (Array.isArray(props.items)) {
+      props.items.forEach((item, i) => {
+        if (typeof item?.term === 'string') add(item.term, [...path, 'props', 'items', i, 'term'])
+        if (typeof item?.definition === 'string') add(item.definition, [...path, 'props', 'items', i, 'definition'])
+      })
+    }
+    if (Array.isArray(props.rows)) {
+      props.rows.forEach((row, i) => {
+        if (!Array.isArray(row)) return
+        row.forEach((cell, j) => {
+          if (typeof cell === 'string') add(cell, [...path, 'props', 'rows', i, j])
+        })
+      })
+    }
+  }
+
+  walk(root, [])
+  return { segments, text: segments.map(s => s.text).join('') }
+}
+
+function getAtPath(obj, path) {
+  let current = obj
+  for (const key of path) {
+    if (current === undefined || current === null) return undefined
+    current = current[key]
+  }
+  return current
+}
+
+/**
+ * Id of the nearest element around a path: its own `props.id`, or the
+ * anchor of the Section it's in
+ */
+export function getElementId(root, path) {
+  for (let i = path.length; i >= 0; i--) {
+    const node = getAtPath(root, path.slice(0, i))
+    if (!node || typeof node !== 'object' || Array.isArray(node) || !node.type) continue
+    if (typeof node.props?.id === 'string') return node.props.id
+    if (node.type === 'Section') {
+      const anchor = getSectionAnchor(node.props?.title)
+      if (anchor) return anchor
+    }
+  }
+  return null
+}
+
+function samePath(a, b) {
+  return a.length === b.length && a.every((key, i) => key === b[i])
+}
+
+// Every occurrence of `exact` inside a single text node
+function findMatches(segments, exact) {
+  const matches = []
+  if (!exact) return matches
+  for (const segment of segments) {
+    let index = segment.text.indexOf(exact)
+    while (index !== -1) {
+      matches.push({ segment, start: segment.start + index })
+      index = segment.text.indexOf(exact, index + 1)
+    }
+  }
+  return matches
+}
+
+function segmentAt(segments, offset) {
+  return segments.find(s => offset >= s.start && offset < s.start + s.text.length)
+}
+
+function commonPrefixLength(a, b) {
+  let n = 0
+  while (n < a.length && n < b.length && a[n] === b[n]) n++
+  return n
+}
+
+function commonSuffixLength(a, b) {
+  let n = 0
+  while (n < a.length && n < b.length && a[a.length - 1 - n] === b[b.length - 1 - n]) n++
+  return n
+}
+
+// Dice coefficient over character bigrams
+function similarity(a, b) {
+  const bigrams = s => {
+    const counts = new Map()
+    const text = s.toLowerCase().replace(/\s+/g, ' ')
+    for (let i = 0; i < text.length - 1; i++) {
+      const gram = text.slice(i, i + 2)
+      counts.set(gram, (counts.get(gram) || 0) + 1)
+    }
+    return counts
+  }
+  const x = bigrams(a)
+  const y = bigrams(b)
+  let total = 0
+  let shared = 0
+  for (const count of x.values()) total += count
+  for (const [gram, count] of y) {
+    total += count
+    shared += Math.min(count, x.get(gram) || 0)
+  }
+  return total === 0 ? 0 : (2 * shared) / total
+}
+
+function buildSelectors(root, text, path, start, exact) {
+  const end = start + exact.length
+  const selectors = [
+    {
+      type: 'TextQuoteSelector',
+      exact,
+      prefix: text.slice(Math.max(0, start - CONTEXT_LENGTH), start),
+      suffix: text.slice(end, end + CONTEXT_LENGTH)
+    },
+    { type: 'TextPositionSelector', start, end }
+  ]
+  const elementId = getElementId(root, path)
+  if (elementId) selectors.push({ type: 'FragmentSelector', value: elementId })
+  return selectors
+}
+
+function resolved(root, text, segment, start, exact, method) {
+  return {
+    found: true,
+    method,
+    path: segment.path,
+    exact,
+    anchor: buildSelectors(root, text, segment.path, start, exact)
+  }
+}
+
+export function getSelector(anchor, type) {
+  return Array.isArray(anchor) ? anchor.find(s => s.type === type) : undefined
+}
+
+/**
+ * Describe where `quote` sits in the tree. Prefers the occurrence at
+ * `hintPath` (e.g. where the text search found it); otherwise the first.
+ * @returns {Object[]|null} selectors, or null if the quote isn't in the tree
+ */
+export function createAnchor(root, quote, hintPath) {
+  const { segments, text } = getTextSegments(root)
+  const matches = findMatches(segments, quote)
+  if (matches.length === 0) return null
+
+  const match = (hintPath && matches.find(m => samePath(m.segment.path, hintPath))) || matches[0]
+  return buildSelectors(root, text, match.segment.path, match.start, quote)
+}
+
+/**
+ * Find an anchor's text again, trying in order:
+ *   quote    - the exact quote, disambiguated by prefix/suffix, position and element
+ *   context  - reworded quote: whatever now sits between the old prefix and suffix
+ *   position - similar text at the old offset
+ *   element  - the end of the enclosing element, if it still exists. Only a
+ *              guess: `found` stays false so the annotation goes to review
+ * @returns {{ found: boolean, method?: string, path?: Array, exact?: string, anchor?: Object[] }}
+ *   `exact` is the text to attach to now and `anchor` the refreshed selectors
+ */
+export function resolveAnchor(root, anchor) {
+  const quote = getSelector(anchor, 'TextQuoteSelector')
+  if (!quote?.exact) return { found: false }
+  const position = getSelector(anchor, 'TextPositionSelector')
+  const fragment = getSelector(anchor, 'FragmentSelector')
+  const { segments, text } = getTextSegments(root)
+
+  const matches = findMatches(segments, quote.exact)
+  if (matches.length > 0) {
+    const prefix = quote.prefix || ''
+    const suffix = quote.suffix || ''
+    const score = ({ segment, start }) => {
+      const end = start + quote.exact.length
+      const before = text.slice(Math.max(0, start - prefix.length), start)
+      const after = text.slice(end, end + suffix.length)
+      let total = 2 * commonSuffixLength(before, prefix) / Math.max(1, prefix.length)
+        + 2 * commonPrefixLength(after, suffix) / Math.max(1, suffix.length)
+      if (position) total += 1 - Math.min(1, Math.abs(start - position.start) / Math.max(1, text.length))
+      if (fragment && getElementId(root, segment.path) === fragment.value) total += 1
+      return total
+    }
+    const best = matches.reduce((a, b) => (score(b) > score(a) ? b : a))
+    return resolved(root, text, best.segment, best.start, quote.exact, 'quote')
+  }
+
+  if (quote.prefix && quote.suffix) {
+    const maxLength = quote.exact.length * 2 + 40
+    let from = text.indexOf(quote.prefix)
+    while (from !== -1) {
+      const start = from + quote.prefix.length
+      const end = text.indexOf(quote.suffix, start)
+      if (end === -1) break
+      const segment = segmentAt(segments, start)
+      const exact = text.slice(start, end)
+      if (end - start <= maxLength && segment && end <= segment.start + segment.text.length && exact.trim()) {
+        return resolved(root, text, segment, start, exact, 'context')
+      }
+      from = text.indexOf(quote.prefix, from + 1)
+    }
+  }
+
+  if (position) {
+    const segment = segmentAt(segments, position.start)
+    if (segment) {
+      // Snap to word boundaries so the marker doesn't land mid-word
+      let start = position.start - segment.start
+      let end = Math.min(segment.text.length, start + quote.exact.length)
+      while (start > 0 && /\S\S/.test(segment.text[start - 1] + segment.text[start])) start--
+      while (end < segment.text.length && /\S\S/.test(segment.text[end - 1] + segment.text[end])) end++
+      const exact = segment.text.slice(start, end)
+      if (exact.trim() && similarity(exact, quote.exact) >= POSITION_SIMILARITY) {
+        return resolved(root, text, segment, segment.start + start, exact, 'position')
+      }
+    }
+  }
+
+  if (fragment) {
+    const inElement = segments.filter(s => s.text.trim() && getElementId(root, s.path) === fragment.value)
+    const segment = inElement[inElement.length - 1]
+    if (segment) {
+      const trimmed = segment.text.trimEnd()
+      let start = Math.max(0, trimmed.length - ELEMENT_QUOTE_LENGTH)
+      const space = trimmed.indexOf(' ', start)
+      if (start > 0 && space !== -1 && space < trimmed.length - 1) start = space + 1
+      const exact = trimmed.slice(start)
+      return { ...resolved(root, text, segment, segment.start + start, exact, 'element'), found: false }
+    }
+  }
+
+  return { found: false }
+}
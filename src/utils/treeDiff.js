@@ -0,0 +1,441 @@
+/**
+ * Structural diff between two tutorial versions
+ *
+ * Compares `{ type, props, children }` trees instead of JSON text, so a
+ * moved Section or a reworded paragraph shows up as one change. The diff
+ * goes from an old version to a newer one as a list of hunks:
+ *
+ *   inserted - { path, node }                     only in the new version
+ *   removed  - { oldPath, node, target }          only in the old version
+ *   moved    - { oldPath, path, node, target }    same node, different place
+ *              (`edited` if it also changed; the edits are their own hunks)
+ *   edited   - { oldPath, path, nodeType, changes: [{ key, before, after, text? }] }
+ *
+ * Paths are key arrays as in annotationTree.js. `target` is where the old
+ * node would go back in the new tree ({ parentPath, index }). `text` is a
+ * word-level diff ([{ op: 'equal' | 'insert' | 'delete', text }]) for
+ * changed strings. Every hunk also carries its enclosing Section titles.
+ *
+ * Children are matched by content first, then by identity (ids, Section
+ * titles) or similarity, and matched pairs are diffed recursively: a
+ * Section that moved and was edited is one `moved` hunk plus a hunk per edit.
+ *
+ * applyHunks() reverts selected hunks in the new tree, which is how old
+ * content is cherry-picked back into the current file.
+ */
+
+import { getTextSegments } from './textAnchors.js'
+
+// Minimum text similarity for two unmatched siblings to count as one edited node
+const PAIR_SIMILARITY = 0.5
+// ...and for a sibling elsewhere in the list to count as the same node, moved
+const MOVE_SIMILARITY = 0.7
+
+// Word diffs above this many LCS cells fall back to replacing the whole string
+const MAX_TEXT_DIFF_CELLS = 4000000
+
+const isObject = v => !!v && typeof v === 'object' && !Array.isArray(v)
+const isNode = v => isObject(v) && typeof v.type === 'string'
+const isChildList = (key, v) => Array.isArray(v) && (key === 'children' || v.some(isNode))
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+const clone = v => (v === undefined ? undefined : JSON.parse(JSON.stringify(v)))
+
+function getAtPath(obj, path) {
+  let current = obj
+  for (const key of path) {
+    if (current === undefined || current === null) return undefined
+    current = current[key]
+  }
+  return current
+}
+
+// Titles of the Sections a path runs through, outermost first
+function sectionsAt(root, path) {
+  const titles = []
+  for (let i = 0; i <= path.length; i++) {
+    const node = getAtPath(root, path.slice(0, i))
+    if (isNode(node) && node.type === 'Section' && node.props?.title) titles.push(node.props.title)
+  }
+  return titles
+}
+
+// Longest common subsequence of two arrays under `equal`, as index pairs
+function lcsPairs(a, b, equal) {
+  const n = a.length
+  const m = b.length
+  const table = new Uint32Array((n + 1) * (m + 1))
+  const at = (i, j) => i * (m + 1) + j
+
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[at(i, j)] = equal(a[i], b[j])
+        ? table[at(i + 1, j + 1)] + 1
+        : Math.max(table[at(i + 1, j)], table[at(i, j + 1)])
+    }
+  }
+
+  const pairs = []
+  let i = 0
+  let j = 0
+  while (i < n && j < m) {
+    if (equal(a[i], b[j])) {
+      pairs.push([i, j])
+      i++
+      j++
+    } else if (table[at(i + 1, j)] >= table[at(i, j + 1)]) {
+      i++
+    } else {
+      j++
+    }
+  }
+  return pairs
+}
+
+/**
+ * Word-level diff of two strings
+ * @returns {{ op: 'equal' | 'insert' | 'delete', text: string }[]}
+ */
+export function diffText(before, after) {
+  const a = before.split(/(\s+)/).filter(Boolean)
+  const b = after.split(/(\s+)/).filter(Boolean)
+
+  // Trim the common ends so the LCS only covers the changed middle
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) start++
+  let end = 0
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++
+
+  const midA = a.slice(start, a.length - end)
+  const midB = b.slice(start, b.length - end)
+  const ops = [{ op: 'equal', text: a.slice(0, start).join('') }]
+
+  if ((midA.length + 1) * (midB.length + 1) > MAX_TEXT_DIFF_CELLS) {
+    ops.push({ op: 'delete', text: midA.join('') }, { op: 'insert', text: midB.join('') })
+  } else {
+    let i = 0
+    let j = 0
+    for (const [pi, pj] of [...lcsPairs(midA, midB, (x, y) => x === y), [midA.length, midB.length]]) {
+      ops.push({ op: 'delete', text: midA.slice(i, pi).join('') })
+      ops.push({ op: 'insert', text: midB.slice(j, pj).join('') })
+      if (pi < midA.length) ops.push({ op: 'equal', text: midA[pi] })
+      i = pi + 1
+      j = pj + 1
+    }
+  }
+  ops.push({ op: 'equal', text: a.slice(a.length - end).join('') })
+
+  // Drop empties and merge neighbours with the same op
+  return ops.filter(o => o.text).reduce((merged, o) => {
+    const last = merged[merged.length - 1]
+    if (last?.op === o.op) last.text += o.text
+    else merged.push({ ...o })
+    return merged
+  }, [])
+}
+
+// Dice coefficient over word sets
+function similarity(a, b) {
+  const words = s => new Set(s.toLowerCase().match(/\w+/g) || [])
+  const x = words(a)
+  const y = words(b)
+  if (x.size === 0 && y.size === 0) return a === b ? 1 : 0
+  let shared = 0
+  for (const w of x) if (y.has(w)) shared++
+  return (2 * shared) / (x.size + y.size)
+}
+
+function plainText(value) {
+  if (typeof value === 'string') return value
+  const { text } = getTextSegments(value)
+  return text.trim() ? text : JSON.stringify(value)
+}
+
+// Identity that survives edits: annotation/element ids and Section titles
+function identity(value) {
+  if (!isNode(value)) return null
+  if (value.props?.id) return `id:${value.props.id}`
+  if (value.type === 'Section' && value.props?.title) return `section:${value.props.title}`
+  return null
+}
+
+function pairScore(a, b) {
+  if (typeof a === 'string' && typeof b === 'string') return similarity(a, b)
+  if (!isNode(a) || !isNode(b) || a.type !== b.type) return 0
+  const id = identity(a)
+  if (id && id === identity(b)) return 1
+  return similarity(plainText(a), plainText(b))
+}
+
+function change(key, before, after) {
+  return {
+    key,
+    before,
+    after,
+    ...(typeof before === 'string' && typeof after === 'string' && { text: diffText(before, after) })
+  }
+}
+
+function diffNode(a, b, oldPath, newPath, ctx) {
+  const changes = []
+
+  const walk = (x, y, key) => {
+    const keys = [...new Set([...Object.keys(x), ...Object.keys(y)])]
+    for (const k of keys) {
+      const xv = x[k]
+      const yv = y[k]
+      if (same(xv, yv)) continue
+      const sub = [...key, k]
+
+      if (isChildList(k, xv) && isChildList(k, yv)) {
+        diffChildren(xv, yv, [...oldPath, ...sub], [...newPath, ...sub], ctx)
+      } else if (isNode(xv) && isNode(yv) && xv.type === yv.type) {
+        diffNode(xv, yv, [...oldPath, ...sub], [...newPath, ...sub], ctx)
+      } else if (isObject(xv) && isObject(yv) && !isNode(xv) && !isNode(yv)) {
+        walk(xv, yv, sub)
+      } else {
+        changes.push(change(sub, xv, yv))
+      }
+    }
+  }
+
+  walk(a, b, [])
+  if (changes.length > 0) {
+    ctx.hunks.push({ kind: 'edited', oldPath, path: newPath, nodeType: b.type || null, changes })
+  }
+}
+
+function diffChildren(xs, ys, oldPath, newPath, ctx) {
+  const xj = xs.map(x => JSON.stringify(x))
+  const yj = ys.map(y => JSON.stringify(y))
+  const matched = lcsPairs(xj, yj, (x, y) => x === y)
+
+  // Within each gap between unchanged children, pair up edited ones
+  const oldToNew = new Map(matched)
+  let prevI = 0
+  let prevJ = 0
+  for (const [mi, mj] of [...matched, [xs.length, ys.length]]) {
+    let from = prevJ
+    for (let i = prevI; i < mi; i++) {
+      let best = -1
+      let bestScore = PAIR_SIMILARITY
+      for (let j = from; j < mj; j++) {
+        const score = pairScore(xs[i], ys[j])
+        if (score >= bestScore) {
+          best = j
+          bestScore = score
+          if (score === 1) break
+        }
+      }
+      if (best !== -1) {
+        oldToNew.set(i, best)
+        from = best + 1
+      }
+    }
+    prevI = mi + 1
+    prevJ = mj + 1
+  }
+
+  // Children left over on both sides that are the same node, reordered
+  const pairedNew = new Set(oldToNew.values())
+  const movedTo = new Map()
+  for (let i = 0; i < xs.length; i++) {
+    if (oldToNew.has(i) || !isNode(xs[i])) continue
+    let best = -1
+    let bestScore = MOVE_SIMILARITY
+    for (let j = 0; j < ys.length; j++) {
+      if (pairedNew.has(j)) continue
+      const score = pairScore(xs[i], ys[j])
+      if (score >= bestScore) {
+        best = j
+        bestScore = score
+        if (score === 1) break
+      }
+    }
+    if (best !== -1) {
+      movedTo.set(i, best)
+      pairedNew.add(best)
+    }
+  }
+
+  let lastNew = -1
+  for (let i = 0; i < xs.length; i++) {
+    if (movedTo.has(i)) {
+      const j = movedTo.get(i)
+      const target = { parentPath: newPath, index: lastNew + 1 }
+      pushMove(xs[i], ys[j], [...oldPath, i], [...newPath, j], target, ctx)
+      continue
+    }
+    if (!oldToNew.has(i)) {
+      ctx.hunks.push({
+        kind: 'removed',
+        oldPath: [...oldPath, i],
+        node: xs[i],
+        target: { parentPath: newPath, index: lastNew + 1 }
+      })
+      continue
+    }
+
+    const j = oldToNew.get(i)
+    lastNew = j
+    if (xj[i] === yj[j]) continue
+    if (typeof xs[i] === 'string') {
+      ctx.hunks.push({ kind: 'edited', oldPath: [...oldPath, i], path: [...newPath, j], nodeType: null, changes: [change([], xs[i], ys[j])] })
+    } else {
+      diffNode(xs[i], ys[j], [...oldPath, i], [...newPath, j], ctx)
+    }
+  }
+
+  ys.forEach((y, j) => {
+    if (!pairedNew.has(j)) ctx.hunks.push({ kind: 'inserted', path: [...newPath, j], node: y })
+  })
+}
+
+// A move hunk carries the node as it is now; what changed inside it is
+// diffed into hunks of its own
+function pushMove(before, after, oldPath, newPath, target, ctx) {
+  const edited = JSON.stringify(before) !== JSON.stringify(after)
+  ctx.hunks.push({ kind: 'moved', oldPath, path: newPath, node: after, target, ...(edited && { edited: true }) })
+  if (edited) diffNode(before, after, oldPath, newPath, ctx)
+}
+
+// A removal and an insertion of the same node elsewhere in the tree are a
+// move. Nodes with the same identity (see identity()) also count.
+function detectMoves(hunks) {
+  const byJson = new Map()
+  const byIdentity = new Map()
+  const index = (map, key, hunk) => {
+    if (!key) return
+    if (!map.has(key)) map.set(key, [])
+    map.get(key).push(hunk)
+  }
+  for (const hunk of hunks) {
+    if (hunk.kind !== 'inserted') continue
+    index(byJson, JSON.stringify(hunk.node), hunk)
+    index(byIdentity, identity(hunk.node), hunk)
+  }
+
+  const moved = new Set()
+  const take = (candidates) => {
+    const match = candidates?.find(h => !moved.has(h))
+    if (match) moved.add(match)
+    return match
+  }
+
+  const result = { hunks: [] }
+  for (const hunk of hunks) {
+    if (hunk.kind === 'removed' && isNode(hunk.node)) {
+      const match = take(byJson.get(JSON.stringify(hunk.node))) || take(byIdentity.get(identity(hunk.node)))
+      if (match) {
+        pushMove(hunk.node, match.node, hunk.oldPath, match.path, hunk.target, result)
+        continue
+      }
+    }
+    result.hunks.push(hunk)
+  }
+  return result.hunks.filter(hunk => !moved.has(hunk))
+}
+
+/**
+ * Structural diff from an old tutorial to a newer one
+ * @returns {{ hunks: Object[], stats: { inserted: number, removed: number, moved: number, edited: number } }}
+ */
+export function diffTutorials(oldTutorial, newTutorial) {
+  const ctx = { hunks: [] }
+  diffNode(oldTutorial, newTutorial, [], [], ctx)
+
+  const hunks = detectMoves(ctx.hunks).map((hunk, i) => ({
+    id: `h${i + 1}`,
+    ...hunk,
+    sections: hunk.path ? sectionsAt(newTutorial, hunk.path) : sectionsAt(oldTutorial, hunk.oldPath),
+    ...(hunk.oldPath && hunk.path && { oldSections: sectionsAt(oldTutorial, hunk.oldPath) })
+  }))
+
+  const stats = { inserted: 0, removed: 0, moved: 0, edited: 0 }
+  for (const hunk of hunks) stats[hunk.kind]++
+  return { hunks, stats }
+}
+
+// Later positions first (deeper before shallower) so earlier paths stay valid
+function comparePaths(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] === b[i]) continue
+    if (typeof a[i] === 'number' && typeof b[i] === 'number') return a[i] - b[i]
+    return String(a[i]).localeCompare(String(b[i]))
+  }
+  return a.length - b.length
+}
+
+const OP_ORDER = { set: 0, remove: 1, insert: 2 }
+
+// Whether `path` is `ancestor` or inside it
+function isWithin(path, ancestor) {
+  return path.length >= ancestor.length && ancestor.every((key, i) => path[i] === key)
+}
+
+// A hunk with its new-tree paths made relative to `base`
+function rebase(hunk, base) {
+  const strip = p => p.slice(base.length)
+  return {
+    ...hunk,
+    ...(hunk.path && { path: strip(hunk.path) }),
+    ...(hunk.target && { target: { ...hunk.target, parentPath: strip(hunk.target.parentPath) } })
+  }
+}
+
+/**
+ * Revert hunks from diffTutorials(old, current) in `current`, bringing
+ * back the old version's content for just those changes
+ * @returns {Object} updated copy of `current`
+ */
+export function applyHunks(current, hunks) {
+  const result = clone(current)
+  const ops = []
+
+  // Hunks inside a moved node are applied to it before it moves back.
+  // Outermost moves first, so nested ones travel with their parent.
+  const moves = hunks.filter(h => h.kind === 'moved').sort((a, b) => a.path.length - b.path.length)
+  const moveOf = hunk => moves.find(m => m !== hunk && isWithin(hunk.path || hunk.target.parentPath, m.path))
+  const inner = new Map(moves.map(m => [m, []]))
+  for (const hunk of hunks) {
+    const move = moveOf(hunk)
+    if (move) inner.get(move).push(hunk)
+  }
+
+  for (const hunk of hunks) {
+    if (moveOf(hunk)) continue
+    if (hunk.kind === 'inserted' || hunk.kind === 'moved') {
+      ops.push({ type: 'remove', at: hunk.path })
+    }
+    if (hunk.kind === 'removed') {
+      ops.push({ type: 'insert', at: [...hunk.target.parentPath, hunk.target.index], node: hunk.node, oldPath: hunk.oldPath })
+    }
+    if (hunk.kind === 'moved') {
+      const node = applyHunks(getAtPath(current, hunk.path), inner.get(hunk).map(h => rebase(h, hunk.path)))
+      ops.push({ type: 'insert', at: [...hunk.target.parentPath, hunk.target.index], node, oldPath: hunk.oldPath })
+    }
+    if (hunk.kind === 'edited') {
+      for (const c of hunk.changes) ops.push({ type: 'set', at: [...hunk.path, ...c.key], value: c.before })
+    }
+  }
+
+  ops.sort((a, b) =>
+    comparePaths(b.at, a.at) ||
+    OP_ORDER[a.type] - OP_ORDER[b.type] ||
+    // Several old nodes going back to one spot: last one first keeps their order
+    (a.type === 'insert' ? comparePaths(b.oldPath, a.oldPath) : 0)
+  )
+
+  for (const op of ops) {
+    const parent = getAtPath(result, op.at.slice(0, -1))
+    const key = op.at[op.at.length - 1]
+    if (parent === undefined || parent === null) {
+      throw new Error(`Cannot apply change at ${op.at.join('.')}: path no longer exists`)
+    }
+
+    if (op.type === 'remove') parent.splice(key, 1)
+    else if (op.type === 'insert') parent.splice(key, 0, clone(op.node))
+    else if (op.value === undefined) delete parent[key]
+    else parent[key] = clone(op.value)
+  }
+  return result
+}
@@ -0,0 +1,53 @@
+/**
+ * ThoughtBlend synthesis history
+ *
+ * A saved wheel keeps every synthesized output as a numbered version along
+ * with a snapshot of the mixture that produced it, so two versions can be
+ * compared: which sources came and went, which were rebalanced, what
+ * changed in the settings and in the text itself.
+ */
+
+import { diffText } from './treeDiff.js'
+
+/**
+ * The parts of a wheel's sources that shape a synthesis
+ * @returns {{ position: number, title: string, magnitude: number }[]}
+ */
+export function snapshotComposition(sources = {}) {
+  return Object.entries(sources)
+    .map(([position, source]) => ({
+      position: Number(position),
+      title: source.title || `Source ${Number(position) + 1}`,
+      magnitude: source.magnitude ?? 1
+    }))
+    .sort((a, b) => a.position - b.position)
+}
+
+/**
+ * What changed between two synthesis versions
+ * @returns {{ added: Object[], removed: Object[], rebalanced: Object[], settings: Object[], text: Object[] }}
+ */
+export function compareSyntheses(from, to) {
+  // A slot can be emptied and refilled with a different source
+  const key = s => `${s.position}:${s.title}`
+  const before = new Map(from.composition.map(s => [key(s), s]))
+  const after = new Map(to.composition.map(s => [key(s), s]))
+
+  const rebalanced = []
+  for (const [k, s] of after) {
+    const old = before.get(k)
+    if (old && old.magnitude !== s.magnitude) rebalanced.push({ ...s, from: old.magnitude, to: s.magnitude })
+  }
+
+  const settings = ['mode', 'acrimony']
+    .filter(name => from[name] !== to[name])
+    .map(name => ({ name, from: from[name], to: to[name] }))
+
+  return {
+    added: [...after.values()].filter(s => !before.has(key(s))),
+    removed: [...before.values()].filter(s => !after.has(key(s))),
+    rebalanced,
+    settings,
+    text: diffText(from.output, to.output)
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * Word timings for narrated slides
+ *
+ * Narration audio carries `words: [{ text, start, end, charStart, charEnd }]`
+ * with times in ms from the start of the clip and character offsets into
+ * the narration text. Providers with real speech marks (Polly) fill these in
+ * exactly; the rest are estimated from the clip length.
+ */
+
+// Extra weight for the pause after punctuation, in characters
+const COMMA_PAUSE = 3
+const SENTENCE_PAUSE = 6
+
+/**
+ * Words in a narration with their character offsets
+ */
+export function splitWords(text) {
+  const words = []
+  for (const match of (text || '').matchAll(/\S+/g)) {
+    words.push({ text: match[0], charStart: match.index, charEnd: match.index + match[0].length })
+  }
+  return words
+}
+
+/**
+ * Spread a clip's duration over its words by length, leaving room for
+ * pauses after punctuation
+ */
+export function estimateWordTimings(text, durationMs) {
+  const words = splitWords(text)
+  const weight = w => w.text.length + (/[.!?]["')]*$/.test(w.text) ? SENTENCE_PAUSE : /[,;:—]$/.test(w.text) ? COMMA_PAUSE : 0)
+  const total = words.reduce((sum, w) => sum + weight(w), 0) || 1
+
+  let elapsed = 0
+  return words.map(w => {
+    const start = elapsed
+    const spoken = (w.text.length / total) * durationMs
+    elapsed += (weight(w) / total) * durationMs
+    return { ...w, start: Math.round(start), end: Math.round(start + spoken) }
+  })
+}
+
+/**
+ * Index of the word being spoken at `ms`, or -1 before the first word
+ */
+export function wordAt(words, ms) {
+  let index = -1
+  for (let i = 0; i < (words?.length || 0); i++) {
+    if (words[i].start > ms) break
+    index = i
+  }
+  return index
+}
+
+/**
+ * Index of the word containing a character offset (speechSynthesis boundary events)
+ */
+export function wordAtChar(words, charIndex) {
+  return words.findIndex(w => charIndex >= w.charStart && charIndex < w.charEnd)
+}
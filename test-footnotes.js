@@ -0,0 +1,65 @@
+/**
+ * Test that passage citations in generated tutorials become footnotes
+ *
+ * Checks:
+ * 1. Every [cN] marker becomes a FootnoteRef, even a repeated one
+ * 2. A chunk cited twice in one paragraph gets a single footnote
+ * 3. Markers are removed from the text
+ * 4. Each footnote is anchored to the text before its first marker
+ *
+ * Usage: node test-footnotes.js
+ */
+
+import assert from 'assert/strict'
+import { attachPassageFootnotes } from './server/tutorial-generator.js'
+
+const chunksById = new Map([
+  ['c1', { text: 'Theta rhythms coordinate hippocampal firing.', cite: 'p. 3', documentTitle: 'Oscillations' }],
+  ['c2', { text: 'Gamma bursts nest inside theta cycles.', cite: 'p. 7', documentTitle: 'Oscillations' }]
+])
+
+const tutorial = {
+  title: 'Test',
+  content: {
+    type: 'Section',
+    props: { title: 'Rhythms' },
+    children: [
+      {
+        type: 'Paragraph',
+        children: 'Theta organizes the hippocampus [c1]. Gamma rides on theta, and the two work together [c2][c1].'
+      }
+    ]
+  }
+}
+
+function collect(node, type, found = []) {
+  if (Array.isArray(node)) node.forEach(child => collect(child, type, found))
+  else if (node && typeof node === 'object') {
+    if (node.type === type) found.push(node)
+    if (node.children !== undefined) collect(node.children, type, found)
+  }
+  return found
+}
+
+const { tutorial: result, citationCount } = attachPassageFootnotes(tutorial, chunksById)
+const refs = collect(result.content, 'FootnoteRef')
+const footnotes = collect(result.content, 'Footnote')
+
+assert.equal(refs.length, 3, 'every marker gets a FootnoteRef')
+assert.equal(footnotes.length, 2, 'one footnote per cited chunk')
+assert.equal(citationCount, 2)
+console.log('✅ Repeated citation keeps its marker without a second footnote')
+
+const c1 = footnotes.find(f => f.props.reference.endsWith('p. 3'))
+const c1Refs = refs.filter(r => r.props.targetId === c1.props.id)
+assert.equal(c1Refs.length, 2, 'both [c1] markers link to the c1 footnote')
+assert.notEqual(c1Refs[0].props.id, c1Refs[1].props.id, 'markers have distinct element ids')
+assert.equal(c1.props.sourceId, c1Refs[0].props.id, 'footnote links back to its first marker')
+console.log('✅ Both markers link to the one footnote')
+
+const text = collect(result.content, 'Paragraph')[0].children.filter(c => typeof c === 'string').join('')
+assert.doesNotMatch(text, /\[c\d/)
+console.log('✅ Markers are removed from the text')
+
+assert.equal(c1.props.anchor.find(s => s.type === 'TextQuoteSelector').exact, 'Theta organizes the hippocampus')
+console.log('✅ Footnote is anchored to its first citation')
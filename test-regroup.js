@@ -60,7 +60,7 @@ async function testRewrite(section) {
     console.log(`  ${i+1}. [${ann.type}] ${ann.content.slice(0, 80)}...`)
   })
   
-  // Build the rewrite prompt (same as in annotation-server.js)
+  // Build the rewrite prompt (same as in server/routes/regroup.js)
   const annSummary = section.annotations.map((a, i) => 
     `${i+1}. [${a.type}]: "${a.content}"`
   ).join('\n')
@@ -0,0 +1,69 @@
+/**
+ * Test that the router answers bad request URLs with 400 instead of crashing
+ *
+ * Checks:
+ * 1. Path params are percent-decoded
+ * 2. A malformed percent-escape in a path param returns 400
+ * 3. A malformed Host header returns 400
+ * 4. Unknown paths still return 404
+ *
+ * Usage: node test-router.js
+ */
+
+import http from 'http'
+import assert from 'assert/strict'
+import { createRouter } from './server/router.js'
+import { sendJson } from './server/http.js'
+
+const router = createRouter()
+router.add([
+  {
+    method: 'GET',
+    path: '/api/tutorial/:tutorialId',
+    handler: ({ res, params }) => sendJson(res, 200, params)
+  }
+], 'Test')
+
+function request(server, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port: server.address().port, path, headers }, res => {
+      let data = ''
+      res.on('data', chunk => data += chunk)
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }))
+    })
+    req.on('error', reject)
+    req.end()
+  })
+}
+
+async function main() {
+  const server = http.createServer(router.handle)
+  await new Promise(resolve => server.listen(0, resolve))
+
+  try {
+    const decoded = await request(server, '/api/tutorial/caf%C3%A9')
+    assert.equal(decoded.status, 200)
+    assert.equal(decoded.body.tutorialId, 'café')
+    console.log('✅ Path params are decoded')
+
+    const malformed = await request(server, '/api/tutorial/%E0%A4%A')
+    assert.equal(malformed.status, 400)
+    assert.match(malformed.body.error, /Bad request URL/)
+    console.log('✅ Malformed percent-escape returns 400')
+
+    const badHost = await request(server, '/api/tutorial/x', { Host: 'bad host' })
+    assert.equal(badHost.status, 400)
+    console.log('✅ Malformed Host header returns 400')
+
+    const missing = await request(server, '/nowhere')
+    assert.equal(missing.status, 404)
+    console.log('✅ Unknown paths return 404')
+  } finally {
+    server.close()
+  }
+}
+
+main().catch(error => {
+  console.error('❌', error.message)
+  process.exit(1)
+})
@@ -0,0 +1,72 @@
+/**
+ * Local TTS provider
+ *
+ * Runs an offline speech binary (espeak-ng, piper, ...) configured in
+ * TTS_CONFIG.local.command (see tts.js). The command reads the narration on
+ * stdin and writes a WAV file to {output}; with format 'mp3' the WAV is then
+ * encoded with encodeCommand (ffmpeg by default).
+ *
+ * The binaries don't report word boundaries, so word timings are estimated
+ * from the WAV's length.
+ */
+
+import { execSync } from 'child_process'
+import fs from 'fs/promises'
+import { estimateWordTimings } from './src/utils/wordTimings.js'
+
+const COMMAND_TIMEOUT_MS = 120000
+
+function run(template, values, input) {
+  const command = template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? `"${values[key]}"` : match))
+  execSync(command, { input, stdio: ['pipe', 'pipe', 'pipe'], timeout: COMMAND_TIMEOUT_MS })
+}
+
+/**
+ * Length of a PCM WAV file in ms, from its fmt and data chunks
+ */
+export function getWavDuration(buffer) {
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file')
+  }
+
+  let byteRate = null
+  let offset = 12
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4)
+    const size = buffer.readUInt32LE(offset + 4)
+    if (id === 'fmt ') byteRate = buffer.readUInt32LE(offset + 16)
+    if (id === 'data') {
+      if (!byteRate) break
+      // Streaming writers leave the size unset; use what's actually there
+      const dataSize = Math.min(size, buffer.length - offset - 8)
+      return Math.round((dataSize / byteRate) * 1000)
+    }
+    offset += 8 + size + (size % 2)
+  }
+  throw new Error('WAV file has no fmt/data chunks')
+}
+
+/**
+ * Synthesize `text` to outputPath (WAV, or MP3 when configured)
+ * @param {Object} options - TTS_CONFIG.local
+ * @returns {Promise<{ words: Object[], duration: number }>}
+ */
+export async function synthesize(text, outputPath, options) {
+  const { command, format, encodeCommand } = options
+  const wavPath = format === 'wav' ? outputPath : `${outputPath}.wav`
+
+  try {
+    run(command, { output: wavPath }, text)
+    const duration = getWavDuration(await fs.readFile(wavPath))
+
+    if (wavPath !== outputPath) {
+      run(encodeCommand, { input: wavPath, output: outputPath })
+      await fs.unlink(wavPath).catch(() => {})
+    }
+
+    return { words: estimateWordTimings(text, duration), duration }
+  } catch (error) {
+    console.error('Local TTS error:', error.message)
+    throw error
+  }
+}
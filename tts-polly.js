@@ -1,72 +1,64 @@
 /**
- * AWS Polly TTS Helper
+ * AWS Polly TTS provider
  * Uses AWS CLI (already configured for Bedrock)
+ *
+ * Word timings come from Polly speech marks, requested alongside the audio.
  */
 
-import { execSync } from 'child_process'
+import { execFileSync } from 'child_process'
 import fs from 'fs/promises'
-import path from 'path'
-import { fileURLToPath } from 'url'
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url))
-const AUDIO_DIR = path.join(__dirname, 'public', 'audio')
+const polly = (options, args) => execFileSync('aws', [
+  'polly', 'synthesize-speech',
+  '--voice-id', options.voiceId,
+  '--engine', options.engine,
+  '--region', options.region,
+  ...args
+], { stdio: 'pipe' })
 
-// Neural voices sound much better
-const VOICE_ID = 'Matthew'  // Options: Matthew, Joanna, Amy, Brian, Emma, Ivy, Kendra, Kimberly, Salli, Joey, Justin, Kevin, Ruth, Stephen
-const ENGINE = 'neural'
+// Speech marks give UTF-8 byte offsets; the player needs character offsets
+function byteToCharOffsets(text) {
+  const offsets = new Map()
+  let bytes = 0
+  let i = 0
+  for (const char of text) {
+    offsets.set(bytes, i)
+    bytes += Buffer.byteLength(char)
+    i += char.length
+  }
+  offsets.set(bytes, text.length)
+  return offsets
+}
+
+/**
+ * Synthesize `text` to an MP3 at outputPath
+ * @param {Object} options - TTS_CONFIG.polly
+ * @returns {Promise<{ words: Object[], duration: null }>} duration isn't reported by Polly
+ */
+export async function synthesize(text, outputPath, options) {
+  const clean = text.replace(/\n/g, ' ')
 
-export async function synthesizeSpeech(text, outputFilename) {
-  // Ensure audio directory exists
-  await fs.mkdir(AUDIO_DIR, { recursive: true })
-  
-  const outputPath = path.join(AUDIO_DIR, outputFilename)
-  
-  // Use AWS CLI to call Polly
-  const command = `aws polly synthesize-speech \
-    --text "${text.replace(/"/g, '\\"').replace(/\n/g, ' ')}" \
-    --output-format mp3 \
-    --voice-id ${VOICE_ID} \
-    --engine ${ENGINE} \
-    --region us-east-1 \
-    "${outputPath}"`
-  
   try {
-    execSync(command, { stdio: 'pipe' })
-    return `/audio/${outputFilename}`
+    polly(options, ['--text', clean, '--output-format', 'mp3', outputPath])
+
+    const marksPath = `${outputPath}.marks`
+    polly(options, ['--text', clean, '--output-format', 'json', '--speech-mark-types', 'word', marksPath])
+    const marks = (await fs.readFile(marksPath, 'utf-8')).split('\n').filter(Boolean).map(line => JSON.parse(line))
+    await fs.unlink(marksPath).catch(() => {})
+
+    const chars = byteToCharOffsets(clean)
+    const words = marks.filter(m => m.type === 'word').map((m, i, all) => ({
+      text: m.value,
+      start: m.time,
+      // Polly only marks starts; a word lasts until the next begins
+      end: all[i + 1]?.time ?? m.time + m.value.length * 70,
+      charStart: chars.get(m.start) ?? m.start,
+      charEnd: chars.get(m.end) ?? m.end
+    }))
+
+    return { words, duration: null }
   } catch (error) {
     console.error('Polly TTS error:', error.message)
     throw error
   }
 }
-
-// Generate audio for all slides in a presentation
-export async function generatePresentationAudio(script, cacheKey) {
-  const audioUrls = []
-  
-  for (let i = 0; i < script.length; i++) {
-    const slide = script[i]
-    if (!slide.narration) {
-      audioUrls.push(null)
-      continue
-    }
-    
-    const filename = `${cacheKey}-slide-${i}.mp3`
-    const audioPath = path.join(AUDIO_DIR, filename)
-    
-    // Check if already generated
-    try {
-      await fs.access(audioPath)
-      console.log(`  ✅ Audio cached: slide ${i}`)
-      audioUrls.push(`/audio/${filename}`)
-      continue
-    } catch {
-      // Need to generate
-    }
-    
-    console.log(`  🔊 Generating audio: slide ${i}`)
-    const url = await synthesizeSpeech(slide.narration, filename)
-    audioUrls.push(url)
-  }
-  
-  return audioUrls
-}
@@ -0,0 +1,133 @@
+/**
+ * Text-to-Speech Configuration
+ *
+ * Narration audio for NodePlayer presentations, behind a provider interface:
+ *
+ *   synthesize(text, outputPath, options) → { words, duration }
+ *
+ * `words` are per-word timings (see src/utils/wordTimings.js) so the player
+ * can highlight what's being spoken. 'local' runs an offline speech binary,
+ * so narration can be pre-rendered without network access
+ * (node render-narration.js).
+ */
+
+// ============================================================================
+// CONFIGURATION - Edit these values to switch providers
+// ============================================================================
+
+export const TTS_CONFIG = {
+  // Provider: 'polly' | 'local'
+  provider: process.env.TTS_PROVIDER || 'polly',
+
+  // Tried in order if the provider fails, comma-separated ('' to disable).
+  // A whole presentation is rendered with one provider so the voice doesn't change mid-way.
+  fallback: process.env.TTS_FALLBACK ?? 'local',
+
+  polly: {
+    // Neural voices sound much better
+    voiceId: 'Matthew',  // Options: Matthew, Joanna, Amy, Brian, Emma, Ivy, Kendra, Kimberly, Salli, Joey, Justin, Kevin, Ruth, Stephen
+    engine: 'neural',
+    region: 'us-east-1',
+    // Uses AWS CLI credentials (aws configure)
+  },
+
+  local: {
+    // Reads the narration on stdin and writes a WAV to {output}. For piper:
+    // 'piper --model en_US-lessac-medium.onnx --output_file {output}'
+    command: process.env.TTS_LOCAL_COMMAND || 'espeak-ng -s 160 --stdin -w {output}',
+    // 'wav' | 'mp3' (mp3 encodes the WAV with encodeCommand)
+    format: process.env.TTS_LOCAL_FORMAT || 'wav',
+    encodeCommand: 'ffmpeg -y -loglevel error -i {input} {output}',
+  },
+}
+
+// ============================================================================
+// IMPLEMENTATION - No need to edit below this line
+// ============================================================================
+
+import fs from 'fs/promises'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { synthesize as pollySynthesize } from './tts-polly.js'
+import { synthesize as localSynthesize } from './tts-local.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const AUDIO_DIR = path.join(__dirname, 'public', 'audio')
+
+const PROVIDERS = {
+  polly: { synthesize: pollySynthesize, format: () => 'mp3' },
+  local: { synthesize: localSynthesize, format: () => TTS_CONFIG.local.format }
+}
+
+/**
+ * Providers to try, configured one first
+ */
+export function getProviderOrder(preferred = TTS_CONFIG.provider) {
+  const names = [preferred, ...TTS_CONFIG.fallback.split(',')].map(n => n.trim()).filter(Boolean)
+  const unknown = names.filter(n => !PROVIDERS[n])
+  if (unknown.length > 0) throw new Error(`Unknown TTS provider: ${unknown.join(', ')}`)
+  return [...new Set(names)]
+}
+
+/**
+ * Synthesize one clip into public/audio, reusing it (and its timings) if it exists
+ * @returns {Promise<{ audioUrl: string, words: Object[], duration: number|null, provider: string, cached: boolean }>}
+ */
+export async function synthesizeSpeech(text, basename, providerName = TTS_CONFIG.provider, { force = false } = {}) {
+  const provider = PROVIDERS[providerName]
+  if (!provider) throw new Error(`Unknown TTS provider: ${providerName}`)
+
+  await fs.mkdir(AUDIO_DIR, { recursive: true })
+  const filename = `${basename}-${providerName}.${provider.format()}`
+  const outputPath = path.join(AUDIO_DIR, filename)
+  const timingsPath = `${outputPath}.json`
+
+  if (!force) {
+    try {
+      await fs.access(outputPath)
+      const saved = JSON.parse(await fs.readFile(timingsPath, 'utf-8'))
+      // A regenerated script can reuse the slide's file name with new narration
+      if (saved.text === text) {
+        return { audioUrl: `/audio/${filename}`, words: saved.words, duration: saved.duration, provider: providerName, cached: true }
+      }
+    } catch {
+      // Need to generate
+    }
+  }
+
+  const { words, duration } = await provider.synthesize(text, outputPath, TTS_CONFIG[providerName])
+  await fs.writeFile(timingsPath, JSON.stringify({ text, words, duration }))
+  return { audioUrl: `/audio/${filename}`, words, duration, provider: providerName, cached: false }
+}
+
+/**
+ * Generate audio for all slides in a presentation, trying each provider in
+ * turn until one narrates every slide
+ * @returns {Promise<(Object|null)[]>} per slide: { audioUrl, words, duration, provider }, or null without narration
+ */
+export async function generatePresentationAudio(script, cacheKey, { provider, force = false } = {}) {
+  let lastError = null
+
+  for (const name of getProviderOrder(provider)) {
+    try {
+      const narration = []
+      for (let i = 0; i < script.length; i++) {
+        const slide = script[i]
+        if (!slide.narration) {
+          narration.push(null)
+          continue
+        }
+
+        const clip = await synthesizeSpeech(slide.narration, `${cacheKey}-slide-${i}`, name, { force })
+        console.log(`  ${clip.cached ? '✅ Audio cached' : '🔊 Generated audio'}: slide ${i} (${name})`)
+        narration.push(clip)
+      }
+      return narration
+    } catch (e) {
+      console.log(`  ⚠️ ${name} TTS failed: ${e.message}`)
+      lastError = e
+    }
+  }
+
+  throw lastError || new Error('No TTS provider configured')
+}
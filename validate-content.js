@@ -0,0 +1,101 @@
+/**
+ * Validate tutorial JSON against the content schema
+ *
+ * Usage:
+ *   node validate-content.js                 # all tutorials in src/content
+ *   node validate-content.js foo.json bar    # specific files or tutorial ids
+ *   node validate-content.js --write-schema  # regenerate schemas/tutorial.schema.json
+ *
+ * --write-schema loads ElementRenderer through Vite to read the registered
+ * components, so the schema can't drift from what actually renders.
+ * Exits 1 if any file has errors.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { ROOT_DIR, CONTENT_DIR } from './server/config.js'
+import { SCHEMA_PATH, buildContentSchema, validateTutorial } from './server/content-schema.js'
+import { componentProps, HTML_TAGS } from './src/components/TutorialEngine/componentProps.js'
+
+// Content files that aren't tutorial documents
+const NON_TUTORIAL = /-(quiz|semantic-tree)\.json$/
+
+async function writeSchema() {
+  const { createServer } = await import('vite')
+  const vite = await createServer({
+    root: ROOT_DIR,
+    configFile: false,
+    server: { middlewareMode: true },
+    appType: 'custom',
+    logLevel: 'error'
+  })
+
+  try {
+    const { getRegisteredComponents } = await vite.ssrLoadModule('/src/components/TutorialEngine/ElementRenderer.jsx')
+    const components = getRegisteredComponents()
+
+    const unspecified = components.filter(name => !componentProps[name])
+    if (unspecified.length > 0) {
+      console.warn(`⚠️  No prop spec in componentProps.js for: ${unspecified.join(', ')}`)
+    }
+
+    const schema = buildContentSchema(components, componentProps, HTML_TAGS)
+    fs.mkdirSync(path.dirname(SCHEMA_PATH), { recursive: true })
+    fs.writeFileSync(SCHEMA_PATH, JSON.stringify(schema, null, 2) + '\n')
+    console.log(`📝 Wrote ${path.relative(ROOT_DIR, SCHEMA_PATH)} (${components.length} components)`)
+  } finally {
+    await vite.close()
+  }
+}
+
+function resolveFiles(args) {
+  if (args.length === 0) {
+    return fs.readdirSync(CONTENT_DIR)
+      .filter(f => f.endsWith('.json') && !f.startsWith('.') && !NON_TUTORIAL.test(f))
+      .sort()
+      .map(f => path.join(CONTENT_DIR, f))
+  }
+
+  return args.map(arg => {
+    if (fs.existsSync(arg)) return arg
+    return path.join(CONTENT_DIR, arg.endsWith('.json') ? arg : `${arg}.json`)
+  })
+}
+
+function validateFiles(files) {
+  let failed = 0
+  let errorCount = 0
+
+  for (const file of files) {
+    const name = path.relative(ROOT_DIR, path.resolve(file))
+    let errors
+    try {
+      errors = validateTutorial(JSON.parse(fs.readFileSync(file, 'utf-8')))
+    } catch (e) {
+      errors = [{ path: '$', message: e.message }]
+    }
+
+    if (errors.length === 0) continue
+    failed++
+    errorCount += errors.length
+    for (const error of errors) {
+      console.log(`${name}: ${error.path} ${error.message}`)
+    }
+  }
+
+  const summary = `${files.length - failed}/${files.length} files valid`
+  if (failed > 0) {
+    console.log(`\n❌ ${summary}, ${errorCount} error${errorCount === 1 ? '' : 's'}`)
+    process.exitCode = 1
+  } else {
+    console.log(`✅ ${summary}`)
+  }
+}
+
+// Main
+const args = process.argv.slice(2)
+if (args.includes('--write-schema')) {
+  await writeSchema()
+} else {
+  validateFiles(resolveFiles(args))
+}
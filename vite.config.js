@@ -3,6 +3,8 @@ import react from '@vitejs/plugin-react'
 import { execSync } from 'child_process'
 import { readdirSync, statSync } from 'fs'
 import { join } from 'path'
+import { buildCatalog, OVERRIDES_PATH } from './server/catalog.js'
+import { buildReviewDeck } from './server/review-deck.js'
 
 // Use subpath for GitHub Pages, root for Netlify/local
 const base = process.env.GITHUB_ACTIONS ? '/VisualTutorialsForAIConcepts/' : '/'
@@ -78,8 +80,78 @@ function tutorialTimestamps() {
   }
 }
 
+/**
+ * Vite plugin: static tutorial catalog manifest (see server/catalog.js).
+ * import catalog from 'virtual:tutorial-catalog'
+ * → [{ id, title, description, tags, icon, ... }, ...]
+ * Also emitted as catalog.json in the build output.
+ */
+function tutorialCatalog() {
+  const virtualId = 'virtual:tutorial-catalog'
+  const resolvedId = '\0' + virtualId
+  const contentDir = join(process.cwd(), 'src', 'content')
+
+  return {
+    name: 'tutorial-catalog',
+    resolveId(id) {
+      if (id === virtualId) return resolvedId
+    },
+    load(id) {
+      if (id !== resolvedId) return null
+      return `export default ${JSON.stringify(buildCatalog())}`
+    },
+    generateBundle() {
+      this.emitFile({ type: 'asset', fileName: 'catalog.json', source: JSON.stringify(buildCatalog()) })
+    },
+    configureServer(server) {
+      // Rebuild the manifest when tutorials are added, removed or edited
+      const refresh = (file) => {
+        if (!file.startsWith(contentDir) && file !== OVERRIDES_PATH) return
+        const mod = server.moduleGraph.getModuleById(resolvedId)
+        if (mod) server.moduleGraph.invalidateModule(mod)
+      }
+      server.watcher.on('add', refresh)
+      server.watcher.on('unlink', refresh)
+      server.watcher.on('change', refresh)
+    }
+  }
+}
+
+/**
+ * Vite plugin: spaced-repetition review deck (see server/review-deck.js).
+ * const { default: cards } = await import('virtual:review-deck')
+ * → [{ id, tutorialId, sectionTitle, anchor, question, ... }, ...]
+ * Imported dynamically so the deck is only loaded by the review page.
+ */
+function reviewDeck() {
+  const virtualId = 'virtual:review-deck'
+  const resolvedId = '\0' + virtualId
+  const contentDir = join(process.cwd(), 'src', 'content')
+
+  return {
+    name: 'review-deck',
+    resolveId(id) {
+      if (id === virtualId) return resolvedId
+    },
+    load(id) {
+      if (id !== resolvedId) return null
+      return `export default ${JSON.stringify(buildReviewDeck())}`
+    },
+    configureServer(server) {
+      const refresh = (file) => {
+        if (!file.startsWith(contentDir)) return
+        const mod = server.moduleGraph.getModuleById(resolvedId)
+        if (mod) server.moduleGraph.invalidateModule(mod)
+      }
+      server.watcher.on('add', refresh)
+      server.watcher.on('unlink', refresh)
+      server.watcher.on('change', refresh)
+    }
+  }
+}
+
 export default defineConfig({
-  plugins: [react(), tutorialTimestamps()],
+  plugins: [react(), tutorialTimestamps(), tutorialCatalog(), reviewDeck()],
   base,
   server: {
     port: 5184,